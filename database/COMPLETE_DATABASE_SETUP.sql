@@ -240,18 +240,21 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- 6.4 Function to clean up expired medicines (can be called periodically)
+-- 6.4 Function to take expired medicines off sale (can be called periodically)
+-- Expired stock is kept, not deleted: pharmacies must keep batch records.
+-- add_expired_stock.sql replaces this with the quarantine workflow.
 CREATE OR REPLACE FUNCTION cleanup_expired_medicines()
 RETURNS INTEGER AS $$
 DECLARE
-    deleted_count INTEGER;
+    updated_count INTEGER;
 BEGIN
-    DELETE FROM medicines 
-    WHERE expiry_date < CURRENT_DATE 
-    AND expiry_date IS NOT NULL;
+    UPDATE medicines
+    SET is_available = FALSE
+    WHERE expiry_date < CURRENT_DATE
+    AND is_available = TRUE;
     
-    GET DIAGNOSTICS deleted_count = ROW_COUNT;
-    RETURN deleted_count;
+    GET DIAGNOSTICS updated_count = ROW_COUNT;
+    RETURN updated_count;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
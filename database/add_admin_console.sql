@@ -0,0 +1,287 @@
+-- =====================================================
+-- ADMIN CONSOLE
+-- =====================================================
+-- Run this script in Supabase SQL Editor after
+-- add_store_verification.sql (it uses the admin role
+-- and is_admin() from there), then re-run
+-- search_nearby_medicines.sql so stores of suspended
+-- retailers drop out of search.
+--
+-- Adds what the /admin pages need:
+--   * suspending and reinstating users
+--   * managing medicine_categories
+--   * removing reviews
+--   * a platform overview of stores, medicines and
+--     search volume
+-- =====================================================
+
+-- =====================================================
+-- User suspension
+-- =====================================================
+
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS is_suspended BOOLEAN NOT NULL DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS suspended_reason TEXT,
+ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_suspended
+    ON profiles(id)
+    WHERE is_suspended = TRUE;
+
+-- Whether the signed-in user is suspended
+CREATE OR REPLACE FUNCTION is_suspended()
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM profiles WHERE id = auth.uid() AND is_suspended = TRUE
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Users can still edit their own profile, but only
+-- admins can touch the suspension columns
+CREATE OR REPLACE FUNCTION protect_profile_suspension()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL AND NOT is_admin() THEN
+        NEW.is_suspended := OLD.is_suspended;
+        NEW.suspended_reason := OLD.suspended_reason;
+        NEW.suspended_at := OLD.suspended_at;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_suspension ON profiles;
+CREATE TRIGGER protect_profile_suspension
+    BEFORE UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_suspension();
+
+-- Suspend or reinstate a user. Suspending needs a reason;
+-- admins cannot be suspended from the app.
+CREATE OR REPLACE FUNCTION set_user_suspension(
+    target_user UUID,
+    suspend BOOLEAN,
+    reason TEXT DEFAULT NULL
+)
+RETURNS profiles AS $$
+DECLARE
+    target profiles;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can suspend users';
+    END IF;
+    IF suspend AND COALESCE(TRIM(reason), '') = '' THEN
+        RAISE EXCEPTION 'A suspension needs a reason';
+    END IF;
+
+    SELECT * INTO target FROM profiles WHERE id = target_user;
+    IF target.id IS NULL THEN
+        RAISE EXCEPTION 'User % not found', target_user;
+    END IF;
+    IF target.role = 'admin' THEN
+        RAISE EXCEPTION 'Admins cannot be suspended';
+    END IF;
+
+    UPDATE profiles
+    SET is_suspended = suspend,
+        suspended_reason = CASE WHEN suspend THEN TRIM(reason) ELSE NULL END,
+        suspended_at = CASE WHEN suspend THEN NOW() ELSE NULL END
+    WHERE id = target_user
+    RETURNING * INTO target;
+
+    RETURN target;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Suspended users keep read access but cannot change
+-- stores, stock or reviews. RESTRICTIVE policies are
+-- ANDed with the existing owner policies.
+CREATE POLICY "Suspended users cannot add stores"
+ON stores
+AS RESTRICTIVE
+FOR INSERT
+WITH CHECK (NOT is_suspended());
+
+CREATE POLICY "Suspended users cannot update stores"
+ON stores
+AS RESTRICTIVE
+FOR UPDATE
+USING (NOT is_suspended());
+
+CREATE POLICY "Suspended users cannot delete stores"
+ON stores
+AS RESTRICTIVE
+FOR DELETE
+USING (NOT is_suspended());
+
+CREATE POLICY "Suspended users cannot add medicines"
+ON medicines
+AS RESTRICTIVE
+FOR INSERT
+WITH CHECK (NOT is_suspended());
+
+CREATE POLICY "Suspended users cannot update medicines"
+ON medicines
+AS RESTRICTIVE
+FOR UPDATE
+USING (NOT is_suspended());
+
+CREATE POLICY "Suspended users cannot delete medicines"
+ON medicines
+AS RESTRICTIVE
+FOR DELETE
+USING (NOT is_suspended());
+
+CREATE POLICY "Suspended users cannot add reviews"
+ON reviews
+AS RESTRICTIVE
+FOR INSERT
+WITH CHECK (NOT is_suspended());
+
+CREATE POLICY "Suspended users cannot update reviews"
+ON reviews
+AS RESTRICTIVE
+FOR UPDATE
+USING (NOT is_suspended());
+
+CREATE POLICY "Suspended users cannot delete reviews"
+ON reviews
+AS RESTRICTIVE
+FOR DELETE
+USING (NOT is_suspended());
+
+-- =====================================================
+-- Category management
+-- =====================================================
+
+CREATE POLICY "Admins can add categories"
+ON medicine_categories
+FOR INSERT
+WITH CHECK (is_admin());
+
+CREATE POLICY "Admins can update categories"
+ON medicine_categories
+FOR UPDATE
+USING (is_admin());
+
+-- Medicines in a deleted category are left uncategorised
+-- (medicines.category_id is ON DELETE SET NULL)
+CREATE POLICY "Admins can delete categories"
+ON medicine_categories
+FOR DELETE
+USING (is_admin());
+
+-- =====================================================
+-- Review moderation
+-- =====================================================
+-- Deleting a review re-runs update_store_rating, so the
+-- store's average rating is corrected straight away.
+
+CREATE POLICY "Admins can delete any review"
+ON reviews
+FOR DELETE
+USING (is_admin());
+
+-- =====================================================
+-- Platform overview
+-- =====================================================
+-- One round trip for the admin overview page. Search
+-- volume comes from search_history, which users can
+-- otherwise only read for themselves.
+
+CREATE OR REPLACE FUNCTION admin_platform_overview()
+RETURNS JSONB AS $$
+DECLARE
+    result JSONB;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can view the platform overview';
+    END IF;
+
+    SELECT jsonb_build_object(
+        'users', (
+            SELECT jsonb_build_object(
+                'customers', COUNT(*) FILTER (WHERE role = 'customer'),
+                'retailers', COUNT(*) FILTER (WHERE role = 'retailer'),
+                'admins', COUNT(*) FILTER (WHERE role = 'admin'),
+                'suspended', COUNT(*) FILTER (WHERE is_suspended)
+            )
+            FROM profiles
+        ),
+        'stores', (
+            SELECT jsonb_build_object(
+                'total', COUNT(*),
+                'verified', COUNT(*) FILTER (WHERE is_verified),
+                'open_24x7', COUNT(*) FILTER (WHERE is_24x7),
+                'pending_verification', (
+                    SELECT COUNT(*) FROM store_verification_requests WHERE status = 'pending'
+                )
+            )
+            FROM stores
+        ),
+        'medicines', (
+            SELECT jsonb_build_object(
+                'total', COUNT(*),
+                'in_stock', COUNT(*) FILTER (WHERE is_available AND quantity > 0),
+                'out_of_stock', COUNT(*) FILTER (WHERE quantity <= 0),
+                'uncategorised', COUNT(*) FILTER (WHERE category_id IS NULL)
+            )
+            FROM medicines
+        ),
+        'searches', (
+            SELECT jsonb_build_object(
+                'last_24h', COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '1 day'),
+                'last_7d', COUNT(*) FILTER (WHERE created_at > NOW() - INTERVAL '7 days'),
+                'last_30d', COUNT(*),
+                'no_results_7d', COUNT(*) FILTER (
+                    WHERE created_at > NOW() - INTERVAL '7 days' AND results_count = 0
+                )
+            )
+            FROM search_history
+            WHERE created_at > NOW() - INTERVAL '30 days'
+        ),
+        -- Daily search counts for the last 14 days, oldest first, zero-filled
+        'searches_by_day', (
+            SELECT jsonb_agg(jsonb_build_object('day', d.day::DATE, 'count', COALESCE(c.count, 0)) ORDER BY d.day)
+            FROM generate_series(CURRENT_DATE - 13, CURRENT_DATE, INTERVAL '1 day') AS d(day)
+            LEFT JOIN (
+                SELECT created_at::DATE AS day, COUNT(*) AS count
+                FROM search_history
+                WHERE created_at >= CURRENT_DATE - 13
+                GROUP BY 1
+            ) c ON c.day = d.day::DATE
+        ),
+        -- Most searched terms this week, with how often they found nothing
+        'top_searches', (
+            SELECT COALESCE(jsonb_agg(t ORDER BY t.count DESC), '[]'::JSONB)
+            FROM (
+                SELECT
+                    LOWER(TRIM(search_query)) AS term,
+                    COUNT(*) AS count,
+                    COUNT(*) FILTER (WHERE results_count = 0) AS no_results
+                FROM search_history
+                WHERE created_at > NOW() - INTERVAL '7 days'
+                GROUP BY 1
+                ORDER BY 2 DESC
+                LIMIT 10
+            ) t
+        )
+    ) INTO result;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- =====================================================
+-- Grant permissions to authenticated users
+-- =====================================================
+GRANT INSERT, UPDATE, DELETE ON medicine_categories TO authenticated;
+GRANT EXECUTE ON FUNCTION is_suspended() TO authenticated;
+GRANT EXECUTE ON FUNCTION set_user_suspension(UUID, BOOLEAN, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION admin_platform_overview() TO authenticated;
+
+-- =====================================================
+-- VERIFICATION: Check if columns were added
+-- =====================================================
+-- Run this to verify (as an admin):
+-- SELECT full_name, role, is_suspended, suspended_reason FROM profiles WHERE is_suspended;
+-- SELECT admin_platform_overview();
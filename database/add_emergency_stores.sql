@@ -0,0 +1,29 @@
+-- =====================================================
+-- 24x7 / EMERGENCY PHARMACIES
+-- =====================================================
+-- Run this script in Supabase SQL Editor after
+-- add_store_schedules.sql, then re-run
+-- search_nearby_medicines.sql so is_store_open_now()
+-- and the search results pick up the flag.
+--
+-- is_24x7 marks a round-the-clock / emergency pharmacy
+-- (hospital and night pharmacies). Such a store counts
+-- as open at any hour, on holidays too, unless the owner
+-- has closed it for now with an override. The app's
+-- Emergency mode only lists open stores, so these are
+-- always part of it.
+-- =====================================================
+
+ALTER TABLE stores
+    ADD COLUMN IF NOT EXISTS is_24x7 BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_stores_24x7
+    ON stores(is_24x7)
+    WHERE is_24x7 = TRUE;
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+-- Run this to verify:
+-- SELECT store_name, is_24x7, is_store_open_now(s)
+-- FROM stores s WHERE is_24x7;
@@ -0,0 +1,173 @@
+-- =====================================================
+-- EXPIRED STOCK QUARANTINE
+-- =====================================================
+-- Run this script in Supabase SQL Editor, then re-run
+-- search_nearby_medicines.sql and add_inventory_import.sql
+-- so search and imports only look at active stock.
+--
+-- Expired medicines used to be deleted, which lost the
+-- batch records pharmacies have to keep and removed
+-- customers' favorites through the cascade. Now a
+-- medicine moves through
+--   active -> expired (quarantined, "to be returned")
+--          -> disposed (returned or destroyed)
+-- and is never deleted by the system. Disposal records
+-- who did it and when.
+-- =====================================================
+
+ALTER TABLE medicines
+ADD COLUMN IF NOT EXISTS stock_status VARCHAR(20) NOT NULL DEFAULT 'active',
+ADD COLUMN IF NOT EXISTS expired_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS disposed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS disposed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS disposal_method VARCHAR(20),
+ADD COLUMN IF NOT EXISTS disposal_note TEXT;
+
+ALTER TABLE medicines DROP CONSTRAINT IF EXISTS medicines_stock_status_check;
+ALTER TABLE medicines ADD CONSTRAINT medicines_stock_status_check
+    CHECK (stock_status IN ('active', 'expired', 'disposed'));
+
+ALTER TABLE medicines DROP CONSTRAINT IF EXISTS medicines_disposal_recorded;
+ALTER TABLE medicines ADD CONSTRAINT medicines_disposal_recorded
+    CHECK (
+        stock_status <> 'disposed'
+        OR (disposed_at IS NOT NULL AND disposal_method IN ('returned', 'destroyed'))
+    );
+
+CREATE INDEX IF NOT EXISTS idx_medicines_store_status
+    ON medicines(store_id, stock_status);
+
+-- =====================================================
+-- Keep stock_status in step with expiry_date
+-- =====================================================
+-- Replaces check_medicine_expiry, which only switched
+-- is_available off.
+--   * active stock past its expiry date is quarantined
+--   * quarantined stock whose date is corrected to a
+--     future one goes back to active (not yet available)
+--   * quarantined stock is never available for sale
+--   * only quarantined stock can be disposed, and the
+--     disposal always records who and when
+--   * disposed stock is a record and cannot change
+
+CREATE OR REPLACE FUNCTION track_medicine_expiry()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND OLD.stock_status = 'disposed' THEN
+        RAISE EXCEPTION 'Disposed stock is kept as a record and cannot be changed';
+    END IF;
+
+    IF NEW.stock_status = 'disposed' THEN
+        IF TG_OP = 'INSERT' OR OLD.stock_status <> 'expired' THEN
+            RAISE EXCEPTION 'Only expired stock can be disposed of';
+        END IF;
+        NEW.disposed_at := NOW();
+        NEW.disposed_by := auth.uid();
+        NEW.is_available := FALSE;
+        RETURN NEW;
+    END IF;
+
+    IF NEW.stock_status = 'active' AND NEW.expiry_date < CURRENT_DATE THEN
+        NEW.stock_status := 'expired';
+    ELSIF NEW.stock_status = 'expired'
+        AND (NEW.expiry_date IS NULL OR NEW.expiry_date >= CURRENT_DATE) THEN
+        NEW.stock_status := 'active';
+        NEW.expired_at := NULL;
+    END IF;
+
+    IF NEW.stock_status = 'expired' THEN
+        NEW.expired_at := COALESCE(NEW.expired_at, NOW());
+        NEW.is_available := FALSE;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS check_medicine_expiry ON medicines;
+DROP TRIGGER IF EXISTS track_medicine_expiry ON medicines;
+CREATE TRIGGER track_medicine_expiry
+    BEFORE INSERT OR UPDATE ON medicines
+    FOR EACH ROW EXECUTE FUNCTION track_medicine_expiry();
+
+-- =====================================================
+-- Quarantine instead of delete
+-- =====================================================
+
+-- Move one store's expired stock to quarantine. Runs with
+-- the caller's permissions, so owners only touch their
+-- own stores. Returns how many medicines were moved.
+CREATE OR REPLACE FUNCTION quarantine_expired_medicines(target_store UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    moved_count INTEGER;
+BEGIN
+    UPDATE medicines
+    SET stock_status = 'expired'
+    WHERE store_id = target_store
+      AND stock_status = 'active'
+      AND expiry_date < CURRENT_DATE;
+
+    GET DIAGNOSTICS moved_count = ROW_COUNT;
+    RETURN moved_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The periodic job keeps its name but no longer deletes
+CREATE OR REPLACE FUNCTION cleanup_expired_medicines()
+RETURNS INTEGER AS $$
+DECLARE
+    moved_count INTEGER;
+BEGIN
+    UPDATE medicines
+    SET stock_status = 'expired'
+    WHERE stock_status = 'active'
+      AND expiry_date < CURRENT_DATE;
+
+    GET DIAGNOSTICS moved_count = ROW_COUNT;
+    RETURN moved_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Record that quarantined stock was returned to the
+-- supplier or destroyed. Returns how many were disposed.
+CREATE OR REPLACE FUNCTION dispose_expired_medicines(
+    medicine_ids UUID[],
+    method TEXT,
+    note TEXT DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    disposed_count INTEGER;
+BEGIN
+    IF method NOT IN ('returned', 'destroyed') THEN
+        RAISE EXCEPTION 'Disposal method must be returned or destroyed';
+    END IF;
+
+    UPDATE medicines
+    SET stock_status = 'disposed',
+        disposal_method = method,
+        disposal_note = NULLIF(TRIM(note), '')
+    WHERE id = ANY(medicine_ids)
+      AND stock_status = 'expired';
+
+    GET DIAGNOSTICS disposed_count = ROW_COUNT;
+    RETURN disposed_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Quarantine whatever has already expired
+SELECT cleanup_expired_medicines();
+
+-- =====================================================
+-- Grant permissions to authenticated users
+-- =====================================================
+GRANT EXECUTE ON FUNCTION quarantine_expired_medicines(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION dispose_expired_medicines(UUID[], TEXT, TEXT) TO authenticated;
+
+-- =====================================================
+-- VERIFICATION: Check if columns were added
+-- =====================================================
+-- Run this to verify:
+-- SELECT stock_status, COUNT(*) FROM medicines GROUP BY stock_status;
+-- SELECT name, expiry_date, expired_at FROM medicines WHERE stock_status = 'expired' LIMIT 5;
@@ -0,0 +1,134 @@
+-- =====================================================
+-- BULK INVENTORY IMPORT
+-- =====================================================
+-- Run this script in Supabase SQL Editor to add the
+-- import_medicines() function used by the CSV / Excel
+-- import on the inventory page.
+--
+-- The page validates the file and sends the rows in
+-- chunks. Each row is matched to the store's product with
+-- the same name (case-insensitive) and, within it, to the
+-- batch with the same batch number: the batch is updated
+-- or added, and a new product is created when there is
+-- none. Importing the same stock export twice doesn't
+-- create duplicates.
+--
+-- Needs add_expired_stock.sql and add_medicine_batches.sql:
+-- quarantined and disposed stock is never matched, so a
+-- re-imported batch goes back on sale as a new batch and
+-- the expired record is kept.
+-- =====================================================
+
+-- Lookup used to match imported rows to existing stock.
+-- Batches are matched in medicine_batches, so the product
+-- lookup is by name alone (recreated for databases that
+-- have the older name + batch number index)
+DROP INDEX IF EXISTS idx_medicines_store_name_batch;
+CREATE INDEX idx_medicines_store_name_batch
+    ON medicines(store_id, LOWER(name))
+    WHERE stock_status = 'active';
+
+-- Runs with the caller's permissions, so the usual
+-- medicines RLS policies (own stores only, not while
+-- suspended) still apply to every row.
+CREATE OR REPLACE FUNCTION import_medicines(
+    target_store UUID,
+    items JSONB
+)
+RETURNS JSONB AS $$
+DECLARE
+    item JSONB;
+    existing_id UUID;
+    existing_batch UUID;
+    inserted_count INTEGER := 0;
+    updated_count INTEGER := 0;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM stores WHERE id = target_store AND owner_id = auth.uid()
+    ) THEN
+        RAISE EXCEPTION 'You can only import into your own store';
+    END IF;
+
+    FOR item IN SELECT * FROM jsonb_array_elements(items)
+    LOOP
+        SELECT id INTO existing_id
+        FROM medicines
+        WHERE store_id = target_store
+          AND LOWER(name) = LOWER(item->>'name')
+          AND stock_status = 'active'
+        ORDER BY created_at
+        LIMIT 1;
+
+        IF existing_id IS NULL THEN
+            -- create_first_batch() turns the stock into its first batch
+            INSERT INTO medicines (
+                store_id, name, generic_name, batch_number,
+                expiry_date, price, quantity, category_id
+            )
+            VALUES (
+                target_store,
+                item->>'name',
+                item->>'generic_name',
+                item->>'batch_number',
+                (item->>'expiry_date')::DATE,
+                (item->>'price')::DECIMAL,
+                (item->>'quantity')::INTEGER,
+                (item->>'category_id')::UUID
+            )
+            RETURNING id INTO existing_id;
+
+            UPDATE medicine_batches
+            SET purchase_price = (item->>'purchase_price')::DECIMAL
+            WHERE medicine_id = existing_id;
+            inserted_count := inserted_count + 1;
+        ELSE
+            -- Blank optional cells keep what the product already has
+            UPDATE medicines
+            SET generic_name = COALESCE(item->>'generic_name', generic_name),
+                price = (item->>'price')::DECIMAL,
+                category_id = COALESCE((item->>'category_id')::UUID, category_id)
+            WHERE id = existing_id;
+
+            SELECT id INTO existing_batch
+            FROM medicine_batches
+            WHERE medicine_id = existing_id
+              AND COALESCE(batch_number, '') = COALESCE(item->>'batch_number', '')
+            LIMIT 1;
+
+            IF existing_batch IS NULL THEN
+                INSERT INTO medicine_batches (
+                    medicine_id, batch_number, expiry_date, quantity, purchase_price
+                )
+                VALUES (
+                    existing_id,
+                    item->>'batch_number',
+                    (item->>'expiry_date')::DATE,
+                    (item->>'quantity')::INTEGER,
+                    (item->>'purchase_price')::DECIMAL
+                );
+                inserted_count := inserted_count + 1;
+            ELSE
+                UPDATE medicine_batches
+                SET expiry_date = COALESCE((item->>'expiry_date')::DATE, expiry_date),
+                    quantity = (item->>'quantity')::INTEGER,
+                    purchase_price = COALESCE((item->>'purchase_price')::DECIMAL, purchase_price)
+                WHERE id = existing_batch;
+                updated_count := updated_count + 1;
+            END IF;
+        END IF;
+    END LOOP;
+
+    RETURN jsonb_build_object('inserted', inserted_count, 'updated', updated_count);
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Grant permissions to authenticated users
+-- =====================================================
+GRANT EXECUTE ON FUNCTION import_medicines(UUID, JSONB) TO authenticated;
+
+-- =====================================================
+-- VERIFICATION: Check if function was created
+-- =====================================================
+-- Run this to verify (as a store owner):
+-- SELECT import_medicines('<store id>', '[{"name": "Test", "price": 10, "quantity": 5}]');
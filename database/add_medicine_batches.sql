@@ -0,0 +1,380 @@
+-- =====================================================
+-- BATCH-LEVEL STOCK (FEFO)
+-- =====================================================
+-- Run this script in Supabase SQL Editor after
+-- add_expired_stock.sql, then re-run
+-- add_inventory_import.sql so imports add batches.
+--
+-- A medicines row is now the product on the shelf and
+-- medicine_batches holds its batches, each with its own
+-- batch number, expiry date, quantity and purchase price.
+-- For a product with batches, medicines.quantity is the
+-- total of its unexpired batches and expiry_date /
+-- batch_number are those of the earliest-expiring batch
+-- still in stock, so search keeps reading medicines as
+-- before and shows the aggregate.
+--
+-- Stock leaves earliest-expiry-first (FEFO) through
+-- consume_medicine_stock(). When a batch expires it is
+-- split off into a quarantined medicines row of its own,
+-- so the rest of the product stays on sale and the
+-- expired batch goes through the normal disposal flow.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS medicine_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    medicine_id UUID NOT NULL REFERENCES medicines(id) ON DELETE CASCADE,
+    batch_number VARCHAR(100),
+    expiry_date DATE,
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    purchase_price DECIMAL(10, 2) CHECK (purchase_price >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- FEFO order within a product
+CREATE INDEX IF NOT EXISTS idx_medicine_batches_medicine_expiry
+    ON medicine_batches(medicine_id, expiry_date);
+
+DROP TRIGGER IF EXISTS update_medicine_batches_updated_at ON medicine_batches;
+CREATE TRIGGER update_medicine_batches_updated_at
+    BEFORE UPDATE ON medicine_batches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+ALTER TABLE medicine_batches ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for medicine_batches: only the store owner
+-- sees or changes batches (customers see the totals)
+
+CREATE POLICY "Store owners can view batches"
+ON medicine_batches
+FOR SELECT
+USING (EXISTS (
+    SELECT 1 FROM medicines m
+    JOIN stores s ON s.id = m.store_id
+    WHERE m.id = medicine_id AND s.owner_id = auth.uid()
+));
+
+CREATE POLICY "Store owners can add batches"
+ON medicine_batches
+FOR INSERT
+WITH CHECK (EXISTS (
+    SELECT 1 FROM medicines m
+    JOIN stores s ON s.id = m.store_id
+    WHERE m.id = medicine_id AND s.owner_id = auth.uid()
+));
+
+CREATE POLICY "Store owners can update batches"
+ON medicine_batches
+FOR UPDATE
+USING (EXISTS (
+    SELECT 1 FROM medicines m
+    JOIN stores s ON s.id = m.store_id
+    WHERE m.id = medicine_id AND s.owner_id = auth.uid()
+));
+
+CREATE POLICY "Store owners can delete batches"
+ON medicine_batches
+FOR DELETE
+USING (EXISTS (
+    SELECT 1 FROM medicines m
+    JOIN stores s ON s.id = m.store_id
+    WHERE m.id = medicine_id AND s.owner_id = auth.uid()
+));
+
+-- Same rule as the other stock tables (add_admin_console.sql)
+CREATE POLICY "Suspended users cannot add batches"
+ON medicine_batches
+AS RESTRICTIVE
+FOR INSERT
+WITH CHECK (NOT is_suspended());
+
+CREATE POLICY "Suspended users cannot update batches"
+ON medicine_batches
+AS RESTRICTIVE
+FOR UPDATE
+USING (NOT is_suspended());
+
+CREATE POLICY "Suspended users cannot delete batches"
+ON medicine_batches
+AS RESTRICTIVE
+FOR DELETE
+USING (NOT is_suspended());
+
+-- =====================================================
+-- Keep product totals in step with the batches
+-- =====================================================
+
+-- Any update of an active product that has batches
+-- recomputes quantity / expiry_date / batch_number from
+-- them, so these can't be edited directly. Expired
+-- batches don't count. Named to run before
+-- track_medicine_expiry, which then sees the earliest
+-- unexpired date and never quarantines the whole product.
+CREATE OR REPLACE FUNCTION apply_batch_totals()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.stock_status <> 'active' OR NEW.stock_status <> 'active'
+        OR NOT EXISTS (SELECT 1 FROM medicine_batches WHERE medicine_id = NEW.id) THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT
+        COALESCE(SUM(b.quantity), 0),
+        (ARRAY_AGG(b.expiry_date ORDER BY b.expiry_date NULLS LAST, b.created_at)
+            FILTER (WHERE b.quantity > 0))[1],
+        (ARRAY_AGG(b.batch_number ORDER BY b.expiry_date NULLS LAST, b.created_at)
+            FILTER (WHERE b.quantity > 0))[1]
+    INTO NEW.quantity, NEW.expiry_date, NEW.batch_number
+    FROM medicine_batches b
+    WHERE b.medicine_id = NEW.id
+      AND (b.expiry_date IS NULL OR b.expiry_date >= CURRENT_DATE);
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS apply_batch_totals ON medicines;
+CREATE TRIGGER apply_batch_totals
+    BEFORE UPDATE ON medicines
+    FOR EACH ROW EXECUTE FUNCTION apply_batch_totals();
+
+-- Touch the product whenever one of its batches changes,
+-- which recomputes its totals through apply_batch_totals.
+-- Batches of disposed stock can't change either, since
+-- track_medicine_expiry refuses the touch.
+CREATE OR REPLACE FUNCTION touch_batch_medicine()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        UPDATE medicines SET updated_at = NOW() WHERE id = OLD.medicine_id;
+    END IF;
+
+    IF TG_OP = 'INSERT' OR (TG_OP = 'UPDATE' AND NEW.medicine_id <> OLD.medicine_id) THEN
+        UPDATE medicines SET updated_at = NOW() WHERE id = NEW.medicine_id;
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS touch_batch_medicine ON medicine_batches;
+CREATE TRIGGER touch_batch_medicine
+    AFTER INSERT OR UPDATE OR DELETE ON medicine_batches
+    FOR EACH ROW EXECUTE FUNCTION touch_batch_medicine();
+
+-- A product added with stock (from the inventory form or
+-- an import) starts with one batch holding that stock
+CREATE OR REPLACE FUNCTION create_first_batch()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.stock_status = 'active'
+        AND (NEW.quantity > 0 OR NEW.batch_number IS NOT NULL OR NEW.expiry_date IS NOT NULL) THEN
+        INSERT INTO medicine_batches (medicine_id, batch_number, expiry_date, quantity)
+        VALUES (NEW.id, NEW.batch_number, NEW.expiry_date, NEW.quantity);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS create_first_batch ON medicines;
+CREATE TRIGGER create_first_batch
+    AFTER INSERT ON medicines
+    FOR EACH ROW EXECUTE FUNCTION create_first_batch();
+
+-- =====================================================
+-- FEFO stock removal
+-- =====================================================
+
+-- Take units out of a product (a sale or a stock
+-- adjustment), earliest-expiring unexpired batch first.
+-- Fails without changing anything when there isn't
+-- enough stock. Returns what came out of each batch:
+-- [{ batch_number, expiry_date, quantity }]
+CREATE OR REPLACE FUNCTION consume_medicine_stock(
+    target_medicine UUID,
+    units INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+    batch RECORD;
+    remaining INTEGER := units;
+    taken INTEGER;
+    in_stock INTEGER;
+    used JSONB := '[]'::JSONB;
+BEGIN
+    IF units IS NULL OR units <= 0 THEN
+        RAISE EXCEPTION 'Units to remove must be a positive number';
+    END IF;
+
+    SELECT COALESCE(SUM(quantity), 0) INTO in_stock
+    FROM medicine_batches
+    WHERE medicine_id = target_medicine
+      AND (expiry_date IS NULL OR expiry_date >= CURRENT_DATE);
+
+    IF in_stock < units THEN
+        RAISE EXCEPTION 'Only % unit(s) in stock', in_stock;
+    END IF;
+
+    FOR batch IN
+        SELECT id, batch_number, expiry_date, quantity
+        FROM medicine_batches
+        WHERE medicine_id = target_medicine
+          AND quantity > 0
+          AND (expiry_date IS NULL OR expiry_date >= CURRENT_DATE)
+        ORDER BY expiry_date NULLS LAST, created_at
+        FOR UPDATE
+    LOOP
+        EXIT WHEN remaining = 0;
+        taken := LEAST(batch.quantity, remaining);
+
+        UPDATE medicine_batches SET quantity = quantity - taken WHERE id = batch.id;
+        remaining := remaining - taken;
+        used := used || jsonb_build_object(
+            'batch_number', batch.batch_number,
+            'expiry_date', batch.expiry_date,
+            'quantity', taken
+        );
+    END LOOP;
+
+    RETURN used;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- Quarantine expired batches
+-- =====================================================
+-- Replaces the versions in add_expired_stock.sql.
+
+-- Move each expired batch that still holds stock into a
+-- quarantined copy of its product (NULL = every store).
+-- The batch row moves with it, so the record is kept.
+CREATE OR REPLACE FUNCTION quarantine_expired_batches(target_store UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    batch RECORD;
+    quarantined_id UUID;
+    moved_count INTEGER := 0;
+BEGIN
+    FOR batch IN
+        SELECT b.id, b.medicine_id, b.batch_number, b.expiry_date, b.quantity
+        FROM medicine_batches b
+        JOIN medicines m ON m.id = b.medicine_id
+        WHERE m.stock_status = 'active'
+          AND b.quantity > 0
+          AND b.expiry_date < CURRENT_DATE
+          AND (target_store IS NULL OR m.store_id = target_store)
+    LOOP
+        INSERT INTO medicines (
+            store_id, category_id, name, generic_name, manufacturer, description,
+            dosage, price, quantity, unit, expiry_date, batch_number,
+            requires_prescription, image_url, is_available, min_stock_alert, stock_status
+        )
+        SELECT
+            store_id, category_id, name, generic_name, manufacturer, description,
+            dosage, price, batch.quantity, unit, batch.expiry_date, batch.batch_number,
+            requires_prescription, image_url, FALSE, min_stock_alert, 'expired'
+        FROM medicines
+        WHERE id = batch.medicine_id
+        RETURNING id INTO quarantined_id;
+
+        UPDATE medicine_batches SET medicine_id = quarantined_id WHERE id = batch.id;
+        moved_count := moved_count + 1;
+    END LOOP;
+
+    RETURN moved_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Products without batches are still quarantined whole
+CREATE OR REPLACE FUNCTION quarantine_expired_medicines(target_store UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    batch_count INTEGER;
+    moved_count INTEGER;
+BEGIN
+    batch_count := quarantine_expired_batches(target_store);
+
+    UPDATE medicines m
+    SET stock_status = 'expired'
+    WHERE m.store_id = target_store
+      AND m.stock_status = 'active'
+      AND m.expiry_date < CURRENT_DATE
+      AND NOT EXISTS (SELECT 1 FROM medicine_batches b WHERE b.medicine_id = m.id);
+
+    GET DIAGNOSTICS moved_count = ROW_COUNT;
+    RETURN batch_count + moved_count;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION cleanup_expired_medicines()
+RETURNS INTEGER AS $$
+DECLARE
+    batch_count INTEGER;
+    moved_count INTEGER;
+BEGIN
+    batch_count := quarantine_expired_batches(NULL);
+
+    UPDATE medicines m
+    SET stock_status = 'expired'
+    WHERE m.stock_status = 'active'
+      AND m.expiry_date < CURRENT_DATE
+      AND NOT EXISTS (SELECT 1 FROM medicine_batches b WHERE b.medicine_id = m.id);
+
+    GET DIAGNOSTICS moved_count = ROW_COUNT;
+    RETURN batch_count + moved_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- Near-expiry discount tag
+-- =====================================================
+
+-- Whether all of a product's sellable stock expires by
+-- cutoff, judged per batch: one short-dated batch doesn't
+-- make the rest of the product "Discounted". Products
+-- without batches go by their own expiry date. SECURITY
+-- DEFINER because search runs as the customer, who can't
+-- read batches.
+CREATE OR REPLACE FUNCTION stock_expires_by(target_medicine UUID, cutoff DATE)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(
+        (SELECT BOOL_AND(COALESCE(b.expiry_date <= cutoff, FALSE))
+         FROM medicine_batches b
+         WHERE b.medicine_id = target_medicine
+           AND b.quantity > 0
+           AND (b.expiry_date IS NULL OR b.expiry_date >= CURRENT_DATE)),
+        (SELECT m.expiry_date <= cutoff FROM medicines m WHERE m.id = target_medicine),
+        FALSE
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- =====================================================
+-- Existing stock becomes each product's first batch
+-- =====================================================
+INSERT INTO medicine_batches (medicine_id, batch_number, expiry_date, quantity)
+SELECT m.id, m.batch_number, m.expiry_date, m.quantity
+FROM medicines m
+WHERE m.stock_status = 'active'
+  AND (m.quantity > 0 OR m.batch_number IS NOT NULL OR m.expiry_date IS NOT NULL)
+  AND NOT EXISTS (SELECT 1 FROM medicine_batches b WHERE b.medicine_id = m.id);
+
+-- Split off anything that has already expired
+SELECT cleanup_expired_medicines();
+
+-- =====================================================
+-- Grant permissions to authenticated users
+-- =====================================================
+GRANT SELECT, INSERT, UPDATE, DELETE ON medicine_batches TO authenticated;
+GRANT EXECUTE ON FUNCTION consume_medicine_stock(UUID, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION stock_expires_by(UUID, DATE) TO anon, authenticated;
+
+-- =====================================================
+-- VERIFICATION: Check if batches were created
+-- =====================================================
+-- Run this to verify:
+-- SELECT m.name, m.quantity, SUM(b.quantity) AS batch_total, COUNT(b.id) AS batches
+-- FROM medicines m JOIN medicine_batches b ON b.medicine_id = m.id
+-- WHERE m.stock_status = 'active'
+-- GROUP BY m.id LIMIT 10;
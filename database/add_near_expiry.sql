@@ -0,0 +1,42 @@
+-- =====================================================
+-- NEAR-EXPIRY WARNINGS & DISCOUNTS
+-- =====================================================
+-- Run this script in Supabase SQL Editor after
+-- add_expired_stock.sql, then re-run
+-- search_nearby_medicines.sql so search results carry
+-- the is_discounted flag.
+--
+-- expiry_warning_days is how far ahead a store wants to
+-- see stock that is about to expire (30, 60 or 90 days),
+-- on the retailer dashboard and in the inventory filter.
+--
+-- With discount_near_expiry on, medicines expiring within
+-- discount_within_days are tagged "Discounted" in customer
+-- search. The tag is only a flag - the retailer still sets
+-- the reduced price on the medicine.
+-- =====================================================
+
+ALTER TABLE stores
+    ADD COLUMN IF NOT EXISTS expiry_warning_days INTEGER NOT NULL DEFAULT 90,
+    ADD COLUMN IF NOT EXISTS discount_near_expiry BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS discount_within_days INTEGER NOT NULL DEFAULT 30;
+
+ALTER TABLE stores DROP CONSTRAINT IF EXISTS stores_expiry_warning_days_check;
+ALTER TABLE stores ADD CONSTRAINT stores_expiry_warning_days_check
+    CHECK (expiry_warning_days BETWEEN 1 AND 365);
+
+ALTER TABLE stores DROP CONSTRAINT IF EXISTS stores_discount_within_days_check;
+ALTER TABLE stores ADD CONSTRAINT stores_discount_within_days_check
+    CHECK (discount_within_days BETWEEN 1 AND 365);
+
+-- Active stock by expiry date, for the near-expiry views
+CREATE INDEX IF NOT EXISTS idx_medicines_store_expiry
+    ON medicines(store_id, expiry_date)
+    WHERE stock_status = 'active';
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+-- Run this to verify:
+-- SELECT store_name, expiry_warning_days, discount_near_expiry, discount_within_days
+-- FROM stores;
@@ -0,0 +1,97 @@
+-- =====================================================
+-- ADD SAVED PLACES TABLE
+-- =====================================================
+-- Run this script in Supabase SQL Editor to add
+-- saved places (Home, Work, Parents' house, ...) that
+-- users can search from and pin medicine alerts to
+-- =====================================================
+
+-- Create the saved_places table
+CREATE TABLE IF NOT EXISTS saved_places (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    label VARCHAR(50) NOT NULL, -- 'Home', 'Work', 'Parents'' house', ...
+    place_name TEXT, -- Locality / pincode it was picked from, for display
+    latitude DECIMAL(10, 8) NOT NULL,
+    longitude DECIMAL(11, 8) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, label)
+);
+
+-- Create index for faster lookups
+CREATE INDEX IF NOT EXISTS idx_saved_places_user ON saved_places(user_id);
+
+DROP TRIGGER IF EXISTS update_saved_places_updated_at ON saved_places;
+CREATE TRIGGER update_saved_places_updated_at
+    BEFORE UPDATE ON saved_places
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+ALTER TABLE saved_places ENABLE ROW LEVEL SECURITY;
+
+-- RLS Policies for saved_places
+
+-- Users can view their own saved places
+CREATE POLICY "Users can view own saved places"
+ON saved_places
+FOR SELECT
+USING (auth.uid() = user_id);
+
+-- Users can add their own saved places
+CREATE POLICY "Users can add own saved places"
+ON saved_places
+FOR INSERT
+WITH CHECK (auth.uid() = user_id);
+
+-- Users can update their own saved places
+CREATE POLICY "Users can update own saved places"
+ON saved_places
+FOR UPDATE
+USING (auth.uid() = user_id);
+
+-- Users can delete their own saved places
+CREATE POLICY "Users can delete own saved places"
+ON saved_places
+FOR DELETE
+USING (auth.uid() = user_id);
+
+-- =====================================================
+-- Pin medicine alerts to a saved place
+-- =====================================================
+-- An alert pinned to a place watches around that place
+-- instead of where the user was when creating it, and
+-- follows the place if it is moved later
+
+ALTER TABLE medicine_alerts
+    ADD COLUMN IF NOT EXISTS saved_place_id UUID REFERENCES saved_places(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_medicine_alerts_saved_place ON medicine_alerts(saved_place_id);
+
+CREATE OR REPLACE FUNCTION sync_alerts_to_saved_place()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE medicine_alerts
+    SET user_latitude = NEW.latitude,
+        user_longitude = NEW.longitude
+    WHERE saved_place_id = NEW.id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_alerts_on_saved_place_move ON saved_places;
+CREATE TRIGGER sync_alerts_on_saved_place_move
+    AFTER UPDATE OF latitude, longitude ON saved_places
+    FOR EACH ROW EXECUTE FUNCTION sync_alerts_to_saved_place();
+
+-- =====================================================
+-- Grant permissions to authenticated users
+-- =====================================================
+GRANT SELECT, INSERT, UPDATE, DELETE ON saved_places TO authenticated;
+
+-- =====================================================
+-- VERIFICATION: Check if table was created
+-- =====================================================
+-- Run this to verify:
+-- SELECT * FROM saved_places LIMIT 5;
+-- SELECT id, medicine_name, saved_place_id FROM medicine_alerts LIMIT 5;
@@ -0,0 +1,34 @@
+-- =====================================================
+-- OPEN / CLOSED FROM STORE HOURS
+-- =====================================================
+-- Run this script in Supabase SQL Editor, then re-run
+-- search_nearby_medicines.sql so is_store_open_now()
+-- picks up the new columns.
+--
+-- Whether a store is open is now worked out from its
+-- opening_time / closing_time in its own timezone. The
+-- owner's open / close button sets a temporary override
+-- that lapses at open_override_until, after which the
+-- schedule applies again. stores.is_open is no longer
+-- read and is kept only for older app versions.
+-- =====================================================
+
+ALTER TABLE stores
+    ADD COLUMN IF NOT EXISTS timezone TEXT DEFAULT 'Asia/Kolkata',
+    ADD COLUMN IF NOT EXISTS open_override BOOLEAN, -- NULL: follow the schedule
+    ADD COLUMN IF NOT EXISTS open_override_until TIMESTAMP WITH TIME ZONE;
+
+UPDATE stores SET timezone = 'Asia/Kolkata' WHERE timezone IS NULL;
+
+-- An override always needs an expiry
+ALTER TABLE stores DROP CONSTRAINT IF EXISTS stores_open_override_expiry;
+ALTER TABLE stores ADD CONSTRAINT stores_open_override_expiry
+    CHECK (open_override IS NULL OR open_override_until IS NOT NULL);
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+-- Run this to verify:
+-- SELECT store_name, opening_time, closing_time, timezone,
+--        open_override, open_override_until, is_store_open_now(s)
+-- FROM stores s LIMIT 5;
@@ -0,0 +1,42 @@
+-- =====================================================
+-- WEEKLY SCHEDULES AND CLOSURE DAYS FOR STORES
+-- =====================================================
+-- Run this script in Supabase SQL Editor after
+-- add_store_open_override.sql, then re-run
+-- search_nearby_medicines.sql so is_store_open_now()
+-- picks up the new columns.
+--
+-- weekly_hours: opening intervals per weekday, e.g.
+--   {"mon": [{"open": "09:00", "close": "13:00"},
+--            {"open": "14:00", "close": "21:00"}],
+--    "sun": [], ...}
+-- A missing or empty day is closed. An interval whose
+-- close is not after its open runs past midnight. NULL
+-- keeps the old opening_time - closing_time every day.
+--
+-- closures: days the store is shut (festivals, leave),
+--   [{"from": "2026-11-01", "to": "2026-11-02", "reason": "Diwali"}]
+-- with dates in the store's timezone; "to" is optional
+-- for a single day.
+-- =====================================================
+
+ALTER TABLE stores
+    ADD COLUMN IF NOT EXISTS weekly_hours JSONB,
+    ADD COLUMN IF NOT EXISTS closures JSONB DEFAULT '[]'::JSONB;
+
+UPDATE stores SET closures = '[]'::JSONB WHERE closures IS NULL;
+
+ALTER TABLE stores DROP CONSTRAINT IF EXISTS stores_weekly_hours_object;
+ALTER TABLE stores ADD CONSTRAINT stores_weekly_hours_object
+    CHECK (weekly_hours IS NULL OR jsonb_typeof(weekly_hours) = 'object');
+
+ALTER TABLE stores DROP CONSTRAINT IF EXISTS stores_closures_array;
+ALTER TABLE stores ADD CONSTRAINT stores_closures_array
+    CHECK (jsonb_typeof(closures) = 'array');
+
+-- =====================================================
+-- VERIFICATION
+-- =====================================================
+-- Run this to verify:
+-- SELECT store_name, weekly_hours, closures, is_store_open_now(s)
+-- FROM stores s LIMIT 5;
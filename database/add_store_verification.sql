@@ -0,0 +1,251 @@
+-- =====================================================
+-- PHARMACY VERIFICATION
+-- =====================================================
+-- Run this script in Supabase SQL Editor, then re-run
+-- search_nearby_medicines.sql so search results carry
+-- stores.is_verified.
+--
+-- Retailers upload their drug license document and a
+-- verification request is queued. An admin approves it
+-- (stores.is_verified becomes TRUE) or rejects it with
+-- a reason; the store owner is notified either way.
+--
+-- Reviewers are profiles with role 'admin'. Admins are
+-- never created from the app: promote an existing user
+-- here with
+--   UPDATE profiles SET role = 'admin' WHERE email = '...';
+-- =====================================================
+
+-- =====================================================
+-- Admin role
+-- =====================================================
+
+ALTER TABLE profiles DROP CONSTRAINT IF EXISTS profiles_role_check;
+ALTER TABLE profiles ADD CONSTRAINT profiles_role_check
+    CHECK (role IN ('customer', 'retailer', 'admin'));
+
+-- Whether the signed-in user is an admin
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM profiles WHERE id = auth.uid() AND role = 'admin'
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Sign-ups can only pick customer or retailer
+CREATE OR REPLACE FUNCTION handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.profiles (id, email, full_name, role)
+    VALUES (
+        NEW.id,
+        NEW.email,
+        COALESCE(NEW.raw_user_meta_data->>'full_name', split_part(NEW.email, '@', 1)),
+        CASE
+            WHEN NEW.raw_user_meta_data->>'role' = 'retailer' THEN 'retailer'
+            ELSE 'customer'
+        END
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ...and nobody can make themselves an admin by creating or
+-- editing their profile
+CREATE OR REPLACE FUNCTION protect_profile_role()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NULL OR is_admin() THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        IF NEW.role = 'admin' THEN
+            NEW.role := 'customer';
+        END IF;
+    ELSIF NEW.role IS DISTINCT FROM OLD.role
+        AND (NEW.role = 'admin' OR OLD.role = 'admin') THEN
+        NEW.role := OLD.role;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_profile_role ON profiles;
+CREATE TRIGGER protect_profile_role
+    BEFORE INSERT OR UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_role();
+
+-- =====================================================
+-- Verification requests
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS store_verification_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    submitted_by UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    license_number VARCHAR(100) NOT NULL,
+    document_path TEXT NOT NULL, -- Object in the private 'store-licenses' bucket
+    document_name TEXT, -- Original file name, for display
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected')),
+    rejection_reason TEXT,
+    reviewed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT store_verification_rejection_reason
+        CHECK (status <> 'rejected' OR rejection_reason IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_verification_store
+    ON store_verification_requests(store_id, created_at DESC);
+
+-- At most one request per store waits for review
+CREATE UNIQUE INDEX IF NOT EXISTS idx_store_verification_one_pending
+    ON store_verification_requests(store_id)
+    WHERE status = 'pending';
+
+ALTER TABLE store_verification_requests ENABLE ROW LEVEL SECURITY;
+
+-- Store owners see the requests for their stores, admins see all
+CREATE POLICY "Owners and admins can view verification requests"
+ON store_verification_requests
+FOR SELECT
+USING (
+    is_admin()
+    OR EXISTS (SELECT 1 FROM stores WHERE stores.id = store_id AND stores.owner_id = auth.uid())
+);
+
+-- Store owners can submit a request for their own store
+CREATE POLICY "Owners can submit verification requests"
+ON store_verification_requests
+FOR INSERT
+WITH CHECK (
+    auth.uid() = submitted_by
+    AND status = 'pending'
+    AND EXISTS (SELECT 1 FROM stores WHERE stores.id = store_id AND stores.owner_id = auth.uid())
+);
+
+-- Reviews go through review_store_verification() below
+
+-- =====================================================
+-- Only reviews change stores.is_verified
+-- =====================================================
+-- Owners cannot mark their own store verified, and
+-- changing the license number on a verified store
+-- sends it back for review.
+
+CREATE OR REPLACE FUNCTION protect_store_verification()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF is_admin() OR auth.uid() IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        NEW.is_verified := FALSE;
+    ELSIF NEW.license_number IS DISTINCT FROM OLD.license_number THEN
+        NEW.is_verified := FALSE;
+    ELSE
+        NEW.is_verified := OLD.is_verified;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_store_verification ON stores;
+CREATE TRIGGER protect_store_verification
+    BEFORE INSERT OR UPDATE ON stores
+    FOR EACH ROW EXECUTE FUNCTION protect_store_verification();
+
+-- Approve or reject a pending request. A rejection needs a reason.
+CREATE OR REPLACE FUNCTION review_store_verification(
+    request_id UUID,
+    approve BOOLEAN,
+    reason TEXT DEFAULT NULL
+)
+RETURNS store_verification_requests AS $$
+DECLARE
+    request store_verification_requests;
+    store_owner UUID;
+    name_of_store TEXT;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can review verification requests';
+    END IF;
+    IF NOT approve AND COALESCE(TRIM(reason), '') = '' THEN
+        RAISE EXCEPTION 'A rejection needs a reason';
+    END IF;
+
+    UPDATE store_verification_requests
+    SET status = CASE WHEN approve THEN 'approved' ELSE 'rejected' END,
+        rejection_reason = CASE WHEN approve THEN NULL ELSE TRIM(reason) END,
+        reviewed_by = auth.uid(),
+        reviewed_at = NOW()
+    WHERE id = request_id AND status = 'pending'
+    RETURNING * INTO request;
+
+    IF request.id IS NULL THEN
+        RAISE EXCEPTION 'Verification request % is not pending', request_id;
+    END IF;
+
+    UPDATE stores
+    SET is_verified = approve,
+        license_number = request.license_number
+    WHERE id = request.store_id
+    RETURNING owner_id, store_name INTO store_owner, name_of_store;
+
+    INSERT INTO notifications (user_id, title, message, type, link)
+    VALUES (
+        store_owner,
+        CASE WHEN approve THEN 'Store verified' ELSE 'Verification rejected' END,
+        CASE
+            WHEN approve THEN name_of_store || ' is now shown as a verified pharmacy.'
+            ELSE name_of_store || ' was not verified: ' || request.rejection_reason
+        END,
+        CASE WHEN approve THEN 'success' ELSE 'warning' END,
+        '/retailer/stores'
+    );
+
+    RETURN request;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- =====================================================
+-- License documents
+-- =====================================================
+-- Private bucket: only the uploader and admins can read
+-- a document, through short-lived signed URLs. Store
+-- owners upload into a folder named after their user id.
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('store-licenses', 'store-licenses', false)
+ON CONFLICT DO NOTHING;
+
+CREATE POLICY "Retailers can upload license documents"
+ON storage.objects
+FOR INSERT
+WITH CHECK (
+    bucket_id = 'store-licenses'
+    AND (storage.foldername(name))[1] = auth.uid()::text
+    AND EXISTS (SELECT 1 FROM stores WHERE stores.owner_id = auth.uid())
+);
+
+CREATE POLICY "Uploaders and admins can read license documents"
+ON storage.objects
+FOR SELECT
+USING (bucket_id = 'store-licenses' AND (owner = auth.uid() OR is_admin()));
+
+-- =====================================================
+-- Grant permissions to authenticated users
+-- =====================================================
+GRANT SELECT, INSERT ON store_verification_requests TO authenticated;
+GRANT EXECUTE ON FUNCTION is_admin() TO authenticated;
+GRANT EXECUTE ON FUNCTION review_store_verification(UUID, BOOLEAN, TEXT) TO authenticated;
+
+-- =====================================================
+-- VERIFICATION: Check if table was created
+-- =====================================================
+-- Run this to verify:
+-- SELECT * FROM store_verification_requests ORDER BY created_at DESC LIMIT 5;
+-- SELECT store_name, license_number, is_verified FROM stores LIMIT 5;
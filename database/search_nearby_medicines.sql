@@ -0,0 +1,578 @@
+-- =====================================================
+-- NEARBY MEDICINE SEARCH (SERVER-SIDE RADIUS QUERY)
+-- =====================================================
+-- Run this script in Supabase SQL Editor to add the
+-- search_nearby_medicines(), suggest_medicine_names(),
+-- autocomplete_medicine_names() and search_nearby_substitutes()
+-- functions used by the search page through supabase.rpc(),
+-- plus is_store_open_now()
+--
+-- Needs the columns from add_store_open_override.sql,
+-- add_store_schedules.sql, add_emergency_stores.sql,
+-- add_admin_console.sql, add_expired_stock.sql,
+-- add_near_expiry.sql and add_medicine_batches.sql. A
+-- medicine's quantity is the total of its unexpired batches
+-- and expiry_date is the earliest of them
+-- =====================================================
+
+-- Trigram similarity and phonetic codes for typo-tolerant matching
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS fuzzystrmatch;
+
+CREATE INDEX IF NOT EXISTS idx_medicines_name_trgm
+    ON medicines USING gin (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_medicines_generic_name_trgm
+    ON medicines USING gin (generic_name gin_trgm_ops);
+
+-- Sound-alike first words, for suggest_medicine_names()
+CREATE INDEX IF NOT EXISTS idx_medicines_name_dmetaphone
+    ON medicines (dmetaphone(split_part(name, ' ', 1)));
+CREATE INDEX IF NOT EXISTS idx_medicines_generic_name_dmetaphone
+    ON medicines (dmetaphone(split_part(generic_name, ' ', 1)));
+
+-- Partial index so only sellable stock is scanned per store
+CREATE INDEX IF NOT EXISTS idx_medicines_store_in_stock
+    ON medicines(store_id)
+    WHERE is_available = TRUE AND quantity > 0;
+
+-- Drop any previous version (the signature may have changed)
+DROP FUNCTION IF EXISTS search_nearby_medicines;
+
+-- Whether a store is open right now, in the store's timezone:
+--   1. an unexpired owner override (open_override until
+--      open_override_until) wins
+--   2. a 24x7 / emergency store (is_24x7) is always open
+--   3. a date listed in closures is closed all day
+--   4. otherwise one of the day's weekly_hours intervals must
+--      cover the current time; stores without weekly_hours use
+--      opening_time - closing_time every day, and are always
+--      open with no hours at all
+-- Intervals whose close is not after their open run past
+-- midnight (20:00 - 02:00), so yesterday's late hours count too.
+-- Mirrored client-side by frontend/src/lib/storeHours.js.
+CREATE OR REPLACE FUNCTION is_store_open_now(store stores)
+RETURNS BOOLEAN AS $$
+    WITH local_now AS (
+        SELECT NOW() AT TIME ZONE COALESCE(store.timezone, 'Asia/Kolkata') AS ts
+    ),
+    days AS (
+        -- Today and yesterday with their opening intervals as (open, close) pairs
+        SELECT
+            d.day_offset,
+            (l.ts - d.day_offset * INTERVAL '1 day')::DATE AS local_date,
+            CASE
+                WHEN store.weekly_hours IS NOT NULL THEN
+                    COALESCE(store.weekly_hours -> LOWER(TO_CHAR(l.ts - d.day_offset * INTERVAL '1 day', 'Dy')), '[]'::JSONB)
+                WHEN store.opening_time IS NULL OR store.closing_time IS NULL THEN
+                    '[{"open": "00:00", "close": "00:00"}]'::JSONB
+                ELSE
+                    jsonb_build_array(jsonb_build_object(
+                        'open', store.opening_time::TEXT,
+                        'close', store.closing_time::TEXT
+                    ))
+            END AS intervals
+        FROM local_now l, (VALUES (0), (1)) AS d(day_offset)
+    ),
+    open_days AS (
+        -- Drop closure dates
+        SELECT d.*
+        FROM days d
+        WHERE NOT EXISTS (
+            SELECT 1
+            FROM jsonb_array_elements(COALESCE(store.closures, '[]'::JSONB)) c
+            WHERE d.local_date BETWEEN (c ->> 'from')::DATE
+                AND COALESCE(c ->> 'to', c ->> 'from')::DATE
+        )
+    )
+    SELECT CASE
+        WHEN store.open_override IS NOT NULL AND store.open_override_until > NOW() THEN
+            store.open_override
+        WHEN store.is_24x7 THEN
+            TRUE
+        ELSE
+            -- Today must not be a closure day for either case
+            EXISTS (SELECT 1 FROM open_days WHERE day_offset = 0)
+            AND EXISTS (
+                SELECT 1
+                FROM open_days d, local_now l, jsonb_array_elements(d.intervals) i
+                WHERE CASE
+                    WHEN d.day_offset = 0 THEN
+                        l.ts::TIME >= (i ->> 'open')::TIME
+                        AND ((i ->> 'close')::TIME <= (i ->> 'open')::TIME
+                            OR l.ts::TIME < (i ->> 'close')::TIME)
+                    ELSE
+                        (i ->> 'close')::TIME <= (i ->> 'open')::TIME
+                        AND l.ts::TIME < (i ->> 'close')::TIME
+                END
+            )
+    END;
+$$ LANGUAGE sql STABLE;
+
+-- Returns in-stock medicines within radius_km of the user.
+-- A bounding box on stores(latitude, longitude) narrows the
+-- candidates before the exact haversine distance is computed,
+-- so only nearby rows ever leave the database.
+--
+-- Names are matched in three tiers, reported as match_score:
+--   1.0      substring match on name / generic_name / manufacturer
+--   0.4-1.0  trigram word similarity ("paracetmol" -> Paracetamol)
+--   0.4      same double-metaphone code ("azithromicin")
+--
+-- Optional filters: max_price, otc_only (no prescription needed),
+-- open_now (see is_store_open_now), min_quantity in stock and
+-- verified_only (stores whose drug license has been reviewed).
+--
+-- sort_by picks the ranking:
+--   'nearest'   match_score, then distance (default)
+--   'cheapest'  lowest price first
+--   'rating'    store rating, shrunk towards 3.5 for stores with
+--               few reviews so one 5-star review does not win
+--   'value'     0.6 * relative price + 0.4 * relative distance,
+--               each relative to the largest among the matches
+-- For every mode except 'nearest', exact matches (match_score 1)
+-- still come before fuzzy ones.
+--
+-- Results are paged with a keyset cursor: every row carries a
+-- page_cursor, and passing the last row's page_cursor back as
+-- page_after returns the rows that follow it in the same order.
+--
+-- When all four view_* bounds are given (the visible map area),
+-- stores inside that box are searched instead of radius_km around
+-- the user; distances are still measured from the user.
+--
+-- is_discounted is set when the store discounts near-expiry
+-- stock (discount_near_expiry) and every batch of the medicine
+-- still in stock expires within the store's discount_within_days.
+CREATE OR REPLACE FUNCTION search_nearby_medicines(
+    search_term TEXT,
+    user_lat DOUBLE PRECISION,
+    user_lng DOUBLE PRECISION,
+    radius_km DOUBLE PRECISION DEFAULT 10,
+    max_results INTEGER DEFAULT 50,
+    max_price DECIMAL DEFAULT NULL,
+    otc_only BOOLEAN DEFAULT FALSE,
+    open_now BOOLEAN DEFAULT FALSE,
+    min_quantity INTEGER DEFAULT 1,
+    sort_by TEXT DEFAULT 'nearest',
+    page_after JSONB DEFAULT NULL,
+    view_south DOUBLE PRECISION DEFAULT NULL,
+    view_west DOUBLE PRECISION DEFAULT NULL,
+    view_north DOUBLE PRECISION DEFAULT NULL,
+    view_east DOUBLE PRECISION DEFAULT NULL,
+    verified_only BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+    id UUID,
+    name VARCHAR,
+    generic_name VARCHAR,
+    manufacturer VARCHAR,
+    description TEXT,
+    dosage VARCHAR,
+    price DECIMAL,
+    quantity INTEGER,
+    unit VARCHAR,
+    expiry_date DATE,
+    requires_prescription BOOLEAN,
+    image_url TEXT,
+    is_available BOOLEAN,
+    is_discounted BOOLEAN,
+    stores JSONB,
+    distance_km DOUBLE PRECISION,
+    match_score REAL,
+    page_cursor JSONB
+) AS $$
+    WITH params AS (
+        -- like_pattern escapes % and _ so user input only matches literally
+        SELECT
+            NULLIF(TRIM(search_term), '') AS term,
+            '%' || regexp_replace(TRIM(search_term), '([\\%_])', '\\\1', 'g') || '%' AS like_pattern,
+            (view_south IS NOT NULL AND view_west IS NOT NULL
+                AND view_north IS NOT NULL AND view_east IS NOT NULL) AS in_view
+    ),
+    bounds AS (
+        -- 1 degree of latitude is ~111.045 km; longitude shrinks with cos(lat)
+        SELECT
+            (CASE WHEN p.in_view THEN view_south ELSE user_lat - radius_km / 111.045 END)::DECIMAL AS min_lat,
+            (CASE WHEN p.in_view THEN view_north ELSE user_lat + radius_km / 111.045 END)::DECIMAL AS max_lat,
+            (CASE WHEN p.in_view THEN view_west
+                ELSE user_lng - radius_km / (111.045 * GREATEST(COS(RADIANS(user_lat)), 0.00001)) END)::DECIMAL AS min_lng,
+            (CASE WHEN p.in_view THEN view_east
+                ELSE user_lng + radius_km / (111.045 * GREATEST(COS(RADIANS(user_lat)), 0.00001)) END)::DECIMAL AS max_lng
+        FROM params p
+    ),
+    nearby_stores AS (
+        SELECT
+            s.*,
+            6371 * 2 * ASIN(SQRT(
+                POWER(SIN(RADIANS(s.latitude - user_lat) / 2), 2) +
+                COS(RADIANS(user_lat)) * COS(RADIANS(s.latitude)) *
+                POWER(SIN(RADIANS(s.longitude - user_lng) / 2), 2)
+            )) AS distance,
+            is_store_open_now(s) AS open_now
+        FROM stores s, bounds b
+        WHERE s.latitude BETWEEN b.min_lat AND b.max_lat
+          AND s.longitude BETWEEN b.min_lng AND b.max_lng
+          -- Stores of suspended retailers are hidden from search
+          AND NOT EXISTS (
+              SELECT 1 FROM profiles o WHERE o.id = s.owner_id AND o.is_suspended
+          )
+    ),
+    scored AS (
+        SELECT
+            m.*,
+            CASE
+                WHEN p.term IS NULL THEN 1
+                WHEN m.name ILIKE p.like_pattern
+                  OR m.generic_name ILIKE p.like_pattern
+                  OR m.manufacturer ILIKE p.like_pattern THEN 1
+                ELSE GREATEST(
+                    word_similarity(p.term, m.name),
+                    word_similarity(p.term, COALESCE(m.generic_name, '')),
+                    CASE
+                        WHEN LENGTH(p.term) >= 4 AND (
+                            dmetaphone(p.term) = dmetaphone(split_part(m.name, ' ', 1))
+                            OR dmetaphone(p.term) = dmetaphone(split_part(COALESCE(m.generic_name, ''), ' ', 1))
+                        ) THEN 0.4
+                        ELSE 0
+                    END
+                )
+            END::REAL AS match_score
+        FROM medicines m, params p
+        WHERE m.is_available = TRUE
+          AND m.stock_status = 'active'
+          AND m.quantity > 0
+          AND m.quantity >= COALESCE(min_quantity, 1)
+          AND (max_price IS NULL OR m.price <= max_price)
+          AND (NOT COALESCE(otc_only, FALSE) OR m.requires_prescription IS NOT TRUE)
+          AND m.store_id IN (
+              SELECT ns.id FROM nearby_stores ns
+              WHERE (p.in_view OR ns.distance <= radius_km)
+                -- qualified: nearby_stores has an open_now column too
+                AND (NOT COALESCE(search_nearby_medicines.open_now, FALSE) OR ns.open_now)
+                AND (NOT COALESCE(verified_only, FALSE) OR ns.is_verified IS TRUE)
+          )
+    ),
+    ranked AS (
+        SELECT
+            sm.*,
+            ns.distance,
+            (COALESCE(ns.rating, 0) * COALESCE(ns.total_reviews, 0) + 3.5 * 5)
+                / (COALESCE(ns.total_reviews, 0) + 5) AS rating_score,
+            0.6 * sm.price / NULLIF(MAX(sm.price) OVER (), 0)
+                + 0.4 * ns.distance / NULLIF(MAX(ns.distance) OVER (), 0) AS value_score
+        FROM scored sm
+        JOIN nearby_stores ns ON ns.id = sm.store_id
+        WHERE sm.match_score >= 0.4
+    ),
+    keyed AS (
+        -- Sort key: rank_tier DESC, rank_key, distance, price, id
+        SELECT
+            r.*,
+            CASE
+                WHEN COALESCE(sort_by, 'nearest') = 'nearest' THEN r.match_score
+                ELSE (r.match_score >= 1)::INT::REAL
+            END AS rank_tier,
+            COALESCE(CASE sort_by
+                WHEN 'cheapest' THEN r.price::DOUBLE PRECISION
+                WHEN 'rating' THEN -r.rating_score::DOUBLE PRECISION
+                WHEN 'value' THEN r.value_score::DOUBLE PRECISION
+                ELSE r.distance
+            END, 0) AS rank_key
+        FROM ranked r
+    )
+    SELECT
+        sm.id,
+        sm.name,
+        sm.generic_name,
+        sm.manufacturer,
+        sm.description,
+        sm.dosage,
+        sm.price,
+        sm.quantity,
+        sm.unit,
+        sm.expiry_date,
+        sm.requires_prescription,
+        sm.image_url,
+        sm.is_available,
+        (ns.discount_near_expiry
+            AND stock_expires_by(sm.id, CURRENT_DATE + ns.discount_within_days)) AS is_discounted,
+        jsonb_build_object(
+            'id', ns.id,
+            'owner_id', ns.owner_id,
+            'store_name', ns.store_name,
+            'description', ns.description,
+            'address', ns.address,
+            'city', ns.city,
+            'state', ns.state,
+            'pincode', ns.pincode,
+            'latitude', ns.latitude,
+            'longitude', ns.longitude,
+            'phone', ns.phone,
+            'email', ns.email,
+            'is_open', ns.is_open,
+            'opening_time', ns.opening_time,
+            'closing_time', ns.closing_time,
+            'timezone', ns.timezone,
+            'open_override', ns.open_override,
+            'open_override_until', ns.open_override_until,
+            'weekly_hours', ns.weekly_hours,
+            'closures', ns.closures,
+            'is_24x7', ns.is_24x7,
+            'is_verified', ns.is_verified,
+            'rating', ns.rating,
+            'total_reviews', ns.total_reviews,
+            'store_image_url', ns.store_image_url,
+            'open_now', ns.open_now,
+            'distance', ns.distance
+        ) AS stores,
+        ns.distance AS distance_km,
+        sm.match_score,
+        jsonb_build_object(
+            't', sm.rank_tier,
+            'k', sm.rank_key,
+            'd', sm.distance,
+            'p', sm.price,
+            'id', sm.id
+        ) AS page_cursor
+    FROM keyed sm
+    JOIN nearby_stores ns ON ns.id = sm.store_id
+    WHERE page_after IS NULL
+       OR (-sm.rank_tier, sm.rank_key, sm.distance, sm.price, sm.id) > (
+            -(page_after->>'t')::REAL,
+            (page_after->>'k')::DOUBLE PRECISION,
+            (page_after->>'d')::DOUBLE PRECISION,
+            (page_after->>'p')::DECIMAL,
+            (page_after->>'id')::UUID
+          )
+    ORDER BY -sm.rank_tier, sm.rank_key, sm.distance, sm.price, sm.id
+    LIMIT GREATEST(max_results, 1);
+$$ LANGUAGE sql STABLE;
+
+DROP FUNCTION IF EXISTS suggest_medicine_names;
+
+-- "Did you mean ...?" candidates: distinct stocked names and
+-- generic names closest to the term, anywhere in the catalog.
+-- Only names the indexes can find are scored: a trigram word
+-- match (pg_trgm.word_similarity_threshold is set to 0.4 for
+-- the call) or the same double-metaphone first word
+CREATE OR REPLACE FUNCTION suggest_medicine_names(
+    search_term TEXT,
+    max_results INTEGER DEFAULT 3
+)
+RETURNS TABLE (
+    suggestion TEXT,
+    score REAL
+) AS $$
+    WITH params AS (
+        SELECT NULLIF(TRIM(search_term), '') AS term
+    ),
+    candidates AS (
+        SELECT m.name::TEXT AS candidate
+        FROM medicines m, params p
+        WHERE m.is_available = TRUE
+          AND m.stock_status = 'active'
+          AND m.quantity > 0
+          AND (p.term <% m.name
+               OR (LENGTH(p.term) >= 4
+                   AND dmetaphone(split_part(m.name, ' ', 1)) = dmetaphone(p.term)))
+        UNION
+        SELECT m.generic_name::TEXT
+        FROM medicines m, params p
+        WHERE m.is_available = TRUE
+          AND m.stock_status = 'active'
+          AND m.quantity > 0
+          AND (p.term <% m.generic_name
+               OR (LENGTH(p.term) >= 4
+                   AND dmetaphone(split_part(m.generic_name, ' ', 1)) = dmetaphone(p.term)))
+    ),
+    scored AS (
+        SELECT
+            c.candidate,
+            GREATEST(
+                word_similarity(p.term, c.candidate),
+                CASE
+                    WHEN LENGTH(p.term) >= 4
+                     AND dmetaphone(p.term) = dmetaphone(split_part(c.candidate, ' ', 1)) THEN 0.4
+                    ELSE 0
+                END
+            )::REAL AS score
+        FROM candidates c, params p
+        WHERE p.term IS NOT NULL
+          AND LOWER(c.candidate) <> LOWER(p.term)
+    )
+    SELECT candidate, score
+    FROM scored
+    WHERE score >= 0.4
+    ORDER BY score DESC, LENGTH(candidate) ASC
+    LIMIT GREATEST(max_results, 1);
+$$ LANGUAGE sql STABLE
+SET pg_trgm.word_similarity_threshold = 0.4;
+
+DROP FUNCTION IF EXISTS autocomplete_medicine_names;
+
+-- Search box autocomplete: distinct stocked names and generic
+-- names containing the typed prefix at the start of a word, with
+-- the number of stores within radius_km that have them in stock.
+-- Names starting with the prefix, then the most widely stocked
+-- nearby, come first. Without a location store_count is 0.
+CREATE OR REPLACE FUNCTION autocomplete_medicine_names(
+    prefix TEXT,
+    user_lat DOUBLE PRECISION DEFAULT NULL,
+    user_lng DOUBLE PRECISION DEFAULT NULL,
+    radius_km DOUBLE PRECISION DEFAULT 10,
+    max_results INTEGER DEFAULT 8
+)
+RETURNS TABLE (
+    suggestion TEXT,
+    kind TEXT,
+    store_count INTEGER
+) AS $$
+    WITH params AS (
+        SELECT regexp_replace(TRIM(prefix), '([\\%_])', '\\\1', 'g') AS escaped
+    ),
+    nearby_store_ids AS (
+        SELECT s.id
+        FROM stores s
+        WHERE user_lat IS NOT NULL
+          AND user_lng IS NOT NULL
+          AND s.latitude BETWEEN user_lat - radius_km / 111.045 AND user_lat + radius_km / 111.045
+          AND 6371 * 2 * ASIN(SQRT(
+                POWER(SIN(RADIANS(s.latitude - user_lat) / 2), 2) +
+                COS(RADIANS(user_lat)) * COS(RADIANS(s.latitude)) *
+                POWER(SIN(RADIANS(s.longitude - user_lng) / 2), 2)
+              )) <= radius_km
+    ),
+    -- Matched on the columns themselves so the trigram indexes
+    -- can serve the ILIKE patterns
+    candidates AS (
+        SELECT m.name::TEXT AS candidate, 'name' AS kind, m.store_id
+        FROM medicines m, params p
+        WHERE m.is_available = TRUE
+          AND m.stock_status = 'active'
+          AND m.quantity > 0
+          AND LENGTH(TRIM(prefix)) > 0
+          AND (m.name ILIKE p.escaped || '%' OR m.name ILIKE '% ' || p.escaped || '%')
+        UNION ALL
+        SELECT m.generic_name::TEXT, 'generic', m.store_id
+        FROM medicines m, params p
+        WHERE m.is_available = TRUE
+          AND m.stock_status = 'active'
+          AND m.quantity > 0
+          AND LENGTH(TRIM(prefix)) > 0
+          AND (m.generic_name ILIKE p.escaped || '%' OR m.generic_name ILIKE '% ' || p.escaped || '%')
+    )
+    SELECT
+        MIN(c.candidate) AS suggestion,
+        CASE WHEN BOOL_OR(c.kind = 'name') THEN 'name' ELSE 'generic' END AS kind,
+        COUNT(DISTINCT c.store_id) FILTER (
+            WHERE c.store_id IN (SELECT id FROM nearby_store_ids)
+        )::INTEGER AS store_count
+    FROM candidates c, params p
+    GROUP BY LOWER(c.candidate)
+    ORDER BY
+        BOOL_OR(c.candidate ILIKE p.escaped || '%') DESC,
+        store_count DESC,
+        suggestion ASC
+    LIMIT GREATEST(max_results, 1);
+$$ LANGUAGE sql STABLE;
+
+DROP FUNCTION IF EXISTS search_nearby_substitutes;
+
+-- "Same salt, other brands": resolves the searched brand to its
+-- generic (salt) composition and dosage from the whole catalog,
+-- then returns nearby stocked medicines with the same salt and
+-- dosage under a different name, cheapest first. reference_price
+-- is the average catalog price of the searched brand. Takes the
+-- same optional filters as search_nearby_medicines().
+CREATE OR REPLACE FUNCTION search_nearby_substitutes(
+    search_term TEXT,
+    user_lat DOUBLE PRECISION,
+    user_lng DOUBLE PRECISION,
+    radius_km DOUBLE PRECISION DEFAULT 10,
+    max_results INTEGER DEFAULT 20,
+    max_price DECIMAL DEFAULT NULL,
+    otc_only BOOLEAN DEFAULT FALSE,
+    open_now BOOLEAN DEFAULT FALSE,
+    min_quantity INTEGER DEFAULT 1,
+    verified_only BOOLEAN DEFAULT FALSE
+)
+RETURNS TABLE (
+    id UUID,
+    name VARCHAR,
+    generic_name VARCHAR,
+    manufacturer VARCHAR,
+    description TEXT,
+    dosage VARCHAR,
+    price DECIMAL,
+    quantity INTEGER,
+    unit VARCHAR,
+    expiry_date DATE,
+    requires_prescription BOOLEAN,
+    image_url TEXT,
+    is_available BOOLEAN,
+    is_discounted BOOLEAN,
+    stores JSONB,
+    distance_km DOUBLE PRECISION,
+    match_score REAL,
+    reference_name VARCHAR,
+    reference_price DECIMAL
+) AS $$
+    WITH params AS (
+        SELECT
+            NULLIF(TRIM(search_term), '') AS term,
+            '%' || regexp_replace(TRIM(search_term), '([\\%_])', '\\\1', 'g') || '%' AS like_pattern
+    ),
+    reference AS (
+        -- Most common salt + dosage listed under the searched brand
+        SELECT
+            MIN(m.name) AS name,
+            MIN(m.generic_name) AS generic_name,
+            ROUND(AVG(m.price), 2) AS price,
+            regexp_replace(LOWER(m.generic_name), '\s+', '', 'g') AS salt_key,
+            regexp_replace(LOWER(COALESCE(m.dosage, '')), '\s+', '', 'g') AS dosage_key
+        FROM medicines m, params p
+        WHERE p.term IS NOT NULL
+          AND m.generic_name IS NOT NULL
+          AND m.name ILIKE p.like_pattern
+        GROUP BY salt_key, dosage_key
+        ORDER BY COUNT(*) DESC
+        LIMIT 1
+    )
+    SELECT
+        n.id, n.name, n.generic_name, n.manufacturer, n.description,
+        n.dosage, n.price, n.quantity, n.unit, n.expiry_date,
+        n.requires_prescription, n.image_url, n.is_available,
+        n.is_discounted, n.stores, n.distance_km, n.match_score,
+        r.name AS reference_name,
+        r.price AS reference_price
+    FROM reference r
+    CROSS JOIN LATERAL search_nearby_medicines(
+        r.generic_name, user_lat, user_lng, radius_km, 500,
+        max_price, otc_only, open_now, min_quantity,
+        verified_only => search_nearby_substitutes.verified_only
+    ) n
+    CROSS JOIN params p
+    WHERE regexp_replace(LOWER(n.generic_name), '\s+', '', 'g') = r.salt_key
+      AND (r.dosage_key = '' OR regexp_replace(LOWER(COALESCE(n.dosage, '')), '\s+', '', 'g') = r.dosage_key)
+      AND n.name NOT ILIKE p.like_pattern
+    ORDER BY n.price ASC, n.distance_km ASC
+    LIMIT GREATEST(max_results, 1);
+$$ LANGUAGE sql STABLE;
+
+-- Allow the API roles to call them (RLS on the tables still applies)
+GRANT EXECUTE ON FUNCTION is_store_open_now TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_nearby_medicines TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION suggest_medicine_names TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION autocomplete_medicine_names TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_nearby_substitutes TO anon, authenticated;
+
+-- =====================================================
+-- VERIFICATION: Try a search around Mumbai
+-- =====================================================
+-- Run this to verify:
+-- SELECT name, stores->>'store_name', distance_km, match_score
+-- FROM search_nearby_medicines('paracetmol', 19.0760, 72.8777, 10, 20);
+-- SELECT * FROM suggest_medicine_names('azithromicin');
+-- SELECT * FROM autocomplete_medicine_names('para', 19.0760, 72.8777);
+-- SELECT name, price, reference_name, reference_price
+-- FROM search_nearby_substitutes('crocin', 19.0760, 72.8777, 10);
@@ -0,0 +1,166 @@
+// Builds src/data/pincodes/ - the pincode directory the location picker
+// falls back on (see src/lib/gazetteer.js) - from India Post's All India
+// Pincode Directory, as packaged by the india-pincode devDependency.
+//
+//   npm run build:pincodes
+//
+// One pincode per post office area, located at the median of its offices'
+// coordinates (offices geocoded outside their district are ignored; with no
+// usable coordinates the district centre is used and the entry is flagged
+// approximate). Named after its head office, or the main delivery office.
+// Split into one file per first two digits (postal circle), ~10 KB each, so
+// the app only downloads the part of the country being typed.
+
+import { mkdirSync, readdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { gunzipSync } from 'node:zlib';
+
+// The package only exports its code (dist/), the data sits next to it
+const require = createRequire(import.meta.url);
+const SOURCE = join(dirname(require.resolve('india-pincode')), '..', 'data', 'pincodes.json.gz');
+const OUT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'src', 'data', 'pincodes');
+
+// Source rows: { p: pincode, o: office, t: 'HO' | 'PO' | 'BO', d: 1 if it
+// delivers, i: district, s: state, a: latitude, n: longitude }
+const rows = JSON.parse(gunzipSync(readFileSync(SOURCE)).toString('utf8'));
+
+// "NORTH AND MIDDLE ANDAMAN" -> "North and Middle Andaman"
+const titleCase = (text) =>
+  text.trim().toLowerCase().split(/\s+/).map((word, index) =>
+    index > 0 && ['and', 'of', 'the'].includes(word)
+      ? word
+      : word.replace(/(^|[-.(/])([a-z])/g, (match, before, letter) => before + letter.toUpperCase())
+  ).join(' ');
+
+const stateName = (state) => {
+  const name = state.trim();
+  return name && name !== 'NA' ? titleCase(name.replace(/^THE\s+/, '')) : null;
+};
+
+// "Adyar S.O (Chennai)" -> "Adyar", "Patel Nagar SO Central Delhi" -> "Patel Nagar"
+const OFFICE_SUFFIX = /\s*\b(B\.?\s?O|S\.?\s?O|H\.?\s?O|P\.?\s?O|G\.?P\.?O|M\.?D\.?G)\.?(\s*\(.*\))?\s*$/i;
+const OFFICE_TAIL = /\s+\b[BSHP]\.?O\b.*$/;
+const officeName = (office) => {
+  const name = office.trim().replace(OFFICE_SUFFIX, '').replace(/^[\s.-]+|[\s.-]+$/g, '')
+    .replace(OFFICE_TAIL, '').replace(/\s+/g, ' ').replace(/^[\s.-]+|[\s.-]+$/g, '');
+  return name === name.toUpperCase() ? titleCase(name) : name;
+};
+
+// Sorting and mail offices make poor names for an area
+const SPECIAL_OFFICE = /nodal|parcel|delivery cent|\bncd\b|\bhsg|\btmo\b|\brms\b|mail|speed post|\bicd\b|\bbpc\b/i;
+const OFFICE_TYPE_RANK = { HO: 0, PO: 1, BO: 2 };
+const officeRank = (row) => [SPECIAL_OFFICE.test(row.o) ? 1 : 0, OFFICE_TYPE_RANK[row.t] ?? 3, -row.d];
+const compareOffices = (a, b) => {
+  const rankA = officeRank(a);
+  const rankB = officeRank(b);
+  const diff = rankA.findIndex((value, index) => value !== rankB[index]);
+  if (diff !== -1) return rankA[diff] - rankB[diff];
+  const nameA = officeName(a.o);
+  const nameB = officeName(b.o);
+  return nameA < nameB ? -1 : nameA > nameB ? 1 : 0;
+};
+
+// Inside India's bounding box
+const hasCoordinates = (row) => row.a >= 6 && row.a <= 37.6 && row.n >= 68 && row.n <= 97.5;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+const medianPoint = (points) => [median(points.map(([lat]) => lat)), median(points.map(([, lng]) => lng))];
+
+const mostCommon = (values) => {
+  const counts = new Map();
+  values.forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts].reduce((best, entry) => (entry[1] > best[1] ? entry : best), [null, 0])[0];
+};
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+// Some offices list their district as "NA"
+const districtName = (row) => (row.i.trim().toUpperCase() === 'NA' ? null : titleCase(row.i));
+
+const byDistrict = groupBy(rows.filter(districtName), districtName);
+const districtState = new Map([...byDistrict].map(([district, offices]) =>
+  [district, mostCommon(offices.map((row) => stateName(row.s)).filter(Boolean))]
+));
+const districtCentre = new Map([...byDistrict]
+  .map(([district, offices]) => [district, offices.filter(hasCoordinates).map((row) => [row.a, row.n])])
+  .filter(([, points]) => points.length > 0)
+  .map(([district, points]) => [district, medianPoint(points)]));
+
+const areas = [...groupBy(rows, (row) => row.p)].sort(([a], [b]) => a - b).map(([pincode, offices]) => ({
+  pincode,
+  offices,
+  district: mostCommon(offices.map(districtName).filter(Boolean)),
+}));
+
+// An area without a district gets the one of the closest pincode in its
+// sorting district (same first three digits)
+areas.filter((area) => !area.district).forEach((area) => {
+  const neighbours = areas.filter(({ pincode, district }) => district && pincode.slice(0, 3) === area.pincode.slice(0, 3));
+  if (neighbours.length === 0) return;
+  area.district = neighbours.reduce((best, neighbour) =>
+    Math.abs(neighbour.pincode - area.pincode) < Math.abs(best.pincode - area.pincode) ? neighbour : best
+  ).district;
+});
+
+// { prefix: { districts: [[district, state]], pincodes: [[pincode, entry]] } }
+const chunks = new Map();
+let approximateCount = 0;
+
+areas.filter((area) => area.district).forEach(({ pincode, offices, district }) => {
+  const state = mostCommon(offices.map((row) => stateName(row.s)).filter(Boolean)) ?? districtState.get(district) ?? '';
+
+  const centre = districtCentre.get(district);
+  const points = offices.filter(hasCoordinates).map((row) => [row.a, row.n])
+    .filter(([lat, lng]) => !centre || (Math.abs(lat - centre[0]) <= 1.5 && Math.abs(lng - centre[1]) <= 1.5));
+  if (points.length === 0 && !centre) return;
+  const [lat, lng] = points.length > 0 ? medianPoint(points) : centre;
+
+  const prefix = pincode.slice(0, 2);
+  if (!chunks.has(prefix)) chunks.set(prefix, { districts: [], pincodes: [] });
+  const chunk = chunks.get(prefix);
+  let districtIndex = chunk.districts.findIndex(([name, stateOf]) => name === district && stateOf === state);
+  if (districtIndex === -1) districtIndex = chunk.districts.push([district, state]) - 1;
+
+  // ~100 m is plenty for sorting pharmacies by distance
+  const entry = [Number(lat.toFixed(3)), Number(lng.toFixed(3)), officeName([...offices].sort(compareOffices)[0].o), districtIndex];
+  if (points.length === 0) {
+    entry.push(1);
+    approximateCount += 1;
+  }
+  chunk.pincodes.push([pincode, entry]);
+});
+
+// One line per pincode keeps the files diffable
+const serialize = ({ districts, pincodes }) => [
+  '{',
+  `"districts": ${JSON.stringify(districts)},`,
+  '"pincodes": {',
+  pincodes.map(([pincode, entry]) => `"${pincode}": ${JSON.stringify(entry)}`).join(',\n'),
+  '}',
+  '}',
+  '',
+].join('\n');
+
+mkdirSync(OUT_DIR, { recursive: true });
+readdirSync(OUT_DIR).filter((file) => file.endsWith('.json')).forEach((file) => rmSync(join(OUT_DIR, file)));
+let pincodeCount = 0;
+chunks.forEach((chunk, prefix) => {
+  writeFileSync(join(OUT_DIR, `${prefix}.json`), serialize(chunk));
+  pincodeCount += chunk.pincodes.length;
+});
+
+console.log(`${pincodeCount} pincodes (${approximateCount} approximate) in ${chunks.size} files`);
@@ -17,6 +17,11 @@ import NotificationsPage from './pages/customer/NotificationsPage';
 import RetailerDashboard from './pages/retailer/RetailerDashboard';
 import StoreManagement from './pages/retailer/StoreManagement';
 import InventoryManagement from './pages/retailer/InventoryManagement';
+import AdminDashboard from './pages/admin/AdminDashboard';
+import StoreVerificationQueue from './pages/admin/StoreVerificationQueue';
+import CategoryManagement from './pages/admin/CategoryManagement';
+import UserManagement from './pages/admin/UserManagement';
+import ReviewModeration from './pages/admin/ReviewModeration';
 import ProfilePage from './pages/ProfilePage';
 import NotFoundPage from './pages/NotFoundPage';
 import ResetPasswordPage from './pages/ResetPasswordPage';
@@ -100,6 +105,9 @@ const PublicRoute = ({ children }) => {
 
   if (user && profile) {
     // Redirect based on role
+    if (profile.role === 'admin') {
+      return <Navigate to="/admin" replace />;
+    }
     if (profile.role === 'retailer') {
       return <Navigate to="/retailer/dashboard" replace />;
     }
@@ -240,6 +248,48 @@ function App() {
             }
           />
 
+          {/* Admin Routes */}
+          <Route
+            path="admin"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <AdminDashboard />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="admin/verifications"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <StoreVerificationQueue />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="admin/categories"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <CategoryManagement />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="admin/users"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <UserManagement />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="admin/reviews"
+            element={
+              <ProtectedRoute allowedRoles={['admin']}>
+                <ReviewModeration />
+              </ProtectedRoute>
+            }
+          />
+
           {/* Profile */}
           <Route
             path="profile"
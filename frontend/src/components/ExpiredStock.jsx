@@ -0,0 +1,233 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { PackageX, Undo2, Flame, Loader2, History, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { getExpiredMedicines, disposeMedicines } from '../lib/supabase';
+import { stockValue } from '../lib/inventoryExport';
+
+const DISPOSAL_METHODS = {
+  returned: { label: 'Returned to supplier', icon: Undo2 },
+  destroyed: { label: 'Destroyed', icon: Flame },
+};
+
+const TABS = [
+  { value: 'expired', label: 'To be returned', icon: PackageX },
+  { value: 'disposed', label: 'Disposal history', icon: History },
+];
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+// Quarantine view for one store: expired medicines waiting to be returned
+// or destroyed, and the disposal history. Expired stock is never deleted -
+// disposing of it only records how, by whom and when.
+const ExpiredStock = ({ store, onChange }) => {
+  const [tab, setTab] = useState('expired'); // expired | disposed
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState([]);
+  const [method, setMethod] = useState('returned');
+  const [note, setNote] = useState('');
+  const [disposing, setDisposing] = useState(false);
+
+  useEffect(() => {
+    fetchItems();
+  }, [store.id, tab]);
+
+  const fetchItems = async () => {
+    setLoading(true);
+    const { data, error } = await getExpiredMedicines(store.id, tab);
+    if (error) toast.error('Failed to load expired stock');
+    setItems(data);
+    setSelected([]);
+    setLoading(false);
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
+  };
+
+  const allSelected = items.length > 0 && selected.length === items.length;
+  const selectedValue = items
+    .filter((item) => selected.includes(item.id))
+    .reduce((sum, item) => sum + stockValue(item), 0);
+
+  const handleDispose = async () => {
+    const { label } = DISPOSAL_METHODS[method];
+    if (!window.confirm(`Mark ${selected.length} medicine(s) as "${label}"? This can't be undone.`)) return;
+
+    setDisposing(true);
+    const { data: count, error } = await disposeMedicines(selected, method, note);
+    setDisposing(false);
+
+    if (error) {
+      toast.error(error.message || 'Failed to record disposal');
+      return;
+    }
+
+    toast.success(`Recorded disposal of ${count} medicine(s)`);
+    setNote('');
+    fetchItems();
+    onChange?.();
+  };
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-4">
+      <div className="flex items-center gap-1 p-1 rounded-xl bg-white/5 w-fit">
+        {TABS.map(({ value, label, icon: Icon }) => (
+          <button
+            key={value}
+            onClick={() => setTab(value)}
+            className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm transition-all ${
+              tab === value ? 'bg-primary-500 text-white' : 'text-white/60 hover:text-white'
+            }`}
+          >
+            <Icon size={16} />
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="spinner" />
+        </div>
+      ) : items.length === 0 ? (
+        <div className="glass-card p-12 text-center">
+          {tab === 'expired' ? (
+            <CheckCircle size={64} className="mx-auto text-white/20 mb-4" />
+          ) : (
+            <History size={64} className="mx-auto text-white/20 mb-4" />
+          )}
+          <h3 className="text-xl font-semibold mb-2">
+            {tab === 'expired' ? 'No Expired Stock' : 'No Disposals Yet'}
+          </h3>
+          <p className="text-white/50">
+            {tab === 'expired'
+              ? 'Medicines past their expiry date are moved here automatically'
+              : 'Expired stock you return or destroy is recorded here'}
+          </p>
+        </div>
+      ) : (
+        <div className="glass-card p-4 space-y-4">
+          {tab === 'expired' && (
+            <div className="flex flex-col lg:flex-row lg:items-end gap-3">
+              <div>
+                <label className="block text-sm font-medium mb-2">Disposal</label>
+                <select value={method} onChange={(e) => setMethod(e.target.value)} className="glass-select">
+                  {Object.entries(DISPOSAL_METHODS).map(([key, { label }]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex-1">
+                <label className="block text-sm font-medium mb-2">Note (optional)</label>
+                <input
+                  type="text"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="Credit note, return slip or destruction certificate no."
+                  className="glass-input"
+                />
+              </div>
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={handleDispose}
+                disabled={selected.length === 0 || disposing}
+                className="glass-button flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                {disposing ? <Loader2 size={20} className="animate-spin" /> : <CheckCircle size={20} />}
+                <span>Record Disposal ({selected.length})</span>
+              </motion.button>
+            </div>
+          )}
+
+          {tab === 'expired' && selected.length > 0 && (
+            <p className="text-sm text-white/50">
+              Selected stock value: ₹{selectedValue.toLocaleString('en-IN', { maximumFractionDigits: 2 })}
+            </p>
+          )}
+
+          <div className="overflow-x-auto rounded-xl border border-white/10">
+            <table className="w-full text-sm">
+              <thead className="bg-white/5 text-white/60">
+                <tr>
+                  {tab === 'expired' && (
+                    <th className="px-3 py-2 text-left">
+                      <input
+                        type="checkbox"
+                        checked={allSelected}
+                        onChange={() => setSelected(allSelected ? [] : items.map((item) => item.id))}
+                        className="w-4 h-4 rounded"
+                      />
+                    </th>
+                  )}
+                  <th className="px-3 py-2 text-left font-medium">Medicine</th>
+                  <th className="px-3 py-2 text-left font-medium">Batch</th>
+                  <th className="px-3 py-2 text-left font-medium">Expiry</th>
+                  <th className="px-3 py-2 text-right font-medium">Quantity</th>
+                  <th className="px-3 py-2 text-right font-medium">Value</th>
+                  {tab === 'disposed' && (
+                    <>
+                      <th className="px-3 py-2 text-left font-medium">Disposal</th>
+                      <th className="px-3 py-2 text-left font-medium">By</th>
+                      <th className="px-3 py-2 text-left font-medium">On</th>
+                    </>
+                  )}
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((item) => {
+                  const disposal = DISPOSAL_METHODS[item.disposal_method];
+                  return (
+                    <tr key={item.id} className="border-t border-white/5 align-top">
+                      {tab === 'expired' && (
+                        <td className="px-3 py-2">
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(item.id)}
+                            onChange={() => toggleSelected(item.id)}
+                            className="w-4 h-4 rounded"
+                          />
+                        </td>
+                      )}
+                      <td className="px-3 py-2">
+                        <p className="font-medium">{item.name}</p>
+                        {item.generic_name && <p className="text-xs text-white/50">{item.generic_name}</p>}
+                      </td>
+                      <td className="px-3 py-2 text-white/70">{item.batch_number || '-'}</td>
+                      <td className="px-3 py-2 text-red-400 whitespace-nowrap">{formatDate(item.expiry_date)}</td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        {item.quantity} {item.unit}
+                      </td>
+                      <td className="px-3 py-2 text-right">₹{stockValue(item)}</td>
+                      {tab === 'disposed' && (
+                        <>
+                          <td className="px-3 py-2">
+                            {disposal && (
+                              <span className="flex items-center gap-1 whitespace-nowrap">
+                                <disposal.icon size={14} />
+                                {disposal.label}
+                              </span>
+                            )}
+                            {item.disposal_note && <p className="text-xs text-white/50">{item.disposal_note}</p>}
+                          </td>
+                          <td className="px-3 py-2 text-white/70">{item.disposer?.full_name || '-'}</td>
+                          <td className="px-3 py-2 text-white/70 whitespace-nowrap">{formatDate(item.disposed_at)}</td>
+                        </>
+                      )}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default ExpiredStock;
@@ -0,0 +1,398 @@
+import { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import {
+  X,
+  Upload,
+  FileSpreadsheet,
+  CheckCircle,
+  AlertTriangle,
+  Download,
+  Loader2,
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import { importMedicines } from '../lib/supabase';
+import { readSpreadsheet, toCsv, downloadFile } from '../lib/spreadsheet';
+import {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  guessColumnMapping,
+  validateImportRows,
+  errorReportRows,
+} from '../lib/inventoryImport';
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const CHUNK_SIZE = 200;
+const PREVIEW_LIMIT = 200;
+
+// Bulk import for one store's inventory: pick a CSV / Excel file, map its
+// columns, check the row-by-row preview, then upsert the valid rows in
+// chunks. Rows that fail validation (or whose chunk fails to save) can be
+// downloaded as a CSV error report, fixed and imported again.
+const InventoryImport = ({ store, categories, onClose, onImported }) => {
+  const [step, setStep] = useState('upload'); // upload | map | importing | done
+  const [fileName, setFileName] = useState('');
+  const [reading, setReading] = useState(false);
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+  const [outcome, setOutcome] = useState(null); // { inserted, updated, failed: [results] }
+
+  const today = new Date().toLocaleDateString('en-CA');
+
+  const results = useMemo(
+    () => validateImportRows(rows, mapping, categories, today),
+    [rows, mapping, categories, today]
+  );
+  const validRows = results.filter((result) => result.medicine);
+  const invalidCount = results.length - validRows.length;
+  const missingRequired = IMPORT_FIELDS.filter((field) => field.required && mapping[field.key] === undefined);
+  const previewRows = (errorsOnly ? results.filter((result) => result.errors.length > 0) : results).slice(
+    0,
+    PREVIEW_LIMIT
+  );
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!/\.(csv|xlsx|xls)$/i.test(file.name)) {
+      toast.error('Choose a .csv or .xlsx file');
+      return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+      toast.error('File must be less than 10MB');
+      return;
+    }
+
+    setReading(true);
+    try {
+      const sheet = await readSpreadsheet(file);
+      if (sheet.headers.length === 0 || sheet.rows.length === 0) {
+        toast.error('The file has no rows to import');
+        return;
+      }
+      if (sheet.rows.length > MAX_IMPORT_ROWS) {
+        toast.error(`Import at most ${MAX_IMPORT_ROWS} rows at a time - split the file`);
+        return;
+      }
+
+      setFileName(file.name);
+      setHeaders(sheet.headers);
+      setRows(sheet.rows);
+      setMapping(guessColumnMapping(sheet.headers));
+      setStep('map');
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      toast.error('Could not read that file');
+    } finally {
+      setReading(false);
+    }
+  };
+
+  const handleMappingChange = (fieldKey, value) => {
+    setMapping((prev) => {
+      const next = { ...prev };
+      if (value === '') delete next[fieldKey];
+      else next[fieldKey] = Number(value);
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    if (validRows.length === 0) return;
+
+    setStep('importing');
+    setProgress({ done: 0, total: validRows.length });
+
+    let inserted = 0;
+    let updated = 0;
+    const failed = [];
+
+    for (let start = 0; start < validRows.length; start += CHUNK_SIZE) {
+      const chunk = validRows.slice(start, start + CHUNK_SIZE);
+      const { data, error } = await importMedicines(
+        store.id,
+        chunk.map((result) => result.medicine)
+      );
+
+      if (error) {
+        // The whole chunk is rolled back, so every row in it goes to the report
+        chunk.forEach((result) => {
+          failed.push({ ...result, errors: [`Not saved: ${error.message || 'server error'}`] });
+        });
+      } else {
+        inserted += data?.inserted || 0;
+        updated += data?.updated || 0;
+      }
+      setProgress({ done: Math.min(start + CHUNK_SIZE, validRows.length), total: validRows.length });
+    }
+
+    setOutcome({ inserted, updated, failed });
+    setStep('done');
+    if (inserted + updated > 0) onImported?.();
+  };
+
+  const downloadErrorReport = () => {
+    const failedRows = [...results.filter((result) => result.errors.length > 0), ...(outcome?.failed || [])]
+      .sort((a, b) => a.rowNumber - b.rowNumber);
+    const baseName = fileName.replace(/\.[^.]+$/, '') || 'inventory';
+    downloadFile(toCsv(errorReportRows(failedRows)), `${baseName}-errors.csv`);
+  };
+
+  const reportCount = invalidCount + (outcome?.failed.length || 0);
+  const percent = progress.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+      onClick={step === 'importing' ? undefined : onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="glass-card w-full max-w-5xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <div>
+              <h2 className="text-xl font-semibold">Import Medicines</h2>
+              <p className="text-sm text-white/50">
+                Into {store.store_name}
+                {fileName && ` · ${fileName}`}
+              </p>
+            </div>
+            {step !== 'importing' && (
+              <button onClick={onClose} className="p-2 rounded-lg hover:bg-white/10">
+                <X size={20} />
+              </button>
+            )}
+          </div>
+
+          {/* Step 1: choose a file */}
+          {step === 'upload' && (
+            <div className="space-y-4">
+              <label className="flex flex-col items-center justify-center gap-3 p-10 rounded-xl border-2 border-dashed border-white/20 hover:border-primary-500/50 hover:bg-white/5 cursor-pointer transition-colors">
+                <input
+                  type="file"
+                  accept=".csv,.xlsx,.xls,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
+                  onChange={handleFile}
+                  className="hidden"
+                  disabled={reading}
+                />
+                {reading ? (
+                  <Loader2 size={40} className="animate-spin text-primary-400" />
+                ) : (
+                  <FileSpreadsheet size={40} className="text-primary-400" />
+                )}
+                <span className="font-medium">{reading ? 'Reading file...' : 'Choose a CSV or Excel file'}</span>
+                <span className="text-sm text-white/50">
+                  First row must be the column headers · up to {MAX_IMPORT_ROWS} medicines
+                </span>
+              </label>
+              <p className="text-sm text-white/50">
+                Columns we look for: {IMPORT_FIELDS.map((field) => field.label).join(', ')}. Name, price and
+                quantity are required. Each row is a batch: a batch number the medicine already has is updated
+                instead of added twice, and a new one is added as another batch of that medicine.
+              </p>
+            </div>
+          )}
+
+          {/* Step 2: map columns and preview */}
+          {step === 'map' && (
+            <div className="space-y-6">
+              <div>
+                <h3 className="font-medium mb-3">Match your columns</h3>
+                <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                  {IMPORT_FIELDS.map((field) => (
+                    <div key={field.key}>
+                      <label className="block text-xs text-white/70 mb-1">
+                        {field.label} {field.required && <span className="text-red-400">*</span>}
+                      </label>
+                      <select
+                        value={mapping[field.key] ?? ''}
+                        onChange={(e) => handleMappingChange(field.key, e.target.value)}
+                        className="glass-select text-sm"
+                      >
+                        <option value="">Not in file</option>
+                        {headers.map((header, index) => (
+                          <option key={index} value={index}>
+                            {header || `Column ${index + 1}`}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {missingRequired.length > 0 ? (
+                <div className="flex items-center gap-2 p-3 rounded-xl bg-red-500/10 text-red-400 text-sm">
+                  <AlertTriangle size={16} />
+                  Choose a column for {missingRequired.map((field) => field.label).join(', ')}
+                </div>
+              ) : (
+                <>
+                  <div className="flex flex-wrap items-center gap-3">
+                    <span className="px-3 py-1 rounded-full bg-green-500/20 text-green-400 text-sm">
+                      {validRows.length} ready to import
+                    </span>
+                    {invalidCount > 0 && (
+                      <span className="px-3 py-1 rounded-full bg-red-500/20 text-red-400 text-sm">
+                        {invalidCount} with errors (skipped)
+                      </span>
+                    )}
+                    <label className="flex items-center gap-2 text-sm text-white/70 cursor-pointer ml-auto">
+                      <input
+                        type="checkbox"
+                        checked={errorsOnly}
+                        onChange={(e) => setErrorsOnly(e.target.checked)}
+                        className="w-4 h-4 rounded"
+                      />
+                      Only rows with errors
+                    </label>
+                  </div>
+
+                  <div className="overflow-x-auto rounded-xl border border-white/10">
+                    <table className="w-full text-sm">
+                      <thead className="bg-white/5 text-white/60">
+                        <tr>
+                          <th className="px-3 py-2 text-left font-medium">Row</th>
+                          {IMPORT_FIELDS.map((field) => (
+                            <th key={field.key} className="px-3 py-2 text-left font-medium whitespace-nowrap">
+                              {field.label}
+                            </th>
+                          ))}
+                          <th className="px-3 py-2 text-left font-medium">Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {previewRows.map((result) => (
+                          <tr
+                            key={result.rowNumber}
+                            className={`border-t border-white/5 align-top ${result.errors.length ? 'bg-red-500/5' : ''}`}
+                          >
+                            <td className="px-3 py-2 text-white/40">{result.rowNumber}</td>
+                            {IMPORT_FIELDS.map((field) => (
+                              <td key={field.key} className="px-3 py-2 max-w-[160px] truncate">
+                                {String(result.values[field.key] ?? '')}
+                              </td>
+                            ))}
+                            <td className="px-3 py-2 min-w-[200px]">
+                              {result.errors.length > 0 ? (
+                                <span className="text-red-400">{result.errors.join('; ')}</span>
+                              ) : result.warnings.length > 0 ? (
+                                <span className="text-amber-300">{result.warnings.join('; ')}</span>
+                              ) : (
+                                <CheckCircle size={16} className="text-green-400" />
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {(errorsOnly ? invalidCount : results.length) > PREVIEW_LIMIT && (
+                    <p className="text-xs text-white/40">
+                      Showing the first {PREVIEW_LIMIT} rows - the error report lists all of them.
+                    </p>
+                  )}
+                </>
+              )}
+
+              <div className="flex flex-col sm:flex-row gap-3">
+                <button
+                  onClick={() => setStep('upload')}
+                  className="glass-button-secondary"
+                >
+                  Choose another file
+                </button>
+                {invalidCount > 0 && missingRequired.length === 0 && (
+                  <button
+                    onClick={downloadErrorReport}
+                    className="glass-button-secondary flex items-center justify-center gap-2"
+                  >
+                    <Download size={18} />
+                    Error report
+                  </button>
+                )}
+                <button
+                  onClick={handleImport}
+                  disabled={missingRequired.length > 0 || validRows.length === 0}
+                  className="glass-button flex items-center justify-center gap-2 sm:ml-auto disabled:opacity-50"
+                >
+                  <Upload size={18} />
+                  Import {validRows.length} medicine{validRows.length === 1 ? '' : 's'}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* Step 3: upload in chunks */}
+          {step === 'importing' && (
+            <div className="py-10 text-center space-y-4">
+              <Loader2 size={40} className="mx-auto animate-spin text-primary-400" />
+              <p className="font-medium">
+                Importing {progress.done} of {progress.total}...
+              </p>
+              <div className="h-3 rounded-full bg-white/10 overflow-hidden">
+                <div
+                  className="h-full bg-gradient-to-r from-primary-500 to-purple-500 transition-all"
+                  style={{ width: `${percent}%` }}
+                />
+              </div>
+              <p className="text-sm text-white/50">Keep this window open until the import finishes</p>
+            </div>
+          )}
+
+          {/* Step 4: summary */}
+          {step === 'done' && outcome && (
+            <div className="py-6 space-y-6">
+              <div className="text-center">
+                <CheckCircle size={48} className="mx-auto text-green-400 mb-3" />
+                <h3 className="text-lg font-semibold">Import finished</h3>
+              </div>
+              <div className="grid grid-cols-3 gap-4 text-center">
+                <div className="glass-card p-4">
+                  <p className="text-2xl font-bold text-green-400">{outcome.inserted}</p>
+                  <p className="text-sm text-white/50">Added</p>
+                </div>
+                <div className="glass-card p-4">
+                  <p className="text-2xl font-bold text-primary-400">{outcome.updated}</p>
+                  <p className="text-sm text-white/50">Updated</p>
+                </div>
+                <div className="glass-card p-4">
+                  <p className={`text-2xl font-bold ${reportCount ? 'text-red-400' : ''}`}>{reportCount}</p>
+                  <p className="text-sm text-white/50">Not imported</p>
+                </div>
+              </div>
+              <div className="flex flex-col sm:flex-row gap-3">
+                {reportCount > 0 && (
+                  <button
+                    onClick={downloadErrorReport}
+                    className="flex-1 glass-button-secondary flex items-center justify-center gap-2"
+                  >
+                    <Download size={18} />
+                    Download error report
+                  </button>
+                )}
+                <button onClick={onClose} className="flex-1 glass-button">
+                  Done
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default InventoryImport;
@@ -0,0 +1,210 @@
+import { useState, useEffect, useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { MapPin, ChevronDown, Crosshair, Loader2, Search, AlertCircle, Home, Briefcase, Heart } from 'lucide-react';
+import toast from 'react-hot-toast';
+import useLocationStore from '../store/locationStore';
+import { searchPlaces } from '../lib/gazetteer';
+
+// Suggested labels for saved places, with their icons
+export const SAVED_PLACE_PRESETS = [
+  { label: 'Home', icon: Home },
+  { label: 'Work', icon: Briefcase },
+  { label: "Parents' house", icon: Heart },
+];
+
+export const savedPlaceIcon = (label) =>
+  SAVED_PLACE_PRESETS.find((preset) => preset.label.toLowerCase() === label.toLowerCase())?.icon || MapPin;
+
+// Shows where searches are measured from and lets the user change it: a
+// city, locality or pincode from the bundled gazetteer, the device position,
+// or one tap on a saved place. `onChange` runs after a new location has been set.
+const LocationPicker = ({ open, onOpenChange, onChange }) => {
+  const [query, setQuery] = useState('');
+  const [found, setFound] = useState({ query: '', places: [] }); // Matches and the query they are for
+  const inputRef = useRef(null);
+
+  const {
+    userLocation,
+    placeName,
+    locationError,
+    isLocating,
+    isTracking,
+    savedPlaces,
+    savedPlaceId,
+    getUserLocation,
+    setPlace,
+    selectSavedPlace,
+  } = useLocationStore();
+
+  // Pincode lookups load part of the pincode directory first, so results can
+  // arrive after the next keystroke - only show the ones for the current query
+  useEffect(() => {
+    let current = true;
+    searchPlaces(query).then((places) => {
+      if (current) setFound({ query, places });
+    });
+    return () => {
+      current = false;
+    };
+  }, [query]);
+
+  const matches = found.query === query ? found.places : [];
+
+  useEffect(() => {
+    if (open) {
+      setQuery('');
+      setTimeout(() => inputRef.current?.focus(), 50);
+    }
+  }, [open]);
+
+  const currentLabel = isLocating
+    ? 'Detecting your location...'
+    : placeName
+      || (isTracking && 'Live location')
+      || (userLocation && 'Your current location')
+      || 'Set your location';
+
+  const choosePlace = (place) => {
+    setPlace(place);
+    onOpenChange(false);
+    toast.success(`Searching near ${place.label}`);
+    onChange?.();
+  };
+
+  const chooseSavedPlace = (place) => {
+    selectSavedPlace(place);
+    onOpenChange(false);
+    toast.success(`Searching near ${place.label}`);
+    onChange?.();
+  };
+
+  const useCurrentLocation = async () => {
+    try {
+      await getUserLocation();
+      onOpenChange(false);
+      onChange?.();
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-center gap-2 flex-wrap">
+      <div className="relative inline-block text-left">
+        <button
+          type="button"
+          onClick={() => onOpenChange(!open)}
+          className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs border transition-all ${
+            userLocation || isLocating
+              ? 'bg-white/5 border-white/10 text-white/70 hover:text-white'
+              : 'bg-amber-500/20 border-amber-500/40 text-amber-300'
+          }`}
+        >
+          {isLocating ? (
+            <Loader2 size={12} className="animate-spin" />
+          ) : (
+            <MapPin size={12} className={userLocation ? 'text-primary-400' : ''} />
+          )}
+          <span className="max-w-[220px] truncate">{currentLabel}</span>
+          <ChevronDown size={12} className={`transition-transform ${open ? 'rotate-180' : ''}`} />
+        </button>
+
+        <AnimatePresence>
+          {open && (
+            <motion.div
+              initial={{ opacity: 0, y: 5 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: 5 }}
+              className="absolute left-1/2 -translate-x-1/2 top-full mt-2 w-80 glass-card p-3 z-50 shadow-xl"
+            >
+              {!userLocation && locationError && (
+                <p className="flex items-start gap-2 text-xs text-amber-300 mb-2">
+                  <AlertCircle size={14} className="flex-shrink-0 mt-0.5" />
+                  {locationError} Enter your area to see real distances.
+                </p>
+              )}
+
+              <div className="relative">
+                <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-white/40" />
+                <input
+                  ref={inputRef}
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && matches.length > 0) {
+                      e.preventDefault();
+                      choosePlace(matches[0]);
+                    }
+                    if (e.key === 'Escape') onOpenChange(false);
+                  }}
+                  placeholder="City, locality or 6-digit pincode"
+                  className="glass-input pl-9 pr-3 h-10 w-full text-sm"
+                />
+              </div>
+
+              {matches.length > 0 && (
+                <ul className="mt-2 max-h-56 overflow-y-auto">
+                  {matches.map((place) => (
+                    <li key={`${place.label}-${place.pincode}`}>
+                      <button
+                        type="button"
+                        onClick={() => choosePlace(place)}
+                        className="w-full px-3 py-2 rounded-lg text-left hover:bg-white/10 transition-colors"
+                      >
+                        <p className="text-sm">{place.label}</p>
+                        <p className="text-xs text-white/40">
+                          {place.approximate ? 'Approximate - ' : ''}{place.state} · {place.pincode}
+                        </p>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {query.trim() && found.query === query && matches.length === 0 && (
+                <p className="mt-2 px-1 text-xs text-white/50">
+                  No match - try the nearest city or locality name
+                </p>
+              )}
+
+              <button
+                type="button"
+                onClick={useCurrentLocation}
+                disabled={isLocating}
+                className="w-full mt-2 pt-2 border-t border-white/10 flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-primary-400 hover:bg-white/5"
+              >
+                {isLocating ? <Loader2 size={14} className="animate-spin" /> : <Crosshair size={14} />}
+                Use my current location
+              </button>
+            </motion.div>
+          )}
+        </AnimatePresence>
+      </div>
+
+      {/* Quick switch between saved places */}
+      {savedPlaces.map((place) => {
+        const Icon = savedPlaceIcon(place.label);
+        const active = place.id === savedPlaceId;
+        return (
+          <button
+            key={place.id}
+            type="button"
+            onClick={() => chooseSavedPlace(place)}
+            title={place.place_name || place.label}
+            className={`flex items-center gap-1.5 px-3 py-1.5 rounded-full text-xs border transition-all ${
+              active
+                ? 'bg-primary-500 border-primary-500 text-white'
+                : 'bg-white/5 border-white/10 text-white/60 hover:text-white'
+            }`}
+          >
+            <Icon size={12} />
+            {place.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default LocationPicker;
@@ -0,0 +1,317 @@
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { X, Plus, Trash2, Loader2, Layers, MinusCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import {
+  getMedicineBatches,
+  saveMedicineBatch,
+  deleteMedicineBatch,
+  consumeMedicineStock,
+} from '../lib/supabase';
+import { daysUntilExpiry } from '../lib/nearExpiry';
+
+const EMPTY_BATCH = { batch_number: '', expiry_date: '', quantity: '', purchase_price: '' };
+
+// Batches of one product: each with its own expiry, quantity and purchase
+// price. The product's stock in search is their total. Units sold or written
+// off come out of the earliest-expiring batch first (FEFO), which the
+// database does in consume_medicine_stock().
+const MedicineBatches = ({ medicine, onClose, onChanged }) => {
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newBatch, setNewBatch] = useState(EMPTY_BATCH);
+  const [saving, setSaving] = useState(false);
+  const [removeUnits, setRemoveUnits] = useState('');
+  const [removing, setRemoving] = useState(false);
+
+  const today = new Date().toLocaleDateString('en-CA');
+  const isExpired = (batch) => batch.expiry_date && batch.expiry_date < today;
+  const sellable = batches.filter((batch) => !isExpired(batch));
+  const inStock = sellable.reduce((sum, batch) => sum + batch.quantity, 0);
+  const nextBatchId = sellable.find((batch) => batch.quantity > 0)?.id;
+
+  useEffect(() => {
+    fetchBatches();
+  }, [medicine.id]);
+
+  const fetchBatches = async () => {
+    const { data, error } = await getMedicineBatches(medicine.id);
+    if (error) toast.error('Failed to load batches');
+    setBatches(data);
+    setLoading(false);
+  };
+
+  const refresh = () => {
+    fetchBatches();
+    onChanged?.();
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!(parseInt(newBatch.quantity, 10) >= 0)) {
+      toast.error('Enter the quantity in this batch');
+      return;
+    }
+    if (newBatch.expiry_date && newBatch.expiry_date < today) {
+      toast.error('This batch has already expired');
+      return;
+    }
+
+    setSaving(true);
+    const { error } = await saveMedicineBatch({ ...newBatch, medicine_id: medicine.id });
+    setSaving(false);
+
+    if (error) {
+      toast.error(error.message || 'Failed to add batch');
+      return;
+    }
+    toast.success('Batch added');
+    setNewBatch(EMPTY_BATCH);
+    refresh();
+  };
+
+  // Stock counts and corrections are saved per batch when the field loses focus
+  const handleQuantityChange = async (batch, value) => {
+    const quantity = parseInt(value, 10);
+    if (quantity === batch.quantity) return;
+    if (!(quantity >= 0)) {
+      toast.error('Quantity must be 0 or more');
+      return;
+    }
+
+    const { error } = await saveMedicineBatch({ ...batch, quantity });
+    if (error) {
+      toast.error(error.message || 'Failed to update batch');
+      return;
+    }
+    toast.success('Batch updated');
+    refresh();
+  };
+
+  const handleDelete = async (batch) => {
+    if (!window.confirm(`Delete batch ${batch.batch_number || 'without a number'}? Its ${batch.quantity} unit(s) are removed from stock.`)) {
+      return;
+    }
+
+    const { error } = await deleteMedicineBatch(batch.id);
+    if (error) {
+      toast.error(error.message || 'Failed to delete batch');
+      return;
+    }
+    toast.success('Batch deleted');
+    refresh();
+  };
+
+  const handleRemoveStock = async (e) => {
+    e.preventDefault();
+    const units = parseInt(removeUnits, 10);
+    if (!(units > 0)) {
+      toast.error('Enter how many units were sold or removed');
+      return;
+    }
+
+    setRemoving(true);
+    const { data: taken, error } = await consumeMedicineStock(medicine.id, units);
+    setRemoving(false);
+
+    if (error) {
+      toast.error(error.message || 'Failed to remove stock');
+      return;
+    }
+    toast.success(
+      `Removed ${units} unit(s): ${taken
+        .map((part) => `${part.quantity} from ${part.batch_number || 'unnumbered batch'}`)
+        .join(', ')}`,
+      { duration: 5000 }
+    );
+    setRemoveUnits('');
+    refresh();
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black/60 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, opacity: 0 }}
+        animate={{ scale: 1, opacity: 1 }}
+        exit={{ scale: 0.9, opacity: 0 }}
+        className="glass-card w-full max-w-3xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 space-y-6">
+          <div className="flex items-center justify-between">
+            <div>
+              <h2 className="text-xl font-semibold flex items-center gap-2">
+                <Layers size={20} />
+                Batches
+              </h2>
+              <p className="text-sm text-white/50">
+                {medicine.name} · {inStock} {medicine.unit} in stock across {sellable.length} batch(es)
+              </p>
+            </div>
+            <button onClick={onClose} className="p-2 rounded-lg hover:bg-white/10">
+              <X size={20} />
+            </button>
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="spinner" />
+            </div>
+          ) : batches.length === 0 ? (
+            <p className="text-center text-white/50 py-6">No batches yet - add the first one below.</p>
+          ) : (
+            <div className="overflow-x-auto rounded-xl border border-white/10">
+              <table className="w-full text-sm">
+                <thead className="bg-white/5 text-white/60">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium">Batch</th>
+                    <th className="px-3 py-2 text-left font-medium">Expiry</th>
+                    <th className="px-3 py-2 text-left font-medium">Quantity</th>
+                    <th className="px-3 py-2 text-right font-medium">Purchase price</th>
+                    <th className="px-3 py-2" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {batches.map((batch) => (
+                    <tr
+                      key={batch.id}
+                      className={`border-t border-white/5 ${isExpired(batch) || batch.quantity === 0 ? 'text-white/40' : ''}`}
+                    >
+                      <td className="px-3 py-2">
+                        {batch.batch_number || '-'}
+                        {batch.id === nextBatchId && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full bg-primary-500/20 text-primary-300 text-xs">
+                            Sells next
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {batch.expiry_date ? new Date(batch.expiry_date).toLocaleDateString() : '-'}
+                        {batch.expiry_date && (
+                          <span className={`block text-xs ${isExpired(batch) ? 'text-red-400' : 'text-white/50'}`}>
+                            {isExpired(batch)
+                              ? 'Expired'
+                              : `${daysUntilExpiry(batch.expiry_date, today)} days left`}
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        {/* keyed on the quantity so it resets after a FEFO removal */}
+                        <input
+                          key={batch.quantity}
+                          type="number"
+                          min="0"
+                          defaultValue={batch.quantity}
+                          onBlur={(e) => handleQuantityChange(batch, e.target.value)}
+                          disabled={isExpired(batch)}
+                          className="glass-input w-24 py-1"
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        {batch.purchase_price != null ? `₹${batch.purchase_price}` : '-'}
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        <button
+                          onClick={() => handleDelete(batch)}
+                          className="p-1.5 rounded-lg bg-red-500/20 text-red-400 hover:bg-red-500/30"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {/* Sale / write-off, earliest expiry first */}
+          <form onSubmit={handleRemoveStock} className="p-4 rounded-xl bg-white/5 space-y-3">
+            <div className="flex items-center gap-2 text-sm font-medium">
+              <MinusCircle size={16} className="text-orange-400" />
+              Sold or removed units
+            </div>
+            <div className="flex flex-col sm:flex-row gap-3">
+              <input
+                type="number"
+                min="1"
+                max={inStock}
+                value={removeUnits}
+                onChange={(e) => setRemoveUnits(e.target.value)}
+                placeholder="Units"
+                className="glass-input sm:w-32"
+              />
+              <button
+                type="submit"
+                disabled={removing || inStock === 0}
+                className="glass-button-secondary flex items-center justify-center gap-2 disabled:opacity-50"
+              >
+                {removing && <Loader2 size={16} className="animate-spin" />}
+                Remove, earliest expiry first
+              </button>
+            </div>
+          </form>
+
+          {/* New batch */}
+          <form onSubmit={handleAdd} className="p-4 rounded-xl bg-white/5 space-y-3">
+            <div className="flex items-center gap-2 text-sm font-medium">
+              <Plus size={16} className="text-green-400" />
+              Add a batch
+            </div>
+            <div className="grid sm:grid-cols-4 gap-3">
+              <input
+                type="text"
+                value={newBatch.batch_number}
+                onChange={(e) => setNewBatch({ ...newBatch, batch_number: e.target.value })}
+                placeholder="Batch number"
+                className="glass-input"
+              />
+              <input
+                type="date"
+                value={newBatch.expiry_date}
+                onChange={(e) => setNewBatch({ ...newBatch, expiry_date: e.target.value })}
+                min={today}
+                className="glass-input"
+              />
+              <input
+                type="number"
+                min="0"
+                value={newBatch.quantity}
+                onChange={(e) => setNewBatch({ ...newBatch, quantity: e.target.value })}
+                placeholder="Quantity"
+                className="glass-input"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={newBatch.purchase_price}
+                onChange={(e) => setNewBatch({ ...newBatch, purchase_price: e.target.value })}
+                placeholder="Purchase price"
+                className="glass-input"
+              />
+            </div>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              type="submit"
+              disabled={saving}
+              className="glass-button flex items-center gap-2"
+            >
+              {saving ? <Loader2 size={18} className="animate-spin" /> : <Plus size={18} />}
+              Add Batch
+            </motion.button>
+          </form>
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default MedicineBatches;
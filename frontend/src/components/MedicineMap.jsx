@@ -1,4 +1,4 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   MapPin,
@@ -16,63 +16,58 @@ import {
   Locate,
   ZoomIn,
   ZoomOut,
+  Footprints,
+  Car,
+  Bus,
+  ShieldCheck,
 } from 'lucide-react';
 
-const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
-
-// Load Google Maps Script
-const loadGoogleMapsScript = () => {
-  return new Promise((resolve, reject) => {
-    if (window.google && window.google.maps) {
-      resolve(window.google);
-      return;
-    }
-
-    const existingScript = document.getElementById('google-maps-script');
-    if (existingScript) {
-      existingScript.addEventListener('load', () => resolve(window.google));
-      return;
-    }
-
-    const script = document.createElement('script');
-    script.id = 'google-maps-script';
-    script.src = `https://maps.googleapis.com/maps/api/js?key=${GOOGLE_MAPS_API_KEY}&libraries=places,geometry&callback=initGoogleMaps`;
-    script.async = true;
-    script.defer = true;
-
-    window.initGoogleMaps = () => {
-      resolve(window.google);
-    };
-
-    script.onerror = reject;
-    document.head.appendChild(script);
-  });
-};
-
+import { MAP_PROVIDER, TRAVEL_MODES, externalDirectionsUrl, loadMapProvider } from '../lib/maps';
+import { clusterMarkers } from '../lib/maps/clusterMarkers';
+import { isStoreOpenNow, getOpeningText, getTodaysHoursText } from '../lib/storeHours';
+
+// `stores` are drawn in the order given: markers are numbered 1..n and the
+// first store gets the crown, labelled with `topLabel` (e.g. NEAREST when
+// the list is sorted by distance, CHEAPEST when sorted by price).
+// When `onBoundsChange` is given it is called with the visible area
+// ({ south, west, north, east }) after the user pans or zooms; pass
+// autoFit={false} for stores loaded that way so the map stays put.
+// The map itself is drawn by Google Maps or Leaflet (see lib/maps).
 const MedicineMap = ({ 
   stores = [], 
+  topLabel = 'NEAREST',
+  onBoundsChange = null,
+  autoFit = true,
   selectedMedicine = null, 
   userLocation = null,
   onStoreSelect = () => {},
   selectedStoreId = null,
+  travelMode = 'driving',
   isVisible = true 
 }) => {
   const mapRef = useRef(null);
-  const mapInstanceRef = useRef(null);
-  const markersRef = useRef([]);
-  const userMarkerRef = useRef(null);
-  const directionsRendererRef = useRef(null);
+  const mapHandleRef = useRef(null); // map handle from the active provider (lib/maps)
+  const storeMarkersRef = useRef([]); // every store marker, before clustering
+  const programmaticMoveRef = useRef(true); // set before the map moves itself
+  const onBoundsChangeRef = useRef(onBoundsChange);
+  onBoundsChangeRef.current = onBoundsChange;
+  const [providerName, setProviderName] = useState(MAP_PROVIDER);
+  const [provider, setProvider] = useState(null);
   const [isLoaded, setIsLoaded] = useState(false);
   const [selectedStore, setSelectedStore] = useState(null);
   const [showDirections, setShowDirections] = useState(false);
   const [travelInfo, setTravelInfo] = useState(null);
+  const [routeMode, setRouteMode] = useState(travelMode); // walking / driving / transit
   const [isCalculatingRoute, setIsCalculatingRoute] = useState(false);
 
-  // Normalize userLocation to always use lat/lng format
-  const normalizedUserLocation = userLocation ? {
-    lat: userLocation.lat ?? userLocation.latitude,
-    lng: userLocation.lng ?? userLocation.longitude
-  } : null;
+  // Normalize userLocation to always use lat/lng format. Memoized so the
+  // markers (and the fitted viewport) are only redrawn when it really moves.
+  const userLat = userLocation?.lat ?? userLocation?.latitude;
+  const userLng = userLocation?.lng ?? userLocation?.longitude;
+  const normalizedUserLocation = useMemo(
+    () => (userLat != null && userLng != null ? { lat: userLat, lng: userLng } : null),
+    [userLat, userLng]
+  );
 
   // Helper to normalize store properties (handle both naming conventions)
   const getStoreProps = (store) => ({
@@ -84,156 +79,167 @@ const MedicineMap = ({
     email: store.email || '',
     rating: parseFloat(store.rating) || 4.0,
     totalReviews: store.totalReviews || store.total_reviews || 0,
-    isOpen: store.isOpen ?? store.is_open ?? true,
-    openingHours: store.openingHours || store.opening_hours || '9:00 AM - 9:00 PM',
+    isOpen: store.isOpen ?? isStoreOpenNow(store),
+    isVerified: store.isVerified ?? !!store.is_verified,
+    openingHours: store.openingHours || store.opening_hours || getTodaysHoursText(store),
+    statusText: store.statusText ?? getOpeningText(store), // e.g. 'Opens tomorrow at 9 AM'
     latitude: parseFloat(store.latitude) || 0,
     longitude: parseFloat(store.longitude) || 0,
     distance: store.distance || store.distance_km,
     medicine: store.medicine,
     storeImageUrl: store.storeImageUrl || store.store_image_url,
+    coverage: store.coverage || null, // { matched, total } in basket searches
   });
 
+  // Stores that only cover part of a basket are highlighted in amber
+  const isPartialCoverage = (storeProps) =>
+    !!storeProps.coverage && storeProps.coverage.matched < storeProps.coverage.total;
+
+  // Draw the store markers for the current view: overlapping ones merge into
+  // count bubbles that split as you zoom in, markers well outside the viewport
+  // are left out, and the top-ranked (crowned) store is always shown
+  const renderMarkers = () => {
+    const handle = mapHandleRef.current;
+    if (!handle) return;
+
+    const items = clusterMarkers(storeMarkersRef.current, {
+      bounds: handle.getBounds(),
+      zoom: handle.getZoom(),
+    });
+
+    handle.setMarkers(items.map(({ marker, cluster }) => {
+      if (marker) return marker;
+
+      const size = cluster.members.length < 10 ? 44 : cluster.members.length < 50 ? 52 : 60;
+      return {
+        key: cluster.key,
+        position: cluster.position,
+        iconUrl: createClusterSVG(cluster.members.length, size),
+        size: [size, size],
+        anchor: [size / 2, size / 2],
+        title: `${cluster.members.length} pharmacies - click to zoom in`,
+        zIndex: 500,
+        onClick: () => mapHandleRef.current?.fitBounds(cluster.members.map((member) => member.position)),
+      };
+    }));
+  };
+
+  // Re-cluster after every move, then report the visible area once the user
+  // has finished moving the map; moves the map makes itself (fitting results,
+  // panning to a store) are not reported
+  const handleIdle = (bounds) => {
+    renderMarkers();
+
+    if (programmaticMoveRef.current) {
+      programmaticMoveRef.current = false;
+      return;
+    }
+    if (bounds && onBoundsChangeRef.current) {
+      onBoundsChangeRef.current(bounds);
+    }
+  };
+
   // Initialize map
   useEffect(() => {
     if (!isVisible) return;
 
+    let cancelled = false;
+    let unsubscribeAuthFailure = null;
+
     const initMap = async () => {
       try {
-        await loadGoogleMapsScript();
-        
-        if (!mapRef.current || mapInstanceRef.current) return;
+        const loadedProvider = await loadMapProvider(providerName);
+
+        if (cancelled || !mapRef.current) return;
 
         const defaultCenter = normalizedUserLocation 
           ? { lat: normalizedUserLocation.lat, lng: normalizedUserLocation.lng }
           : { lat: 19.0760, lng: 72.8777 }; // Mumbai default
 
-        const map = new window.google.maps.Map(mapRef.current, {
+        programmaticMoveRef.current = true;
+        mapHandleRef.current = loadedProvider.createMap(mapRef.current, {
           center: defaultCenter,
           zoom: 14,
-          styles: mapStyles,
-          disableDefaultUI: true,
-          zoomControl: false,
-          mapTypeControl: false,
-          streetViewControl: false,
-          fullscreenControl: false,
+          onIdle: handleIdle,
         });
 
-        mapInstanceRef.current = map;
-
-        // Add user location marker
-        if (normalizedUserLocation) {
-          addUserMarker(map, normalizedUserLocation);
-        }
-
-        // Initialize directions renderer
-        directionsRendererRef.current = new window.google.maps.DirectionsRenderer({
-          map,
-          suppressMarkers: true,
-          polylineOptions: {
-            strokeColor: '#8B5CF6',
-            strokeWeight: 5,
-            strokeOpacity: 0.8,
-          },
-        });
+        // An invalid Google key only shows up after loading - switch to OpenStreetMap
+        unsubscribeAuthFailure = loadedProvider.onAuthFailure?.(() => setProviderName('leaflet'));
 
+        setProvider(loadedProvider);
         setIsLoaded(true);
       } catch (error) {
-        console.error('Error loading Google Maps:', error);
+        console.error('Error loading map:', error);
       }
     };
 
     initMap();
 
     return () => {
-      // Cleanup markers
-      markersRef.current.forEach((marker) => marker.setMap(null));
-      markersRef.current = [];
+      cancelled = true;
+      unsubscribeAuthFailure?.();
+      mapHandleRef.current?.destroy();
+      mapHandleRef.current = null;
+      setIsLoaded(false);
+      setShowDirections(false);
+      setTravelInfo(null);
     };
-  }, [isVisible, normalizedUserLocation]);
+  }, [isVisible, providerName]);
 
-  // Add user location marker
-  const addUserMarker = (map, location) => {
-    if (userMarkerRef.current) {
-      userMarkerRef.current.setMap(null);
-    }
-
-    userMarkerRef.current = new window.google.maps.Marker({
-      position: { lat: location.lat, lng: location.lng },
-      map,
-      icon: {
-        path: window.google.maps.SymbolPath.CIRCLE,
-        scale: 12,
-        fillColor: '#3B82F6',
-        fillOpacity: 1,
-        strokeColor: '#ffffff',
-        strokeWeight: 3,
-      },
-      title: 'Your Location',
-      zIndex: 1000,
-    });
-
-    // Add pulse animation div
-    const pulseDiv = document.createElement('div');
-    pulseDiv.className = 'user-pulse-marker';
-  };
+  // Show / move the user location marker
+  useEffect(() => {
+    if (!isLoaded || !mapHandleRef.current) return;
+    mapHandleRef.current.setUserLocation(normalizedUserLocation);
+  }, [isLoaded, normalizedUserLocation]);
 
   // Add store markers
   useEffect(() => {
-    if (!isLoaded || !mapInstanceRef.current) return;
-
-    // Clear existing markers
-    markersRef.current.forEach((marker) => marker.setMap(null));
-    markersRef.current = [];
+    if (!isLoaded || !mapHandleRef.current) return;
 
-    const bounds = new window.google.maps.LatLngBounds();
-
-    stores.forEach((store, index) => {
+    const markers = stores.map((store, index) => {
       const storeProps = getStoreProps(store);
-      const position = { lat: storeProps.latitude, lng: storeProps.longitude };
-      const isNearest = index === 0; // First store is nearest (already sorted by distance)
-
-      // Custom marker with animation - crown for nearest
-      const marker = new window.google.maps.Marker({
-        position,
-        map: mapInstanceRef.current,
-        icon: {
-          url: createCustomMarkerSVG(storeProps.isOpen, index + 1, isNearest),
-          scaledSize: isNearest ? new window.google.maps.Size(65, 90) : new window.google.maps.Size(50, 60),
-          anchor: isNearest ? new window.google.maps.Point(32, 90) : new window.google.maps.Point(25, 60),
-        },
-        animation: window.google.maps.Animation.DROP,
-        title: isNearest ? `👑 NEAREST: ${storeProps.name}` : storeProps.name,
-        zIndex: isNearest ? 1000 : 100 - index, // Nearest on top
-      });
-
-      marker.addListener('click', () => {
-        handleStoreClick(store);
-      });
-
-      // Bounce animation on hover
-      marker.addListener('mouseover', () => {
-        marker.setAnimation(window.google.maps.Animation.BOUNCE);
-        setTimeout(() => marker.setAnimation(null), 750);
-      });
-
-      markersRef.current.push(marker);
-      bounds.extend(position);
+      const isTop = index === 0; // First store ranks best under the current sort
+
+      // Custom marker - crown for the top-ranked store, which is never clustered
+      return {
+        key: `${store.id}:${index}`,
+        pinned: isTop,
+        position: { lat: storeProps.latitude, lng: storeProps.longitude },
+        iconUrl: createCustomMarkerSVG(storeProps.isOpen, index + 1, isTop, isPartialCoverage(storeProps)),
+        size: isTop ? [65, 90] : [50, 60],
+        anchor: isTop ? [32, 90] : [25, 60],
+        title: isTop ? `👑 ${topLabel}: ${storeProps.name}` : storeProps.name,
+        zIndex: isTop ? 1000 : 100 - index, // Top-ranked on top
+        onClick: () => handleStoreClick(store),
+      };
     });
 
-    // Include user location in bounds
-    if (normalizedUserLocation) {
-      bounds.extend({ lat: normalizedUserLocation.lat, lng: normalizedUserLocation.lng });
-    }
+    storeMarkersRef.current = markers;
+    renderMarkers();
+  }, [stores, topLabel, isLoaded]);
+
+  // Fit map to the stores and the user location. Only a different set of
+  // stores refits - re-sorting them or the user moving (live tracking)
+  // leaves the view alone.
+  const storeSetKey = useMemo(
+    () => stores.map((store) => store.id).sort().join(','),
+    [stores]
+  );
 
-    // Fit map to bounds
-    if (stores.length > 0) {
-      mapInstanceRef.current.fitBounds(bounds, { padding: 50 });
+  useEffect(() => {
+    if (!isLoaded || !mapHandleRef.current || stores.length === 0 || !autoFit) return;
+
+    const points = storeMarkersRef.current.map((marker) => marker.position);
+    if (normalizedUserLocation) {
+      points.push(normalizedUserLocation);
     }
-  }, [stores, isLoaded, normalizedUserLocation]);
+    programmaticMoveRef.current = true;
+    mapHandleRef.current.fitBounds(points);
+  }, [storeSetKey, autoFit, isLoaded]);
 
-  // Create custom marker SVG with crown for nearest store
-  const createCustomMarkerSVG = (isOpen, number, isNearest = false) => {
-    const color = isOpen ? '#10B981' : '#EF4444';
+  // Create custom marker SVG with crown for the top-ranked store
+  const createCustomMarkerSVG = (isOpen, number, isNearest = false, isPartial = false) => {
+    const color = !isOpen ? '#EF4444' : isPartial ? '#F59E0B' : '#10B981';
     const size = isNearest ? 65 : 50;
     const viewBox = isNearest ? '0 0 65 75' : '0 0 50 60';
     
@@ -272,6 +278,19 @@ const MedicineMap = ({
     return 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(svg);
   };
 
+  // Count bubble for a cluster of stores
+  const createClusterSVG = (count, size) => {
+    const radius = size / 2;
+    const svg = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+        <circle cx="${radius}" cy="${radius}" r="${radius}" fill="#8B5CF6" fill-opacity="0.3"/>
+        <circle cx="${radius}" cy="${radius}" r="${radius - 6}" fill="#8B5CF6" stroke="white" stroke-width="2"/>
+        <text x="${radius}" y="${radius + 5}" text-anchor="middle" font-size="14" font-weight="bold" fill="white">${count}</text>
+      </svg>
+    `;
+    return 'data:image/svg+xml;charset=UTF-8,' + encodeURIComponent(svg);
+  };
+
   // Handle store click
   const handleStoreClick = (store) => {
     setSelectedStore(store);
@@ -280,36 +299,45 @@ const MedicineMap = ({
     onStoreSelect(store);
 
     // Pan to store
-    if (mapInstanceRef.current) {
-      mapInstanceRef.current.panTo({ lat: store.latitude, lng: store.longitude });
-      mapInstanceRef.current.setZoom(16);
+    if (mapHandleRef.current) {
+      programmaticMoveRef.current = true;
+      mapHandleRef.current.panTo({ lat: store.latitude, lng: store.longitude }, 16);
     }
   };
 
+  // Follow the travel mode chosen on the search page
+  useEffect(() => {
+    setRouteMode(travelMode);
+  }, [travelMode]);
+
+  const storeDirectionsUrl = (store) => {
+    const storeProps = getStoreProps(store);
+    return externalDirectionsUrl(storeProps.latitude, storeProps.longitude, routeMode);
+  };
+
   // Calculate directions
-  const calculateRoute = async () => {
-    if (!normalizedUserLocation || !selectedStore || !mapInstanceRef.current) return;
+  const calculateRoute = async (mode = routeMode) => {
+    if (!normalizedUserLocation || !selectedStore || !mapHandleRef.current) return;
+
+    // Providers without a routing service hand off to Google Maps
+    if (!provider?.supportsRoutes) {
+      window.open(storeDirectionsUrl(selectedStore), '_blank');
+      return;
+    }
 
     setIsCalculatingRoute(true);
     const storeProps = getStoreProps(selectedStore);
 
     try {
-      const directionsService = new window.google.maps.DirectionsService();
-
-      const result = await directionsService.route({
-        origin: { lat: normalizedUserLocation.lat, lng: normalizedUserLocation.lng },
-        destination: { lat: storeProps.latitude, lng: storeProps.longitude },
-        travelMode: window.google.maps.TravelMode.DRIVING,
-      });
+      programmaticMoveRef.current = true;
+      const route = await mapHandleRef.current.showRoute(
+        { lat: normalizedUserLocation.lat, lng: normalizedUserLocation.lng },
+        { lat: storeProps.latitude, lng: storeProps.longitude },
+        mode
+      );
 
-      directionsRendererRef.current.setDirections(result);
       setShowDirections(true);
-
-      const route = result.routes[0].legs[0];
-      setTravelInfo({
-        distance: route.distance.text,
-        duration: route.duration.text,
-      });
+      setTravelInfo({ ...route, mode });
     } catch (error) {
       console.error('Error calculating route:', error);
     } finally {
@@ -319,8 +347,8 @@ const MedicineMap = ({
 
   // Clear directions
   const clearDirections = () => {
-    if (directionsRendererRef.current) {
-      directionsRendererRef.current.setDirections({ routes: [] });
+    if (provider?.supportsRoutes) {
+      mapHandleRef.current?.clearRoute();
     }
     setShowDirections(false);
     setTravelInfo(null);
@@ -328,37 +356,18 @@ const MedicineMap = ({
 
   // Center on user location
   const centerOnUser = () => {
-    if (mapInstanceRef.current && normalizedUserLocation) {
-      mapInstanceRef.current.panTo({ lat: normalizedUserLocation.lat, lng: normalizedUserLocation.lng });
-      mapInstanceRef.current.setZoom(15);
+    if (mapHandleRef.current && normalizedUserLocation) {
+      mapHandleRef.current.panTo({ lat: normalizedUserLocation.lat, lng: normalizedUserLocation.lng }, 15);
     }
   };
 
   // Zoom controls
   const zoomIn = () => {
-    if (mapInstanceRef.current) {
-      mapInstanceRef.current.setZoom(mapInstanceRef.current.getZoom() + 1);
-    }
+    mapHandleRef.current?.zoomBy(1);
   };
 
   const zoomOut = () => {
-    if (mapInstanceRef.current) {
-      mapInstanceRef.current.setZoom(mapInstanceRef.current.getZoom() - 1);
-    }
-  };
-
-  // Calculate distance between two points
-  const calculateDistance = (store) => {
-    if (!normalizedUserLocation || !window.google) return null;
-
-    const from = new window.google.maps.LatLng(normalizedUserLocation.lat, normalizedUserLocation.lng);
-    const to = new window.google.maps.LatLng(store.latitude, store.longitude);
-    const distance = window.google.maps.geometry.spherical.computeDistanceBetween(from, to);
-
-    if (distance < 1000) {
-      return `${Math.round(distance)} m`;
-    }
-    return `${(distance / 1000).toFixed(1)} km`;
+    mapHandleRef.current?.zoomBy(-1);
   };
 
   if (!isVisible) return null;
@@ -366,7 +375,7 @@ const MedicineMap = ({
   return (
     <div className="relative w-full h-full rounded-2xl overflow-hidden">
       {/* Map Container */}
-      <div ref={mapRef} className="w-full h-full" />
+      <div ref={mapRef} className="w-full h-full isolate" />
 
       {/* Loading Overlay */}
       {!isLoaded && (
@@ -442,7 +451,7 @@ const MedicineMap = ({
                 <div className="flex items-start justify-between mb-2">
                   <div className="flex items-center gap-2">
                     <span className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold ${
-                      storeProps.isOpen ? 'bg-green-500' : 'bg-red-500'
+                      !storeProps.isOpen ? 'bg-red-500' : isPartialCoverage(storeProps) ? 'bg-amber-500' : 'bg-green-500'
                     }`}>
                       {index + 1}
                     </span>
@@ -476,6 +485,13 @@ const MedicineMap = ({
                     <Navigation size={12} className="inline mr-1" />
                     {storeProps.distance ? `${storeProps.distance} km` : 'N/A'}
                   </span>
+                  {storeProps.coverage && (
+                    <span className={`text-xs font-medium ${
+                      isPartialCoverage(storeProps) ? 'text-amber-400' : 'text-green-400'
+                    }`}>
+                      {storeProps.coverage.matched}/{storeProps.coverage.total} items
+                    </span>
+                  )}
                   <ChevronRight size={16} className="text-white/50" />
                 </div>
               </motion.div>
@@ -507,10 +523,20 @@ const MedicineMap = ({
                     <MapPin size={24} className="text-white" />
                   </div>
                   <div>
-                    <h3 className="font-semibold text-white">{storeProps.name}</h3>
+                    <h3 className="font-semibold text-white flex items-center gap-1.5">
+                      {storeProps.name}
+                      {storeProps.isVerified && (
+                        <span title="Verified pharmacy" className="flex-shrink-0">
+                          <ShieldCheck size={16} className="text-green-400" />
+                        </span>
+                      )}
+                    </h3>
                     <div className="flex items-center gap-2 text-xs">
                       <span className={storeProps.isOpen ? 'text-green-400' : 'text-red-400'}>
                         {storeProps.isOpen ? '● Open Now' : '● Closed'}
+                        {storeProps.statusText && (
+                          <span className="text-white/50"> · {storeProps.statusText}</span>
+                        )}
                       </span>
                       {storeProps.rating && (
                         <>
@@ -595,18 +621,39 @@ const MedicineMap = ({
                       <strong className="text-white">{travelInfo.distance}</strong> distance
                     </span>
                     <span className="text-white/70">
-                      <strong className="text-white">{travelInfo.duration}</strong> drive
+                      <strong className="text-white">{travelInfo.duration}</strong>{' '}
+                      {TRAVEL_MODES.find(option => option.value === travelInfo.mode)?.verb}
                     </span>
                   </div>
                 </motion.div>
               )}
 
+              {/* Travel Mode */}
+              <div className="flex gap-1 p-1 rounded-xl bg-white/5">
+                {TRAVEL_MODES.map(({ value, label }) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => {
+                      setRouteMode(value);
+                      if (showDirections) calculateRoute(value);
+                    }}
+                    className={`flex-1 py-1.5 rounded-lg flex items-center justify-center gap-1.5 text-xs transition-all ${
+                      routeMode === value ? 'bg-primary-500 text-white' : 'text-white/60 hover:text-white'
+                    }`}
+                  >
+                    {value === 'walking' ? <Footprints size={14} /> : value === 'transit' ? <Bus size={14} /> : <Car size={14} />}
+                    {label}
+                  </button>
+                ))}
+              </div>
+
               {/* Action Buttons */}
               <div className="flex gap-2 pt-2">
                 <motion.button
                   whileHover={{ scale: 1.02 }}
                   whileTap={{ scale: 0.98 }}
-                  onClick={calculateRoute}
+                  onClick={() => calculateRoute()}
                   disabled={!userLocation || isCalculatingRoute}
                   className="flex-1 py-2.5 px-4 rounded-xl bg-gradient-to-r from-primary-500 to-purple-600 text-white text-sm font-medium flex items-center justify-center gap-2 disabled:opacity-50"
                 >
@@ -618,7 +665,7 @@ const MedicineMap = ({
                   Get Directions
                 </motion.button>
                 <motion.a
-                  href={`https://www.google.com/maps/dir/?api=1&destination=${getStoreProps(selectedStore).latitude},${getStoreProps(selectedStore).longitude}`}
+                  href={storeDirectionsUrl(selectedStore)}
                   target="_blank"
                   rel="noopener noreferrer"
                   whileHover={{ scale: 1.02 }}
@@ -652,71 +699,4 @@ const MedicineMap = ({
   );
 };
 
-// Dark map styles for better visibility
-const mapStyles = [
-  { elementType: 'geometry', stylers: [{ color: '#1a1a2e' }] },
-  { elementType: 'labels.text.stroke', stylers: [{ color: '#1a1a2e' }] },
-  { elementType: 'labels.text.fill', stylers: [{ color: '#8b8b8b' }] },
-  {
-    featureType: 'administrative',
-    elementType: 'geometry.stroke',
-    stylers: [{ color: '#2d2d44' }],
-  },
-  {
-    featureType: 'administrative.land_parcel',
-    elementType: 'labels.text.fill',
-    stylers: [{ color: '#64748b' }],
-  },
-  {
-    featureType: 'poi',
-    elementType: 'geometry',
-    stylers: [{ color: '#1e1e32' }],
-  },
-  {
-    featureType: 'poi',
-    elementType: 'labels.text.fill',
-    stylers: [{ color: '#64748b' }],
-  },
-  {
-    featureType: 'poi.park',
-    elementType: 'geometry.fill',
-    stylers: [{ color: '#1a2e1a' }],
-  },
-  {
-    featureType: 'road',
-    elementType: 'geometry',
-    stylers: [{ color: '#2d2d44' }],
-  },
-  {
-    featureType: 'road',
-    elementType: 'geometry.stroke',
-    stylers: [{ color: '#1a1a2e' }],
-  },
-  {
-    featureType: 'road.highway',
-    elementType: 'geometry',
-    stylers: [{ color: '#3d3d5c' }],
-  },
-  {
-    featureType: 'road.highway',
-    elementType: 'geometry.stroke',
-    stylers: [{ color: '#1a1a2e' }],
-  },
-  {
-    featureType: 'transit',
-    elementType: 'geometry',
-    stylers: [{ color: '#2d2d44' }],
-  },
-  {
-    featureType: 'water',
-    elementType: 'geometry',
-    stylers: [{ color: '#0e1626' }],
-  },
-  {
-    featureType: 'water',
-    elementType: 'labels.text.fill',
-    stylers: [{ color: '#4a5568' }],
-  },
-];
-
 export default MedicineMap;
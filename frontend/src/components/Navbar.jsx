@@ -13,6 +13,10 @@ import {
   LayoutDashboard,
   Heart,
   Bell,
+  ShieldCheck,
+  Tags,
+  Users,
+  MessageSquare,
 } from 'lucide-react';
 import useAuthStore from '../store/authStore';
 import toast from 'react-hot-toast';
@@ -46,7 +50,16 @@ const Navbar = () => {
     { path: '/retailer/inventory', label: 'Inventory', icon: Package },
   ];
 
-  const navLinks = profile?.role === 'retailer' ? retailerLinks : customerLinks;
+  const adminLinks = [
+    { path: '/admin', label: 'Overview', icon: LayoutDashboard },
+    { path: '/admin/verifications', label: 'Verification', icon: ShieldCheck },
+    { path: '/admin/categories', label: 'Categories', icon: Tags },
+    { path: '/admin/users', label: 'Users', icon: Users },
+    { path: '/admin/reviews', label: 'Reviews', icon: MessageSquare },
+  ];
+
+  const navLinks =
+    profile?.role === 'admin' ? adminLinks : profile?.role === 'retailer' ? retailerLinks : customerLinks;
 
   return (
     <nav className="fixed top-0 left-0 right-0 z-50 glass border-b border-white/10">
@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react';
+import { MapPin, Plus, Trash2, Loader2, Crosshair, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+import useAuthStore from '../store/authStore';
+import useLocationStore from '../store/locationStore';
+import { searchPlaces } from '../lib/gazetteer';
+import { SAVED_PLACE_PRESETS, savedPlaceIcon } from './LocationPicker';
+
+// Profile card for the places a user searches from besides where they are -
+// their own home and work, or a relative's house
+const SavedPlacesManager = () => {
+  const { user } = useAuthStore();
+  const { savedPlaces, loadSavedPlaces, addSavedPlace, removeSavedPlace, getUserLocation } = useLocationStore();
+  const [adding, setAdding] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [label, setLabel] = useState('');
+  const [placeQuery, setPlaceQuery] = useState('');
+  const [location, setLocation] = useState(null); // { placeName, latitude, longitude }
+  const [found, setFound] = useState({ query: '', places: [] }); // Matches and the query they are for
+
+  useEffect(() => {
+    loadSavedPlaces(user?.id);
+  }, [user?.id]);
+
+  useEffect(() => {
+    let current = true;
+    searchPlaces(placeQuery, 4).then((places) => {
+      if (current) setFound({ query: placeQuery, places });
+    });
+    return () => {
+      current = false;
+    };
+  }, [placeQuery]);
+
+  const matches = location || found.query !== placeQuery ? [] : found.places;
+
+  const resetForm = () => {
+    setAdding(false);
+    setLabel('');
+    setPlaceQuery('');
+    setLocation(null);
+  };
+
+  const useCurrentLocation = async () => {
+    try {
+      const current = await getUserLocation();
+      setLocation({ placeName: 'Pinned on GPS', latitude: current.lat, longitude: current.lng });
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!label.trim() || !location) {
+      toast.error('Give the place a name and pick where it is');
+      return;
+    }
+
+    setSaving(true);
+    const { error } = await addSavedPlace(user.id, { label: label.trim(), ...location });
+    setSaving(false);
+
+    if (error) {
+      toast.error('Failed to save place');
+      return;
+    }
+    toast.success(`${label.trim()} saved`);
+    resetForm();
+  };
+
+  const handleDelete = async (place) => {
+    const { error } = await removeSavedPlace(place.id);
+    if (error) {
+      toast.error('Failed to remove place');
+    } else {
+      toast.success(`${place.label} removed`);
+    }
+  };
+
+  return (
+    <div className="glass-card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          <MapPin size={20} />
+          Saved Places
+        </h2>
+        {!adding && (
+          <button
+            onClick={() => setAdding(true)}
+            className="glass-button-secondary text-sm flex items-center gap-2"
+          >
+            <Plus size={16} />
+            <span>Add</span>
+          </button>
+        )}
+      </div>
+
+      {savedPlaces.length === 0 && !adding && (
+        <p className="text-sm text-white/50">
+          Save places like your parents' house to find medicine near them in one tap from search.
+        </p>
+      )}
+
+      <div className="space-y-2">
+        {savedPlaces.map((place) => {
+          const Icon = savedPlaceIcon(place.label);
+          return (
+            <div key={place.id} className="flex items-center gap-3 p-3 rounded-xl bg-white/5">
+              <div className="w-9 h-9 rounded-lg bg-primary-500/20 flex items-center justify-center flex-shrink-0">
+                <Icon size={16} className="text-primary-400" />
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="font-medium">{place.label}</p>
+                <p className="text-sm text-white/50 truncate">{place.place_name}</p>
+              </div>
+              <button
+                onClick={() => handleDelete(place)}
+                className="p-2 rounded-lg text-white/40 hover:text-red-400 hover:bg-red-500/10 transition-colors"
+                title={`Remove ${place.label}`}
+              >
+                <Trash2 size={16} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      {adding && (
+        <form onSubmit={handleSave} className="mt-4 space-y-3">
+          <div>
+            <label className="block text-sm text-white/70 mb-2">Name</label>
+            <div className="flex flex-wrap gap-2 mb-2">
+              {SAVED_PLACE_PRESETS.map(({ label: preset, icon: Icon }) => (
+                <button
+                  key={preset}
+                  type="button"
+                  onClick={() => setLabel(preset)}
+                  className={`px-3 py-1 rounded-full text-xs border flex items-center gap-1.5 transition-all ${
+                    label === preset
+                      ? 'bg-primary-500 border-primary-500 text-white'
+                      : 'bg-white/5 border-white/10 text-white/60 hover:text-white'
+                  }`}
+                >
+                  <Icon size={12} />
+                  {preset}
+                </button>
+              ))}
+            </div>
+            <input
+              type="text"
+              value={label}
+              onChange={(e) => setLabel(e.target.value)}
+              maxLength={50}
+              placeholder="e.g. Grandma's flat"
+              className="glass-input"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm text-white/70 mb-2">Location</label>
+            {location ? (
+              <div className="flex items-center justify-between p-3 rounded-xl bg-white/5">
+                <span className="flex items-center gap-2 text-sm">
+                  <Check size={16} className="text-green-400" />
+                  {location.placeName}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setLocation(null)}
+                  className="text-xs text-white/50 hover:text-white"
+                >
+                  Change
+                </button>
+              </div>
+            ) : (
+              <>
+                <input
+                  type="text"
+                  value={placeQuery}
+                  onChange={(e) => setPlaceQuery(e.target.value)}
+                  placeholder="City, locality or 6-digit pincode"
+                  className="glass-input"
+                />
+                {matches.map((place) => (
+                  <button
+                    key={`${place.label}-${place.pincode}`}
+                    type="button"
+                    onClick={() => setLocation({ placeName: place.label, latitude: place.lat, longitude: place.lng })}
+                    className="w-full mt-1 px-3 py-2 rounded-lg text-left text-sm hover:bg-white/10 transition-colors"
+                  >
+                    {place.label}
+                    <span className="text-white/40"> · {place.pincode}</span>
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  onClick={useCurrentLocation}
+                  className="mt-2 flex items-center gap-2 text-sm text-primary-400 hover:text-primary-300"
+                >
+                  <Crosshair size={14} />
+                  I'm there now - use my current location
+                </button>
+              </>
+            )}
+          </div>
+
+          <div className="flex gap-3 pt-2">
+            <button
+              type="button"
+              onClick={resetForm}
+              className="flex-1 glass-button-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 glass-button flex items-center justify-center gap-2"
+            >
+              {saving ? <Loader2 size={18} className="animate-spin" /> : 'Save Place'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default SavedPlacesManager;
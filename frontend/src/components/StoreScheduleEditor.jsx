@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import { Plus, X, Copy, CalendarOff } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { WEEKDAYS } from '../lib/storeHours';
+
+const NEW_INTERVAL = { open: '09:00', close: '21:00' };
+
+// 'HH:MM' moved on by `minutes`, wrapping at midnight
+const addMinutes = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = (hours * 60 + mins + minutes) % (24 * 60);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// 'YYYY-MM-DD' -> "1 Nov 2026"
+const formatDate = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' });
+
+// Store form section for opening hours: any number of intervals per weekday
+// (lunch breaks, late nights past midnight, closed days) and one-off
+// closures such as festivals. Works on the stores.weekly_hours and
+// stores.closures shapes described in lib/storeHours.js.
+const StoreScheduleEditor = ({ weeklyHours, closures, onWeeklyHoursChange, onClosuresChange }) => {
+  const [closureForm, setClosureForm] = useState({ from: '', to: '', reason: '' });
+
+  const setDay = (dayKey, intervals) => onWeeklyHoursChange({ ...weeklyHours, [dayKey]: intervals });
+
+  const updateInterval = (dayKey, index, field, value) =>
+    setDay(dayKey, weeklyHours[dayKey].map((interval, i) => (i === index ? { ...interval, [field]: value } : interval)));
+
+  const addInterval = (dayKey) => {
+    const intervals = weeklyHours[dayKey] || [];
+    const last = intervals[intervals.length - 1];
+    // Start an hour after the last interval ends, e.g. the afternoon after a lunch break
+    const next = last
+      ? { open: addMinutes(last.close, 60), close: addMinutes(last.close, 240) }
+      : NEW_INTERVAL;
+    setDay(dayKey, [...intervals, next]);
+  };
+
+  const removeInterval = (dayKey, index) =>
+    setDay(dayKey, weeklyHours[dayKey].filter((_, i) => i !== index));
+
+  const copyMondayToAll = () => {
+    const monday = weeklyHours.mon || [];
+    onWeeklyHoursChange(Object.fromEntries(WEEKDAYS.map(({ key }) => [key, monday.map((interval) => ({ ...interval }))])));
+    toast.success("Monday's hours copied to every day");
+  };
+
+  const addClosure = () => {
+    const { from, to, reason } = closureForm;
+    if (!from) {
+      toast.error('Pick the first day the store is closed');
+      return;
+    }
+    if (to && to < from) {
+      toast.error('The last day must be on or after the first day');
+      return;
+    }
+    const closure = { from, ...(to && to !== from ? { to } : {}), ...(reason.trim() ? { reason: reason.trim() } : {}) };
+    onClosuresChange([...closures, closure].sort((a, b) => a.from.localeCompare(b.from)));
+    setClosureForm({ from: '', to: '', reason: '' });
+  };
+
+  const removeClosure = (index) => onClosuresChange(closures.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-4">
+      {/* Weekly hours */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <label className="block text-sm font-medium">Opening Hours</label>
+          <button
+            type="button"
+            onClick={copyMondayToAll}
+            className="flex items-center gap-1 text-xs text-primary-400 hover:text-primary-300"
+          >
+            <Copy size={12} />
+            Copy Monday to all days
+          </button>
+        </div>
+
+        <div className="space-y-2">
+          {WEEKDAYS.map(({ key, label }) => {
+            const intervals = weeklyHours[key] || [];
+            const closed = intervals.length === 0;
+            return (
+              <div key={key} className="flex flex-wrap items-start gap-3 p-3 rounded-xl bg-white/5">
+                <div className="w-24 flex-shrink-0 pt-2">
+                  <p className="text-sm font-medium">{label}</p>
+                  <label className="flex items-center gap-1.5 text-xs text-white/50 mt-1 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={closed}
+                      onChange={(e) => setDay(key, e.target.checked ? [] : [NEW_INTERVAL])}
+                      className="w-3.5 h-3.5 rounded"
+                    />
+                    Closed
+                  </label>
+                </div>
+
+                {!closed && (
+                  <div className="flex-1 space-y-2">
+                    {intervals.map((interval, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <input
+                          type="time"
+                          value={interval.open}
+                          onChange={(e) => updateInterval(key, index, 'open', e.target.value)}
+                          className="glass-input h-9 text-sm"
+                          required
+                        />
+                        <span className="text-white/40 text-sm">to</span>
+                        <input
+                          type="time"
+                          value={interval.close}
+                          onChange={(e) => updateInterval(key, index, 'close', e.target.value)}
+                          className="glass-input h-9 text-sm"
+                          required
+                        />
+                        {intervals.length > 1 && (
+                          <button
+                            type="button"
+                            onClick={() => removeInterval(key, index)}
+                            className="p-1.5 rounded-lg text-white/40 hover:text-red-400 hover:bg-red-500/10"
+                            title="Remove these hours"
+                          >
+                            <X size={14} />
+                          </button>
+                        )}
+                      </div>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => addInterval(key)}
+                      className="flex items-center gap-1 text-xs text-white/50 hover:text-white"
+                    >
+                      <Plus size={12} />
+                      Add hours (e.g. after a lunch break)
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+        <p className="text-xs text-white/50 mt-2">
+          Hours that close earlier than they open run past midnight. Use 00:00 to 00:00 for 24 hours.
+        </p>
+      </div>
+
+      {/* Holidays and other closures */}
+      <div>
+        <label className="block text-sm font-medium mb-2">Holidays & Closures</label>
+
+        {closures.length > 0 && (
+          <div className="space-y-2 mb-3">
+            {closures.map((closure, index) => (
+              <div key={`${closure.from}-${index}`} className="flex items-center gap-3 p-3 rounded-xl bg-white/5">
+                <CalendarOff size={16} className="text-red-400 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm">
+                    {formatDate(closure.from)}
+                    {closure.to && ` - ${formatDate(closure.to)}`}
+                  </p>
+                  {closure.reason && <p className="text-xs text-white/50 truncate">{closure.reason}</p>}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => removeClosure(index)}
+                  className="p-1.5 rounded-lg text-white/40 hover:text-red-400 hover:bg-red-500/10"
+                  title="Remove closure"
+                >
+                  <X size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="grid sm:grid-cols-3 gap-2">
+          <input
+            type="date"
+            value={closureForm.from}
+            onChange={(e) => setClosureForm({ ...closureForm, from: e.target.value })}
+            className="glass-input h-10 text-sm"
+            title="First day closed"
+          />
+          <input
+            type="date"
+            value={closureForm.to}
+            min={closureForm.from || undefined}
+            onChange={(e) => setClosureForm({ ...closureForm, to: e.target.value })}
+            className="glass-input h-10 text-sm"
+            title="Last day closed (optional)"
+          />
+          <input
+            type="text"
+            value={closureForm.reason}
+            onChange={(e) => setClosureForm({ ...closureForm, reason: e.target.value })}
+            maxLength={60}
+            placeholder="Reason, e.g. Diwali"
+            className="glass-input h-10 text-sm"
+          />
+        </div>
+        <button
+          type="button"
+          onClick={addClosure}
+          className="mt-2 glass-button-secondary text-sm flex items-center gap-2"
+        >
+          <Plus size={14} />
+          Add Closure
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StoreScheduleEditor;
@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { ShieldCheck, ShieldAlert, Clock, Upload, Loader2, FileText } from 'lucide-react';
+import toast from 'react-hot-toast';
+import useAuthStore from '../store/authStore';
+import { submitStoreVerification } from '../lib/supabase';
+
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+
+// Store card section for getting a pharmacy verified: shows where the latest
+// request stands and lets the owner send their drug license for review.
+// `request` is the store's newest store_verification_requests row, if any.
+const StoreVerificationPanel = ({ store, request, onSubmitted }) => {
+  const { user } = useAuthStore();
+  const [open, setOpen] = useState(false);
+  const [licenseNumber, setLicenseNumber] = useState(store.license_number || '');
+  const [licenseFile, setLicenseFile] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleDocumentChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (file.size > MAX_DOCUMENT_SIZE) {
+      toast.error('Document must be less than 10MB');
+      return;
+    }
+    setLicenseFile(file);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!licenseNumber.trim() || !licenseFile) {
+      toast.error('Enter the license number and attach the license');
+      return;
+    }
+
+    setSubmitting(true);
+    const { data, error } = await submitStoreVerification(user.id, store.id, licenseNumber.trim(), licenseFile);
+    setSubmitting(false);
+
+    if (error) {
+      toast.error('Failed to submit for verification');
+      return;
+    }
+    toast.success('Submitted - we will review your license shortly');
+    setOpen(false);
+    setLicenseFile(null);
+    onSubmitted?.(data);
+  };
+
+  if (store.is_verified) {
+    return (
+      <div className="mt-3 flex items-center gap-2 text-sm text-green-400">
+        <ShieldCheck size={16} />
+        Verified pharmacy
+      </div>
+    );
+  }
+
+  if (request?.status === 'pending') {
+    return (
+      <div className="mt-3 flex items-center gap-2 text-sm text-amber-300">
+        <Clock size={16} />
+        Verification under review
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-3">
+      {request?.status === 'rejected' ? (
+        <div className="flex items-start gap-2 text-sm text-red-400">
+          <ShieldAlert size={16} className="mt-0.5 flex-shrink-0" />
+          <span>
+            Verification rejected: {request.rejection_reason}
+          </span>
+        </div>
+      ) : (
+        <div className="flex items-center gap-2 text-sm text-white/50">
+          <ShieldAlert size={16} />
+          Not verified yet
+        </div>
+      )}
+
+      {!open ? (
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          className="mt-2 text-sm text-primary-400 hover:text-primary-300"
+        >
+          {request?.status === 'rejected' ? 'Submit again' : 'Get verified'}
+        </button>
+      ) : (
+        <form onSubmit={handleSubmit} className="mt-3 space-y-3 p-3 rounded-xl bg-white/5">
+          <div>
+            <label className="block text-xs text-white/70 mb-1">Drug license number</label>
+            <input
+              type="text"
+              value={licenseNumber}
+              onChange={(e) => setLicenseNumber(e.target.value)}
+              maxLength={100}
+              className="glass-input h-10 text-sm"
+              placeholder="DL-XXXX-XXXX"
+            />
+          </div>
+          <label className="flex items-center gap-2 text-sm text-white/70 cursor-pointer hover:text-white">
+            <input
+              type="file"
+              accept="application/pdf,image/*"
+              onChange={handleDocumentChange}
+              className="hidden"
+            />
+            {licenseFile ? <FileText size={16} className="text-green-400" /> : <Upload size={16} />}
+            <span className="truncate">{licenseFile ? licenseFile.name : 'Attach license (PDF or photo)'}</span>
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setOpen(false)}
+              className="flex-1 glass-button-secondary text-sm py-2"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className="flex-1 glass-button text-sm py-2 flex items-center justify-center"
+            >
+              {submitting ? <Loader2 size={16} className="animate-spin" /> : 'Submit'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default StoreVerificationPanel;
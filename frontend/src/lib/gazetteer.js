@@ -0,0 +1,358 @@
+// Offline place lookup for the location picker.
+//
+// A bundled list of Indian cities and the main localities of the metros, so
+// a location can be set by name without a geocoding service, plus the full
+// pincode directory (data/pincodes/) for pincodes. A 6-digit pincode
+// missing from the directory resolves to the one in the same postal sorting
+// district (same first three digits) with the closest pincode.
+
+// [name, city, state, pincode, lat, lng] - name === city for the city itself
+const PLACES = [
+  // Mumbai & around
+  ['Mumbai', 'Mumbai', 'Maharashtra', '400001', 18.9388, 72.8354],
+  ['Colaba', 'Mumbai', 'Maharashtra', '400005', 18.9067, 72.8147],
+  ['Dadar', 'Mumbai', 'Maharashtra', '400014', 19.0178, 72.8478],
+  ['Bandra West', 'Mumbai', 'Maharashtra', '400050', 19.0596, 72.8295],
+  ['Andheri West', 'Mumbai', 'Maharashtra', '400058', 19.1364, 72.8296],
+  ['Malad West', 'Mumbai', 'Maharashtra', '400064', 19.1874, 72.8484],
+  ['Chembur', 'Mumbai', 'Maharashtra', '400071', 19.0522, 72.9005],
+  ['Powai', 'Mumbai', 'Maharashtra', '400076', 19.1176, 72.9060],
+  ['Ghatkopar', 'Mumbai', 'Maharashtra', '400077', 19.0790, 72.9080],
+  ['Borivali West', 'Mumbai', 'Maharashtra', '400092', 19.2307, 72.8567],
+  ['Thane', 'Thane', 'Maharashtra', '400601', 19.1972, 72.9722],
+  ['Vashi', 'Navi Mumbai', 'Maharashtra', '400703', 19.0771, 72.9986],
+
+  // Delhi NCR
+  ['New Delhi', 'New Delhi', 'Delhi', '110001', 28.6315, 77.2167],
+  ['Connaught Place', 'New Delhi', 'Delhi', '110001', 28.6315, 77.2167],
+  ['Karol Bagh', 'New Delhi', 'Delhi', '110005', 28.6519, 77.1909],
+  ['Chandni Chowk', 'New Delhi', 'Delhi', '110006', 28.6506, 77.2303],
+  ['Saket', 'New Delhi', 'Delhi', '110017', 28.5245, 77.2066],
+  ['Lajpat Nagar', 'New Delhi', 'Delhi', '110024', 28.5677, 77.2433],
+  ['Janakpuri', 'New Delhi', 'Delhi', '110058', 28.6219, 77.0878],
+  ['Vasant Kunj', 'New Delhi', 'Delhi', '110070', 28.5200, 77.1590],
+  ['Dwarka', 'New Delhi', 'Delhi', '110075', 28.5921, 77.0460],
+  ['Rohini', 'New Delhi', 'Delhi', '110085', 28.7383, 77.0822],
+  ['Mayur Vihar', 'New Delhi', 'Delhi', '110091', 28.6090, 77.2940],
+  ['Gurugram', 'Gurugram', 'Haryana', '122001', 28.4595, 77.0266],
+  ['Faridabad', 'Faridabad', 'Haryana', '121001', 28.4089, 77.3178],
+  ['Noida', 'Noida', 'Uttar Pradesh', '201301', 28.5355, 77.3910],
+  ['Ghaziabad', 'Ghaziabad', 'Uttar Pradesh', '201001', 28.6692, 77.4538],
+
+  // Bengaluru
+  ['Bengaluru', 'Bengaluru', 'Karnataka', '560001', 12.9716, 77.5946],
+  ['Malleshwaram', 'Bengaluru', 'Karnataka', '560003', 13.0031, 77.5643],
+  ['Koramangala', 'Bengaluru', 'Karnataka', '560034', 12.9352, 77.6245],
+  ['Marathahalli', 'Bengaluru', 'Karnataka', '560037', 12.9591, 77.6974],
+  ['Indiranagar', 'Bengaluru', 'Karnataka', '560038', 12.9784, 77.6408],
+  ['Jayanagar', 'Bengaluru', 'Karnataka', '560041', 12.9250, 77.5938],
+  ['Yelahanka', 'Bengaluru', 'Karnataka', '560064', 13.1007, 77.5963],
+  ['Whitefield', 'Bengaluru', 'Karnataka', '560066', 12.9698, 77.7500],
+  ['BTM Layout', 'Bengaluru', 'Karnataka', '560076', 12.9166, 77.6101],
+  ['Electronic City', 'Bengaluru', 'Karnataka', '560100', 12.8452, 77.6602],
+  ['HSR Layout', 'Bengaluru', 'Karnataka', '560102', 12.9121, 77.6446],
+
+  // Chennai
+  ['Chennai', 'Chennai', 'Tamil Nadu', '600001', 13.0827, 80.2707],
+  ['Mylapore', 'Chennai', 'Tamil Nadu', '600004', 13.0368, 80.2676],
+  ['T. Nagar', 'Chennai', 'Tamil Nadu', '600017', 13.0418, 80.2341],
+  ['Adyar', 'Chennai', 'Tamil Nadu', '600020', 13.0012, 80.2565],
+  ['Anna Nagar', 'Chennai', 'Tamil Nadu', '600040', 13.0850, 80.2101],
+  ['Velachery', 'Chennai', 'Tamil Nadu', '600042', 12.9815, 80.2180],
+  ['Tambaram', 'Chennai', 'Tamil Nadu', '600045', 12.9249, 80.1000],
+  ['Porur', 'Chennai', 'Tamil Nadu', '600116', 13.0382, 80.1565],
+
+  // Kolkata
+  ['Kolkata', 'Kolkata', 'West Bengal', '700001', 22.5726, 88.3639],
+  ['Park Street', 'Kolkata', 'West Bengal', '700016', 22.5535, 88.3520],
+  ['Ballygunge', 'Kolkata', 'West Bengal', '700019', 22.5260, 88.3650],
+  ['Dum Dum', 'Kolkata', 'West Bengal', '700028', 22.6200, 88.4200],
+  ['Behala', 'Kolkata', 'West Bengal', '700034', 22.4986, 88.3107],
+  ['Salt Lake', 'Kolkata', 'West Bengal', '700091', 22.5800, 88.4150],
+  ['New Town', 'Kolkata', 'West Bengal', '700156', 22.5958, 88.4795],
+  ['Howrah', 'Howrah', 'West Bengal', '711101', 22.5958, 88.2636],
+
+  // Hyderabad
+  ['Hyderabad', 'Hyderabad', 'Telangana', '500001', 17.3850, 78.4867],
+  ['Secunderabad', 'Hyderabad', 'Telangana', '500003', 17.4399, 78.4983],
+  ['Ameerpet', 'Hyderabad', 'Telangana', '500016', 17.4375, 78.4482],
+  ['Gachibowli', 'Hyderabad', 'Telangana', '500032', 17.4401, 78.3489],
+  ['Jubilee Hills', 'Hyderabad', 'Telangana', '500033', 17.4326, 78.4071],
+  ['Banjara Hills', 'Hyderabad', 'Telangana', '500034', 17.4156, 78.4347],
+  ['Dilsukhnagar', 'Hyderabad', 'Telangana', '500060', 17.3688, 78.5247],
+  ['Kukatpally', 'Hyderabad', 'Telangana', '500072', 17.4849, 78.4138],
+  ['Madhapur', 'Hyderabad', 'Telangana', '500081', 17.4486, 78.3908],
+
+  // Pune
+  ['Pune', 'Pune', 'Maharashtra', '411001', 18.5204, 73.8567],
+  ['Shivajinagar', 'Pune', 'Maharashtra', '411005', 18.5308, 73.8475],
+  ['Viman Nagar', 'Pune', 'Maharashtra', '411014', 18.5679, 73.9143],
+  ['Pimpri-Chinchwad', 'Pune', 'Maharashtra', '411018', 18.6298, 73.7997],
+  ['Hadapsar', 'Pune', 'Maharashtra', '411028', 18.5089, 73.9260],
+  ['Kothrud', 'Pune', 'Maharashtra', '411038', 18.5074, 73.8077],
+  ['Baner', 'Pune', 'Maharashtra', '411045', 18.5590, 73.7868],
+  ['Hinjewadi', 'Pune', 'Maharashtra', '411057', 18.5912, 73.7389],
+
+  // Ahmedabad
+  ['Ahmedabad', 'Ahmedabad', 'Gujarat', '380001', 23.0225, 72.5714],
+  ['Maninagar', 'Ahmedabad', 'Gujarat', '380008', 22.9962, 72.6029],
+  ['Navrangpura', 'Ahmedabad', 'Gujarat', '380009', 23.0365, 72.5611],
+  ['Satellite', 'Ahmedabad', 'Gujarat', '380015', 23.0300, 72.5170],
+  ['Bopal', 'Ahmedabad', 'Gujarat', '380058', 23.0333, 72.4633],
+
+  // Other cities
+  ['Agartala', 'Agartala', 'Tripura', '799001', 23.8315, 91.2868],
+  ['Agra', 'Agra', 'Uttar Pradesh', '282001', 27.1767, 78.0081],
+  ['Aizawl', 'Aizawl', 'Mizoram', '796001', 23.7271, 92.7176],
+  ['Ajmer', 'Ajmer', 'Rajasthan', '305001', 26.4499, 74.6399],
+  ['Aligarh', 'Aligarh', 'Uttar Pradesh', '202001', 27.8974, 78.0880],
+  ['Amravati', 'Amravati', 'Maharashtra', '444601', 20.9374, 77.7796],
+  ['Amritsar', 'Amritsar', 'Punjab', '143001', 31.6340, 74.8723],
+  ['Anand', 'Anand', 'Gujarat', '388001', 22.5645, 72.9289],
+  ['Asansol', 'Asansol', 'West Bengal', '713301', 23.6739, 86.9524],
+  ['Aurangabad', 'Aurangabad', 'Maharashtra', '431001', 19.8762, 75.3433],
+  ['Ballari', 'Ballari', 'Karnataka', '583101', 15.1394, 76.9214],
+  ['Bareilly', 'Bareilly', 'Uttar Pradesh', '243001', 28.3670, 79.4304],
+  ['Belagavi', 'Belagavi', 'Karnataka', '590001', 15.8497, 74.4977],
+  ['Bhagalpur', 'Bhagalpur', 'Bihar', '812001', 25.2425, 86.9842],
+  ['Bhavnagar', 'Bhavnagar', 'Gujarat', '364001', 21.7645, 72.1519],
+  ['Bhopal', 'Bhopal', 'Madhya Pradesh', '462001', 23.2599, 77.4126],
+  ['Bhubaneswar', 'Bhubaneswar', 'Odisha', '751001', 20.2961, 85.8245],
+  ['Bikaner', 'Bikaner', 'Rajasthan', '334001', 28.0229, 73.3119],
+  ['Bilaspur', 'Bilaspur', 'Chhattisgarh', '495001', 22.0797, 82.1409],
+  ['Chandigarh', 'Chandigarh', 'Chandigarh', '160017', 30.7333, 76.7794],
+  ['Coimbatore', 'Coimbatore', 'Tamil Nadu', '641001', 11.0168, 76.9558],
+  ['Cuttack', 'Cuttack', 'Odisha', '753001', 20.4625, 85.8830],
+  ['Davanagere', 'Davanagere', 'Karnataka', '577001', 14.4644, 75.9218],
+  ['Dehradun', 'Dehradun', 'Uttarakhand', '248001', 30.3165, 78.0322],
+  ['Dhanbad', 'Dhanbad', 'Jharkhand', '826001', 23.7957, 86.4304],
+  ['Durgapur', 'Durgapur', 'West Bengal', '713201', 23.5204, 87.3119],
+  ['Erode', 'Erode', 'Tamil Nadu', '638001', 11.3410, 77.7172],
+  ['Gandhinagar', 'Gandhinagar', 'Gujarat', '382010', 23.2156, 72.6369],
+  ['Gangtok', 'Gangtok', 'Sikkim', '737101', 27.3389, 88.6065],
+  ['Gaya', 'Gaya', 'Bihar', '823001', 24.7914, 85.0002],
+  ['Gorakhpur', 'Gorakhpur', 'Uttar Pradesh', '273001', 26.7606, 83.3732],
+  ['Guntur', 'Guntur', 'Andhra Pradesh', '522001', 16.3067, 80.4365],
+  ['Guwahati', 'Guwahati', 'Assam', '781001', 26.1445, 91.7362],
+  ['Gwalior', 'Gwalior', 'Madhya Pradesh', '474001', 26.2183, 78.1828],
+  ['Haridwar', 'Haridwar', 'Uttarakhand', '249401', 29.9457, 78.1642],
+  ['Hisar', 'Hisar', 'Haryana', '125001', 29.1492, 75.7217],
+  ['Hubballi', 'Hubballi', 'Karnataka', '580020', 15.3647, 75.1240],
+  ['Imphal', 'Imphal', 'Manipur', '795001', 24.8170, 93.9368],
+  ['Indore', 'Indore', 'Madhya Pradesh', '452001', 22.7196, 75.8577],
+  ['Itanagar', 'Itanagar', 'Arunachal Pradesh', '791111', 27.0844, 93.6053],
+  ['Jabalpur', 'Jabalpur', 'Madhya Pradesh', '482001', 23.1815, 79.9864],
+  ['Jaipur', 'Jaipur', 'Rajasthan', '302001', 26.9124, 75.7873],
+  ['Jalandhar', 'Jalandhar', 'Punjab', '144001', 31.3260, 75.5762],
+  ['Jammu', 'Jammu', 'Jammu and Kashmir', '180001', 32.7266, 74.8570],
+  ['Jamnagar', 'Jamnagar', 'Gujarat', '361001', 22.4707, 70.0577],
+  ['Jamshedpur', 'Jamshedpur', 'Jharkhand', '831001', 22.8046, 86.2029],
+  ['Jodhpur', 'Jodhpur', 'Rajasthan', '342001', 26.2389, 73.0243],
+  ['Kalaburagi', 'Kalaburagi', 'Karnataka', '585101', 17.3297, 76.8343],
+  ['Kannur', 'Kannur', 'Kerala', '670001', 11.8745, 75.3704],
+  ['Kanpur', 'Kanpur', 'Uttar Pradesh', '208001', 26.4499, 80.3319],
+  ['Kochi', 'Kochi', 'Kerala', '682011', 9.9312, 76.2673],
+  ['Kohima', 'Kohima', 'Nagaland', '797001', 25.6751, 94.1086],
+  ['Kolhapur', 'Kolhapur', 'Maharashtra', '416001', 16.7050, 74.2433],
+  ['Kollam', 'Kollam', 'Kerala', '691001', 8.8932, 76.6141],
+  ['Kota', 'Kota', 'Rajasthan', '324001', 25.2138, 75.8648],
+  ['Kozhikode', 'Kozhikode', 'Kerala', '673001', 11.2588, 75.7804],
+  ['Lucknow', 'Lucknow', 'Uttar Pradesh', '226001', 26.8467, 80.9462],
+  ['Ludhiana', 'Ludhiana', 'Punjab', '141001', 30.9010, 75.8573],
+  ['Madurai', 'Madurai', 'Tamil Nadu', '625001', 9.9252, 78.1198],
+  ['Mangaluru', 'Mangaluru', 'Karnataka', '575001', 12.9141, 74.8560],
+  ['Meerut', 'Meerut', 'Uttar Pradesh', '250001', 28.9845, 77.7064],
+  ['Moradabad', 'Moradabad', 'Uttar Pradesh', '244001', 28.8386, 78.7733],
+  ['Muzaffarpur', 'Muzaffarpur', 'Bihar', '842001', 26.1209, 85.3647],
+  ['Mysuru', 'Mysuru', 'Karnataka', '570001', 12.2958, 76.6394],
+  ['Nagpur', 'Nagpur', 'Maharashtra', '440001', 21.1458, 79.0882],
+  ['Nashik', 'Nashik', 'Maharashtra', '422001', 19.9975, 73.7898],
+  ['Nellore', 'Nellore', 'Andhra Pradesh', '524001', 14.4426, 79.9865],
+  ['Panaji', 'Panaji', 'Goa', '403001', 15.4909, 73.8278],
+  ['Panipat', 'Panipat', 'Haryana', '132103', 29.3909, 76.9635],
+  ['Patiala', 'Patiala', 'Punjab', '147001', 30.3398, 76.3869],
+  ['Patna', 'Patna', 'Bihar', '800001', 25.5941, 85.1376],
+  ['Port Blair', 'Port Blair', 'Andaman and Nicobar Islands', '744101', 11.6234, 92.7265],
+  ['Prayagraj', 'Prayagraj', 'Uttar Pradesh', '211001', 25.4358, 81.8463],
+  ['Puducherry', 'Puducherry', 'Puducherry', '605001', 11.9416, 79.8083],
+  ['Raipur', 'Raipur', 'Chhattisgarh', '492001', 21.2514, 81.6296],
+  ['Rajkot', 'Rajkot', 'Gujarat', '360001', 22.3039, 70.8022],
+  ['Ranchi', 'Ranchi', 'Jharkhand', '834001', 23.3441, 85.3096],
+  ['Rishikesh', 'Rishikesh', 'Uttarakhand', '249201', 30.0869, 78.2676],
+  ['Rohtak', 'Rohtak', 'Haryana', '124001', 28.8955, 76.6066],
+  ['Salem', 'Salem', 'Tamil Nadu', '636001', 11.6643, 78.1460],
+  ['Shillong', 'Shillong', 'Meghalaya', '793001', 25.5788, 91.8933],
+  ['Shimla', 'Shimla', 'Himachal Pradesh', '171001', 31.1048, 77.1734],
+  ['Siliguri', 'Siliguri', 'West Bengal', '734001', 26.7271, 88.3953],
+  ['Solapur', 'Solapur', 'Maharashtra', '413001', 17.6599, 75.9064],
+  ['Sonipat', 'Sonipat', 'Haryana', '131001', 28.9931, 77.0151],
+  ['Srinagar', 'Srinagar', 'Jammu and Kashmir', '190001', 34.0837, 74.7973],
+  ['Surat', 'Surat', 'Gujarat', '395003', 21.1702, 72.8311],
+  ['Thiruvananthapuram', 'Thiruvananthapuram', 'Kerala', '695001', 8.5241, 76.9366],
+  ['Thrissur', 'Thrissur', 'Kerala', '680001', 10.5276, 76.2144],
+  ['Tiruchirappalli', 'Tiruchirappalli', 'Tamil Nadu', '620001', 10.7905, 78.7047],
+  ['Tirunelveli', 'Tirunelveli', 'Tamil Nadu', '627001', 8.7139, 77.7567],
+  ['Tirupati', 'Tirupati', 'Andhra Pradesh', '517501', 13.6288, 79.4192],
+  ['Udaipur', 'Udaipur', 'Rajasthan', '313001', 24.5854, 73.7125],
+  ['Ujjain', 'Ujjain', 'Madhya Pradesh', '456001', 23.1765, 75.7885],
+  ['Vadodara', 'Vadodara', 'Gujarat', '390001', 22.3072, 73.1812],
+  ['Varanasi', 'Varanasi', 'Uttar Pradesh', '221001', 25.3176, 82.9739],
+  ['Vellore', 'Vellore', 'Tamil Nadu', '632001', 12.9165, 79.1325],
+  ['Vijayawada', 'Vijayawada', 'Andhra Pradesh', '520001', 16.5062, 80.6480],
+  ['Visakhapatnam', 'Visakhapatnam', 'Andhra Pradesh', '530001', 17.6868, 83.2185],
+  ['Warangal', 'Warangal', 'Telangana', '506002', 17.9689, 79.5941],
+].map(([name, city, state, pincode, lat, lng]) => ({
+  name,
+  city,
+  state,
+  pincode,
+  lat,
+  lng,
+  label: name === city ? `${name}, ${state}` : `${name}, ${city}`,
+}));
+
+// Other spellings people type for listed cities
+const ALIASES = {
+  bombay: 'Mumbai',
+  delhi: 'New Delhi',
+  bangalore: 'Bengaluru',
+  madras: 'Chennai',
+  calcutta: 'Kolkata',
+  poona: 'Pune',
+  gurgaon: 'Gurugram',
+  allahabad: 'Prayagraj',
+  mysore: 'Mysuru',
+  mangalore: 'Mangaluru',
+  cochin: 'Kochi',
+  ernakulam: 'Kochi',
+  trivandrum: 'Thiruvananthapuram',
+  calicut: 'Kozhikode',
+  trichy: 'Tiruchirappalli',
+  vizag: 'Visakhapatnam',
+  baroda: 'Vadodara',
+  benares: 'Varanasi',
+  banaras: 'Varanasi',
+  goa: 'Panaji',
+  pondicherry: 'Puducherry',
+  hubli: 'Hubballi',
+  belgaum: 'Belagavi',
+  gulbarga: 'Kalaburagi',
+  bellary: 'Ballari',
+  'chhatrapati sambhajinagar': 'Aurangabad',
+};
+
+const PINCODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+// Every pincode in India Post's All India Pincode Directory, located at the
+// median of its post offices' coordinates. Generated by
+// scripts/build-pincodes.js into one file per first two digits:
+// { districts: [[name, state]],
+//   pincodes: { pincode: [lat, lng, office, districtIndex, approximate?] } }
+// approximate = no usable office coordinates, so the district centre is used.
+// Each file is loaded the first time a pincode starting with its digits is typed.
+const PINCODE_FILES = import.meta.glob('../data/pincodes/*.json', { import: 'default' });
+const NO_PINCODES = { districts: [], pincodes: {} };
+const pincodeFiles = new Map();
+
+// Resolves to the directory part for a pincode's first two digits, or null
+// (after a warning) if it can't be loaded
+const loadPincodeFile = (pincode) => {
+  const prefix = pincode.slice(0, 2);
+  if (!pincodeFiles.has(prefix)) {
+    const load = PINCODE_FILES[`../data/pincodes/${prefix}.json`];
+    pincodeFiles.set(prefix, load
+      ? load().catch((error) => {
+        console.warn('Pincode directory unavailable, using listed places only:', error);
+        pincodeFiles.delete(prefix); // retry on the next lookup
+        return null;
+      })
+      : Promise.resolve(NO_PINCODES));
+  }
+  return pincodeFiles.get(prefix);
+};
+
+const directoryPlace = (directory, pincode) => {
+  const [lat, lng, office, districtIndex, approximate] = directory.pincodes[pincode];
+  const [district, state] = directory.districts[districtIndex];
+  return {
+    name: office,
+    city: district,
+    state,
+    pincode,
+    lat,
+    lng,
+    label: `${office}, ${district}`,
+    ...(approximate && { approximate: true }),
+  };
+};
+
+const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// A full pincode: its directory entry (or listed place, if the directory
+// couldn't be loaded), or else the one in the same sorting district with the
+// numerically closest pincode
+const findByPincode = (pincode, directory) => {
+  const exact = directory?.pincodes[pincode]
+    ? directoryPlace(directory, pincode)
+    : PLACES.find((place) => place.pincode === pincode);
+  if (exact) return { ...exact, pincode, label: `${pincode} - ${exact.label}` };
+
+  const sameDistrict = (code) => code.slice(0, 3) === pincode.slice(0, 3);
+  const district = directory
+    ? Object.keys(directory.pincodes).filter(sameDistrict).map((code) => directoryPlace(directory, code))
+    : PLACES.filter((place) => sameDistrict(place.pincode));
+  if (district.length === 0) return null;
+
+  const closest = district.reduce((best, place) =>
+    Math.abs(place.pincode - pincode) < Math.abs(best.pincode - pincode) ? place : best
+  );
+  return { ...closest, pincode, label: `${pincode} - near ${closest.label}`, approximate: true };
+};
+
+// Places matching what the user typed - a pincode (or its first digits) or a
+// city / locality name - best matches first. Resolves to
+// [{ name, city, state, pincode, lat, lng, label, approximate? }]
+export const searchPlaces = async (query, limit = 6) => {
+  const term = normalize(query || '');
+  if (!term) return [];
+
+  if (/^[0-9]+$/.test(term)) {
+    // From three digits on there are few enough pincodes to list
+    const directory = term.length >= 3 ? await loadPincodeFile(term) : null;
+
+    if (PINCODE_PATTERN.test(term)) {
+      const place = findByPincode(term, directory);
+      return place ? [place] : [];
+    }
+    if (directory) {
+      // Integer-like keys iterate in ascending order
+      return Object.keys(directory.pincodes)
+        .filter((pincode) => pincode.startsWith(term))
+        .slice(0, limit)
+        .map((pincode) => directoryPlace(directory, pincode));
+    }
+    return PLACES.filter((place) => place.pincode.startsWith(term)).slice(0, limit);
+  }
+
+  const aliased = Object.entries(ALIASES)
+    .filter(([alias]) => alias.startsWith(term))
+    .map(([, city]) => normalize(city));
+
+  const scored = PLACES.map((place) => {
+    const name = normalize(place.name);
+    const city = normalize(place.city);
+    let score = 0;
+    if (name === term || aliased.includes(name)) score = 4;
+    else if (name.startsWith(term)) score = 3;
+    else if (name.split(' ').some((word) => word.startsWith(term))) score = 2;
+    else if (city.startsWith(term) || aliased.includes(city)) score = 1;
+    // Cities before their localities
+    return { place, score: score && score + (name === city ? 0.5 : 0) };
+  });
+
+  return scored
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.place.name.localeCompare(b.place.name))
+    .slice(0, limit)
+    .map(({ place }) => place);
+};
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { searchPlaces } from './gazetteer';
+
+describe('searchPlaces', () => {
+  it('resolves any pincode in the directory', async () => {
+    const [place] = await searchPlaces('504273');
+
+    expect(place).toMatchObject({ pincode: '504273', city: 'Kumuram Bheem Asifabad', state: 'Telangana' });
+    expect(place.label).toBe(`504273 - ${place.name}, Kumuram Bheem Asifabad`);
+    expect(place.approximate).toBeUndefined();
+    expect(place.lat).toBeCloseTo(19.2, 0);
+    expect(place.lng).toBeCloseTo(79.6, 0);
+  });
+
+  it('lists directory pincodes by their first digits', async () => {
+    const places = await searchPlaces('5600', 3);
+
+    expect(places.map((place) => place.pincode)).toEqual(['560001', '560002', '560003']);
+    expect(places.every((place) => place.state === 'Karnataka')).toBe(true);
+  });
+
+  it('places an unknown pincode near the closest one in its sorting district', async () => {
+    const [place] = await searchPlaces('560999');
+
+    expect(place.pincode).toBe('560999');
+    expect(place.approximate).toBe(true);
+    expect(place.label).toMatch(/^560999 - near /);
+  });
+
+  it('finds nothing for a sorting district that does not exist', async () => {
+    expect(await searchPlaces('999999')).toEqual([]);
+  });
+
+  it('still searches cities and aliases by name', async () => {
+    const [place] = await searchPlaces('bombay');
+
+    expect(place).toMatchObject({ name: 'Mumbai', state: 'Maharashtra' });
+  });
+});
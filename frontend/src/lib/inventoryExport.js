@@ -0,0 +1,251 @@
+// Inventory exports: the stock list as CSV / Excel rows, and a printable
+// stock report for auditors and suppliers. The report opens in a new tab
+// and goes straight to the print dialog, where "Save as PDF" gives the PDF.
+
+// Items expiring within this many days are listed as near expiry
+export const NEAR_EXPIRY_DAYS = 90;
+
+export const stockValue = (medicine) =>
+  Math.round(Number(medicine.price || 0) * (medicine.quantity || 0) * 100) / 100;
+
+// Stock that expires together: one entry per batch in stock, with the batch's
+// number, expiry date and quantity on top of the product's fields. Products
+// fetched without medicine_batches(...), or that have no batches, are one lot.
+export const stockLots = (medicine) => {
+  if (!medicine.medicine_batches?.length) return [medicine];
+  return medicine.medicine_batches
+    .filter((batch) => batch.quantity > 0)
+    .map((batch) => ({
+      ...medicine,
+      batchId: batch.id,
+      batch_number: batch.batch_number,
+      expiry_date: batch.expiry_date,
+      quantity: batch.quantity,
+    }));
+};
+
+const EXPORT_COLUMNS = [
+  ['Medicine', (medicine) => medicine.name],
+  ['Generic name', (medicine) => medicine.generic_name],
+  ['Manufacturer', (medicine) => medicine.manufacturer],
+  ['Category', (medicine) => medicine.medicine_categories?.name],
+  ['Batch number', (medicine) => medicine.batch_number],
+  ['Expiry date', (medicine) => medicine.expiry_date],
+  ['Price', (medicine) => Number(medicine.price)],
+  ['Quantity', (medicine) => medicine.quantity],
+  ['Unit', (medicine) => medicine.unit],
+  ['Stock value', stockValue],
+  ['Low stock alert at', (medicine) => medicine.min_stock_alert],
+  ['Prescription', (medicine) => (medicine.requires_prescription ? 'Yes' : 'No')],
+  ['Available', (medicine) => (medicine.is_available ? 'Yes' : 'No')],
+];
+
+// Header plus one row per medicine, for toCsv / downloadXlsx
+export const inventoryExportRows = (medicines) => [
+  EXPORT_COLUMNS.map(([label]) => label),
+  ...medicines.map((medicine) => EXPORT_COLUMNS.map(([, value]) => value(medicine) ?? '')),
+];
+
+// 'YYYY-MM-DD' plus a number of days
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000);
+
+// Totals overall and by category (highest value first), plus every batch
+// expiring within nearExpiryDays of today, soonest first
+export const summarizeStock = (medicines, today, nearExpiryDays = NEAR_EXPIRY_DAYS) => {
+  const byCategory = new Map();
+  medicines.forEach((medicine) => {
+    const category = medicine.medicine_categories?.name || 'Uncategorised';
+    const totals = byCategory.get(category) || { category, items: 0, units: 0, value: 0 };
+    totals.items += 1;
+    totals.units += medicine.quantity || 0;
+    totals.value += stockValue(medicine);
+    byCategory.set(category, totals);
+  });
+
+  const cutoff = addDays(today, nearExpiryDays);
+
+  return {
+    items: medicines.length,
+    units: medicines.reduce((sum, medicine) => sum + (medicine.quantity || 0), 0),
+    value: medicines.reduce((sum, medicine) => sum + stockValue(medicine), 0),
+    categories: [...byCategory.values()].sort((a, b) => b.value - a.value),
+    nearExpiry: medicines
+      .flatMap(stockLots)
+      .filter((medicine) => medicine.expiry_date && medicine.expiry_date <= cutoff)
+      .sort((a, b) => a.expiry_date.localeCompare(b.expiry_date))
+      .map((medicine) => ({ ...medicine, daysLeft: daysBetween(today, medicine.expiry_date) })),
+    nearExpiryDays,
+  };
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const formatRupees = (value) =>
+  `₹${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (isoDate) => (isoDate ? new Date(`${isoDate}T00:00:00`).toLocaleDateString() : '');
+
+const REPORT_STYLES = `
+  * { box-sizing: border-box; }
+  body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111; margin: 32px; font-size: 12px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 15px; margin: 28px 0 8px; border-bottom: 2px solid #111; padding-bottom: 4px; }
+  .muted { color: #555; }
+  .header { display: flex; justify-content: space-between; gap: 24px; }
+  .totals { display: flex; gap: 12px; margin-top: 20px; }
+  .totals div { flex: 1; border: 1px solid #ccc; border-radius: 6px; padding: 10px; }
+  .totals strong { display: block; font-size: 18px; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 5px 6px; border-bottom: 1px solid #ddd; }
+  th { background: #f3f3f3; }
+  .num { text-align: right; white-space: nowrap; }
+  tfoot td { font-weight: bold; border-top: 2px solid #111; }
+  .expired { color: #b00020; font-weight: bold; }
+  tr { page-break-inside: avoid; }
+  @page { margin: 14mm; }
+  @media print { body { margin: 0; } }
+`;
+
+const buildReportHtml = (store, medicines, summary, { filterLabel, generatedAt }) => {
+  const address = [store.address, store.city, store.state, store.pincode].filter(Boolean).join(', ');
+
+  const categoryRows = summary.categories
+    .map(
+      (totals) => `
+        <tr>
+          <td>${escapeHtml(totals.category)}</td>
+          <td class="num">${totals.items}</td>
+          <td class="num">${totals.units}</td>
+          <td class="num">${formatRupees(totals.value)}</td>
+        </tr>`
+    )
+    .join('');
+
+  const nearExpiryRows = summary.nearExpiry
+    .map(
+      (medicine) => `
+        <tr>
+          <td>${escapeHtml(medicine.name)}</td>
+          <td>${escapeHtml(medicine.batch_number)}</td>
+          <td>${formatDate(medicine.expiry_date)}</td>
+          <td class="num ${medicine.daysLeft < 0 ? 'expired' : ''}">
+            ${medicine.daysLeft < 0 ? 'Expired' : medicine.daysLeft}
+          </td>
+          <td class="num">${medicine.quantity}</td>
+          <td class="num">${formatRupees(stockValue(medicine))}</td>
+        </tr>`
+    )
+    .join('');
+
+  const stockRows = medicines
+    .map(
+      (medicine) => `
+        <tr>
+          <td>${escapeHtml(medicine.name)}${
+            medicine.generic_name ? `<div class="muted">${escapeHtml(medicine.generic_name)}</div>` : ''
+          }</td>
+          <td>${escapeHtml(medicine.medicine_categories?.name || '')}</td>
+          <td>${escapeHtml(medicine.batch_number)}</td>
+          <td>${formatDate(medicine.expiry_date)}</td>
+          <td class="num">${formatRupees(medicine.price)}</td>
+          <td class="num">${medicine.quantity} ${escapeHtml(medicine.unit || '')}</td>
+          <td class="num">${formatRupees(stockValue(medicine))}</td>
+        </tr>`
+    )
+    .join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>Stock report - ${escapeHtml(store.store_name)}</title>
+  <style>${REPORT_STYLES}</style>
+</head>
+<body onload="window.print()">
+  <div class="header">
+    <div>
+      <h1>${escapeHtml(store.store_name)}</h1>
+      <div>${escapeHtml(address)}</div>
+      <div>Phone: ${escapeHtml(store.phone)}${store.email ? ` · ${escapeHtml(store.email)}` : ''}</div>
+      ${store.license_number ? `<div>Drug license: ${escapeHtml(store.license_number)}</div>` : ''}
+    </div>
+    <div class="muted" style="text-align: right">
+      <strong>Stock report</strong><br />
+      Generated ${escapeHtml(generatedAt)}<br />
+      ${filterLabel ? escapeHtml(filterLabel) : 'All medicines'}
+    </div>
+  </div>
+
+  <div class="totals">
+    <div><strong>${summary.items}</strong>Medicines</div>
+    <div><strong>${summary.units}</strong>Units in stock</div>
+    <div><strong>${formatRupees(summary.value)}</strong>Stock value (price × quantity)</div>
+    <div><strong>${summary.nearExpiry.length}</strong>Expiring within ${summary.nearExpiryDays} days</div>
+  </div>
+
+  <h2>Totals by category</h2>
+  <table>
+    <thead>
+      <tr><th>Category</th><th class="num">Items</th><th class="num">Units</th><th class="num">Stock value</th></tr>
+    </thead>
+    <tbody>${categoryRows}</tbody>
+    <tfoot>
+      <tr>
+        <td>Total</td>
+        <td class="num">${summary.items}</td>
+        <td class="num">${summary.units}</td>
+        <td class="num">${formatRupees(summary.value)}</td>
+      </tr>
+    </tfoot>
+  </table>
+
+  <h2>Near expiry (within ${summary.nearExpiryDays} days)</h2>
+  ${
+    summary.nearExpiry.length === 0
+      ? '<p class="muted">Nothing expires in this window.</p>'
+      : `<table>
+    <thead>
+      <tr>
+        <th>Medicine</th><th>Batch</th><th>Expiry</th><th class="num">Days left</th>
+        <th class="num">Quantity</th><th class="num">Value</th>
+      </tr>
+    </thead>
+    <tbody>${nearExpiryRows}</tbody>
+  </table>`
+  }
+
+  <h2>Stock list</h2>
+  <table>
+    <thead>
+      <tr>
+        <th>Medicine</th><th>Category</th><th>Batch</th><th>Expiry</th>
+        <th class="num">Price</th><th class="num">Quantity</th><th class="num">Value</th>
+      </tr>
+    </thead>
+    <tbody>${stockRows}</tbody>
+  </table>
+</body>
+</html>`;
+};
+
+// Open the report in a new tab and bring up the print dialog.
+// Returns false when the browser blocked the new tab.
+export const printStockReport = (store, medicines, { today, filterLabel = '' } = {}) => {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) return false;
+
+  const summary = summarizeStock(medicines, today, store.expiry_warning_days || NEAR_EXPIRY_DAYS);
+  reportWindow.document.write(
+    buildReportHtml(store, medicines, summary, { filterLabel, generatedAt: new Date().toLocaleString() })
+  );
+  reportWindow.document.close();
+  return true;
+};
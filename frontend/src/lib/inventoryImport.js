@@ -0,0 +1,225 @@
+// Bulk inventory import: map spreadsheet columns to medicines fields and
+// validate every row before anything is written.
+//
+// Each row is one batch. import_medicines() (database/add_inventory_import.sql)
+// matches it to the product by name and to the batch by batch number, so
+// re-importing the same export updates prices and quantities instead of
+// duplicating.
+
+import { excelSerialToIsoDate } from './spreadsheet';
+
+// Columns a file can provide, with the header spellings we recognise
+export const IMPORT_FIELDS = [
+  {
+    key: 'name',
+    label: 'Medicine name',
+    required: true,
+    aliases: ['name', 'medicine', 'medicine name', 'product', 'product name', 'item', 'item name', 'brand', 'brand name'],
+  },
+  {
+    key: 'generic_name',
+    label: 'Generic name',
+    aliases: ['generic', 'generic name', 'salt', 'composition', 'molecule'],
+  },
+  {
+    key: 'batch_number',
+    label: 'Batch number',
+    aliases: ['batch', 'batch no', 'batch number', 'lot', 'lot no', 'lot number'],
+  },
+  {
+    key: 'expiry_date',
+    label: 'Expiry date',
+    aliases: ['expiry', 'expiry date', 'exp', 'exp date', 'expiration', 'expiration date', 'expires'],
+  },
+  {
+    key: 'price',
+    label: 'Price',
+    required: true,
+    aliases: ['price', 'mrp', 'selling price', 'sale price', 'rate', 'unit price'],
+  },
+  {
+    key: 'purchase_price',
+    label: 'Purchase price',
+    aliases: ['purchase price', 'cost', 'cost price', 'purchase rate', 'ptr', 'buying price'],
+  },
+  {
+    key: 'quantity',
+    label: 'Quantity',
+    required: true,
+    aliases: ['quantity', 'qty', 'stock', 'units', 'available', 'closing stock'],
+  },
+  {
+    key: 'category',
+    label: 'Category',
+    aliases: ['category', 'type', 'group', 'class', 'therapeutic class'],
+  },
+];
+
+export const MAX_IMPORT_ROWS = 5000;
+
+const normalizeHeader = (header) =>
+  String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Best guess of which column holds each field: { fieldKey: columnIndex }
+export const guessColumnMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+
+  IMPORT_FIELDS.forEach((field) => {
+    const index = normalized.findIndex(
+      (header, i) => field.aliases.includes(header) && !Object.values(mapping).includes(i)
+    );
+    if (index !== -1) mapping[field.key] = index;
+  });
+
+  return mapping;
+};
+
+const cellText = (value) => (value === null || value === undefined ? '' : String(value).trim());
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const isoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+const fullYear = (year) => (year < 100 ? 2000 + year : year);
+
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Expiry dates as pharmacies write them. Day-first like Indian invoices;
+// month-only dates (03/2026, 03/26) mean the end of that month.
+// Returns 'YYYY-MM-DD', '' for an empty cell, or null when unreadable.
+export const parseExpiryDate = (value) => {
+  if (typeof value === 'number') return excelSerialToIsoDate(value);
+
+  const text = cellText(value);
+  if (!text) return '';
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) return isoDate(+match[1], +match[2], +match[3]);
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (match) return isoDate(fullYear(+match[3]), +match[2], +match[1]);
+
+  const monthYear = text.match(/^(\d{1,2})[-/.](\d{2}|\d{4})$/);
+  const yearMonth = text.match(/^(\d{4})[-/.](\d{1,2})$/);
+  if (monthYear || yearMonth) {
+    const month = monthYear ? +monthYear[1] : +yearMonth[2];
+    const year = monthYear ? fullYear(+monthYear[2]) : +yearMonth[1];
+    if (month < 1 || month > 12) return null;
+    return isoDate(year, month, lastDayOfMonth(year, month));
+  }
+
+  return null;
+};
+
+// Numbers as typed in price lists: "₹1,250.50", "Rs. 40"
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const text = cellText(value).replace(/^(₹|rs\.?|inr)\s*/i, '').replace(/,/g, '');
+  return text === '' || isNaN(text) ? NaN : Number(text);
+};
+
+const isBlankRow = (row) => row.every((cell) => cellText(cell) === '');
+
+// Validate the mapped rows, skipping blank ones. Each result is
+//   { rowNumber, values, medicine, errors, warnings }
+// where rowNumber is the line in the original file (header = 1), values the
+// raw mapped cells for the preview / error report, and medicine the payload
+// for import_medicines() (null when the row has errors).
+export const validateImportRows = (rows, mapping, categories, today) => {
+  const categoryIds = new Map(categories.map((category) => [category.name.toLowerCase(), category.id]));
+  const seen = new Map(); // name + batch -> first row number
+  const results = [];
+
+  rows.forEach((row, index) => {
+    if (isBlankRow(row)) return;
+
+    const rowNumber = index + 2;
+    const values = {};
+    IMPORT_FIELDS.forEach((field) => {
+      values[field.key] = mapping[field.key] === undefined ? '' : row[mapping[field.key]];
+    });
+
+    const errors = [];
+    const warnings = [];
+
+    const name = cellText(values.name);
+    if (!name) errors.push('Name is missing');
+    else if (name.length > 255) errors.push('Name is longer than 255 characters');
+
+    const price = parseNumber(values.price);
+    if (cellText(values.price) === '') errors.push('Price is missing');
+    else if (!(price > 0)) errors.push(`Price "${cellText(values.price)}" is not a positive number`);
+
+    const purchasePrice = parseNumber(values.purchase_price);
+    if (cellText(values.purchase_price) !== '' && !(purchasePrice >= 0)) {
+      errors.push(`Purchase price "${cellText(values.purchase_price)}" is not a number`);
+    }
+
+    const quantity = parseNumber(values.quantity);
+    if (cellText(values.quantity) === '') errors.push('Quantity is missing');
+    else if (!Number.isInteger(quantity) || quantity < 0) {
+      errors.push(`Quantity "${cellText(values.quantity)}" is not a whole number`);
+    }
+
+    const expiryDate = parseExpiryDate(values.expiry_date);
+    if (expiryDate === null) errors.push(`Expiry "${cellText(values.expiry_date)}" is not a date`);
+    else if (expiryDate && expiryDate < today) errors.push(`Already expired (${expiryDate})`);
+
+    const batchNumber = cellText(values.batch_number);
+    if (batchNumber.length > 100) errors.push('Batch number is longer than 100 characters');
+
+    const genericName = cellText(values.generic_name);
+    if (genericName.length > 255) errors.push('Generic name is longer than 255 characters');
+
+    const categoryName = cellText(values.category);
+    const categoryId = categoryName ? categoryIds.get(categoryName.toLowerCase()) : null;
+    if (categoryName && !categoryId) warnings.push(`Unknown category "${categoryName}" - imported without one`);
+
+    if (name) {
+      const key = `${name.toLowerCase()}|${batchNumber.toLowerCase()}`;
+      if (seen.has(key)) errors.push(`Same medicine and batch as row ${seen.get(key)}`);
+      else seen.set(key, rowNumber);
+    }
+
+    results.push({
+      rowNumber,
+      values,
+      errors,
+      warnings,
+      medicine:
+        errors.length > 0
+          ? null
+          : {
+              name,
+              generic_name: genericName || null,
+              batch_number: batchNumber || null,
+              expiry_date: expiryDate || null,
+              price,
+              purchase_price: cellText(values.purchase_price) === '' ? null : purchasePrice,
+              quantity,
+              category_id: categoryId || null,
+            },
+    });
+  });
+
+  return results;
+};
+
+// CSV-ready rows for the error report: the original cells plus what went wrong
+export const errorReportRows = (results) => [
+  ['Row', ...IMPORT_FIELDS.map((field) => field.label), 'Errors'],
+  ...results
+    .filter((result) => result.errors.length > 0)
+    .map((result) => [
+      result.rowNumber,
+      ...IMPORT_FIELDS.map((field) => cellText(result.values[field.key])),
+      result.errors.join('; '),
+    ]),
+];
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import { parseExpiryDate, guessColumnMapping, validateImportRows, errorReportRows } from './inventoryImport';
+
+const TODAY = '2026-01-15';
+const CATEGORIES = [{ id: 'cat-1', name: 'Analgesics' }];
+const HEADERS = ['Medicine', 'Batch No', 'Expiry', 'MRP', 'Qty', 'Category'];
+const MAPPING = guessColumnMapping(HEADERS);
+
+const validate = (rows) => validateImportRows(rows, MAPPING, CATEGORIES, TODAY);
+
+describe('parseExpiryDate', () => {
+  it('reads ISO dates', () => {
+    expect(parseExpiryDate('2027-03-05')).toBe('2027-03-05');
+    expect(parseExpiryDate('2027/3/5')).toBe('2027-03-05');
+  });
+
+  it('reads other full dates day first', () => {
+    expect(parseExpiryDate('05/03/2027')).toBe('2027-03-05');
+    expect(parseExpiryDate('5-3-27')).toBe('2027-03-05');
+    expect(parseExpiryDate('31.12.2026')).toBe('2026-12-31');
+  });
+
+  it('takes month-only dates as the end of the month', () => {
+    expect(parseExpiryDate('03/2027')).toBe('2027-03-31');
+    expect(parseExpiryDate('02/28')).toBe('2028-02-29');
+    expect(parseExpiryDate('2027-06')).toBe('2027-06-30');
+  });
+
+  it('reads Excel serial numbers', () => {
+    expect(parseExpiryDate(46112)).toBe('2026-03-31');
+  });
+
+  it('returns an empty string for empty cells', () => {
+    expect(parseExpiryDate('')).toBe('');
+    expect(parseExpiryDate('  ')).toBe('');
+    expect(parseExpiryDate(null)).toBe('');
+  });
+
+  it('rejects impossible or unreadable dates', () => {
+    expect(parseExpiryDate('31/02/2027')).toBeNull();
+    expect(parseExpiryDate('13/2027')).toBeNull();
+    expect(parseExpiryDate('March 2027')).toBeNull();
+    expect(parseExpiryDate(-5)).toBeNull();
+  });
+});
+
+describe('guessColumnMapping', () => {
+  it('matches header spellings regardless of case and punctuation', () => {
+    expect(guessColumnMapping(['Product Name', 'EXP. DATE', 'Sale Price', 'Closing Stock'])).toEqual({
+      name: 0,
+      expiry_date: 1,
+      price: 2,
+      quantity: 3,
+    });
+  });
+
+  it('gives each column to one field only', () => {
+    expect(guessColumnMapping(['Name', 'Name', 'Qty'])).toEqual({ name: 0, quantity: 2 });
+  });
+
+  it('leaves unknown columns unmapped', () => {
+    expect(guessColumnMapping(['Shelf', 'Supplier'])).toEqual({});
+  });
+});
+
+describe('validateImportRows', () => {
+  it('builds the payload for a valid row', () => {
+    const [result] = validate([['Crocin 500', 'B12', '03/2027', '₹1,250.50', '40', 'analgesics']]);
+
+    expect(result.rowNumber).toBe(2);
+    expect(result.errors).toEqual([]);
+    expect(result.medicine).toMatchObject({
+      name: 'Crocin 500',
+      batch_number: 'B12',
+      expiry_date: '2027-03-31',
+      price: 1250.5,
+      quantity: 40,
+      category_id: 'cat-1',
+    });
+  });
+
+  it('skips blank rows but keeps file line numbers', () => {
+    const results = validate([['', '', '', '', '', ''], ['Dolo 650', '', '', '30', '10', '']]);
+
+    expect(results).toHaveLength(1);
+    expect(results[0].rowNumber).toBe(3);
+  });
+
+  it('reports missing and malformed values', () => {
+    const [result] = validate([['', '', 'soon', '-4', '2.5', '']]);
+
+    expect(result.medicine).toBeNull();
+    expect(result.errors).toEqual([
+      'Name is missing',
+      'Price "-4" is not a positive number',
+      'Quantity "2.5" is not a whole number',
+      'Expiry "soon" is not a date',
+    ]);
+  });
+
+  it('rejects stock that has already expired', () => {
+    const [result] = validate([['Dolo 650', '', '12/2025', '30', '10', '']]);
+
+    expect(result.errors).toEqual(['Already expired (2025-12-31)']);
+  });
+
+  it('flags repeats of the same medicine and batch, ignoring case', () => {
+    const results = validate([
+      ['Dolo 650', 'A1', '', '30', '10', ''],
+      ['DOLO 650', 'a1', '', '30', '5', ''],
+      ['Dolo 650', 'A2', '', '30', '5', ''],
+    ]);
+
+    expect(results.map((result) => result.errors)).toEqual([[], ['Same medicine and batch as row 2'], []]);
+  });
+
+  it('warns about unknown categories without failing the row', () => {
+    const [result] = validate([['Dolo 650', '', '', '30', '10', 'Antipyretics']]);
+
+    expect(result.warnings).toEqual(['Unknown category "Antipyretics" - imported without one']);
+    expect(result.medicine.category_id).toBeNull();
+  });
+
+  it('reads an optional purchase price', () => {
+    const mapping = guessColumnMapping(['Medicine', 'MRP', 'Cost Price', 'Qty']);
+    const [withCost, withoutCost, badCost] = validateImportRows(
+      [
+        ['Dolo 650', '30', '22.5', '10'],
+        ['Crocin 500', '25', '', '10'],
+        ['Combiflam', '40', 'n/a', '10'],
+      ],
+      mapping,
+      CATEGORIES,
+      TODAY
+    );
+
+    expect(withCost.medicine.purchase_price).toBe(22.5);
+    expect(withoutCost.medicine.purchase_price).toBeNull();
+    expect(badCost.errors).toEqual(['Purchase price "n/a" is not a number']);
+  });
+});
+
+describe('errorReportRows', () => {
+  it('lists only the rows with errors', () => {
+    const results = validate([
+      ['Dolo 650', '', '', '30', '10', ''],
+      ['', '', '', '30', '10', ''],
+    ]);
+    const [header, ...rows] = errorReportRows(results);
+
+    expect(header[0]).toBe('Row');
+    expect(header[header.length - 1]).toBe('Errors');
+    expect(rows).toHaveLength(1);
+    expect(rows[0][0]).toBe(3);
+    expect(rows[0][rows[0].length - 1]).toBe('Name is missing');
+  });
+});
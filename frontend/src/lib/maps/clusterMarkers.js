@@ -0,0 +1,80 @@
+// Grid-based marker clustering shared by the map providers.
+//
+// Markers are bucketed into square cells roughly CELL_SIZE_PX screen pixels
+// wide at the current zoom; a cell holding more than one marker becomes a
+// cluster. Only markers inside the visible area (plus a margin, so panning
+// doesn't pop markers in at the edge) are returned. Pinned markers are never
+// clustered or culled.
+
+const CELL_SIZE_PX = 60;
+const TILE_SIZE_PX = 256;
+
+// Zoom level from which every marker is shown on its own
+export const MAX_CLUSTER_ZOOM = 17;
+
+// Extra area around the viewport, as a fraction of its size
+const VIEWPORT_MARGIN = 0.2;
+
+const padBounds = ({ south, west, north, east }) => {
+  const latPad = (north - south) * VIEWPORT_MARGIN;
+  const lngPad = (east - west) * VIEWPORT_MARGIN;
+  return {
+    south: south - latPad,
+    west: west - lngPad,
+    north: north + latPad,
+    east: east + lngPad,
+  };
+};
+
+const isInside = ({ lat, lng }, bounds) =>
+  lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east;
+
+// markers: [{ key, position: { lat, lng }, pinned?, ... }]
+// Returns [{ marker }] for markers drawn on their own and
+// [{ cluster: { key, position, members } }] for groups
+export const clusterMarkers = (markers, { bounds, zoom }) => {
+  const visibleArea = bounds ? padBounds(bounds) : null;
+  const pinned = markers.filter((marker) => marker.pinned);
+  const candidates = markers.filter(
+    (marker) => !marker.pinned && (!visibleArea || isInside(marker.position, visibleArea))
+  );
+
+  if (zoom == null || zoom >= MAX_CLUSTER_ZOOM) {
+    return [...pinned, ...candidates].map((marker) => ({ marker }));
+  }
+
+  // Degrees of longitude per cell; latitude cells shrink with cos(lat)
+  // so cells stay roughly square on screen
+  const lngCell = (CELL_SIZE_PX * 360) / (TILE_SIZE_PX * 2 ** zoom);
+  const cells = new Map();
+
+  candidates.forEach((marker) => {
+    const { lat, lng } = marker.position;
+    const latCell = lngCell * Math.cos((lat * Math.PI) / 180);
+    const cellKey = `${Math.floor(lat / latCell)}:${Math.floor(lng / lngCell)}`;
+    if (!cells.has(cellKey)) cells.set(cellKey, []);
+    cells.get(cellKey).push(marker);
+  });
+
+  const items = pinned.map((marker) => ({ marker }));
+
+  cells.forEach((members, cellKey) => {
+    if (members.length === 1) {
+      items.push({ marker: members[0] });
+      return;
+    }
+
+    items.push({
+      cluster: {
+        key: `cluster-${zoom}-${cellKey}`,
+        position: {
+          lat: members.reduce((sum, member) => sum + member.position.lat, 0) / members.length,
+          lng: members.reduce((sum, member) => sum + member.position.lng, 0) / members.length,
+        },
+        members,
+      },
+    });
+  });
+
+  return items;
+};
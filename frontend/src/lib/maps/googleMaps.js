@@ -0,0 +1,340 @@
+// Google Maps implementation of the map provider interface (see ./index.js)
+
+const GOOGLE_MAPS_API_KEY = import.meta.env.VITE_GOOGLE_MAPS_API_KEY;
+
+// Give up on a script that never calls back (blocked, offline, ...)
+const LOAD_TIMEOUT_MS = 10000;
+
+// lib/maps travel modes -> google.maps.TravelMode
+const TRAVEL_MODES = {
+  walking: 'WALKING',
+  driving: 'DRIVING',
+  transit: 'TRANSIT',
+};
+
+let authFailureListeners = [];
+let loadPromise = null;
+
+// Load Google Maps Script (once; concurrent callers share the same promise)
+const loadGoogleMapsScript = () => {
+  if (window.google && window.google.maps) {
+    return Promise.resolve(window.google);
+  }
+
+  if (!loadPromise) {
+    loadPromise = new Promise((resolve, reject) => {
+      if (!GOOGLE_MAPS_API_KEY) {
+        reject(new Error('VITE_GOOGLE_MAPS_API_KEY is not set'));
+        return;
+      }
+
+      const timeout = setTimeout(() => reject(new Error('Timed out loading Google Maps')), LOAD_TIMEOUT_MS);
+
+      const script = document.createElement('script');
+      script.id = 'google-maps-script';
+      script.src = `https://maps.googleapis.com/maps/api/js?key=${GOOGLE_MAPS_API_KEY}&libraries=places,geometry&callback=initGoogleMaps`;
+      script.async = true;
+      script.defer = true;
+
+      window.initGoogleMaps = () => {
+        clearTimeout(timeout);
+        resolve(window.google);
+      };
+
+      // Google calls this when the key is invalid or not allowed for this
+      // site, after the script itself has loaded fine
+      window.gm_authFailure = () => {
+        authFailureListeners.forEach((listener) => listener());
+      };
+
+      script.onerror = () => {
+        clearTimeout(timeout);
+        script.remove();
+        reject(new Error('Failed to load Google Maps'));
+      };
+      document.head.appendChild(script);
+    }).catch((error) => {
+      // Allow a later retry
+      loadPromise = null;
+      throw error;
+    });
+  }
+
+  return loadPromise;
+};
+
+const createMap = (element, { center, zoom, onIdle }) => {
+  const { maps } = window.google;
+
+  const map = new maps.Map(element, {
+    center,
+    zoom,
+    styles: mapStyles,
+    disableDefaultUI: true,
+    zoomControl: false,
+    mapTypeControl: false,
+    streetViewControl: false,
+    fullscreenControl: false,
+  });
+
+  const directionsRenderer = new maps.DirectionsRenderer({
+    map,
+    suppressMarkers: true,
+    polylineOptions: {
+      strokeColor: '#8B5CF6',
+      strokeWeight: 5,
+      strokeOpacity: 0.8,
+    },
+  });
+
+  let userMarker = null;
+  let markers = new Map(); // key -> { marker, iconUrl, onClick }
+
+  const getBounds = () => {
+    const visible = map.getBounds();
+    if (!visible) return null;
+    return {
+      south: visible.getSouthWest().lat(),
+      west: visible.getSouthWest().lng(),
+      north: visible.getNorthEast().lat(),
+      east: visible.getNorthEast().lng(),
+    };
+  };
+
+  map.addListener('idle', () => onIdle?.(getBounds()));
+
+  return {
+    setUserLocation(location) {
+      if (!location) {
+        userMarker?.setMap(null);
+        userMarker = null;
+        return;
+      }
+
+      if (userMarker) {
+        userMarker.setPosition(location);
+        return;
+      }
+
+      userMarker = new maps.Marker({
+        position: location,
+        map,
+        icon: {
+          path: maps.SymbolPath.CIRCLE,
+          scale: 12,
+          fillColor: '#3B82F6',
+          fillOpacity: 1,
+          strokeColor: '#ffffff',
+          strokeWeight: 3,
+        },
+        title: 'Your Location',
+        zIndex: 1000,
+      });
+    },
+
+    // Markers are matched by key: unchanged ones stay on the map (no re-drop)
+    setMarkers(descriptors) {
+      const next = new Map();
+
+      descriptors.forEach(({ key, position, iconUrl, size, anchor, title, zIndex, onClick }) => {
+        const existing = markers.get(key);
+        if (existing && existing.iconUrl === iconUrl) {
+          existing.marker.setPosition(position);
+          existing.marker.setTitle(title);
+          existing.marker.setZIndex(zIndex);
+          existing.onClick = onClick;
+          markers.delete(key);
+          next.set(key, existing);
+          return;
+        }
+
+        const marker = new maps.Marker({
+          position,
+          map,
+          icon: {
+            url: iconUrl,
+            scaledSize: new maps.Size(size[0], size[1]),
+            anchor: new maps.Point(anchor[0], anchor[1]),
+          },
+          animation: maps.Animation.DROP,
+          title,
+          zIndex,
+        });
+        const entry = { marker, iconUrl, onClick };
+
+        marker.addListener('click', () => entry.onClick());
+
+        // Bounce animation on hover
+        marker.addListener('mouseover', () => {
+          marker.setAnimation(maps.Animation.BOUNCE);
+          setTimeout(() => marker.setAnimation(null), 750);
+        });
+
+        next.set(key, entry);
+      });
+
+      markers.forEach(({ marker }) => marker.setMap(null));
+      markers = next;
+    },
+
+    fitBounds(points) {
+      const bounds = new maps.LatLngBounds();
+      points.forEach((point) => bounds.extend(point));
+      map.fitBounds(bounds, { padding: 50 });
+    },
+
+    panTo(location, zoomLevel) {
+      map.panTo(location);
+      if (zoomLevel != null) map.setZoom(zoomLevel);
+    },
+
+    zoomBy(delta) {
+      map.setZoom(map.getZoom() + delta);
+    },
+
+    getZoom() {
+      return map.getZoom();
+    },
+
+    getBounds,
+
+    async showRoute(origin, destination, mode = 'driving') {
+      const directionsService = new maps.DirectionsService();
+      const result = await directionsService.route({
+        origin,
+        destination,
+        travelMode: maps.TravelMode[TRAVEL_MODES[mode] || 'DRIVING'],
+      });
+
+      directionsRenderer.setDirections(result);
+
+      const route = result.routes[0].legs[0];
+      return {
+        distance: route.distance.text,
+        duration: route.duration.text,
+      };
+    },
+
+    clearRoute() {
+      directionsRenderer.setDirections({ routes: [] });
+    },
+
+    destroy() {
+      markers.forEach(({ marker }) => marker.setMap(null));
+      userMarker?.setMap(null);
+      directionsRenderer.setMap(null);
+      maps.event.clearInstanceListeners(map);
+      // Google Maps has no real teardown; empty the container so another
+      // provider can take it over
+      element.innerHTML = '';
+    },
+  };
+};
+
+// Travel time and road distance from one origin to many destinations
+// (Distance Matrix allows up to 25 destinations per request)
+const getTravelTimes = async (origin, destinations, mode = 'driving') => {
+  const { maps } = await loadGoogleMapsScript();
+  const service = new maps.DistanceMatrixService();
+
+  const response = await service.getDistanceMatrix({
+    origins: [origin],
+    destinations,
+    travelMode: maps.TravelMode[TRAVEL_MODES[mode] || 'DRIVING'],
+  });
+
+  return response.rows[0].elements.map((element) =>
+    element.status === 'OK'
+      ? {
+          duration: element.duration.text,
+          durationSeconds: element.duration.value,
+          distance: element.distance.text,
+        }
+      : null
+  );
+};
+
+const googleMapsProvider = {
+  name: 'google',
+  supportsRoutes: true,
+  load: loadGoogleMapsScript,
+  createMap,
+  getTravelTimes,
+
+  // Returns an unsubscribe function
+  onAuthFailure(listener) {
+    authFailureListeners.push(listener);
+    return () => {
+      authFailureListeners = authFailureListeners.filter((existing) => existing !== listener);
+    };
+  },
+};
+
+// Dark map styles for better visibility
+const mapStyles = [
+  { elementType: 'geometry', stylers: [{ color: '#1a1a2e' }] },
+  { elementType: 'labels.text.stroke', stylers: [{ color: '#1a1a2e' }] },
+  { elementType: 'labels.text.fill', stylers: [{ color: '#8b8b8b' }] },
+  {
+    featureType: 'administrative',
+    elementType: 'geometry.stroke',
+    stylers: [{ color: '#2d2d44' }],
+  },
+  {
+    featureType: 'administrative.land_parcel',
+    elementType: 'labels.text.fill',
+    stylers: [{ color: '#64748b' }],
+  },
+  {
+    featureType: 'poi',
+    elementType: 'geometry',
+    stylers: [{ color: '#1e1e32' }],
+  },
+  {
+    featureType: 'poi',
+    elementType: 'labels.text.fill',
+    stylers: [{ color: '#64748b' }],
+  },
+  {
+    featureType: 'poi.park',
+    elementType: 'geometry.fill',
+    stylers: [{ color: '#1a2e1a' }],
+  },
+  {
+    featureType: 'road',
+    elementType: 'geometry',
+    stylers: [{ color: '#2d2d44' }],
+  },
+  {
+    featureType: 'road',
+    elementType: 'geometry.stroke',
+    stylers: [{ color: '#1a1a2e' }],
+  },
+  {
+    featureType: 'road.highway',
+    elementType: 'geometry',
+    stylers: [{ color: '#3d3d5c' }],
+  },
+  {
+    featureType: 'road.highway',
+    elementType: 'geometry.stroke',
+    stylers: [{ color: '#1a1a2e' }],
+  },
+  {
+    featureType: 'transit',
+    elementType: 'geometry',
+    stylers: [{ color: '#2d2d44' }],
+  },
+  {
+    featureType: 'water',
+    elementType: 'geometry',
+    stylers: [{ color: '#0e1626' }],
+  },
+  {
+    featureType: 'water',
+    elementType: 'labels.text.fill',
+    stylers: [{ color: '#4a5568' }],
+  },
+];
+
+export default googleMapsProvider;
@@ -0,0 +1,74 @@
+// Map providers behind MedicineMap.
+//
+// VITE_MAP_PROVIDER picks 'google' or 'leaflet' (OpenStreetMap). It defaults
+// to Google Maps when VITE_GOOGLE_MAPS_API_KEY is set and Leaflet otherwise;
+// if Google Maps fails to load, Leaflet is used instead.
+//
+// A provider is { name, supportsRoutes, load(), createMap(), getTravelTimes?,
+// onAuthFailure? }.
+// createMap(element, { center, zoom, onIdle }) returns a map handle with:
+//   setUserLocation({ lat, lng } | null)
+//   setMarkers([{ key, position, iconUrl, size: [w, h], anchor: [x, y], title, zIndex, onClick }])
+//     replaces the store markers; markers with the same key and icon are kept
+//   fitBounds([{ lat, lng }, ...])
+//   panTo({ lat, lng }, zoom?)
+//   zoomBy(delta)
+//   getZoom()
+//   getBounds() -> { south, west, north, east }
+//   showRoute(origin, destination, mode) -> { distance, duration }   (supportsRoutes only)
+//   clearRoute()                                               (supportsRoutes only)
+//   destroy()
+// onIdle(bounds) fires once the initial view is ready and after every pan / zoom.
+
+export const MAP_PROVIDER =
+  import.meta.env.VITE_MAP_PROVIDER ||
+  (import.meta.env.VITE_GOOGLE_MAPS_API_KEY ? 'google' : 'leaflet');
+
+// Ways of getting to a store, for directions and travel-time ranking.
+// `verb` completes "12 mins ..." in route summaries.
+export const TRAVEL_MODES = [
+  { value: 'walking', label: 'Walk', verb: 'walk' },
+  { value: 'driving', label: 'Drive', verb: 'drive' },
+  { value: 'transit', label: 'Transit', verb: 'by transit' },
+];
+
+// Directions in Google Maps (web / app), whichever provider draws our map
+export const externalDirectionsUrl = (lat, lng, mode = 'driving') =>
+  `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}&travelmode=${mode}`;
+
+const loadLeaflet = async () => {
+  const { default: provider } = await import('./leafletMaps');
+  await provider.load();
+  return provider;
+};
+
+// Resolve the provider to use, falling back to Leaflet when Google Maps
+// can't be loaded (missing key, blocked script, offline, ...)
+export const loadMapProvider = async (name = MAP_PROVIDER) => {
+  if (name === 'google') {
+    try {
+      const { default: provider } = await import('./googleMaps');
+      await provider.load();
+      return provider;
+    } catch (error) {
+      console.warn('Google Maps unavailable, falling back to OpenStreetMap:', error);
+    }
+  }
+
+  return loadLeaflet();
+};
+
+// Whether getTravelTimes works with the provider in use. Callers check this
+// first and rank by distance without it, rather than treating it as an error.
+export const supportsTravelTimes = async () => Boolean((await loadMapProvider()).getTravelTimes);
+
+// Travel time from `origin` to each of `destinations` by `mode`:
+// [{ duration, durationSeconds, distance } | null (no route)]. Needs Google
+// Maps - there is no routing service behind the OpenStreetMap provider.
+export const getTravelTimes = async (origin, destinations, mode = 'driving') => {
+  const provider = await loadMapProvider();
+  if (!provider.getTravelTimes) {
+    throw new Error('Travel times are only available with Google Maps');
+  }
+  return provider.getTravelTimes(origin, destinations, mode);
+};
@@ -0,0 +1,138 @@
+// Leaflet + OpenStreetMap implementation of the map provider interface
+// (see ./index.js). Needs no API key; used when Google Maps is not
+// configured or fails to load.
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+
+// Dark OpenStreetMap tiles to match the Google Maps styling
+const TILE_URL = 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png';
+const TILE_ATTRIBUTION =
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>';
+
+const createMap = (element, { center, zoom, onIdle }) => {
+  const map = L.map(element, {
+    center: [center.lat, center.lng],
+    zoom,
+    zoomControl: false,
+    attributionControl: true,
+  });
+
+  L.tileLayer(TILE_URL, {
+    attribution: TILE_ATTRIBUTION,
+    subdomains: 'abcd',
+    maxZoom: 20,
+  }).addTo(map);
+
+  let userMarker = null;
+  let markers = new Map(); // key -> { marker, iconUrl, onClick }
+
+  const getBounds = () => {
+    const visible = map.getBounds();
+    return {
+      south: visible.getSouth(),
+      west: visible.getWest(),
+      north: visible.getNorth(),
+      east: visible.getEast(),
+    };
+  };
+
+  // Same contract as Google's 'idle': once for the initial view, then after every move
+  map.whenReady(() => onIdle?.(getBounds()));
+  map.on('moveend', () => onIdle?.(getBounds()));
+
+  return {
+    setUserLocation(location) {
+      if (!location) {
+        userMarker?.remove();
+        userMarker = null;
+        return;
+      }
+
+      if (userMarker) {
+        userMarker.setLatLng([location.lat, location.lng]);
+        return;
+      }
+
+      userMarker = L.circleMarker([location.lat, location.lng], {
+        radius: 12,
+        color: '#ffffff',
+        weight: 3,
+        fillColor: '#3B82F6',
+        fillOpacity: 1,
+      })
+        .bindTooltip('Your Location')
+        .addTo(map);
+    },
+
+    // Markers are matched by key: unchanged ones stay on the map
+    setMarkers(descriptors) {
+      const next = new Map();
+
+      descriptors.forEach(({ key, position, iconUrl, size, anchor, title, zIndex, onClick }) => {
+        const existing = markers.get(key);
+        if (existing && existing.iconUrl === iconUrl) {
+          existing.marker.setLatLng([position.lat, position.lng]);
+          existing.marker.setZIndexOffset(zIndex);
+          existing.onClick = onClick;
+          markers.delete(key);
+          next.set(key, existing);
+          return;
+        }
+
+        const entry = { iconUrl, onClick };
+        entry.marker = L.marker([position.lat, position.lng], {
+          icon: L.icon({ iconUrl, iconSize: size, iconAnchor: anchor }),
+          title,
+          zIndexOffset: zIndex,
+        })
+          .on('click', () => entry.onClick())
+          .addTo(map);
+
+        next.set(key, entry);
+      });
+
+      markers.forEach(({ marker }) => marker.remove());
+      markers = next;
+    },
+
+    fitBounds(points) {
+      if (points.length === 0) return;
+      map.fitBounds(
+        L.latLngBounds(points.map((point) => [point.lat, point.lng])),
+        { padding: [50, 50] }
+      );
+    },
+
+    panTo(location, zoomLevel) {
+      if (zoomLevel != null) {
+        map.setView([location.lat, location.lng], zoomLevel);
+      } else {
+        map.panTo([location.lat, location.lng]);
+      }
+    },
+
+    zoomBy(delta) {
+      map.setZoom(map.getZoom() + delta);
+    },
+
+    getZoom() {
+      return map.getZoom();
+    },
+
+    getBounds,
+
+    destroy() {
+      map.remove();
+    },
+  };
+};
+
+const leafletMapsProvider = {
+  name: 'leaflet',
+  // No routing service without an API key - directions open in Google Maps instead
+  supportsRoutes: false,
+  load: () => Promise.resolve(L),
+  createMap,
+};
+
+export default leafletMapsProvider;
@@ -0,0 +1,42 @@
+// Near-expiry stock: active medicines that expire within a store's warning
+// window (stores.expiry_warning_days, see database/add_near_expiry.sql), so
+// retailers can discount them or return them to the distributor in time.
+
+import { stockValue, stockLots, NEAR_EXPIRY_DAYS } from './inventoryExport';
+
+// Warning windows a store can pick, in days
+export const EXPIRY_WINDOWS = [30, 60, 90];
+
+export const expiryWarningDays = (store) => store?.expiry_warning_days || NEAR_EXPIRY_DAYS;
+
+// Whole days from today until the expiry date (both 'YYYY-MM-DD'); 0 = today
+export const daysUntilExpiry = (expiryDate, today) =>
+  Math.round((new Date(`${expiryDate}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / 86400000);
+
+// Batches expiring within `days` of today, soonest first, with daysLeft.
+// Judged per batch (see stockLots) so a product's fresh stock isn't counted
+// along with its short-dated batch.
+export const nearExpiryMedicines = (medicines, days, today) =>
+  medicines
+    .flatMap(stockLots)
+    .filter((medicine) => medicine.expiry_date)
+    .map((medicine) => ({ ...medicine, daysLeft: daysUntilExpiry(medicine.expiry_date, today) }))
+    .filter((medicine) => medicine.daysLeft >= 0 && medicine.daysLeft <= days)
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+
+// Near-expiry items (with daysLeft) grouped into the EXPIRY_WINDOWS bands:
+// [{ from, to, items, value }] for 0-30, 31-60 and 61-90 days
+export const expiryBands = (nearExpiry) =>
+  EXPIRY_WINDOWS.map((to, index) => {
+    const from = index === 0 ? 0 : EXPIRY_WINDOWS[index - 1] + 1;
+    const inBand = nearExpiry.filter((medicine) => medicine.daysLeft >= from && medicine.daysLeft <= to);
+    return {
+      from,
+      to,
+      items: inBand.length,
+      value: inBand.reduce((sum, medicine) => sum + stockValue(medicine), 0),
+    };
+  });
+
+export const valueAtRisk = (nearExpiry) =>
+  nearExpiry.reduce((sum, medicine) => sum + stockValue(medicine), 0);
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { nearExpiryMedicines, expiryBands, valueAtRisk } from './nearExpiry';
+
+const TODAY = '2026-01-01';
+
+const batched = {
+  id: 'm1',
+  name: 'Crocin',
+  price: 10,
+  quantity: 60,
+  expiry_date: '2026-01-11',
+  medicine_batches: [
+    { id: 'b1', batch_number: 'A1', expiry_date: '2026-01-11', quantity: 10 },
+    { id: 'b2', batch_number: 'B2', expiry_date: '2027-06-01', quantity: 50 },
+    { id: 'b3', batch_number: 'C3', expiry_date: '2026-01-05', quantity: 0 },
+  ],
+};
+
+const unbatched = { id: 'm2', name: 'Dolo', price: 5, quantity: 4, expiry_date: '2026-02-15' };
+
+describe('nearExpiryMedicines', () => {
+  it('counts only the batches inside the window', () => {
+    const items = nearExpiryMedicines([batched], 90, TODAY);
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ batchId: 'b1', batch_number: 'A1', quantity: 10, daysLeft: 10 });
+  });
+
+  it('treats products without batches as a single lot, soonest first', () => {
+    const items = nearExpiryMedicines([unbatched, batched], 90, TODAY);
+
+    expect(items.map((item) => item.batchId || item.id)).toEqual(['b1', 'm2']);
+  });
+});
+
+describe('valueAtRisk and expiryBands', () => {
+  it('only value the short-dated units', () => {
+    const items = nearExpiryMedicines([batched, unbatched], 90, TODAY);
+
+    expect(valueAtRisk(items)).toBe(120);
+    expect(expiryBands(items)).toEqual([
+      { from: 0, to: 30, items: 1, value: 100 },
+      { from: 31, to: 60, items: 1, value: 20 },
+      { from: 61, to: 90, items: 0, value: 0 },
+    ]);
+  });
+});
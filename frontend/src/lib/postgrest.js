@@ -0,0 +1,66 @@
+// Helpers for safely putting user input into PostgREST queries.
+//
+// PostgREST filter strings (the argument of `.or()` / `.filter()`) have their
+// own grammar: commas separate conditions, dots separate column/operator/value,
+// parentheses group, and `*` is a LIKE wildcard. Raw search terms must never be
+// interpolated into them directly - build them with these helpers instead.
+
+const MAX_SEARCH_TERM_LENGTH = 100;
+
+// Characters that change the meaning of a PostgREST logic-tree filter value
+const RESERVED_FILTER_CHARS = /[,.:()"\\\s]/;
+
+// C0 control characters and DEL
+const isControlChar = (char) => {
+  const code = char.charCodeAt(0);
+  return code < 0x20 || code === 0x7f;
+};
+
+// Column names are developer supplied, but guard against accidental misuse
+const COLUMN_NAME = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?$/i;
+
+// Normalize a user-typed search term: strip control characters, collapse
+// whitespace and cap the length. Returns '' for anything unusable.
+export const sanitizeSearchTerm = (term) => {
+  if (typeof term !== 'string') return '';
+
+  return Array.from(term, (char) => (isControlChar(char) ? ' ' : char))
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_SEARCH_TERM_LENGTH);
+};
+
+// Escape LIKE / ILIKE wildcards (and the escape character itself) so they
+// match literally: "50%" -> "50\%", "a_b" -> "a\_b"
+export const escapeLikePattern = (value) =>
+  String(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// Double-quote a filter value when it contains reserved characters, escaping
+// embedded quotes and backslashes as PostgREST expects
+export const quoteFilterValue = (value) => {
+  const str = String(value);
+  if (str !== '' && !RESERVED_FILTER_CHARS.test(str)) return str;
+  return `"${str.replace(/[\\"]/g, (char) => `\\${char}`)}"`;
+};
+
+// A single `column.ilike.*term*` condition. PostgREST turns `*` into `%`
+// and offers no way to escape it, so a literal `*` in the term is matched
+// with the single-character wildcard `_` instead.
+export const ilikeContains = (column, term) => {
+  if (!COLUMN_NAME.test(column)) {
+    throw new Error(`Invalid filter column: ${column}`);
+  }
+
+  const pattern = escapeLikePattern(term).replace(/\*/g, '_');
+  return `${column}.ilike.${quoteFilterValue(`*${pattern}*`)}`;
+};
+
+// OR together "contains" conditions over several columns, ready for
+// `query.or(...)`. Returns null when the term is empty after sanitizing.
+export const buildSearchOrFilter = (columns, term) => {
+  const safeTerm = sanitizeSearchTerm(term);
+  if (!safeTerm) return null;
+
+  return columns.map((column) => ilikeContains(column, safeTerm)).join(',');
+};
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sanitizeSearchTerm,
+  escapeLikePattern,
+  quoteFilterValue,
+  ilikeContains,
+  buildSearchOrFilter,
+} from './postgrest';
+
+describe('sanitizeSearchTerm', () => {
+  it('replaces control characters and collapses whitespace', () => {
+    expect(sanitizeSearchTerm('  para\u0000ce\ttamol\r\n ')).toBe('para ce tamol');
+    expect(sanitizeSearchTerm('dolo\u007f650\u001b')).toBe('dolo 650');
+  });
+
+  it('caps the length', () => {
+    expect(sanitizeSearchTerm('a'.repeat(500))).toHaveLength(100);
+  });
+
+  it('returns an empty string for non-strings and blank input', () => {
+    expect(sanitizeSearchTerm(null)).toBe('');
+    expect(sanitizeSearchTerm(42)).toBe('');
+    expect(sanitizeSearchTerm('\u0000\u0001 \n')).toBe('');
+  });
+
+  it('leaves filter syntax for the later escaping steps', () => {
+    expect(sanitizeSearchTerm('a,b.c(d)')).toBe('a,b.c(d)');
+  });
+});
+
+describe('escapeLikePattern', () => {
+  it('escapes LIKE wildcards', () => {
+    expect(escapeLikePattern('50%')).toBe('50\\%');
+    expect(escapeLikePattern('a_b')).toBe('a\\_b');
+  });
+
+  it('escapes the escape character itself', () => {
+    expect(escapeLikePattern('c:\\temp')).toBe('c:\\\\temp');
+    expect(escapeLikePattern('\\%')).toBe('\\\\\\%');
+  });
+
+  it('leaves other characters alone', () => {
+    expect(escapeLikePattern('Crocin 500')).toBe('Crocin 500');
+  });
+});
+
+describe('quoteFilterValue', () => {
+  it('passes plain values through', () => {
+    expect(quoteFilterValue('paracetamol')).toBe('paracetamol');
+  });
+
+  it('quotes empty values and values with reserved characters', () => {
+    expect(quoteFilterValue('')).toBe('""');
+    expect(quoteFilterValue('a,b')).toBe('"a,b"');
+    expect(quoteFilterValue('v2.0')).toBe('"v2.0"');
+    expect(quoteFilterValue('x(1)')).toBe('"x(1)"');
+    expect(quoteFilterValue('a:b')).toBe('"a:b"');
+    expect(quoteFilterValue('two words')).toBe('"two words"');
+  });
+
+  it('escapes embedded quotes and backslashes', () => {
+    expect(quoteFilterValue('say "hi"')).toBe('"say \\"hi\\""');
+    expect(quoteFilterValue('a\\b')).toBe('"a\\\\b"');
+  });
+});
+
+describe('ilikeContains', () => {
+  it('builds a contains condition', () => {
+    expect(ilikeContains('name', 'crocin')).toBe('name.ilike.*crocin*');
+  });
+
+  it('matches a literal * with the single-character wildcard', () => {
+    expect(ilikeContains('name', 'a*b')).toBe('name.ilike.*a_b*');
+  });
+
+  it('escapes wildcards and quotes the result', () => {
+    expect(ilikeContains('name', '50%')).toBe('name.ilike."*50\\\\%*"');
+  });
+
+  it('accepts embedded-resource columns', () => {
+    expect(ilikeContains('stores.city', 'pune')).toBe('stores.city.ilike.*pune*');
+  });
+
+  it('rejects invalid column names', () => {
+    expect(() => ilikeContains('name,id', 'x')).toThrow('Invalid filter column');
+    expect(() => ilikeContains('name)', 'x')).toThrow('Invalid filter column');
+  });
+});
+
+describe('buildSearchOrFilter', () => {
+  it('ORs the condition over every column', () => {
+    expect(buildSearchOrFilter(['name', 'generic_name'], 'dolo')).toBe(
+      'name.ilike.*dolo*,generic_name.ilike.*dolo*'
+    );
+  });
+
+  it('keeps injected filter syntax inside quoted values', () => {
+    expect(buildSearchOrFilter(['name'], 'x*),id.eq.1,(name.ilike.*')).toBe(
+      'name.ilike."*x_),id.eq.1,(name.ilike._*"'
+    );
+  });
+
+  it('sanitizes the term first', () => {
+    expect(buildSearchOrFilter(['name'], ' \u0000dolo\n650 ')).toBe('name.ilike."*dolo 650*"');
+  });
+
+  it('returns null when nothing is left to search for', () => {
+    expect(buildSearchOrFilter(['name'], '  \u0007 ')).toBeNull();
+    expect(buildSearchOrFilter(['name'], undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,81 @@
+// Reading and writing CSV / Excel files in the browser.
+//
+// SheetJS is only loaded when a file is actually read or written, so the
+// inventory page doesn't pay for it until a retailer imports or exports.
+
+const loadXlsx = () => import('xlsx');
+
+// Parse the first sheet of a CSV or XLSX file into a header row and data
+// rows (arrays of cell values). Blank rows are kept so row positions still
+// match the line numbers in the file. CSV cells stay exactly as typed; in Excel
+// files numbers and dates come back as numbers (dates as Excel serials -
+// see excelSerialToIsoDate).
+export const readSpreadsheet = async (file) => {
+  const XLSX = await loadXlsx();
+  const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+
+  const workbook = XLSX.read(await file.arrayBuffer(), {
+    type: 'array',
+    // Don't let SheetJS guess at CSV values: it reads 05/03/2026 as US m/d/y
+    raw: isCsv,
+  });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return { headers: [], rows: [] };
+
+  const [headerRow = [], ...rows] = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    raw: true,
+    defval: '',
+    blankrows: true,
+  });
+
+  return {
+    headers: headerRow.map((header) => String(header).trim()),
+    rows,
+  };
+};
+
+// Excel stores dates as days since 1899-12-30. Returns 'YYYY-MM-DD' or null.
+export const excelSerialToIsoDate = (serial) => {
+  if (!Number.isFinite(serial) || serial < 1 || serial > 2958465) return null;
+
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000);
+  return date.toISOString().split('T')[0];
+};
+
+// Write rows (arrays of values, first row being the header) as an .xlsx
+// download. Column widths follow the longest value in each column.
+export const downloadXlsx = async (rows, fileName, sheetName = 'Sheet1') => {
+  const XLSX = await loadXlsx();
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  sheet['!cols'] = rows[0].map((_, column) => ({
+    wch: Math.min(50, Math.max(...rows.map((row) => String(row[column] ?? '').length)) + 2),
+  }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, sheetName.slice(0, 31));
+  XLSX.writeFile(workbook, fileName);
+};
+
+// Quote a value for CSV when it contains a separator, quote or line break
+const csvCell = (value) => {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Rows (arrays of values) to CSV text, first row being the header
+export const toCsv = (rows) => rows.map((row) => row.map(csvCell).join(',')).join('\r\n');
+
+// Save text or a Blob as a file download
+export const downloadFile = (content, fileName, type = 'text/csv;charset=utf-8') => {
+  // Excel only detects UTF-8 CSV (₹, non-English names) with a byte order mark
+  const blob = content instanceof Blob ? content : new Blob(['\uFEFF', content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,229 @@
+// Open / closed status of a store, worked out the same way as
+// is_store_open_now() in database/search_nearby_medicines.sql:
+//   1. an unexpired owner override (open_override until open_override_until) wins
+//   2. a 24x7 / emergency store (is_24x7) is always open, holidays included
+//   3. a date in `closures` ([{ from, to, reason }], store-local dates) is closed all day
+//   4. otherwise the store is open during that weekday's intervals in
+//      `weekly_hours` ({ mon: [{ open: '09:00', close: '13:00' }, ...], ... };
+//      a missing or empty day is closed). Stores without a weekly schedule
+//      use opening_time - closing_time every day.
+// Times are in the store's timezone. An interval whose close is not after
+// its open runs past midnight into the next day (20:00 - 02:00).
+
+export const DEFAULT_STORE_TIMEZONE = 'Asia/Kolkata';
+
+export const WEEKDAYS = [
+  { key: 'mon', label: 'Monday' },
+  { key: 'tue', label: 'Tuesday' },
+  { key: 'wed', label: 'Wednesday' },
+  { key: 'thu', label: 'Thursday' },
+  { key: 'fri', label: 'Friday' },
+  { key: 'sat', label: 'Saturday' },
+  { key: 'sun', label: 'Sunday' },
+];
+
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_MS = MINUTES_PER_DAY * 60 * 1000;
+
+// Longest an owner override lasts when the schedule never changes
+const MAX_OVERRIDE_MS = DAY_MS;
+
+// 'HH:MM' or 'HH:MM:SS' -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since midnight -> "9 AM" / "1:30 PM"
+const formatClock = (minutes) => {
+  const hours = Math.floor(minutes / 60) % 24;
+  const mins = minutes % 60;
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  const hour12 = hours % 12 || 12;
+  return mins ? `${hour12}:${String(mins).padStart(2, '0')} ${suffix}` : `${hour12} ${suffix}`;
+};
+
+// { date: 'YYYY-MM-DD', dayKey: 'mon', minutes } at `now` in `timeZone`
+const localParts = (now, timeZone) => {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timeZone || DEFAULT_STORE_TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(now);
+  } catch {
+    // Unknown timezone name
+    return localParts(now, DEFAULT_STORE_TIMEZONE);
+  }
+  const part = (type) => parts.find((entry) => entry.type === type).value;
+  return {
+    date: `${part('year')}-${part('month')}-${part('day')}`,
+    dayKey: part('weekday').toLowerCase().slice(0, 3),
+    minutes: Number(part('hour')) * 60 + Number(part('minute')),
+  };
+};
+
+// [[open, close], ...] in minutes for a weekday
+const intervalsFor = (store, dayKey) => {
+  if (store?.weekly_hours) {
+    return (store.weekly_hours[dayKey] || []).map(({ open, close }) => [toMinutes(open), toMinutes(close)]);
+  }
+  if (!store?.opening_time || !store?.closing_time) return [[0, 0]]; // No hours set: always open
+  return [[toMinutes(store.opening_time), toMinutes(store.closing_time)]];
+};
+
+const crossesMidnight = ([open, close]) => close <= open;
+
+// The closure covering a store-local date, if any
+const closureOn = (store, date) =>
+  (store?.closures || []).find((closure) => date >= closure.from && date <= (closure.to || closure.from));
+
+// Whether `now` falls within the store's schedule (ignoring overrides)
+const isWithinHours = (store, now) => {
+  if (store?.is_24x7) return true;
+
+  const today = localParts(now, store?.timezone);
+  if (closureOn(store, today.date)) return false;
+
+  const openToday = intervalsFor(store, today.dayKey).some((interval) =>
+    today.minutes >= interval[0] && (crossesMidnight(interval) || today.minutes < interval[1])
+  );
+  if (openToday) return true;
+
+  // Late hours carried over from yesterday
+  const yesterday = localParts(new Date(now.getTime() - DAY_MS), store?.timezone);
+  return !closureOn(store, yesterday.date) &&
+    intervalsFor(store, yesterday.dayKey).some((interval) =>
+      crossesMidnight(interval) && today.minutes < interval[1]
+    );
+};
+
+// The owner's override if it hasn't expired yet, else null
+const activeOverride = (store, now) => {
+  if (store?.open_override == null || !store.open_override_until) return null;
+  return new Date(store.open_override_until) > now ? store.open_override : null;
+};
+
+export const isStoreOpenNow = (store, now = new Date()) =>
+  activeOverride(store, now) ?? isWithinHours(store, now);
+
+// Next time within a week the schedule opens or closes the store:
+// { at: Date, dayOffset, minutes } (store-local day / time), or null
+const findNextChange = (store, now) => {
+  const openNow = isWithinHours(store, now);
+  const { minutes: nowMinutes } = localParts(now, store?.timezone);
+
+  // Interval edges and midnights (closures start and end there). Overnight
+  // intervals close the next day, so start from yesterday's.
+  const candidates = [];
+  const addCandidate = (dayOffset, minutes) => {
+    const minutesAway = dayOffset * MINUTES_PER_DAY + minutes - nowMinutes;
+    if (minutesAway > 0) candidates.push({ minutesAway, dayOffset, minutes });
+  };
+  for (let dayOffset = -1; dayOffset <= 7; dayOffset += 1) {
+    const { dayKey } = localParts(new Date(now.getTime() + dayOffset * DAY_MS), store?.timezone);
+    addCandidate(dayOffset, 0);
+    intervalsFor(store, dayKey).forEach((interval) => {
+      addCandidate(dayOffset, interval[0]);
+      addCandidate(crossesMidnight(interval) ? dayOffset + 1 : dayOffset, interval[1]);
+    });
+  }
+  candidates.sort((a, b) => a.minutesAway - b.minutesAway);
+
+  for (const { minutesAway, dayOffset, minutes } of candidates) {
+    const at = new Date(now.getTime() + minutesAway * 60 * 1000);
+    at.setSeconds(0, 0);
+    if (isWithinHours(store, at) !== openNow) return { at, dayOffset, minutes };
+  }
+  return null;
+};
+
+// When the schedule next opens or closes the store, or null if it doesn't this week
+export const nextScheduleChange = (store, now = new Date()) => findNextChange(store, now)?.at ?? null;
+
+// { isOpen, isOverride, overrideUntil } for status badges
+export const getStoreStatus = (store, now = new Date()) => {
+  const override = activeOverride(store, now);
+  return {
+    isOpen: override ?? isWithinHours(store, now),
+    isOverride: override !== null,
+    overrideUntil: override !== null ? new Date(store.open_override_until) : null,
+  };
+};
+
+// "Opens tomorrow at 9 AM", "Closes at 1 PM", "Closed until 6:00 PM" ...
+// or null when there's nothing useful to say
+export const getOpeningText = (store, now = new Date()) => {
+  const status = getStoreStatus(store, now);
+  if (status.isOverride) {
+    return `${status.isOpen ? 'Open' : 'Closed'} until ${formatOverrideTime(status.overrideUntil)}`;
+  }
+
+  if (store?.is_24x7) return 'Open 24x7';
+
+  const change = findNextChange(store, now);
+  if (!change) return status.isOpen ? 'Open 24 hours' : null;
+
+  const { dayKey } = localParts(change.at, store?.timezone);
+  const day = change.dayOffset === 0
+    ? ''
+    : change.dayOffset === 1
+      ? 'tomorrow '
+      : `${WEEKDAYS.find((weekday) => weekday.key === dayKey).label} `;
+
+  return `${status.isOpen ? 'Closes' : 'Opens'} ${day}at ${formatClock(change.minutes)}`;
+};
+
+// Today's hours for display: "9 AM - 1 PM, 2 PM - 9 PM", "Closed today (Diwali)"
+export const getTodaysHoursText = (store, now = new Date()) => {
+  if (store?.is_24x7) return 'Open 24x7';
+
+  const today = localParts(now, store?.timezone);
+  const closure = closureOn(store, today.date);
+  if (closure) return closure.reason ? `Closed today (${closure.reason})` : 'Closed today';
+
+  const intervals = intervalsFor(store, today.dayKey);
+  if (intervals.length === 0) return 'Closed today';
+  if (intervals.length === 1 && intervals[0][0] === intervals[0][1]) return 'Open 24 hours';
+  return intervals.map(([open, close]) => `${formatClock(open)} - ${formatClock(close)}`).join(', ');
+};
+
+// Columns for an owner override flipping the store to `open` until the
+// schedule next changes (at most a day), when it goes back to the schedule
+export const overrideUpdate = (store, open, now = new Date()) => {
+  const change = nextScheduleChange(store, now);
+  const latest = new Date(now.getTime() + MAX_OVERRIDE_MS);
+  return {
+    open_override: open,
+    open_override_until: (change && change < latest ? change : latest).toISOString(),
+  };
+};
+
+// Clearing the override hands control back to the schedule
+export const CLEAR_OVERRIDE = { open_override: null, open_override_until: null };
+
+// "9:00 PM" in the viewer's locale
+export const formatOverrideTime = (date) =>
+  date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// The same hours every day - the starting point for a store without a weekly schedule
+export const uniformWeeklyHours = (openingTime = '09:00', closingTime = '21:00') =>
+  Object.fromEntries(WEEKDAYS.map(({ key }) => [
+    key,
+    [{ open: openingTime.slice(0, 5), close: closingTime.slice(0, 5) }],
+  ]));
+
+// opening_time / closing_time summarising a weekly schedule (first day it
+// opens), kept for older app versions that only read those columns
+export const summaryHours = (weeklyHours) => {
+  const day = WEEKDAYS.map(({ key }) => weeklyHours[key] || []).find((intervals) => intervals.length > 0);
+  return day
+    ? { opening_time: day[0].open, closing_time: day[day.length - 1].close }
+    : { opening_time: null, closing_time: null };
+};
@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isStoreOpenNow,
+  nextScheduleChange,
+  getStoreStatus,
+  getOpeningText,
+  getTodaysHoursText,
+  overrideUpdate,
+} from './storeHours';
+
+// Store-local (India) time; 2026-03-02 is a Monday
+const ist = (local) => new Date(`${local}+05:30`);
+
+const daily = { opening_time: '09:00', closing_time: '21:00' };
+
+describe('overnight hours', () => {
+  const lateNight = { weekly_hours: { mon: [{ open: '20:00', close: '02:00' }] } };
+
+  it('stay open past midnight into the next day', () => {
+    expect(isStoreOpenNow(lateNight, ist('2026-03-02T19:59'))).toBe(false);
+    expect(isStoreOpenNow(lateNight, ist('2026-03-02T23:00'))).toBe(true);
+    expect(isStoreOpenNow(lateNight, ist('2026-03-03T01:30'))).toBe(true);
+    expect(isStoreOpenNow(lateNight, ist('2026-03-03T02:00'))).toBe(false);
+  });
+
+  it('give the closing time on the next day', () => {
+    expect(getOpeningText(lateNight, ist('2026-03-02T23:00'))).toBe('Closes tomorrow at 2 AM');
+    expect(getOpeningText(lateNight, ist('2026-03-03T01:00'))).toBe('Closes at 2 AM');
+    expect(getTodaysHoursText(lateNight, ist('2026-03-02T12:00'))).toBe('8 PM - 2 AM');
+    expect(nextScheduleChange(lateNight, ist('2026-03-02T23:00'))).toEqual(ist('2026-03-03T02:00'));
+  });
+
+  it('work with plain opening and closing times', () => {
+    const store = { opening_time: '20:00', closing_time: '02:00' };
+
+    expect(isStoreOpenNow(store, ist('2026-03-03T01:30'))).toBe(true);
+    expect(isStoreOpenNow(store, ist('2026-03-03T02:00'))).toBe(false);
+  });
+});
+
+describe('closures', () => {
+  const holi = { ...daily, closures: [{ from: '2026-03-02', reason: 'Holi' }] };
+
+  it('close the store all day', () => {
+    expect(isStoreOpenNow(holi, ist('2026-03-02T12:00'))).toBe(false);
+    expect(getTodaysHoursText(holi, ist('2026-03-02T12:00'))).toBe('Closed today (Holi)');
+    expect(getOpeningText(holi, ist('2026-03-02T12:00'))).toBe('Opens tomorrow at 9 AM');
+    expect(isStoreOpenNow(holi, ist('2026-03-03T12:00'))).toBe(true);
+  });
+
+  it('cut off late hours carried over from the closed day', () => {
+    const store = {
+      weekly_hours: { mon: [{ open: '20:00', close: '02:00' }] },
+      closures: [{ from: '2026-03-02', to: '2026-03-02' }],
+    };
+
+    expect(isStoreOpenNow(store, ist('2026-03-03T01:00'))).toBe(false);
+  });
+});
+
+describe('owner overrides', () => {
+  const closedUntil = (until) => ({ ...daily, open_override: false, open_override_until: until });
+
+  it('win over the schedule until they expire', () => {
+    const store = closedUntil(ist('2026-03-02T14:00').toISOString());
+
+    expect(getStoreStatus(store, ist('2026-03-02T12:00'))).toEqual({
+      isOpen: false,
+      isOverride: true,
+      overrideUntil: ist('2026-03-02T14:00'),
+    });
+  });
+
+  it('are ignored once expired', () => {
+    const store = closedUntil(ist('2026-03-02T10:00').toISOString());
+
+    expect(isStoreOpenNow(store, ist('2026-03-02T12:00'))).toBe(true);
+    expect(getStoreStatus(store, ist('2026-03-02T12:00')).isOverride).toBe(false);
+    expect(getOpeningText(store, ist('2026-03-02T12:00'))).toBe('Closes at 9 PM');
+  });
+
+  it('last until the schedule next changes', () => {
+    expect(overrideUpdate(daily, true, ist('2026-03-02T22:00'))).toEqual({
+      open_override: true,
+      open_override_until: ist('2026-03-03T09:00').toISOString(),
+    });
+  });
+
+  it('last a day for stores without hours', () => {
+    expect(overrideUpdate({}, false, ist('2026-03-02T22:00'))).toEqual({
+      open_override: false,
+      open_override_until: ist('2026-03-03T22:00').toISOString(),
+    });
+  });
+});
+
+describe('time zones', () => {
+  it('use the store-local day, not the UTC one', () => {
+    const store = { weekly_hours: { mon: [{ open: '09:00', close: '21:00' }], wed: [{ open: '09:00', close: '21:00' }] } };
+    // Monday in UTC, already Tuesday in India
+    const now = new Date('2026-03-02T19:00Z');
+
+    expect(isStoreOpenNow(store, now)).toBe(false);
+    expect(getOpeningText(store, now)).toBe('Opens tomorrow at 9 AM');
+    expect(nextScheduleChange(store, now)).toEqual(ist('2026-03-04T09:00'));
+  });
+
+  it('say tomorrow once the store-local day is over', () => {
+    expect(getOpeningText(daily, new Date('2026-03-02T16:00Z'))).toBe('Opens tomorrow at 9 AM');
+  });
+
+  it('follow the store timezone', () => {
+    const store = { ...daily, timezone: 'America/New_York' };
+    // 2 PM in New York
+    const now = new Date('2026-03-02T19:00Z');
+
+    expect(isStoreOpenNow(store, now)).toBe(true);
+    expect(getOpeningText(store, now)).toBe('Closes at 9 PM');
+  });
+
+  it('fall back to India time for unknown timezones', () => {
+    const store = { ...daily, timezone: 'Not/AZone' };
+
+    expect(isStoreOpenNow(store, new Date('2026-03-02T19:00Z'))).toBe(false);
+  });
+});
+
+describe('stores without hours', () => {
+  it('count as always open', () => {
+    expect(isStoreOpenNow({}, ist('2026-03-02T03:00'))).toBe(true);
+    expect(getOpeningText({}, ist('2026-03-02T03:00'))).toBe('Open 24 hours');
+    expect(nextScheduleChange({}, ist('2026-03-02T03:00'))).toBeNull();
+  });
+});
+
+describe('24x7 stores', () => {
+  const emergency = { ...daily, is_24x7: true, closures: [{ from: '2026-03-02', reason: 'Holi' }] };
+
+  it('stay open outside their hours and on closures', () => {
+    expect(isStoreOpenNow(emergency, ist('2026-03-02T03:00'))).toBe(true);
+    expect(getOpeningText(emergency, ist('2026-03-02T03:00'))).toBe('Open 24x7');
+    expect(getTodaysHoursText(emergency, ist('2026-03-02T03:00'))).toBe('Open 24x7');
+  });
+
+  it('still honour an owner override', () => {
+    const store = { ...emergency, open_override: false, open_override_until: ist('2026-03-02T06:00').toISOString() };
+
+    expect(isStoreOpenNow(store, ist('2026-03-02T03:00'))).toBe(false);
+  });
+});
@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
+import { sanitizeSearchTerm, buildSearchOrFilter } from './postgrest';
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
@@ -62,24 +63,30 @@ export const signIn = async (email, password, expectedRole = null) => {
       }
       throw error;
     }
+
+    // Suspension and the admin role are only on the profile, never in metadata
+    const { data: profile } = await supabase
+      .from('profiles')
+      .select('role, is_suspended, suspended_reason')
+      .eq('id', data.user.id)
+      .single();
+
+    if (profile?.is_suspended) {
+      await supabase.auth.signOut();
+      throw new Error(
+        `This account has been suspended${profile.suspended_reason ? `: ${profile.suspended_reason}` : ''}. Contact support if you think this is a mistake.`
+      );
+    }
+
+    // Admins can sign in from either tab
+    if (profile?.role === 'admin') {
+      return { user: data.user, session: data.session, role: 'admin' };
+    }
     
     // If expectedRole is provided, verify user role
     if (expectedRole && data.user) {
-      // First check user metadata
-      let userRole = data.user.user_metadata?.role;
-      
-      // If not in metadata, check profiles table
-      if (!userRole) {
-        const { data: profile, error: profileError } = await supabase
-          .from('profiles')
-          .select('role')
-          .eq('id', data.user.id)
-          .single();
-        
-        if (!profileError && profile?.role) {
-          userRole = profile.role;
-        }
-      }
+      // First check user metadata, then the profiles table
+      const userRole = data.user.user_metadata?.role || profile?.role;
       
       // If we found a role and it doesn't match
       if (userRole && userRole !== expectedRole) {
@@ -89,7 +96,7 @@ export const signIn = async (email, password, expectedRole = null) => {
       }
     }
     
-    return { user: data.user, session: data.session };
+    return { user: data.user, session: data.session, role: profile?.role };
   } catch (error) {
     console.error('Error signing in:', error);
     throw error;
@@ -153,100 +160,226 @@ export const getProfile = async (userId) => {
   }
 };
 
-// Medicine search functions - searches medicines table directly
-export const searchMedicines = async (searchTerm, lat = null, lng = null, radius = 50) => {
-  try {
-    // Build the query to search medicines with store info
-    let query = supabase
-      .from('medicines')
-      .select(`
-        id,
-        name,
-        generic_name,
-        manufacturer,
-        description,
-        dosage,
-        price,
-        quantity,
-        unit,
-        expiry_date,
-        requires_prescription,
-        image_url,
-        is_available,
-        stores (
-          id,
-          owner_id,
-          store_name,
-          description,
-          address,
-          city,
-          state,
-          pincode,
-          latitude,
-          longitude,
-          phone,
-          email,
-          is_open,
-          opening_time,
-          closing_time,
-          rating,
-          total_reviews,
-          store_image_url
-        )
-      `)
-      .eq('is_available', true)
-      .gt('quantity', 0);
+// Medicine search functions - radius filtering, distance sorting and the
+// result limit all happen in the search_nearby_medicines() Postgres function
+// (see database/search_nearby_medicines.sql), so only nearby rows are sent back.
+// Search terms always go through sanitizeSearchTerm (lib/postgrest.js); any
+// PostgREST filter string built from user input must use buildSearchOrFilter.
 
-    // Apply search filter
-    if (searchTerm && searchTerm.trim()) {
-      query = query.or(`name.ilike.%${searchTerm}%,generic_name.ilike.%${searchTerm}%,manufacturer.ilike.%${searchTerm}%`);
+// Result orderings understood by search_nearby_medicines(sort_by)
+export const SEARCH_SORT_MODES = ['nearest', 'cheapest', 'rating', 'value'];
+
+// Map search filter state to the optional arguments of the search RPCs.
+// filters: { maxPrice, otcOnly, openNow, minQuantity, verifiedOnly }
+const searchFilterParams = ({ maxPrice, otcOnly, openNow, minQuantity, verifiedOnly } = {}) => ({
+  max_price: parseFloat(maxPrice) > 0 ? parseFloat(maxPrice) : null,
+  otc_only: !!otcOnly,
+  open_now: !!openNow,
+  min_quantity: Math.max(parseInt(minQuantity) || 1, 1),
+  verified_only: !!verifiedOnly,
+});
+
+// One page of nearby results. Pass the returned nextCursor back as
+// `cursor` for the following page (null once there are no more rows).
+// `viewport` ({ south, west, north, east }) searches the visible map area
+// instead of `radius` around the user.
+export const searchMedicinesPage = async (searchTerm, lat, lng, {
+  radius = 50,
+  pageSize = 20,
+  filters = {},
+  sortBy = 'nearest',
+  cursor = null,
+  viewport = null,
+} = {}) => {
+  try {
+    if (lat == null || lng == null) {
+      throw new Error('A search location is required');
     }
 
-    const { data, error } = await query;
+    const { data, error } = await supabase.rpc('search_nearby_medicines', {
+      search_term: sanitizeSearchTerm(searchTerm) || null,
+      user_lat: lat,
+      user_lng: lng,
+      radius_km: radius,
+      max_results: pageSize,
+      ...searchFilterParams(filters),
+      sort_by: SEARCH_SORT_MODES.includes(sortBy) ? sortBy : 'nearest',
+      page_after: cursor,
+      view_south: viewport?.south ?? null,
+      view_west: viewport?.west ?? null,
+      view_north: viewport?.north ?? null,
+      view_east: viewport?.east ?? null,
+    });
 
     if (error) {
       console.error('Supabase query error:', error);
       throw error;
     }
 
-    let results = data || [];
-
-    // Calculate distances if user location is provided
-    if (lat && lng && results.length > 0) {
-      results = results.map(item => {
-        if (item.stores?.latitude && item.stores?.longitude) {
-          const distance = calculateDistance(
-            lat,
-            lng,
-            parseFloat(item.stores.latitude),
-            parseFloat(item.stores.longitude)
-          );
-          return {
-            ...item,
-            distance_km: distance,
-            stores: {
-              ...item.stores,
-              distance: distance
-            }
-          };
+    // Results come back ranked by `sortBy` (match_score, then nearest first
+    // by default); typo'd names still match. A full page means there may be more.
+    const results = data || [];
+    return {
+      results,
+      nextCursor: results.length >= pageSize ? results[results.length - 1].page_cursor : null,
+    };
+  } catch (error) {
+    console.error('Error searching medicines:', error);
+    throw error;
+  }
+};
+
+// First `limit` results only, for callers that don't page
+export const searchMedicines = async (searchTerm, lat, lng, radius = 50, limit = 50, filters = {}, sortBy = 'nearest') => {
+  const { results } = await searchMedicinesPage(searchTerm, lat, lng, {
+    radius,
+    pageSize: limit,
+    filters,
+    sortBy,
+  });
+  return results;
+};
+
+// Prescription basket search - runs searchMedicines for every item in
+// parallel and groups the hits by store. Stores are ranked by how many of
+// the items they stock, then by the total price of those items, then by
+// distance. Each entry lists the matched medicine per item and the items
+// that store is missing
+export const searchMedicineBasket = async (items, lat, lng, radius = 50, filters = {}, rowsPerItem = 200) => {
+  try {
+    const terms = [...new Set(items.map(sanitizeSearchTerm).filter(Boolean))];
+    if (terms.length === 0) return [];
+
+    const resultsPerTerm = await Promise.all(
+      terms.map(term => searchMedicines(term, lat, lng, radius, rowsPerItem, filters))
+    );
+
+    const storesById = new Map();
+
+    terms.forEach((term, termIndex) => {
+      let rows = resultsPerTerm[termIndex];
+
+      // Ignore fuzzy name matches when the exact name is stocked nearby
+      if (rows.some(row => row.match_score >= 1)) {
+        rows = rows.filter(row => row.match_score >= 1);
+      }
+
+      rows.forEach(row => {
+        const storeId = row.stores?.id;
+        if (!storeId) return;
+
+        if (!storesById.has(storeId)) {
+          storesById.set(storeId, { store: row.stores, distance_km: row.distance_km, items: {} });
+        }
+
+        // Keep the best match per item, cheapest on ties
+        const entry = storesById.get(storeId);
+        const current = entry.items[term];
+        if (
+          !current ||
+          row.match_score > current.match_score ||
+          (row.match_score === current.match_score && parseFloat(row.price) < parseFloat(current.price))
+        ) {
+          entry.items[term] = row;
         }
-        return { ...item, distance_km: 9999 };
       });
+    });
 
-      // Filter by radius
-      results = results.filter(item => item.distance_km <= radius);
+    return [...storesById.values()]
+      .map(entry => {
+        const found = terms
+          .filter(term => entry.items[term])
+          .map(term => ({ term, medicine: entry.items[term] }));
 
-      // Sort by distance
-      results.sort((a, b) => (a.distance_km || 9999) - (b.distance_km || 9999));
-    }
+        return {
+          store: entry.store,
+          distance_km: entry.distance_km,
+          found,
+          missing: terms.filter(term => !entry.items[term]),
+          matchedCount: found.length,
+          totalItems: terms.length,
+          totalPrice: found.reduce((sum, item) => sum + (parseFloat(item.medicine.price) || 0), 0),
+        };
+      })
+      .sort((a, b) =>
+        b.matchedCount - a.matchedCount ||
+        a.totalPrice - b.totalPrice ||
+        a.distance_km - b.distance_km
+      );
+  } catch (error) {
+    console.error('Error searching medicine basket:', error);
+    throw error;
+  }
+};
+
+// "Same salt, other brands" - nearby stocked medicines sharing the searched
+// brand's generic composition and dosage, cheapest first. Each row carries
+// reference_name / reference_price of the searched brand for comparison
+export const searchSubstitutes = async (searchTerm, lat, lng, radius = 50, limit = 20, filters = {}) => {
+  try {
+    const term = sanitizeSearchTerm(searchTerm);
+    if (!term || lat == null || lng == null) return [];
+
+    const { data, error } = await supabase.rpc('search_nearby_substitutes', {
+      search_term: term,
+      user_lat: lat,
+      user_lng: lng,
+      radius_km: radius,
+      max_results: limit,
+      ...searchFilterParams(filters),
+    });
 
-    return results;
+    if (error) throw error;
+    return data || [];
   } catch (error) {
-    console.error('Error searching medicines:', error);
+    console.error('Error searching substitutes:', error);
     throw error;
   }
 };
 
+// "Did you mean ...?" - closest stocked medicine / generic names to a term
+export const suggestMedicineNames = async (searchTerm, limit = 3) => {
+  try {
+    const term = sanitizeSearchTerm(searchTerm);
+    if (!term) return { data: [], error: null };
+
+    const { data, error } = await supabase.rpc('suggest_medicine_names', {
+      search_term: term,
+      max_results: limit,
+    });
+
+    if (error) throw error;
+    return { data: (data || []).map(row => row.suggestion), error: null };
+  } catch (error) {
+    console.error('Error getting medicine suggestions:', error);
+    return { data: [], error };
+  }
+};
+
+// Search box autocomplete - stocked medicine / generic names matching what
+// has been typed so far, each with the number of stores nearby stocking it.
+// Returns { data: [{ suggestion, kind, store_count }], error }
+export const autocompleteMedicineNames = async (searchTerm, lat = null, lng = null, radius = 10, limit = 8) => {
+  try {
+    const term = sanitizeSearchTerm(searchTerm);
+    if (!term) return { data: [], error: null };
+
+    const { data, error } = await supabase.rpc('autocomplete_medicine_names', {
+      prefix: term,
+      user_lat: lat,
+      user_lng: lng,
+      radius_km: radius,
+      max_results: limit,
+    });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error getting autocomplete suggestions:', error);
+    return { data: [], error };
+  }
+};
+
 export const logSearch = async (userId, searchTerm, lat = null, lng = null, resultsCount = 0) => {
   try {
     if (!userId) {
@@ -280,6 +413,35 @@ export const logSearch = async (userId, searchTerm, lat = null, lng = null, resu
   }
 };
 
+// The user's most recent distinct search terms, newest first
+export const getRecentSearches = async (userId, limit = 10) => {
+  try {
+    const { data, error } = await supabase
+      .from('search_history')
+      .select('search_query, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit * 5);
+
+    if (error) throw error;
+
+    const seen = new Set();
+    const recent = [];
+    for (const row of data || []) {
+      const key = row.search_query.trim().toLowerCase();
+      // Basket searches are logged as one comma-joined entry
+      if (!key || key.includes(',') || seen.has(key)) continue;
+      seen.add(key);
+      recent.push(row.search_query.trim());
+      if (recent.length >= limit) break;
+    }
+    return { data: recent, error: null };
+  } catch (error) {
+    console.error('Error getting recent searches:', error);
+    return { data: [], error };
+  }
+};
+
 // Image upload function
 export const uploadImage = async (file, bucket = 'avatars') => {
   try {
@@ -323,6 +485,154 @@ export const getCategories = async () => {
   }
 };
 
+// Inventory import functions
+// Upserts one chunk of validated rows into a store - see import_medicines()
+// in database/add_inventory_import.sql. Returns { inserted, updated }.
+export const importMedicines = async (storeId, medicines) => {
+  try {
+    const { data, error } = await supabase.rpc('import_medicines', {
+      target_store: storeId,
+      items: medicines,
+    });
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error importing medicines:', error);
+    return { data: null, error };
+  }
+};
+
+// Expired stock functions
+// Expired medicines are quarantined rather than deleted, then disposed of
+// explicitly - see database/add_expired_stock.sql
+
+// Moves a store's expired stock into quarantine. Returns how many moved.
+export const quarantineExpiredMedicines = async (storeId) => {
+  try {
+    const { data, error } = await supabase.rpc('quarantine_expired_medicines', {
+      target_store: storeId,
+    });
+
+    if (error) throw error;
+    return { data: data || 0, error: null };
+  } catch (error) {
+    console.error('Error quarantining expired medicines:', error);
+    return { data: 0, error };
+  }
+};
+
+// status: 'expired' (waiting to be returned / destroyed) or 'disposed'
+export const getExpiredMedicines = async (storeId, status = 'expired') => {
+  try {
+    const { data, error } = await supabase
+      .from('medicines')
+      .select('*, medicine_categories(name), disposer:profiles!medicines_disposed_by_fkey(full_name)')
+      .eq('store_id', storeId)
+      .eq('stock_status', status)
+      .order(status === 'disposed' ? 'disposed_at' : 'expiry_date', { ascending: status !== 'disposed' });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error getting expired medicines:', error);
+    return { data: [], error };
+  }
+};
+
+// method: 'returned' (to the supplier) or 'destroyed'
+export const disposeMedicines = async (medicineIds, method, note = '') => {
+  try {
+    const { data, error } = await supabase.rpc('dispose_expired_medicines', {
+      medicine_ids: medicineIds,
+      method,
+      note,
+    });
+
+    if (error) throw error;
+    return { data: data || 0, error: null };
+  } catch (error) {
+    console.error('Error disposing medicines:', error);
+    return { data: 0, error };
+  }
+};
+
+// Medicine batch functions
+// A product's quantity, expiry and batch number are kept in step with its
+// batches by the database - see database/add_medicine_batches.sql
+
+// Soonest expiry first, the order stock leaves in
+export const getMedicineBatches = async (medicineId) => {
+  try {
+    const { data, error } = await supabase
+      .from('medicine_batches')
+      .select('*')
+      .eq('medicine_id', medicineId)
+      .order('expiry_date', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error getting medicine batches:', error);
+    return { data: [], error };
+  }
+};
+
+export const saveMedicineBatch = async ({ id, medicine_id, batch_number, expiry_date, quantity, purchase_price }) => {
+  try {
+    const values = {
+      batch_number: batch_number?.trim() || null,
+      expiry_date: expiry_date || null,
+      quantity: parseInt(quantity, 10),
+      purchase_price: purchase_price === '' || purchase_price == null ? null : parseFloat(purchase_price),
+    };
+    const query = id
+      ? supabase.from('medicine_batches').update(values).eq('id', id)
+      : supabase.from('medicine_batches').insert([{ ...values, medicine_id }]);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving medicine batch:', error);
+    return { data: null, error };
+  }
+};
+
+export const deleteMedicineBatch = async (batchId) => {
+  try {
+    const { error } = await supabase
+      .from('medicine_batches')
+      .delete()
+      .eq('id', batchId);
+
+    if (error) throw error;
+    return { error: null };
+  } catch (error) {
+    console.error('Error deleting medicine batch:', error);
+    return { error };
+  }
+};
+
+// Removes sold / adjusted units earliest-expiry-first. Returns the units
+// taken from each batch: [{ batch_number, expiry_date, quantity }]
+export const consumeMedicineStock = async (medicineId, units) => {
+  try {
+    const { data, error } = await supabase.rpc('consume_medicine_stock', {
+      target_medicine: medicineId,
+      units,
+    });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error removing medicine stock:', error);
+    return { data: [], error };
+  }
+};
+
 // Favorite Medicines functions
 export const getFavoriteMedicines = async (userId) => {
   try {
@@ -337,6 +647,7 @@ export const getFavoriteMedicines = async (userId) => {
           manufacturer,
           price,
           image_url,
+          stock_status,
           stores (
             id,
             store_name,
@@ -410,8 +721,68 @@ export const isMedicineFavorite = async (userId, medicineId) => {
   }
 };
 
+// Saved places functions (Home, Work, Parents' house, ...)
+export const getSavedPlaces = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('saved_places')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error getting saved places:', error);
+    return { data: [], error };
+  }
+};
+
+// Adds a place, or replaces the one with the same label
+export const saveSavedPlace = async (userId, { label, placeName, latitude, longitude }) => {
+  try {
+    const { data, error } = await supabase
+      .from('saved_places')
+      .upsert(
+        {
+          user_id: userId,
+          label,
+          place_name: placeName,
+          latitude,
+          longitude,
+        },
+        { onConflict: 'user_id,label' }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving place:', error);
+    return { data: null, error };
+  }
+};
+
+export const deleteSavedPlace = async (placeId) => {
+  try {
+    const { error } = await supabase
+      .from('saved_places')
+      .delete()
+      .eq('id', placeId);
+
+    if (error) throw error;
+    return { error: null };
+  } catch (error) {
+    console.error('Error deleting saved place:', error);
+    return { error };
+  }
+};
+
 // Medicine Alerts functions
-export const createMedicineAlert = async (userId, medicineName, latitude = null, longitude = null) => {
+// Pass a saved place (a saved_places row) to watch around it instead of the
+// given coordinates - the alert then follows the place if it is moved
+export const createMedicineAlert = async (userId, medicineName, latitude = null, longitude = null, savedPlace = null) => {
   try {
     const { data, error } = await supabase
       .from('medicine_alerts')
@@ -419,8 +790,9 @@ export const createMedicineAlert = async (userId, medicineName, latitude = null,
         {
           user_id: userId,
           medicine_name: medicineName,
-          latitude,
-          longitude,
+          user_latitude: savedPlace ? savedPlace.latitude : latitude,
+          user_longitude: savedPlace ? savedPlace.longitude : longitude,
+          saved_place_id: savedPlace?.id ?? null,
           is_active: true,
           created_at: new Date().toISOString(),
         },
@@ -468,16 +840,282 @@ export const deleteMedicineAlert = async (alertId) => {
   }
 };
 
-// Helper function to calculate distance between two coordinates
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Radius of the Earth in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  const distance = R * c;
-  return distance;
+// Store verification functions
+// Drug license documents live in the private 'store-licenses' bucket; only
+// the uploader and admins can open them, through short-lived signed URLs
+const LICENSE_BUCKET = 'store-licenses';
+
+// Verification requests for the given stores, newest first
+export const getStoreVerificationRequests = async (storeIds) => {
+  try {
+    if (storeIds.length === 0) return { data: [], error: null };
+
+    const { data, error } = await supabase
+      .from('store_verification_requests')
+      .select('*')
+      .in('store_id', storeIds)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error getting verification requests:', error);
+    return { data: [], error };
+  }
+};
+
+// Uploads the license document and queues the store for review
+export const submitStoreVerification = async (userId, storeId, licenseNumber, document) => {
+  try {
+    // Only the path is kept - the bucket is private, so the document is read
+    // through signed URLs. The bucket policy requires the uploader's folder.
+    const fileExt = document.name.split('.').pop();
+    const documentPath = `${userId}/${Math.random().toString(36).substring(2)}.${fileExt}`;
+    const { error: uploadError } = await supabase.storage
+      .from(LICENSE_BUCKET)
+      .upload(documentPath, document);
+    if (uploadError) throw uploadError;
+
+    const { data, error } = await supabase
+      .from('store_verification_requests')
+      .insert([
+        {
+          store_id: storeId,
+          submitted_by: userId,
+          license_number: licenseNumber,
+          document_path: documentPath,
+          document_name: document.name,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error submitting store verification:', error);
+    return { data: null, error };
+  }
+};
+
+// Admin review queue: requests with the store and who submitted them
+export const getVerificationQueue = async (status = 'pending') => {
+  try {
+    const { data, error } = await supabase
+      .from('store_verification_requests')
+      .select(`
+        *,
+        stores (
+          id,
+          store_name,
+          address,
+          city,
+          state,
+          pincode,
+          phone,
+          is_verified
+        ),
+        submitter:profiles!store_verification_requests_submitted_by_fkey (
+          full_name,
+          email
+        )
+      `)
+      .eq('status', status)
+      .order('created_at', { ascending: status === 'pending' });
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error getting verification queue:', error);
+    return { data: [], error };
+  }
+};
+
+export const getLicenseDocumentUrl = async (documentPath, expiresIn = 300) => {
+  try {
+    const { data, error } = await supabase.storage
+      .from(LICENSE_BUCKET)
+      .createSignedUrl(documentPath, expiresIn);
+
+    if (error) throw error;
+    return { data: data.signedUrl, error: null };
+  } catch (error) {
+    console.error('Error getting license document:', error);
+    return { data: null, error };
+  }
+};
+
+// Approve, or reject with a reason - see review_store_verification()
+export const reviewStoreVerification = async (requestId, approve, reason = null) => {
+  try {
+    const { data, error } = await supabase.rpc('review_store_verification', {
+      request_id: requestId,
+      approve,
+      reason,
+    });
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error reviewing store verification:', error);
+    return { data: null, error };
+  }
+};
+
+// Admin console functions
+// Everything here is also enforced by RLS / the admin RPCs in
+// database/add_admin_console.sql; the UI only hides what admins can't use
+
+// Platform counts and search volume - see admin_platform_overview()
+export const getPlatformOverview = async () => {
+  try {
+    const { data, error } = await supabase.rpc('admin_platform_overview');
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error getting platform overview:', error);
+    return { data: null, error };
+  }
+};
+
+// Categories with how many medicines use each one
+export const getCategoriesWithCounts = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('medicine_categories')
+      .select('*, medicines(count)')
+      .order('name');
+
+    if (error) throw error;
+    return {
+      data: (data || []).map(({ medicines, ...category }) => ({
+        ...category,
+        medicine_count: medicines?.[0]?.count || 0,
+      })),
+      error: null,
+    };
+  } catch (error) {
+    console.error('Error getting categories:', error);
+    return { data: [], error };
+  }
+};
+
+// Creates the category, or updates it when it has an id
+export const saveCategory = async ({ id, name, description }) => {
+  try {
+    const values = { name: name.trim(), description: description?.trim() || null };
+    const query = id
+      ? supabase.from('medicine_categories').update(values).eq('id', id)
+      : supabase.from('medicine_categories').insert([values]);
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error saving category:', error);
+    return { data: null, error };
+  }
+};
+
+export const deleteCategory = async (categoryId) => {
+  try {
+    const { error } = await supabase
+      .from('medicine_categories')
+      .delete()
+      .eq('id', categoryId);
+
+    if (error) throw error;
+    return { error: null };
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    return { error };
+  }
+};
+
+// Users matching a name/email search, newest first
+export const getUsers = async ({ search = '', role = '', suspendedOnly = false, limit = 50 } = {}) => {
+  try {
+    let query = supabase
+      .from('profiles')
+      .select('id, email, full_name, phone, role, is_suspended, suspended_reason, suspended_at, created_at')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    const searchFilter = buildSearchOrFilter(['full_name', 'email'], search);
+    if (searchFilter) query = query.or(searchFilter);
+    if (role) query = query.eq('role', role);
+    if (suspendedOnly) query = query.eq('is_suspended', true);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error getting users:', error);
+    return { data: [], error };
+  }
+};
+
+// Suspend (with a reason) or reinstate - see set_user_suspension()
+export const setUserSuspended = async (userId, suspend, reason = null) => {
+  try {
+    const { data, error } = await supabase.rpc('set_user_suspension', {
+      target_user: userId,
+      suspend,
+      reason,
+    });
+
+    if (error) throw error;
+    return { data, error: null };
+  } catch (error) {
+    console.error('Error updating user suspension:', error);
+    return { data: null, error };
+  }
+};
+
+// Latest reviews across all stores, optionally only the low-rated ones
+export const getRecentReviews = async ({ maxRating = 5, limit = 50 } = {}) => {
+  try {
+    const { data, error } = await supabase
+      .from('reviews')
+      .select(`
+        *,
+        stores (
+          id,
+          store_name,
+          city
+        ),
+        profiles (
+          full_name,
+          email,
+          is_suspended
+        )
+      `)
+      .lte('rating', maxRating)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return { data: data || [], error: null };
+  } catch (error) {
+    console.error('Error getting reviews:', error);
+    return { data: [], error };
+  }
+};
+
+export const deleteReview = async (reviewId) => {
+  try {
+    const { error } = await supabase
+      .from('reviews')
+      .delete()
+      .eq('id', reviewId);
+
+    if (error) throw error;
+    return { error: null };
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    return { error };
+  }
 };
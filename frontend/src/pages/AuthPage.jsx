@@ -91,12 +91,14 @@ const AuthPage = () => {
     try {
       if (isLogin) {
         // Pass selectedRole to login for role verification
-        await login(formData.email, formData.password, selectedRole);
+        const { role } = await login(formData.email, formData.password, selectedRole);
         toast.success('Welcome back!');
         
         // Navigate based on selected role
         // Pharmacy users go to home page first, customers go to dashboard
-        if (selectedRole === 'retailer') {
+        if (role === 'admin') {
+          navigate('/admin');
+        } else if (selectedRole === 'retailer') {
           navigate('/');
         } else {
           navigate('/customer/dashboard');
@@ -15,6 +15,7 @@ import {
   AlertCircle,
   Sparkles,
   Activity,
+  Siren,
 } from 'lucide-react';
 import useAuthStore from '../store/authStore';
 import { useState, useEffect } from 'react';
@@ -88,6 +89,7 @@ const CustomerHomePage = ({ user }) => {
               quantity
             )
           `)
+          .eq('medicines.stock_status', 'active')
           .limit(5);
 
         if (!error && stores) {
@@ -223,6 +225,18 @@ const CustomerHomePage = ({ user }) => {
               </motion.button>
             </Link>
 
+            {/* Straight to pharmacies that are open right now, quickest first */}
+            <Link to="/search?emergency=1">
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="flex items-center gap-2 justify-center px-6 py-4 rounded-xl bg-red-600 hover:bg-red-500 text-white font-semibold transition-colors"
+              >
+                <Siren size={20} />
+                <span>Emergency</span>
+              </motion.button>
+            </Link>
+
             {!user && (
               <Link to="/auth">
                 <motion.button
@@ -812,7 +826,8 @@ const PharmacyHomePage = ({ user, profile }) => {
           const { data: medicines } = await supabase
             .from('medicines')
             .select('*')
-            .in('store_id', storeIds);
+            .in('store_id', storeIds)
+            .eq('stock_status', 'active');
 
           const totalMedicines = medicines?.length || 0;
           const lowStockMeds = medicines?.filter(m => m.quantity <= (m.min_stock_alert || 10)) || [];
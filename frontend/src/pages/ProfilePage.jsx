@@ -21,6 +21,7 @@ import useAuthStore from '../store/authStore';
 import { supabase, uploadImage } from '../lib/supabase';
 import toast from 'react-hot-toast';
 import { useNavigate } from 'react-router-dom';
+import SavedPlacesManager from '../components/SavedPlacesManager';
 
 const ProfilePage = () => {
   const { user, profile, signOut, setProfile } = useAuthStore();
@@ -223,7 +224,7 @@ const ProfilePage = () => {
           <motion.div
             initial={{ opacity: 0, x: -20 }}
             animate={{ opacity: 1, x: 0 }}
-            className="lg:col-span-2"
+            className="lg:col-span-2 space-y-6"
           >
             <div className="glass-card p-6">
               <div className="flex items-center justify-between mb-6">
@@ -278,13 +279,15 @@ const ProfilePage = () => {
                     <div className="mt-2">
                       <span
                         className={`inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-sm ${
-                          profile?.role === 'retailer'
+                          profile?.role === 'admin'
+                            ? 'bg-amber-500/20 text-amber-400'
+                            : profile?.role === 'retailer'
                             ? 'bg-purple-500/20 text-purple-400'
                             : 'bg-blue-500/20 text-blue-400'
                         }`}
                       >
                         <Shield size={14} />
-                        {profile?.role === 'retailer' ? 'Retailer' : 'Customer'}
+                        {profile?.role === 'admin' ? 'Admin' : profile?.role === 'retailer' ? 'Retailer' : 'Customer'}
                       </span>
                     </div>
                   </div>
@@ -396,6 +399,9 @@ const ProfilePage = () => {
                 )}
               </form>
             </div>
+
+            {/* Saved Places */}
+            <SavedPlacesManager />
           </motion.div>
 
           {/* Account Actions */}
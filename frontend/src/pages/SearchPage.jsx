@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence, useAnimation } from 'framer-motion';
 import {
@@ -24,12 +24,23 @@ import {
   CheckCircle,
   Heart,
   HeartOff,
+  ShoppingBasket,
+  ArrowUpDown,
+  History,
+  Timer,
+  LocateFixed,
+  Bell,
+  Siren,
+  ShieldCheck,
 } from 'lucide-react';
-import useLocationStore from '../store/locationStore';
+import useLocationStore, { distanceBetween } from '../store/locationStore';
 import useAuthStore from '../store/authStore';
-import { searchMedicines, logSearch, addFavoriteMedicine, removeFavoriteMedicine, isMedicineFavorite } from '../lib/supabase';
+import { SEARCH_SORT_MODES, searchMedicinesPage, searchMedicineBasket, searchSubstitutes, suggestMedicineNames, autocompleteMedicineNames, getRecentSearches, logSearch, createMedicineAlert, addFavoriteMedicine, removeFavoriteMedicine, isMedicineFavorite } from '../lib/supabase';
 import toast from 'react-hot-toast';
 import MedicineMap from '../components/MedicineMap';
+import LocationPicker from '../components/LocationPicker';
+import { TRAVEL_MODES, externalDirectionsUrl, getTravelTimes, supportsTravelTimes } from '../lib/maps';
+import { isStoreOpenNow, getOpeningText, getTodaysHoursText } from '../lib/storeHours';
 
 // Particle animation component
 const ParticleField = () => {
@@ -60,37 +71,254 @@ const ParticleField = () => {
   );
 };
 
-// Animated search suggestions
-const searchSuggestions = [
-  'Paracetamol',
-  'Insulin',
-  'Aspirin',
-  'Ibuprofen',
-  'Amoxicillin',
-  'Cetirizine',
-  'Omeprazole',
-  'Metformin',
+// Bold the part of an autocomplete suggestion that matches what was typed
+const HighlightMatch = ({ text, query }) => {
+  const start = query ? text.toLowerCase().indexOf(query.toLowerCase()) : -1;
+  if (start === -1) return text;
+
+  return (
+    <>
+      {text.slice(0, start)}
+      <span className="font-semibold text-primary-300">{text.slice(start, start + query.length)}</span>
+      {text.slice(start + query.length)}
+    </>
+  );
+};
+
+// Autocomplete: wait for a pause in typing before querying the catalog
+const AUTOCOMPLETE_DEBOUNCE_MS = 250;
+const AUTOCOMPLETE_MIN_CHARS = 2;
+
+// Recent searches shown in the dropdown (all of them when the input is empty)
+const MAX_RECENT_SUGGESTIONS = 3;
+const MAX_RECENT_WHEN_EMPTY = 6;
+
+// Results fetched per page; more load as the list is scrolled
+const PAGE_SIZE = 20;
+
+// Map view reloads results for the visible area only when it spans less
+// than this many degrees (~55 km), so zooming out doesn't query half the country
+const MAX_VIEWPORT_SPAN = 0.5;
+
+// Maximum number of same-salt alternatives shown when nothing is in stock
+const MAX_SUBSTITUTES = 12;
+
+// Maximum number of medicines in a prescription basket
+const MAX_BASKET_ITEMS = 10;
+
+const DEFAULT_RADIUS = 10;
+
+// Result filters are applied server-side and mirrored in the URL query
+// string (?radius=5&max_price=100&otc=1&open=1&verified=1&min_qty=2&sort=cheapest) so a filtered
+// search can be shared or bookmarked
+const DEFAULT_FILTERS = {
+  maxPrice: '',
+  otcOnly: false,
+  openNow: false,
+  verifiedOnly: false,
+  minQuantity: 1,
+};
+
+const radiusFromParams = (params) => {
+  const radius = parseInt(params.get('radius'));
+  return radius >= 1 && radius <= 50 ? radius : DEFAULT_RADIUS;
+};
+
+const filtersFromParams = (params) => ({
+  maxPrice: parseFloat(params.get('max_price')) > 0 ? params.get('max_price') : '',
+  otcOnly: params.get('otc') === '1',
+  openNow: params.get('open') === '1',
+  verifiedOnly: params.get('verified') === '1',
+  minQuantity: Math.max(parseInt(params.get('min_qty')) || 1, 1),
+});
+
+// Emergency mode (?emergency=1) only lists stores that are open right now -
+// 24x7 / emergency pharmacies always are - quickest to reach first, or
+// nearest first where the map provider has no travel times
+const EMERGENCY_SORT = 'eta';
+
+// Result orderings (search_nearby_medicines sort_by, plus 'eta' which
+// re-ranks the nearest results by travel time here, with Google Maps only). The first result under
+// the selected mode gets the crown marker on the map, labelled `mapLabel`.
+const SORT_OPTIONS = [
+  { value: 'nearest', label: 'Nearest', mapLabel: 'NEAREST' },
+  { value: 'eta', label: 'Travel time', mapLabel: 'QUICKEST' },
+  { value: 'cheapest', label: 'Cheapest', mapLabel: 'CHEAPEST' },
+  { value: 'rating', label: 'Top rated', mapLabel: 'TOP RATED' },
+  { value: 'value', label: 'Best value', mapLabel: 'BEST VALUE' },
 ];
 
+const sortFromParams = (params) =>
+  SEARCH_SORT_MODES.includes(params.get('sort')) || params.get('sort') === 'eta'
+    ? params.get('sort')
+    : 'nearest';
+
+const travelModeFromParams = (params) =>
+  TRAVEL_MODES.some(option => option.value === params.get('travel')) ? params.get('travel') : 'driving';
+
+// How many of the nearest results are re-ranked by real travel time
+const ETA_RANK_COUNT = 10;
+
+// Put the first ETA_RANK_COUNT results in order of travel time from `origin`,
+// attaching it as `travel` ({ duration, durationSeconds, distance }). Results
+// without a route keep their distance order after the timed ones.
+const rankByTravelTime = async (results, origin, mode) => {
+  const top = results.slice(0, ETA_RANK_COUNT);
+  const times = await getTravelTimes(
+    origin,
+    top.map(result => ({
+      lat: parseFloat(result.stores?.latitude),
+      lng: parseFloat(result.stores?.longitude),
+    })),
+    mode
+  );
+
+  const timed = top
+    .map((result, index) => ({ ...result, travel: times[index] }))
+    .sort((a, b) => (a.travel?.durationSeconds ?? Infinity) - (b.travel?.durationSeconds ?? Infinity));
+
+  return [...timed, ...results.slice(ETA_RANK_COUNT)];
+};
+
+// With live tracking on, moves up to REQUERY_MOVE_KM (or a fifth of the
+// search radius, if smaller) only recompute distances for the loaded
+// results; longer ones run the search again from the new position
+const REQUERY_MOVE_KM = 1;
+const REQUERY_RADIUS_FRACTION = 0.2;
+
+// Results with distance_km measured from `origin` instead of where they were
+// searched from. Under 'nearest' they are re-sorted the way the database
+// orders them: best match first, then distance.
+const relocateResults = (results, origin, sortBy) => {
+  const relocated = results.map(result => ({
+    ...result,
+    distance_km: distanceBetween(origin, {
+      lat: parseFloat(result.stores?.latitude),
+      lng: parseFloat(result.stores?.longitude),
+    }),
+  }));
+
+  if (sortBy !== 'nearest') return relocated;
+  return relocated.sort((a, b) => b.match_score - a.match_score || a.distance_km - b.distance_km);
+};
+
+// Loaded rows measured from the live position, when tracking is on
+const atTrackedLocation = (results, sortBy) => {
+  const { isTracking, userLocation } = useLocationStore.getState();
+  return isTracking && userLocation ? relocateResults(results, userLocation, sortBy) : results;
+};
+
+const countActiveFilters = (filters) =>
+  [filters.maxPrice, filters.otcOnly, filters.openNow, filters.verifiedOnly, filters.minQuantity > 1].filter(Boolean).length;
+
+// "Open · Closes at 9 PM" / "Closed · Opens tomorrow at 9 AM" under a store name
+const OpeningStatus = ({ store }) => {
+  const isOpen = isStoreOpenNow(store);
+  const text = getOpeningText(store);
+  if (store?.is_24x7 && isOpen) {
+    return (
+      <p className="flex items-center gap-1 text-[10px] font-medium text-red-400">
+        <Siren size={10} className="flex-shrink-0" />
+        {text}
+      </p>
+    );
+  }
+  return (
+    <p className={`flex items-center gap-1 text-[10px] truncate ${isOpen ? 'text-green-400' : 'text-red-400'}`}>
+      <Clock size={10} className="flex-shrink-0" />
+      {isOpen ? 'Open' : 'Closed'}
+      {text && <span className="text-white/50 truncate">· {text}</span>}
+    </p>
+  );
+};
+
+// Shield shown after the name of a store whose drug license has been checked
+const VerifiedBadge = ({ store }) => (store?.is_verified ? (
+  <span title="Verified pharmacy - drug license checked" className="inline-flex align-middle ml-1">
+    <ShieldCheck size={12} className="text-green-400" />
+  </span>
+) : null);
+
+// Shape a stores row (and the medicine found there) the way MedicineMap expects
+const toMapStore = (store, medicine, distance, index) => {
+  return {
+    id: store?.id || medicine?.id,
+    name: store?.store_name || 'Unknown Store',
+    address: store?.address || 'Address not available',
+    fullAddress: [
+      store?.address,
+      store?.city,
+      store?.state,
+      store?.pincode
+    ].filter(Boolean).join(', '),
+    phone: store?.phone || '',
+    email: store?.email || '',
+    rating: parseFloat(store?.rating) || 4.0,
+    totalReviews: store?.total_reviews || 0,
+    isOpen: isStoreOpenNow(store),
+    isVerified: !!store?.is_verified,
+    openingHours: getTodaysHoursText(store),
+    statusText: getOpeningText(store),
+    storeImageUrl: store?.store_image_url,
+    latitude: parseFloat(store?.latitude) || 0,
+    longitude: parseFloat(store?.longitude) || 0,
+    distance,
+    medicine: medicine && {
+      name: medicine.name,
+      genericName: medicine.generic_name,
+      price: medicine.price,
+      quantity: medicine.quantity,
+      imageUrl: medicine.image_url,
+      manufacturer: medicine.manufacturer,
+      dosage: medicine.dosage,
+      requiresPrescription: medicine.requires_prescription,
+    },
+    index: index + 1,
+  };
+};
+
 const SearchPage = () => {
-  const [searchParams] = useSearchParams();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [searchQuery, setSearchQuery] = useState('');
+  const [searchedQuery, setSearchedQuery] = useState(''); // Query the results on screen are for
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [searched, setSearched] = useState(false);
-  const [radius, setRadius] = useState(10);
+  const [radius, setRadius] = useState(() => radiusFromParams(searchParams));
+  const [filters, setFilters] = useState(() => filtersFromParams(searchParams));
+  const [sortBy, setSortBy] = useState(() => sortFromParams(searchParams));
+  const [travelMode, setTravelMode] = useState(() => travelModeFromParams(searchParams));
+  const [emergency, setEmergency] = useState(() => searchParams.get('emergency') === '1');
   const [showFilters, setShowFilters] = useState(false);
+  const [showLocationPicker, setShowLocationPicker] = useState(false);
   const [selectedResult, setSelectedResult] = useState(null);
   const [selectedStore, setSelectedStore] = useState(null);
   const [viewMode, setViewMode] = useState('split'); // 'split', 'map', 'list'
   const [showSuggestions, setShowSuggestions] = useState(false);
+  const [catalogSuggestions, setCatalogSuggestions] = useState([]); // Stocked names matching the input
+  const [recentSearches, setRecentSearches] = useState([]); // From the user's search_history
+  const [highlightIndex, setHighlightIndex] = useState(-1); // Keyboard-selected suggestion
   const [animatingSearch, setAnimatingSearch] = useState(false);
   const [favorites, setFavorites] = useState({}); // Track favorite medicine IDs
+  const [didYouMean, setDidYouMean] = useState([]); // Spelling suggestions for empty results
+  const [substitutes, setSubstitutes] = useState([]); // Same-salt brands when nothing is in stock
+  const [searchMode, setSearchMode] = useState('single'); // 'single', 'basket'
+  const [basketItems, setBasketItems] = useState([]);
+  const [basketResults, setBasketResults] = useState([]); // Stores ranked by basket coverage
+  const basketCardRefs = useRef({}); // Basket result cards by store id
+  const [nextCursor, setNextCursor] = useState(null); // Cursor for the next page of results
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [viewport, setViewport] = useState(null); // Visible map area the results were loaded for
+  const [viewportTooLarge, setViewportTooLarge] = useState(false);
+  const [canRankByEta, setCanRankByEta] = useState(false); // Map provider has travel times
   const searchInputRef = useRef(null);
+  const listEndRef = useRef(null);
+  const pageContext = useRef(null); // Query, location and options of the results being paged
   const controls = useAnimation();
   const initialSearchDone = useRef(false);
+  const wasTracking = useRef(false);
 
-  const { userLocation, getUserLocation, isLocating, locationError } = useLocationStore();
+  const { userLocation, getUserLocation, isLocating, locationError, isTracking, startTracking, stopTracking, loadSavedPlaces } = useLocationStore();
   const { user } = useAuthStore();
 
   // Toggle favorite medicine
@@ -139,15 +367,124 @@ const SearchPage = () => {
     checkFavorites();
   }, [results, user]);
 
-  // Get user location on mount
+  // Travel-time ranking needs Google Maps; OpenStreetMap sorts by distance
+  useEffect(() => {
+    supportsTravelTimes().then(setCanRankByEta).catch(() => setCanRankByEta(false));
+  }, []);
+
+  // Saved places for the location quick switcher
+  useEffect(() => {
+    loadSavedPlaces(user?.id);
+  }, [user?.id]);
+
+  // Recent searches for the autocomplete dropdown
+  useEffect(() => {
+    if (!user) {
+      setRecentSearches([]);
+      return;
+    }
+    getRecentSearches(user.id).then(({ data }) => setRecentSearches(data));
+  }, [user]);
+
+  // Debounced catalog autocomplete as the user types
+  useEffect(() => {
+    const term = searchQuery.trim();
+    if (term.length < AUTOCOMPLETE_MIN_CHARS) {
+      setCatalogSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const { data } = await autocompleteMedicineNames(term, userLocation?.lat, userLocation?.lng, radius);
+      if (!cancelled) setCatalogSuggestions(data);
+    }, AUTOCOMPLETE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchQuery, userLocation, radius]);
+
+  // Dropdown entries: matching recent searches first, then stocked names
+  const suggestionItems = useMemo(() => {
+    const term = searchQuery.trim().toLowerCase();
+    const countFor = (label) =>
+      catalogSuggestions.find(item => item.suggestion.toLowerCase() === label.toLowerCase())?.store_count ?? null;
+
+    const recent = (term
+      ? recentSearches
+          .filter(query => query.toLowerCase().includes(term) && query.toLowerCase() !== term)
+          .slice(0, MAX_RECENT_SUGGESTIONS)
+      : recentSearches.slice(0, MAX_RECENT_WHEN_EMPTY)
+    ).map(query => ({ label: query, source: 'history', storeCount: countFor(query) }));
+
+    const catalog = catalogSuggestions
+      .filter(item => !recent.some(entry => entry.label.toLowerCase() === item.suggestion.toLowerCase()))
+      .map(item => ({
+        label: item.suggestion,
+        source: 'catalog',
+        isGeneric: item.kind === 'generic',
+        storeCount: item.store_count,
+      }));
+
+    return [...recent, ...catalog];
+  }, [searchQuery, recentSearches, catalogSuggestions]);
+
+  useEffect(() => {
+    setHighlightIndex(-1);
+  }, [suggestionItems]);
+
+  // Get user location on mount - if that fails, ask where to search from
   useEffect(() => {
     if (!userLocation) {
-      getUserLocation().catch(() => {
-        useLocationStore.getState().setLocation(20.5937, 78.9629);
-      });
+      getUserLocation().catch(() => setShowLocationPicker(true));
     }
   }, []);
 
+  // Where searches are measured from. Read from the store rather than this
+  // render, so a place picked just now is used straight away. Without one,
+  // the location picker is opened instead.
+  const requireSearchOrigin = () => {
+    const origin = useLocationStore.getState().userLocation;
+    if (!origin) {
+      toast.error('Set your location to find pharmacies near you');
+      setShowLocationPicker(true);
+    }
+    return origin;
+  };
+
+  // Search again from a newly chosen location
+  const handleLocationChange = () => {
+    if (!searched) return;
+    if (searchMode === 'basket') {
+      handleBasketSearch();
+    } else if (pageContext.current) {
+      handleSearch(null, pageContext.current.query);
+    }
+  };
+
+  // Live tracking is only kept up while the search page is open
+  useEffect(() => () => useLocationStore.getState().stopTracking(), []);
+
+  // Tell the user when the browser ends live tracking (permission revoked, no signal)
+  useEffect(() => {
+    if (wasTracking.current && !isTracking && locationError) {
+      toast.error(locationError);
+    }
+    wasTracking.current = isTracking;
+  }, [isTracking, locationError]);
+
+  const toggleTracking = () => {
+    if (isTracking) {
+      stopTracking();
+      toast('Live location off', { icon: '📍' });
+    } else {
+      startTracking();
+      toast.success('Live location on - distances update as you move');
+    }
+  };
+
   // Handle search query from URL (from chatbot)
   useEffect(() => {
     const queryFromUrl = searchParams.get('q');
@@ -162,61 +499,54 @@ const SearchPage = () => {
   }, [searchParams, userLocation]);
 
   // Transform results to stores format for MedicineMap
-  const transformedStores = results.map((result, index) => {
-    // Format opening hours from time fields
-    const formatTime = (timeStr) => {
-      if (!timeStr) return null;
-      try {
-        const [hours, minutes] = timeStr.split(':');
-        const hour = parseInt(hours);
-        const ampm = hour >= 12 ? 'PM' : 'AM';
-        const hour12 = hour % 12 || 12;
-        return `${hour12}:${minutes} ${ampm}`;
-      } catch {
-        return timeStr;
-      }
-    };
-    
-    const openTime = formatTime(result.stores?.opening_time);
-    const closeTime = formatTime(result.stores?.closing_time);
-    const openingHours = openTime && closeTime ? `${openTime} - ${closeTime}` : '9:00 AM - 9:00 PM';
-    
-    return {
-      id: result.stores?.id || result.id,
-      name: result.stores?.store_name || 'Unknown Store',
-      address: result.stores?.address || 'Address not available',
-      fullAddress: [
-        result.stores?.address,
-        result.stores?.city,
-        result.stores?.state,
-        result.stores?.pincode
-      ].filter(Boolean).join(', '),
-      phone: result.stores?.phone || '',
-      email: result.stores?.email || '',
-      rating: parseFloat(result.stores?.rating) || 4.0,
-      totalReviews: result.stores?.total_reviews || 0,
-      isOpen: result.stores?.is_open !== false,
-      openingHours,
-      storeImageUrl: result.stores?.store_image_url,
-      latitude: parseFloat(result.stores?.latitude) || 0,
-      longitude: parseFloat(result.stores?.longitude) || 0,
-      distance: result.distance_km,
-      medicine: {
-        name: result.name,
-        genericName: result.generic_name,
-        price: result.price,
-        quantity: result.quantity,
-        imageUrl: result.image_url,
-        manufacturer: result.manufacturer,
-        dosage: result.dosage,
-        requiresPrescription: result.requires_prescription,
-      },
-      index: index + 1,
-    };
-  });
+  const transformedStores = useMemo(() => results.map((result, index) =>
+    toMapStore(result.stores, result, result.distance_km, index)
+  ), [results]);
+
+  // Basket mode: one marker per store, coloured by how much of the basket it covers
+  const basketStores = useMemo(() => basketResults.map((entry, index) => ({
+    ...toMapStore(entry.store, entry.found[0]?.medicine, entry.distance_km, index),
+    coverage: { matched: entry.matchedCount, total: entry.totalItems },
+  })), [basketResults]);
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Filters and ordering a search runs with - emergency mode overrides both.
+  // Without travel times 'eta' quietly falls back to nearest first.
+  const searchOptions = () => {
+    const options = emergency
+      ? { filters: { ...filters, openNow: true }, sortBy: EMERGENCY_SORT }
+      : { filters, sortBy };
+    return options.sortBy === 'eta' && !canRankByEta ? { ...options, sortBy: 'nearest' } : options;
+  };
+
+  // Mirror the current query and filters in the URL
+  const syncSearchParams = (query) => {
+    // The URL now reflects a search that already ran - don't replay it
+    initialSearchDone.current = true;
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    if (radius !== DEFAULT_RADIUS) params.set('radius', radius);
+    if (filters.maxPrice) params.set('max_price', filters.maxPrice);
+    if (filters.otcOnly) params.set('otc', '1');
+    if (filters.openNow) params.set('open', '1');
+    if (filters.verifiedOnly) params.set('verified', '1');
+    if (filters.minQuantity > 1) params.set('min_qty', filters.minQuantity);
+    if (sortBy !== 'nearest' && searchMode === 'single') params.set('sort', sortBy);
+    if (travelMode !== 'driving') params.set('travel', travelMode);
+    if (emergency) params.set('emergency', '1');
+    setSearchParams(params, { replace: true });
+  };
 
   const handleSearch = async (e, queryOverride = null) => {
     e?.preventDefault();
+    if (searchMode === 'basket') {
+      handleBasketSearch();
+      return;
+    }
+
     const query = queryOverride || searchQuery;
     
     if (!query.trim()) {
@@ -224,6 +554,9 @@ const SearchPage = () => {
       return;
     }
 
+    const origin = requireSearchOrigin();
+    if (!origin) return;
+
     // Trigger search animation
     setAnimatingSearch(true);
     await controls.start({
@@ -236,20 +569,38 @@ const SearchPage = () => {
     setSelectedResult(null);
     setSelectedStore(null);
     setShowSuggestions(false);
+    setDidYouMean([]);
+    setSubstitutes([]);
+    setViewport(null);
+    setViewportTooLarge(false);
 
     try {
-      // Get user location or use default (India center)
-      const lat = userLocation?.lat || 20.5937;
-      const lng = userLocation?.lng || 78.9629;
-      
-      const searchResults = await searchMedicines(
-        query,
-        lat,
-        lng,
-        radius
-      );
+      const { lat, lng } = origin;
+      const { filters: activeFilters, sortBy: activeSort } = searchOptions();
 
-      setResults(searchResults || []);
+      // Radius filtering, result filters, sorting and paging happen in the database
+      const context = { query, lat, lng, radius, filters: activeFilters, sortBy: activeSort, viewport: null };
+      pageContext.current = context;
+      const { results: searchResults, nextCursor: cursor } = await searchMedicinesPage(query, lat, lng, {
+        radius,
+        pageSize: PAGE_SIZE,
+        filters: activeFilters,
+        sortBy: activeSort,
+      });
+
+      let rankedResults = searchResults;
+      if (activeSort === 'eta' && searchResults.length > 0) {
+        rankedResults = await rankByTravelTime(searchResults, { lat, lng }, travelMode).catch((error) => {
+          console.error('Travel time ranking error:', error);
+          toast.error(`${error.message || 'Could not get travel times'} - showing nearest first`);
+          return searchResults;
+        });
+      }
+
+      setResults(rankedResults);
+      setSearchedQuery(query);
+      setNextCursor(cursor);
+      syncSearchParams(query);
 
       if (user && searchResults) {
         await logSearch(
@@ -259,12 +610,28 @@ const SearchPage = () => {
           lng,
           searchResults.length
         );
+        setRecentSearches(prev => [query, ...prev.filter(recent => recent.toLowerCase() !== query.toLowerCase())]);
       }
 
       if (!searchResults || searchResults.length === 0) {
-        toast('No medicines found nearby', { icon: '🔍' });
+        const [{ data: suggestions }, substituteResults] = await Promise.all([
+          suggestMedicineNames(query),
+          searchSubstitutes(query, lat, lng, radius, MAX_SUBSTITUTES, activeFilters).catch(() => []),
+        ]);
+        setDidYouMean(suggestions);
+        setSubstitutes(substituteResults);
+        toast(
+          substituteResults.length > 0
+            ? 'Not in stock nearby - showing same-salt alternatives'
+            : emergency
+              ? 'No open pharmacy nearby has it - try a larger radius'
+              : 'No medicines found nearby',
+          { icon: '🔍' }
+        );
+      } else if (searchResults[0].match_score < 1) {
+        toast(`Showing close matches for "${query}"`, { icon: '✨' });
       } else {
-        toast.success(`Found ${searchResults.length} result${searchResults.length > 1 ? 's' : ''} for "${query}"`);
+        toast.success(`Found ${searchResults.length}${cursor ? '+' : ''} result${searchResults.length > 1 ? 's' : ''} for "${query}"`);
       }
     } catch (error) {
       console.error('Search error:', error);
@@ -275,6 +642,275 @@ const SearchPage = () => {
     }
   };
 
+  // Next page of the current results (list infinite scroll, map "load more")
+  const loadMoreResults = async () => {
+    const context = pageContext.current;
+    if (!context || !nextCursor || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const page = await searchMedicinesPage(context.query, context.lat, context.lng, {
+        radius: context.radius,
+        pageSize: PAGE_SIZE,
+        filters: context.filters,
+        sortBy: context.sortBy,
+        cursor: nextCursor,
+        viewport: context.viewport,
+      });
+
+      // A new search or map move replaced these results meanwhile
+      if (pageContext.current !== context) return;
+
+      setResults(prev => atTrackedLocation(
+        [...prev, ...page.results.filter(row => !prev.some(existing => existing.id === row.id))],
+        context.sortBy
+      ));
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Error loading more results:', error);
+      toast.error('Could not load more results');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Map view: reload the current search for the area the user panned or zoomed to
+  const handleViewportChange = async (bounds) => {
+    if (!pageContext.current) return;
+
+    const tooLarge = bounds.north - bounds.south > MAX_VIEWPORT_SPAN ||
+      bounds.east - bounds.west > MAX_VIEWPORT_SPAN;
+    setViewportTooLarge(tooLarge);
+    if (tooLarge) return;
+
+    const context = { ...pageContext.current, viewport: bounds };
+    pageContext.current = context;
+    setViewport(bounds);
+    setLoadingMore(true);
+
+    try {
+      const page = await searchMedicinesPage(context.query, context.lat, context.lng, {
+        radius: context.radius,
+        pageSize: PAGE_SIZE,
+        filters: context.filters,
+        sortBy: context.sortBy,
+        viewport: bounds,
+      });
+      if (pageContext.current !== context) return;
+
+      setResults(atTrackedLocation(page.results, context.sortBy));
+      setNextCursor(page.nextCursor);
+    } catch (error) {
+      console.error('Error loading results for map area:', error);
+      toast.error('Could not load results for this area');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // List view: fetch the next page when the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = listEndRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMoreResults();
+      },
+      { root: sentinel.parentElement, rootMargin: '200px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, viewMode, results.length]);
+
+  // Travel times depend on the mode - re-rank the results on screen when it
+  // changes, or once they turn out to be available after a search already ran
+  // by distance
+  useEffect(() => {
+    if (searchOptions().sortBy === 'eta' && searched && searchMode === 'single' && results.length > 0) {
+      handleSearch(null, searchedQuery);
+    }
+  }, [travelMode, canRankByEta]);
+
+  // Live tracking: small moves re-sort the loaded results by their new
+  // distances, bigger ones search again from here. Results for a map area
+  // don't depend on where the user is, so they are only re-measured.
+  useEffect(() => {
+    if (!isTracking || !userLocation) return;
+
+    if (searchMode === 'basket') {
+      setBasketResults(prev => prev.map(entry => ({
+        ...entry,
+        distance_km: distanceBetween(userLocation, {
+          lat: parseFloat(entry.store?.latitude),
+          lng: parseFloat(entry.store?.longitude),
+        }),
+      })));
+      return;
+    }
+
+    const context = pageContext.current;
+    if (!context || loading) return;
+
+    const moved = distanceBetween(context, userLocation);
+    if (!context.viewport && moved > Math.min(REQUERY_MOVE_KM, context.radius * REQUERY_RADIUS_FRACTION)) {
+      handleSearch(null, context.query);
+      return;
+    }
+    setResults(prev => relocateResults(prev, userLocation, context.sortBy));
+  }, [isTracking, userLocation]);
+
+  // Re-rank the current results when the sort mode changes - for the
+  // query they came from, not whatever is in the search box now
+  useEffect(() => {
+    if (searched && searchMode === 'single' && results.length > 0) {
+      handleSearch(null, searchedQuery);
+    }
+  }, [sortBy]);
+
+  // Entering or leaving emergency mode changes which stores qualify
+  useEffect(() => {
+    if (searched && searchMode === 'single' && pageContext.current) {
+      handleSearch(null, pageContext.current.query);
+    }
+  }, [emergency]);
+
+  const toggleEmergency = () => {
+    if (!emergency) {
+      // Emergency searches are for a single medicine
+      if (searchMode === 'basket') switchSearchMode('single');
+      if (!searched) searchInputRef.current?.focus();
+      toast('Emergency mode - open pharmacies only, quickest first', { icon: '🚨' });
+    }
+    if (!searched) {
+      // No search to re-run yet: just keep the URL in step
+      const params = new URLSearchParams(searchParams);
+      if (emergency) params.delete('emergency');
+      else params.set('emergency', '1');
+      setSearchParams(params, { replace: true });
+    }
+    setEmergency(!emergency);
+  };
+
+  const switchSearchMode = (mode) => {
+    setSearchMode(mode);
+    if (mode === 'basket') setEmergency(false);
+    setSearched(false);
+    setResults([]);
+    setBasketResults([]);
+    setNextCursor(null);
+    setViewport(null);
+    pageContext.current = null;
+    setSelectedResult(null);
+    setSelectedStore(null);
+  };
+
+  const addBasketItem = (item) => {
+    const name = item.trim();
+    if (!name) return;
+
+    if (basketItems.some(existing => existing.toLowerCase() === name.toLowerCase())) {
+      toast.error(`${name} is already in your basket`);
+      return;
+    }
+    if (basketItems.length >= MAX_BASKET_ITEMS) {
+      toast.error(`You can add up to ${MAX_BASKET_ITEMS} medicines`);
+      return;
+    }
+
+    setBasketItems(prev => [...prev, name]);
+    setSearchQuery('');
+  };
+
+  const removeBasketItem = (item) => {
+    setBasketItems(prev => prev.filter(existing => existing !== item));
+  };
+
+  const handleBasketSearch = async () => {
+    // Include whatever is still typed in the input
+    const pending = searchQuery.trim();
+    const items = pending && !basketItems.some(existing => existing.toLowerCase() === pending.toLowerCase())
+      ? [...basketItems, pending].slice(0, MAX_BASKET_ITEMS)
+      : basketItems;
+
+    if (items.length === 0) {
+      toast.error('Add at least one medicine to your basket');
+      return;
+    }
+
+    const origin = requireSearchOrigin();
+    if (!origin) return;
+    if (items !== basketItems) {
+      setBasketItems(items);
+      setSearchQuery('');
+    }
+
+    setAnimatingSearch(true);
+    await controls.start({
+      scale: [1, 0.98, 1],
+      transition: { duration: 0.3 },
+    });
+
+    setLoading(true);
+    setSearched(true);
+    setSelectedStore(null);
+    setShowSuggestions(false);
+
+    try {
+      const { lat, lng } = origin;
+
+      const rankedStores = await searchMedicineBasket(items, lat, lng, radius, filters);
+      setBasketResults(rankedStores);
+      syncSearchParams(null);
+
+      if (user) {
+        await logSearch(
+          user.id,
+          items.join(', ').slice(0, 255),
+          lat,
+          lng,
+          rankedStores.length
+        );
+      }
+
+      const completeStores = rankedStores.filter(entry => entry.missing.length === 0).length;
+      if (rankedStores.length === 0) {
+        toast('None of these medicines were found nearby', { icon: '🔍' });
+      } else if (completeStores > 0) {
+        toast.success(`${completeStores} pharmac${completeStores > 1 ? 'ies have' : 'y has'} everything on your list`);
+      } else {
+        toast('No single pharmacy has everything - showing best partial matches', { icon: '🧺' });
+      }
+    } catch (error) {
+      console.error('Basket search error:', error);
+      toast.error('Something went wrong. Please try again.');
+    } finally {
+      setLoading(false);
+      setAnimatingSearch(false);
+    }
+  };
+
+  // Ask to be notified when the medicine turns up near where this search ran -
+  // pinned to the saved place it ran from, if any, so the alert follows it
+  const handleCreateAlert = async () => {
+    const context = pageContext.current;
+    if (!context) return;
+    if (!user) {
+      toast.error('Please sign in to get stock alerts');
+      return;
+    }
+
+    const { savedPlaces, savedPlaceId } = useLocationStore.getState();
+    const savedPlace = savedPlaces.find(place => place.id === savedPlaceId) || null;
+    const { error } = await createMedicineAlert(user.id, context.query, context.lat, context.lng, savedPlace);
+
+    if (error) {
+      toast.error('Could not create the alert');
+    } else {
+      toast.success(`We'll let you know when ${context.query} is available near ${savedPlace ? savedPlace.label : 'you'}`);
+    }
+  };
+
   const handleStoreSelect = (store) => {
     setSelectedStore(store);
     const result = results.find(r => 
@@ -286,6 +922,14 @@ const SearchPage = () => {
     }
   };
 
+  // A basket map marker selects that store's card and scrolls it into view
+  const handleBasketStoreSelect = (store) => {
+    const index = basketResults.findIndex((entry) => entry.store.id === store.id);
+    if (index === -1) return;
+    setSelectedStore(basketStores[index]);
+    basketCardRefs.current[store.id]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  };
+
   const handleResultClick = (result) => {
     setSelectedResult(result);
     const store = transformedStores.find(s => 
@@ -298,11 +942,16 @@ const SearchPage = () => {
   };
 
   const openDirections = (lat, lng) => {
-    const url = `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}`;
-    window.open(url, '_blank');
+    window.open(externalDirectionsUrl(lat, lng, travelMode), '_blank');
   };
 
   const handleSuggestionClick = (suggestion) => {
+    if (searchMode === 'basket') {
+      addBasketItem(suggestion);
+      setShowSuggestions(false);
+      return;
+    }
+
     setSearchQuery(suggestion);
     setShowSuggestions(false);
     handleSearch(null, suggestion);
@@ -362,6 +1011,15 @@ const SearchPage = () => {
           >
             "Every second counts when lives are at stake"
           </motion.p>
+
+          {/* Where results are measured from */}
+          <div className="mt-3">
+            <LocationPicker
+              open={showLocationPicker}
+              onOpenChange={setShowLocationPicker}
+              onChange={handleLocationChange}
+            />
+          </div>
         </motion.div>
 
         {/* Compact Search Form */}
@@ -376,6 +1034,44 @@ const SearchPage = () => {
             className="glass-card p-4 relative overflow-hidden"
           >
             <form onSubmit={handleSearch} className="relative">
+              <div className="flex items-center justify-between gap-2 mb-3 flex-wrap">
+                {/* Search Mode Toggle */}
+                <div className="flex items-center gap-1 p-1 rounded-xl bg-white/5 w-fit">
+                  {[
+                    { mode: 'single', icon: <Search size={14} />, label: 'Single medicine' },
+                    { mode: 'basket', icon: <ShoppingBasket size={14} />, label: 'Prescription basket' },
+                  ].map(({ mode, icon, label }) => (
+                    <button
+                      key={mode}
+                      type="button"
+                      onClick={() => switchSearchMode(mode)}
+                      className={`px-3 py-1.5 rounded-lg flex items-center gap-1.5 text-xs transition-all ${
+                        searchMode === mode
+                          ? 'bg-primary-500 text-white'
+                          : 'text-white/60 hover:text-white'
+                      }`}
+                    >
+                      {icon}
+                      {label}
+                    </button>
+                  ))}
+                </div>
+
+                {/* One-tap emergency mode */}
+                <button
+                  type="button"
+                  onClick={toggleEmergency}
+                  className={`px-3 py-1.5 rounded-xl flex items-center gap-1.5 text-xs font-semibold border transition-all ${
+                    emergency
+                      ? 'bg-red-600 border-red-500 text-white animate-pulse'
+                      : 'bg-red-500/10 border-red-500/40 text-red-300 hover:bg-red-500/20'
+                  }`}
+                >
+                  <Siren size={14} />
+                  {emergency ? 'Emergency mode on' : 'Emergency'}
+                </button>
+              </div>
+
               <div className="flex flex-col sm:flex-row gap-3">
                 {/* Search Input with suggestions */}
                 <div className="relative flex-1 min-w-0">
@@ -395,40 +1091,99 @@ const SearchPage = () => {
                     ref={searchInputRef}
                     type="text"
                     value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
+                    onChange={(e) => {
+                      setSearchQuery(e.target.value);
+                      setShowSuggestions(true);
+                    }}
+                    onKeyDown={(e) => {
+                      // Arrow keys move through the suggestions, Enter picks the highlighted one
+                      if (showSuggestions && suggestionItems.length > 0) {
+                        if (e.key === 'ArrowDown') {
+                          e.preventDefault();
+                          setHighlightIndex(index => (index + 1) % suggestionItems.length);
+                          return;
+                        }
+                        if (e.key === 'ArrowUp') {
+                          e.preventDefault();
+                          setHighlightIndex(index => (index <= 0 ? suggestionItems.length - 1 : index - 1));
+                          return;
+                        }
+                        if (e.key === 'Escape') {
+                          setShowSuggestions(false);
+                          return;
+                        }
+                        if (e.key === 'Enter' && highlightIndex >= 0) {
+                          e.preventDefault();
+                          handleSuggestionClick(suggestionItems[highlightIndex].label);
+                          return;
+                        }
+                      }
+
+                      // In basket mode Enter adds the typed medicine; Enter on an empty input searches
+                      if (searchMode === 'basket' && e.key === 'Enter' && searchQuery.trim()) {
+                        e.preventDefault();
+                        addBasketItem(searchQuery);
+                      }
+                    }}
                     onFocus={() => setShowSuggestions(true)}
                     onBlur={() => setTimeout(() => setShowSuggestions(false), 200)}
-                    placeholder="Search for Paracetamol, Insulin, Aspirin..."
+                    placeholder={searchMode === 'basket'
+                      ? 'Add a medicine and press Enter...'
+                      : 'Search for Paracetamol, Insulin, Aspirin...'}
                     className="glass-input pl-10 pr-4 h-12 w-full text-base"
+                    role="combobox"
+                    aria-expanded={showSuggestions && suggestionItems.length > 0}
+                    aria-controls="search-suggestions"
+                    aria-activedescendant={highlightIndex >= 0 ? `search-suggestion-${highlightIndex}` : undefined}
                   />
 
-                  {/* Search suggestions dropdown - positioned better */}
+                  {/* Autocomplete dropdown - recent searches and stocked medicines */}
                   <AnimatePresence>
-                    {showSuggestions && !searched && (
-                      <motion.div
+                    {showSuggestions && suggestionItems.length > 0 && (
+                      <motion.ul
+                        id="search-suggestions"
+                        role="listbox"
                         initial={{ opacity: 0, y: 5 }}
                         animate={{ opacity: 1, y: 0 }}
                         exit={{ opacity: 0, y: 5 }}
-                        className="absolute top-full left-0 right-0 mt-2 glass-card p-3 z-50 shadow-xl"
-                        style={{ maxHeight: '200px', overflowY: 'auto' }}
+                        className="absolute top-full left-0 right-0 mt-2 glass-card p-2 z-50 shadow-xl"
+                        style={{ maxHeight: '280px', overflowY: 'auto' }}
                       >
-                        <p className="text-xs text-white/50 mb-2 px-1">Popular searches</p>
-                        <div className="flex flex-wrap gap-2">
-                          {searchSuggestions.map((suggestion, index) => (
-                            <motion.button
-                              key={suggestion}
-                              type="button"
-                              initial={{ opacity: 0, scale: 0.9 }}
-                              animate={{ opacity: 1, scale: 1 }}
-                              transition={{ delay: index * 0.03 }}
-                              onClick={() => handleSuggestionClick(suggestion)}
-                              className="px-3 py-1.5 rounded-full bg-white/10 text-sm hover:bg-primary-500/30 transition-all hover:scale-105 border border-white/5"
-                            >
-                              {suggestion}
-                            </motion.button>
-                          ))}
-                        </div>
-                      </motion.div>
+                        {suggestionItems.map((item, index) => (
+                          <li
+                            key={`${item.source}-${item.label}`}
+                            id={`search-suggestion-${index}`}
+                            role="option"
+                            aria-selected={index === highlightIndex}
+                            onClick={() => handleSuggestionClick(item.label)}
+                            onMouseEnter={() => setHighlightIndex(index)}
+                            className={`flex items-center gap-3 px-3 py-2 rounded-lg cursor-pointer text-sm transition-colors ${
+                              index === highlightIndex ? 'bg-primary-500/30' : 'hover:bg-white/10'
+                            }`}
+                          >
+                            {item.source === 'history' ? (
+                              <History size={14} className="text-white/40 flex-shrink-0" />
+                            ) : (
+                              <Search size={14} className="text-white/40 flex-shrink-0" />
+                            )}
+                            <span className="truncate">
+                              <HighlightMatch text={item.label} query={searchQuery.trim()} />
+                            </span>
+                            {item.isGeneric && (
+                              <span className="px-1.5 py-0.5 rounded bg-white/10 text-[10px] text-white/50">generic</span>
+                            )}
+                            {item.storeCount != null && (
+                              <span className={`ml-auto text-xs whitespace-nowrap ${
+                                item.storeCount > 0 ? 'text-green-400' : 'text-white/40'
+                              }`}>
+                                {item.storeCount > 0
+                                  ? `${item.storeCount} store${item.storeCount > 1 ? 's' : ''} nearby`
+                                  : 'Not nearby'}
+                              </span>
+                            )}
+                          </li>
+                        ))}
+                      </motion.ul>
                     )}
                   </AnimatePresence>
                 </div>
@@ -446,6 +1201,11 @@ const SearchPage = () => {
                   >
                     <Filter size={18} />
                     <span className="hidden sm:inline text-sm">{radius}km</span>
+                    {countActiveFilters(filters) > 0 && (
+                      <span className="w-5 h-5 rounded-full bg-primary-500 text-[10px] font-bold flex items-center justify-center">
+                        {countActiveFilters(filters)}
+                      </span>
+                    )}
                   </motion.button>
 
                   <motion.button
@@ -467,6 +1227,30 @@ const SearchPage = () => {
                 </div>
               </div>
 
+              {/* Basket Items */}
+              {searchMode === 'basket' && basketItems.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2 mt-3">
+                  {basketItems.map((item) => (
+                    <span
+                      key={item}
+                      className="flex items-center gap-1 pl-3 pr-1 py-1 rounded-full bg-primary-500/20 border border-primary-500/30 text-sm"
+                    >
+                      {item}
+                      <button
+                        type="button"
+                        onClick={() => removeBasketItem(item)}
+                        className="p-0.5 rounded-full hover:bg-white/10"
+                      >
+                        <X size={12} />
+                      </button>
+                    </span>
+                  ))}
+                  <span className="text-xs text-white/40">
+                    {basketItems.length}/{MAX_BASKET_ITEMS} medicines
+                  </span>
+                </div>
+              )}
+
               {/* Compact Filters Panel */}
               <AnimatePresence>
                 {showFilters && (
@@ -491,6 +1275,70 @@ const SearchPage = () => {
                       />
                       <span className="text-sm font-mono text-primary-400 w-16">{radius} km</span>
                     </div>
+
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-3">
+                      <label className="flex flex-col gap-1 text-xs text-white/70">
+                        Max price (₹)
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={filters.maxPrice}
+                          onChange={(e) => updateFilter('maxPrice', e.target.value)}
+                          placeholder="Any"
+                          className="glass-input h-9 text-sm"
+                        />
+                      </label>
+                      <label className="flex flex-col gap-1 text-xs text-white/70">
+                        Min. quantity in stock
+                        <input
+                          type="number"
+                          min="1"
+                          step="1"
+                          value={filters.minQuantity}
+                          onChange={(e) => updateFilter('minQuantity', Math.max(parseInt(e.target.value) || 1, 1))}
+                          className="glass-input h-9 text-sm"
+                        />
+                      </label>
+                      <label className="flex items-center gap-2 text-sm text-white/80 cursor-pointer sm:self-end sm:h-9">
+                        <input
+                          type="checkbox"
+                          checked={filters.otcOnly}
+                          onChange={(e) => updateFilter('otcOnly', e.target.checked)}
+                          className="w-4 h-4 rounded"
+                        />
+                        No prescription needed
+                      </label>
+                      <label className="flex items-center gap-2 text-sm text-white/80 cursor-pointer sm:self-end sm:h-9">
+                        <input
+                          type="checkbox"
+                          checked={filters.openNow || emergency}
+                          disabled={emergency}
+                          onChange={(e) => updateFilter('openNow', e.target.checked)}
+                          className="w-4 h-4 rounded"
+                        />
+                        Open right now
+                      </label>
+                      <label className="flex items-center gap-2 text-sm text-white/80 cursor-pointer sm:self-end sm:h-9">
+                        <input
+                          type="checkbox"
+                          checked={filters.verifiedOnly}
+                          onChange={(e) => updateFilter('verifiedOnly', e.target.checked)}
+                          className="w-4 h-4 rounded"
+                        />
+                        Verified pharmacies only
+                      </label>
+                    </div>
+
+                    {countActiveFilters(filters) > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => setFilters(DEFAULT_FILTERS)}
+                        className="mt-2 text-xs text-primary-400 hover:text-primary-300"
+                      >
+                        Clear filters
+                      </button>
+                    )}
                   </motion.div>
                 )}
               </AnimatePresence>
@@ -500,7 +1348,7 @@ const SearchPage = () => {
 
         {/* Results Section */}
         <AnimatePresence mode="wait">
-          {searched && (
+          {searched && searchMode === 'single' && (
             <motion.div
               key="results"
               initial={{ opacity: 0, y: 40 }}
@@ -518,8 +1366,11 @@ const SearchPage = () => {
                   <h2 className="text-xl font-semibold">
                     {results.length > 0 ? (
                       <>
-                        <span className="text-primary-400">{results.length}</span> Pharmacies Found
+                        <span className="text-primary-400">{results.length}{nextCursor ? '+' : ''}</span>
+                        {viewport ? ' Pharmacies in this area' : ' Pharmacies Found'}
                       </>
+                    ) : viewport ? (
+                      'No Results in this area'
                     ) : (
                       'No Results'
                     )}
@@ -536,7 +1387,7 @@ const SearchPage = () => {
                 </motion.div>
 
                 {/* View Mode Toggle */}
-                {results.length > 0 && (
+                {(results.length > 0 || viewport) && (
                   <motion.div
                     initial={{ opacity: 0, x: 20 }}
                     animate={{ opacity: 1, x: 0 }}
@@ -565,7 +1416,69 @@ const SearchPage = () => {
                 )}
               </div>
 
-              {results.length === 0 ? (
+              {/* Sort Mode */}
+              {results.length > 0 && (
+                <div className="flex items-center gap-2 mb-4 flex-wrap">
+                  <span className="flex items-center gap-1.5 text-xs text-white/50">
+                    <ArrowUpDown size={14} />
+                    Sort by
+                  </span>
+                  {emergency ? (
+                    <span className="flex items-center gap-1.5 px-3 py-1 rounded-full text-xs border bg-red-500/20 border-red-500/40 text-red-300">
+                      <Siren size={12} />
+                      Open now & 24x7 only · {canRankByEta ? 'quickest' : 'nearest'} first
+                    </span>
+                  ) : SORT_OPTIONS.filter(({ value }) => value !== 'eta' || canRankByEta).map(({ value, label }) => (
+                    <button
+                      key={value}
+                      type="button"
+                      disabled={loading}
+                      onClick={() => setSortBy(value)}
+                      className={`px-3 py-1 rounded-full text-xs transition-all border ${
+                        searchOptions().sortBy === value
+                          ? 'bg-primary-500 border-primary-500 text-white'
+                          : 'bg-white/5 border-white/10 text-white/60 hover:text-white'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+
+                  {/* Travel mode for ETA ranking and directions */}
+                  {searchOptions().sortBy === 'eta' && (
+                    <select
+                      value={travelMode}
+                      disabled={loading}
+                      onChange={(e) => setTravelMode(e.target.value)}
+                      className="glass-select h-7 py-0 text-xs"
+                    >
+                      {TRAVEL_MODES.map(({ value, label }) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  )}
+
+                  {/* Opt-in live location */}
+                  <button
+                    type="button"
+                    onClick={toggleTracking}
+                    title={isTracking ? 'Stop following your location' : 'Keep distances up to date as you move'}
+                    className={`ml-auto px-3 py-1 rounded-full text-xs transition-all border flex items-center gap-1.5 ${
+                      isTracking
+                        ? 'bg-blue-500/20 border-blue-500/40 text-blue-300'
+                        : 'bg-white/5 border-white/10 text-white/60 hover:text-white'
+                    }`}
+                  >
+                    <LocateFixed size={12} className={isTracking ? 'animate-pulse' : ''} />
+                    {isTracking ? 'Live location on' : 'Live location'}
+                  </button>
+                </div>
+              )}
+
+              {results.length === 0 && !viewport ? (
+                <>
                 <motion.div
                   initial={{ opacity: 0, scale: 0.9 }}
                   animate={{ opacity: 1, scale: 1 }}
@@ -579,18 +1492,137 @@ const SearchPage = () => {
                   </motion.div>
                   <h3 className="text-2xl font-semibold mb-3">No Medicines Found</h3>
                   <p className="text-white/60 mb-6 max-w-md mx-auto">
-                    We couldn't find any pharmacies with "{searchQuery}" in stock within {radius}km. 
-                    Try increasing your search radius or searching for a different medicine.
+                    We couldn't find any pharmacies with "{searchedQuery}" in stock within {radius}km
+                    {countActiveFilters(filters) > 0 && ' matching your filters'}. 
+                    Try increasing your search radius, relaxing filters or searching for a different medicine.
                   </p>
-                  <motion.button
-                    whileHover={{ scale: 1.05 }}
-                    whileTap={{ scale: 0.95 }}
-                    onClick={() => setShowFilters(true)}
-                    className="glass-button px-6 py-3"
-                  >
-                    Adjust Filters
-                  </motion.button>
+                  {didYouMean.length > 0 && (
+                    <div className="mb-6 flex items-center justify-center gap-2 flex-wrap text-sm">
+                      <span className="text-white/60">Did you mean</span>
+                      {didYouMean.map((suggestion, index) => (
+                        <span key={suggestion} className="flex items-center gap-2">
+                          <button
+                            type="button"
+                            onClick={() => handleSuggestionClick(suggestion)}
+                            className="px-3 py-1 rounded-full bg-primary-500/20 text-primary-300 hover:bg-primary-500/30 font-medium"
+                          >
+                            {suggestion}
+                          </button>
+                          {index < didYouMean.length - 1 && <span className="text-white/40">or</span>}
+                        </span>
+                      ))}
+                      <span className="text-white/60">?</span>
+                    </div>
+                  )}
+                  <div className="flex items-center justify-center gap-3 flex-wrap">
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => setShowFilters(true)}
+                      className="glass-button px-6 py-3"
+                    >
+                      Adjust Filters
+                    </motion.button>
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={handleCreateAlert}
+                      className="glass-button-secondary px-6 py-3 flex items-center gap-2"
+                    >
+                      <Bell size={18} />
+                      Alert me when available
+                    </motion.button>
+                  </div>
                 </motion.div>
+
+                {/* Same salt, other brands */}
+                {substitutes.length > 0 && (
+                  <motion.div
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: 0.2 }}
+                    className="glass-card p-6 mt-4"
+                  >
+                    <div className="flex items-center justify-between gap-3 mb-1 flex-wrap">
+                      <h3 className="text-lg font-semibold flex items-center gap-2">
+                        <Sparkles size={18} className="text-primary-400" />
+                        Same salt, other brands
+                      </h3>
+                      <span className="text-xs text-white/50">
+                        {substitutes[0].generic_name}
+                        {substitutes[0].dosage && ` • ${substitutes[0].dosage}`}
+                      </span>
+                    </div>
+                    <p className="text-sm text-white/50 mb-4">
+                      Compared with {substitutes[0].reference_name}
+                      {substitutes[0].reference_price != null && ` (₹${substitutes[0].reference_price})`}.
+                      Check with your doctor or pharmacist before switching brands.
+                    </p>
+                    <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-3">
+                      {substitutes.map((substitute) => {
+                        const difference = substitute.reference_price != null
+                          ? parseFloat(substitute.price) - parseFloat(substitute.reference_price)
+                          : null;
+                        return (
+                          <div
+                            key={substitute.id}
+                            className="p-3 rounded-xl bg-white/5 border border-white/10"
+                          >
+                            <div className="flex items-start justify-between gap-2 mb-1">
+                              <div className="min-w-0">
+                                <h4 className="font-semibold text-sm truncate">{substitute.name}</h4>
+                                {substitute.manufacturer && (
+                                  <p className="text-xs text-white/40 truncate">{substitute.manufacturer}</p>
+                                )}
+                              </div>
+                              <div className="text-right">
+                                <div className="text-green-400 font-bold text-sm whitespace-nowrap">
+                                  ₹{substitute.price}
+                                </div>
+                                {difference !== null && Math.abs(difference) >= 0.01 && (
+                                  <div className={`text-[10px] whitespace-nowrap ${
+                                    difference < 0 ? 'text-green-400' : 'text-orange-400'
+                                  }`}>
+                                    ₹{Math.abs(difference).toFixed(2)} {difference < 0 ? 'cheaper' : 'more'}
+                                  </div>
+                                )}
+                              </div>
+                            </div>
+                            <div className="flex items-center gap-2 text-xs text-white/60 mb-2">
+                              <MapPin size={12} className="text-primary-400 flex-shrink-0" />
+                              <span className="truncate">
+                                {substitute.stores?.store_name}
+                                <VerifiedBadge store={substitute.stores} />
+                              </span>
+                              <span className="ml-auto whitespace-nowrap">
+                                {substitute.distance_km < 1
+                                  ? `${Math.round(substitute.distance_km * 1000)}m`
+                                  : `${substitute.distance_km.toFixed(1)}km`}
+                              </span>
+                            </div>
+                            <div className="flex items-center gap-1.5">
+                              <button
+                                type="button"
+                                onClick={() => openDirections(substitute.stores?.latitude, substitute.stores?.longitude)}
+                                className="flex-1 flex items-center justify-center gap-1.5 py-1.5 rounded-lg bg-gradient-to-r from-primary-500 to-purple-600 text-xs font-medium"
+                              >
+                                <Navigation size={12} />
+                                Directions
+                              </button>
+                              <a
+                                href={`tel:${substitute.stores?.phone}`}
+                                className="p-1.5 rounded-lg bg-white/10 hover:bg-green-500/20"
+                              >
+                                <Phone size={14} className="text-green-400" />
+                              </a>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </motion.div>
+                )}
+                </>
               ) : (
                 <div className={`grid gap-4 ${viewMode === 'map' ? '' : 'lg:grid-cols-3'}`}>
                   {/* Map Section - Takes 2/3 of the space */}
@@ -598,14 +1630,46 @@ const SearchPage = () => {
                     layout
                     className={`${viewMode === 'map' ? 'col-span-full' : 'lg:col-span-2'} order-2 lg:order-1`}
                   >
-                    <div className={`glass-card overflow-hidden ${viewMode === 'map' ? 'h-[650px]' : 'h-[650px]'}`}>
+                    <div className={`glass-card overflow-hidden relative ${viewMode === 'map' ? 'h-[650px]' : 'h-[650px]'}`}>
                       <MedicineMap
                         stores={transformedStores}
-                        selectedMedicine={searchQuery}
+                        topLabel={SORT_OPTIONS.find(option => option.value === searchOptions().sortBy)?.mapLabel}
+                        onBoundsChange={viewMode === 'map' ? handleViewportChange : null}
+                        autoFit={!viewport}
+                        travelMode={travelMode}
+                        selectedMedicine={searchedQuery}
                         userLocation={userLocation}
                         onStoreSelect={handleStoreSelect}
                         selectedStoreId={selectedStore?.id}
                       />
+
+                      {/* Map area status / load more */}
+                      {viewMode === 'map' && (viewportTooLarge || loadingMore || nextCursor || (viewport && results.length === 0)) && (
+                        <div className="absolute top-16 left-1/2 -translate-x-1/2 z-10">
+                          {loadingMore ? (
+                            <span className="px-4 py-2 rounded-xl bg-slate-800/90 backdrop-blur-sm border border-white/10 text-sm flex items-center gap-2">
+                              <Loader2 size={14} className="animate-spin text-primary-400" />
+                              Loading results...
+                            </span>
+                          ) : viewportTooLarge ? (
+                            <span className="px-4 py-2 rounded-xl bg-slate-800/90 backdrop-blur-sm border border-white/10 text-sm text-white/70">
+                              Zoom in to load results for this area
+                            </span>
+                          ) : nextCursor ? (
+                            <button
+                              type="button"
+                              onClick={loadMoreResults}
+                              className="px-4 py-2 rounded-xl bg-primary-500/90 backdrop-blur-sm text-sm font-medium hover:bg-primary-500"
+                            >
+                              Load more results
+                            </button>
+                          ) : (
+                            <span className="px-4 py-2 rounded-xl bg-slate-800/90 backdrop-blur-sm border border-white/10 text-sm text-white/70">
+                              No pharmacies with "{searchedQuery}" in this area
+                            </span>
+                          )}
+                        </div>
+                      )}
                     </div>
                   </motion.div>
 
@@ -645,7 +1709,14 @@ const SearchPage = () => {
                                   {index + 1}
                                 </div>
                                 <div className="min-w-0">
-                                  <h3 className="font-semibold text-sm truncate">{result.name}</h3>
+                                  <h3 className="font-semibold text-sm truncate">
+                                    {result.name}
+                                    {result.match_score < 1 && (
+                                      <span className="ml-1.5 px-1.5 py-0.5 rounded bg-white/10 text-[10px] font-normal text-white/50 align-middle">
+                                        Similar name
+                                      </span>
+                                    )}
+                                  </h3>
                                   {result.generic_name && (
                                     <p className="text-xs text-white/40 truncate">{result.generic_name}</p>
                                   )}
@@ -674,11 +1745,25 @@ const SearchPage = () => {
                                   ? `${Math.round(result.distance_km * 1000)}m`
                                   : `${result.distance_km.toFixed(1)}km`}
                               </span>
+                              {result.travel && (
+                                <span className="flex items-center gap-1 px-2 py-0.5 rounded bg-purple-500/20 text-purple-300">
+                                  <Timer size={10} />
+                                  {result.travel.duration} {TRAVEL_MODES.find(option => option.value === travelMode)?.verb}
+                                </span>
+                              )}
                               {result.quantity > 10 ? (
                                 <span className="px-2 py-0.5 rounded bg-green-500/20 text-green-400">In Stock</span>
                               ) : result.quantity > 0 ? (
                                 <span className="px-2 py-0.5 rounded bg-yellow-500/20 text-yellow-400">Low Stock</span>
                               ) : null}
+                              {result.is_discounted && (
+                                <span
+                                  title="Near its expiry date - the pharmacy is offering it at a discount"
+                                  className="px-2 py-0.5 rounded bg-pink-500/20 text-pink-300"
+                                >
+                                  Discounted
+                                </span>
+                              )}
                             </div>
 
                             {/* Store Info */}
@@ -687,62 +1772,280 @@ const SearchPage = () => {
                               <div className="min-w-0 flex-1">
                                 <p className="text-primary-400 text-xs font-medium truncate">
                                   {result.stores?.store_name}
+                                  <VerifiedBadge store={result.stores} />
                                 </p>
                                 <p className="text-[10px] text-white/40 truncate">
                                   {result.stores?.address}, {result.stores?.city}
                                 </p>
+                                <OpeningStatus store={result.stores} />
                               </div>
                             </div>
 
-                            {/* Actions Row */}
+                            {/* Actions Row - big call / directions buttons in an emergency */}
+                            {emergency ? (
+                              <div className="grid grid-cols-2 gap-2">
+                                <motion.a
+                                  whileTap={{ scale: 0.97 }}
+                                  href={`tel:${result.stores?.phone}`}
+                                  onClick={(e) => e.stopPropagation()}
+                                  className="flex items-center justify-center gap-2 py-3 rounded-xl bg-green-600 hover:bg-green-500 text-base font-semibold"
+                                >
+                                  <Phone size={20} />
+                                  Call
+                                </motion.a>
+                                <motion.button
+                                  whileTap={{ scale: 0.97 }}
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    openDirections(result.stores?.latitude, result.stores?.longitude);
+                                  }}
+                                  className="flex items-center justify-center gap-2 py-3 rounded-xl bg-gradient-to-r from-primary-500 to-purple-600 text-base font-semibold"
+                                >
+                                  <Navigation size={20} />
+                                  Directions
+                                </motion.button>
+                              </div>
+                            ) : (
+                              <div className="flex items-center gap-1.5">
+                                <motion.button
+                                  whileHover={{ scale: 1.02 }}
+                                  whileTap={{ scale: 0.98 }}
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    openDirections(result.stores?.latitude, result.stores?.longitude);
+                                  }}
+                                  className="flex-1 flex items-center justify-center gap-1.5 py-2 rounded-lg bg-gradient-to-r from-primary-500 to-purple-600 text-xs font-medium"
+                                >
+                                  <Navigation size={12} />
+                                  Directions
+                                </motion.button>
+
+                                <motion.a
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  href={`tel:${result.stores?.phone}`}
+                                  onClick={(e) => e.stopPropagation()}
+                                  className="p-2 rounded-lg bg-white/10 hover:bg-green-500/20"
+                                >
+                                  <Phone size={14} className="text-green-400" />
+                                </motion.a>
+
+                                <motion.button
+                                  whileHover={{ scale: 1.1 }}
+                                  whileTap={{ scale: 0.9 }}
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    toggleFavorite(result);
+                                  }}
+                                  className={`p-2 rounded-lg ${
+                                    favorites[result.id]
+                                      ? 'bg-red-500/20'
+                                      : 'bg-white/10 hover:bg-red-500/20'
+                                  }`}
+                                >
+                                  <Heart 
+                                    size={14} 
+                                    className={favorites[result.id] ? 'text-red-400 fill-red-400' : 'text-white/60'}
+                                  />
+                                </motion.button>
+                              </div>
+                            )}
+                          </motion.div>
+                        ))}
+
+                        {/* Infinite scroll sentinel */}
+                        {nextCursor && (
+                          <div ref={listEndRef} className="flex items-center justify-center py-3 text-xs text-white/50">
+                            {loadingMore && <Loader2 size={16} className="animate-spin text-primary-400" />}
+                          </div>
+                        )}
+                      </div>
+                    </motion.div>
+                  )}
+                </div>
+              )}
+            </motion.div>
+          )}
+
+          {/* Basket Results - stores ranked by how much of the basket they cover */}
+          {searched && searchMode === 'basket' && (
+            <motion.div
+              key="basket-results"
+              initial={{ opacity: 0, y: 40 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -40 }}
+              transition={{ duration: 0.5 }}
+            >
+              <div className="flex items-center justify-between gap-3 mb-4 flex-wrap">
+                <h2 className="text-xl font-semibold">
+                  {basketResults.length > 0 ? (
+                    <>
+                      <span className="text-primary-400">{basketResults.length}</span> Pharmacies for your basket
+                    </>
+                  ) : (
+                    'No Results'
+                  )}
+                </h2>
+                {basketResults.length > 0 && (
+                  <div className="flex items-center gap-3 text-xs text-white/60">
+                    <span className="flex items-center gap-1.5">
+                      <span className="w-2.5 h-2.5 rounded-full bg-green-500" />
+                      Has everything
+                    </span>
+                    <span className="flex items-center gap-1.5">
+                      <span className="w-2.5 h-2.5 rounded-full bg-amber-500" />
+                      Partial
+                    </span>
+                  </div>
+                )}
+              </div>
+
+              {basketResults.length === 0 ? (
+                <motion.div
+                  initial={{ opacity: 0, scale: 0.9 }}
+                  animate={{ opacity: 1, scale: 1 }}
+                  className="glass-card p-12 text-center"
+                >
+                  <ShoppingBasket size={64} className="mx-auto text-white/20 mb-6" />
+                  <h3 className="text-2xl font-semibold mb-3">No Pharmacies Found</h3>
+                  <p className="text-white/60 mb-6 max-w-md mx-auto">
+                    None of the medicines in your basket are in stock within {radius}km.
+                    Try increasing your search radius.
+                  </p>
+                  <motion.button
+                    whileHover={{ scale: 1.05 }}
+                    whileTap={{ scale: 0.95 }}
+                    onClick={() => setShowFilters(true)}
+                    className="glass-button px-6 py-3"
+                  >
+                    Adjust Filters
+                  </motion.button>
+                </motion.div>
+              ) : (
+                <div className="grid gap-4 lg:grid-cols-3">
+                  <motion.div layout className="lg:col-span-2 order-2 lg:order-1">
+                    <div className="glass-card overflow-hidden h-[650px]">
+                      <MedicineMap
+                        stores={basketStores}
+                        topLabel="BEST COVERAGE"
+                        selectedMedicine={basketItems.join(', ')}
+                        userLocation={userLocation}
+                        onStoreSelect={handleBasketStoreSelect}
+                        selectedStoreId={selectedStore?.id}
+                      />
+                    </div>
+                  </motion.div>
+
+                  <motion.div
+                    layout
+                    initial={{ opacity: 0, x: 30 }}
+                    animate={{ opacity: 1, x: 0 }}
+                    className="order-1 lg:order-2 lg:col-span-1"
+                  >
+                    <div className="space-y-2 max-h-[650px] overflow-y-auto pr-1 custom-scrollbar">
+                      {basketResults.map((entry, index) => {
+                        const isComplete = entry.missing.length === 0;
+                        return (
+                          <motion.div
+                            key={entry.store.id}
+                            ref={(node) => { basketCardRefs.current[entry.store.id] = node; }}
+                            initial={{ opacity: 0, y: 10 }}
+                            animate={{ opacity: 1, y: 0 }}
+                            transition={{ delay: index * 0.03 }}
+                            onClick={() => setSelectedStore(basketStores[index])}
+                            className={`glass-card p-3 cursor-pointer transition-all border ${
+                              selectedStore?.id === entry.store.id
+                                ? 'border-primary-500 bg-primary-500/10'
+                                : isComplete
+                                  ? 'border-green-500/40 bg-green-500/5'
+                                  : 'border-amber-500/40 bg-amber-500/5'
+                            }`}
+                          >
+                            <div className="flex items-start justify-between gap-2 mb-2">
+                              <div className="flex items-center gap-2 min-w-0">
+                                <div className={`w-7 h-7 rounded-lg flex items-center justify-center text-xs font-bold flex-shrink-0 ${
+                                  isComplete
+                                    ? 'bg-gradient-to-br from-green-500 to-emerald-600'
+                                    : 'bg-gradient-to-br from-amber-500 to-orange-600'
+                                }`}>
+                                  {index + 1}
+                                </div>
+                                <div className="min-w-0">
+                                  <h3 className="font-semibold text-sm truncate">
+                                    {entry.store.store_name}
+                                    <VerifiedBadge store={entry.store} />
+                                  </h3>
+                                  <p className="text-[10px] text-white/40 truncate">
+                                    {entry.store.address}, {entry.store.city}
+                                  </p>
+                                  <OpeningStatus store={entry.store} />
+                                </div>
+                              </div>
+                              <div className="text-right">
+                                <div className="text-green-400 font-bold text-sm whitespace-nowrap">
+                                  ₹{entry.totalPrice.toFixed(2)}
+                                </div>
+                                <div className={`text-[10px] font-medium whitespace-nowrap ${
+                                  isComplete ? 'text-green-400' : 'text-amber-400'
+                                }`}>
+                                  {entry.matchedCount}/{entry.totalItems} items
+                                </div>
+                              </div>
+                            </div>
+
+                            <div className="space-y-1 mb-2">
+                              {entry.found.map(({ term, medicine }) => (
+                                <div key={term} className="flex items-center justify-between gap-2 text-xs">
+                                  <span className="flex items-center gap-1.5 min-w-0">
+                                    <CheckCircle size={10} className="text-green-400 flex-shrink-0" />
+                                    <span className="truncate">{medicine.name}</span>
+                                  </span>
+                                  <span className="text-white/60 whitespace-nowrap">₹{medicine.price}</span>
+                                </div>
+                              ))}
+                              {entry.missing.map((term) => (
+                                <div key={term} className="flex items-center gap-1.5 text-xs text-red-400/80">
+                                  <X size={10} className="flex-shrink-0" />
+                                  <span className="truncate line-through">{term}</span>
+                                  <span className="text-white/40">not in stock</span>
+                                </div>
+                              ))}
+                            </div>
+
                             <div className="flex items-center gap-1.5">
+                              <span className="flex items-center gap-1 px-2 py-1.5 rounded-lg bg-white/5 text-xs">
+                                <Navigation size={10} />
+                                {entry.distance_km < 1
+                                  ? `${Math.round(entry.distance_km * 1000)}m`
+                                  : `${entry.distance_km.toFixed(1)}km`}
+                              </span>
                               <motion.button
                                 whileHover={{ scale: 1.02 }}
                                 whileTap={{ scale: 0.98 }}
                                 onClick={(e) => {
                                   e.stopPropagation();
-                                  openDirections(result.stores?.latitude, result.stores?.longitude);
+                                  openDirections(entry.store.latitude, entry.store.longitude);
                                 }}
                                 className="flex-1 flex items-center justify-center gap-1.5 py-2 rounded-lg bg-gradient-to-r from-primary-500 to-purple-600 text-xs font-medium"
                               >
                                 <Navigation size={12} />
                                 Directions
                               </motion.button>
-
                               <motion.a
                                 whileHover={{ scale: 1.1 }}
                                 whileTap={{ scale: 0.9 }}
-                                href={`tel:${result.stores?.phone}`}
+                                href={`tel:${entry.store.phone}`}
                                 onClick={(e) => e.stopPropagation()}
                                 className="p-2 rounded-lg bg-white/10 hover:bg-green-500/20"
                               >
                                 <Phone size={14} className="text-green-400" />
                               </motion.a>
-
-                              <motion.button
-                                whileHover={{ scale: 1.1 }}
-                                whileTap={{ scale: 0.9 }}
-                                onClick={(e) => {
-                                  e.stopPropagation();
-                                  toggleFavorite(result);
-                                }}
-                                className={`p-2 rounded-lg ${
-                                  favorites[result.id]
-                                    ? 'bg-red-500/20'
-                                    : 'bg-white/10 hover:bg-red-500/20'
-                                }`}
-                              >
-                                <Heart 
-                                  size={14} 
-                                  className={favorites[result.id] ? 'text-red-400 fill-red-400' : 'text-white/60'}
-                                />
-                              </motion.button>
                             </div>
                           </motion.div>
-                        ))}
-                      </div>
-                    </motion.div>
-                  )}
+                        );
+                      })}
+                    </div>
+                  </motion.div>
                 </div>
               )}
             </motion.div>
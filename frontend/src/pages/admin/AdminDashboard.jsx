@@ -0,0 +1,310 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import {
+  Store,
+  Package,
+  Search,
+  ShieldCheck,
+  Users,
+  Tags,
+  MessageSquare,
+  TrendingUp,
+  ChevronRight,
+  BarChart3,
+} from 'lucide-react';
+import useAuthStore from '../../store/authStore';
+import { getPlatformOverview } from '../../lib/supabase';
+import toast from 'react-hot-toast';
+
+const QUICK_LINKS = [
+  {
+    path: '/admin/verifications',
+    title: 'Pharmacy Verification',
+    description: 'Review drug licenses',
+    icon: ShieldCheck,
+    color: 'from-green-500 to-emerald-500',
+  },
+  {
+    path: '/admin/categories',
+    title: 'Categories',
+    description: 'Medicine categories for inventory',
+    icon: Tags,
+    color: 'from-blue-500 to-cyan-500',
+  },
+  {
+    path: '/admin/users',
+    title: 'Users',
+    description: 'Find, suspend or reinstate accounts',
+    icon: Users,
+    color: 'from-purple-500 to-pink-500',
+  },
+  {
+    path: '/admin/reviews',
+    title: 'Reviews',
+    description: 'Remove abusive or fake reviews',
+    icon: MessageSquare,
+    color: 'from-orange-500 to-red-500',
+  },
+];
+
+// searches_by_day dates are plain 'YYYY-MM-DD'; read them as local days
+const formatDay = (day) => new Date(`${day}T00:00:00`).toLocaleDateString();
+
+// Platform overview for admins: store, medicine and user counts plus search
+// volume, all from a single admin_platform_overview() call
+const AdminDashboard = () => {
+  const { profile } = useAuthStore();
+  const [overview, setOverview] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchOverview();
+  }, []);
+
+  const fetchOverview = async () => {
+    setLoading(true);
+    const { data, error } = await getPlatformOverview();
+    if (error) toast.error('Failed to load the platform overview');
+    setOverview(data);
+    setLoading(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="spinner" />
+      </div>
+    );
+  }
+
+  const { users = {}, stores = {}, medicines = {}, searches = {} } = overview || {};
+  const searchesByDay = overview?.searches_by_day || [];
+  const topSearches = overview?.top_searches || [];
+  const busiestDay = Math.max(1, ...searchesByDay.map((day) => day.count));
+
+  const statCards = [
+    {
+      title: 'Stores',
+      value: stores.total ?? 0,
+      detail: `${stores.verified ?? 0} verified · ${stores.open_24x7 ?? 0} open 24x7`,
+      icon: Store,
+      color: 'from-blue-500 to-cyan-500',
+    },
+    {
+      title: 'Medicines listed',
+      value: medicines.total ?? 0,
+      detail: `${medicines.in_stock ?? 0} in stock · ${medicines.uncategorised ?? 0} uncategorised`,
+      icon: Package,
+      color: 'from-green-500 to-emerald-500',
+    },
+    {
+      title: 'Searches this week',
+      value: searches.last_7d ?? 0,
+      detail: `${searches.last_24h ?? 0} today · ${searches.no_results_7d ?? 0} found nothing`,
+      icon: Search,
+      color: 'from-purple-500 to-pink-500',
+    },
+    {
+      title: 'Pending verifications',
+      value: stores.pending_verification ?? 0,
+      detail: 'Waiting for license review',
+      icon: ShieldCheck,
+      color: 'from-orange-500 to-red-500',
+      link: '/admin/verifications',
+    },
+  ];
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-7xl mx-auto">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4"
+        >
+          <div>
+            <h1 className="text-3xl font-bold mb-2">
+              <span className="gradient-text">Admin Console</span>
+            </h1>
+            <p className="text-white/60">
+              Welcome, <span className="font-medium text-white">{profile?.full_name || 'Admin'}</span> • Platform overview
+            </p>
+          </div>
+          <button
+            onClick={fetchOverview}
+            className="glass-button flex items-center gap-2 self-start"
+          >
+            <TrendingUp size={16} />
+            <span>Refresh Stats</span>
+          </button>
+        </motion.div>
+
+        {/* Stats Grid */}
+        <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
+          {statCards.map((stat, index) => {
+            const card = (
+              <div className={`glass-card p-6 h-full ${stat.link ? 'hover:bg-white/10 transition-colors' : ''}`}>
+                <div className="flex items-center justify-between mb-4">
+                  <div
+                    className={`w-12 h-12 rounded-xl bg-gradient-to-br ${stat.color} flex items-center justify-center`}
+                  >
+                    <stat.icon size={24} className="text-white" />
+                  </div>
+                  {stat.link && stat.value > 0 && (
+                    <span className="w-3 h-3 bg-orange-500 rounded-full animate-pulse" />
+                  )}
+                </div>
+                <h3 className="text-3xl font-bold mb-1">{stat.value}</h3>
+                <p className="text-white/60 text-sm">{stat.title}</p>
+                <p className="text-white/40 text-xs mt-1">{stat.detail}</p>
+              </div>
+            );
+
+            return (
+              <motion.div
+                key={stat.title}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: index * 0.1 }}
+              >
+                {stat.link ? <Link to={stat.link} className="block h-full">{card}</Link> : card}
+              </motion.div>
+            );
+          })}
+        </div>
+
+        {/* Quick Links */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.4 }}
+          className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-8"
+        >
+          {QUICK_LINKS.map((link) => (
+            <Link key={link.path} to={link.path}>
+              <motion.div
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                className="glass-card p-5 flex items-center gap-4 h-full"
+              >
+                <div className={`w-12 h-12 rounded-xl bg-gradient-to-br ${link.color} flex items-center justify-center flex-shrink-0`}>
+                  <link.icon size={24} className="text-white" />
+                </div>
+                <div className="min-w-0">
+                  <h3 className="font-semibold">{link.title}</h3>
+                  <p className="text-white/50 text-sm">{link.description}</p>
+                </div>
+                <ChevronRight size={20} className="ml-auto text-white/30 flex-shrink-0" />
+              </motion.div>
+            </Link>
+          ))}
+        </motion.div>
+
+        <div className="grid lg:grid-cols-3 gap-8">
+          {/* Search Volume */}
+          <motion.div
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ delay: 0.5 }}
+            className="glass-card p-6 lg:col-span-2"
+          >
+            <div className="flex items-center justify-between mb-6">
+              <h2 className="text-xl font-semibold flex items-center gap-2">
+                <BarChart3 size={20} />
+                Search Volume
+              </h2>
+              <span className="text-sm text-white/50">
+                {searches.last_30d ?? 0} in the last 30 days
+              </span>
+            </div>
+
+            <div className="flex items-end gap-1 h-40">
+              {searchesByDay.map((day) => (
+                <div
+                  key={day.day}
+                  className="flex-1 flex flex-col items-center justify-end h-full"
+                  title={`${formatDay(day.day)}: ${day.count} searches`}
+                >
+                  <div
+                    className="w-full rounded-t bg-gradient-to-t from-primary-500 to-purple-500"
+                    style={{ height: `${(day.count / busiestDay) * 100}%`, minHeight: day.count ? 4 : 1 }}
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="flex justify-between text-xs text-white/40 mt-2">
+              <span>{searchesByDay[0] && formatDay(searchesByDay[0].day)}</span>
+              <span>Today</span>
+            </div>
+
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mt-6 pt-6 border-t border-white/10 text-center">
+              <div>
+                <p className="text-2xl font-bold">{users.customers ?? 0}</p>
+                <p className="text-xs text-white/50">Customers</p>
+              </div>
+              <div>
+                <p className="text-2xl font-bold">{users.retailers ?? 0}</p>
+                <p className="text-xs text-white/50">Retailers</p>
+              </div>
+              <div>
+                <p className="text-2xl font-bold">{users.admins ?? 0}</p>
+                <p className="text-xs text-white/50">Admins</p>
+              </div>
+              <Link to="/admin/users" className="hover:opacity-80">
+                <p className={`text-2xl font-bold ${users.suspended ? 'text-red-400' : ''}`}>{users.suspended ?? 0}</p>
+                <p className="text-xs text-white/50">Suspended</p>
+              </Link>
+            </div>
+          </motion.div>
+
+          {/* Top Searches */}
+          <motion.div
+            initial={{ opacity: 0, x: 20 }}
+            animate={{ opacity: 1, x: 0 }}
+            transition={{ delay: 0.6 }}
+            className="glass-card p-6"
+          >
+            <h2 className="text-xl font-semibold flex items-center gap-2 mb-4">
+              <Search size={20} />
+              Top Searches
+            </h2>
+            <p className="text-white/50 text-sm mb-4">This week, most searched first</p>
+
+            {topSearches.length === 0 ? (
+              <div className="text-center py-8">
+                <Search size={40} className="mx-auto text-white/20 mb-3" />
+                <p className="text-white/50">No searches yet this week</p>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {topSearches.map((search) => (
+                  <div
+                    key={search.term}
+                    className="flex items-center justify-between gap-3 p-3 rounded-xl bg-white/5"
+                  >
+                    <span className="font-medium truncate capitalize">{search.term}</span>
+                    <div className="flex items-center gap-2 flex-shrink-0 text-sm">
+                      {search.no_results > 0 && (
+                        <span
+                          className="px-2 py-0.5 rounded-full bg-red-500/20 text-red-400 text-xs"
+                          title="Searches that found no medicine"
+                        >
+                          {search.no_results} empty
+                        </span>
+                      )}
+                      <span className="text-white/60">{search.count}</span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </motion.div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminDashboard;
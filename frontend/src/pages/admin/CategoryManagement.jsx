@@ -0,0 +1,205 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Tags, Plus, Pencil, Trash2, Loader2, X } from 'lucide-react';
+import { getCategoriesWithCounts, saveCategory, deleteCategory } from '../../lib/supabase';
+import toast from 'react-hot-toast';
+
+const EMPTY_FORM = { id: null, name: '', description: '' };
+
+// Admin management of medicine_categories, the list retailers pick from
+// when adding stock in InventoryManagement
+const CategoryManagement = () => {
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    setLoading(true);
+    const { data, error } = await getCategoriesWithCounts();
+    if (error) toast.error('Failed to load categories');
+    setCategories(data);
+    setLoading(false);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const name = formData.name.trim();
+    if (!name) {
+      toast.error('Enter a category name');
+      return;
+    }
+    const duplicate = categories.some(
+      (category) => category.id !== formData.id && category.name.toLowerCase() === name.toLowerCase()
+    );
+    if (duplicate) {
+      toast.error(`"${name}" already exists`);
+      return;
+    }
+
+    setSaving(true);
+    const { error } = await saveCategory(formData);
+    setSaving(false);
+
+    if (error) {
+      toast.error(error.message || 'Failed to save the category');
+      return;
+    }
+    toast.success(formData.id ? 'Category updated' : 'Category added');
+    setFormData(EMPTY_FORM);
+    fetchCategories();
+  };
+
+  const handleDelete = async (category) => {
+    const confirmed = window.confirm(
+      category.medicine_count > 0
+        ? `Delete "${category.name}"? ${category.medicine_count} medicine(s) will be left without a category.`
+        : `Delete "${category.name}"?`
+    );
+    if (!confirmed) return;
+
+    const { error } = await deleteCategory(category.id);
+    if (error) {
+      toast.error('Failed to delete the category');
+      return;
+    }
+    toast.success('Category deleted');
+    setCategories((prev) => prev.filter((item) => item.id !== category.id));
+    if (formData.id === category.id) setFormData(EMPTY_FORM);
+  };
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-4xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold">
+            <span className="gradient-text">Medicine Categories</span>
+          </h1>
+          <p className="text-white/60 mt-2">
+            Retailers choose from these when adding medicines to their inventory
+          </p>
+        </motion.div>
+
+        {/* Add / edit form */}
+        <form onSubmit={handleSubmit} className="glass-card p-5 mb-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="font-semibold flex items-center gap-2">
+              {formData.id ? <Pencil size={18} /> : <Plus size={18} />}
+              {formData.id ? 'Edit category' : 'New category'}
+            </h2>
+            {formData.id && (
+              <button
+                type="button"
+                onClick={() => setFormData(EMPTY_FORM)}
+                className="p-1 rounded-lg hover:bg-white/10 text-white/60"
+              >
+                <X size={18} />
+              </button>
+            )}
+          </div>
+          <div className="grid sm:grid-cols-3 gap-3">
+            <input
+              type="text"
+              name="name"
+              value={formData.name}
+              onChange={handleChange}
+              maxLength={100}
+              className="glass-input"
+              placeholder="Name, e.g. Antibiotics"
+            />
+            <input
+              type="text"
+              name="description"
+              value={formData.description}
+              onChange={handleChange}
+              className="glass-input sm:col-span-2"
+              placeholder="Short description (optional)"
+            />
+          </div>
+          <div className="flex justify-end mt-4">
+            <button
+              type="submit"
+              disabled={saving}
+              className="glass-button flex items-center gap-2"
+            >
+              {saving ? <Loader2 size={16} className="animate-spin" /> : formData.id ? 'Save Changes' : 'Add Category'}
+            </button>
+          </div>
+        </form>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="spinner" />
+          </div>
+        ) : categories.length === 0 ? (
+          <div className="glass-card p-12 text-center">
+            <Tags size={64} className="mx-auto text-white/20 mb-4" />
+            <h3 className="text-xl font-semibold mb-2">No categories yet</h3>
+            <p className="text-white/50">Add the first one above.</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <AnimatePresence>
+              {categories.map((category) => (
+                <motion.div
+                  key={category.id}
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, x: 20 }}
+                  className={`glass-card p-4 flex items-center gap-4 ${
+                    formData.id === category.id ? 'ring-1 ring-primary-500' : ''
+                  }`}
+                >
+                  <div className="min-w-0 flex-1">
+                    <h3 className="font-semibold">{category.name}</h3>
+                    {category.description && (
+                      <p className="text-sm text-white/50 truncate">{category.description}</p>
+                    )}
+                  </div>
+                  <span className="text-sm text-white/50 flex-shrink-0">
+                    {category.medicine_count} medicine{category.medicine_count === 1 ? '' : 's'}
+                  </span>
+                  <button
+                    onClick={() =>
+                      setFormData({
+                        id: category.id,
+                        name: category.name,
+                        description: category.description || '',
+                      })
+                    }
+                    className="p-2 rounded-lg hover:bg-white/10 text-white/60 hover:text-white"
+                    title="Edit"
+                  >
+                    <Pencil size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(category)}
+                    className="p-2 rounded-lg hover:bg-red-500/20 text-red-400"
+                    title="Delete"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CategoryManagement;
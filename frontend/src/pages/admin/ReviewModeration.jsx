@@ -0,0 +1,155 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { MessageSquare, Star, Store, User, Trash2, Loader2 } from 'lucide-react';
+import { getRecentReviews, deleteReview } from '../../lib/supabase';
+import toast from 'react-hot-toast';
+
+const RATING_TABS = [
+  { value: 5, label: 'All reviews' },
+  { value: 2, label: '2★ and below' },
+  { value: 1, label: '1★ only' },
+];
+
+// Admin moderation of store reviews: newest first, optionally only the
+// low ratings where abuse tends to show up. Removing a review recalculates
+// the store's rating through the update_store_rating trigger.
+const ReviewModeration = () => {
+  const [maxRating, setMaxRating] = useState(5);
+  const [reviews, setReviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [deleting, setDeleting] = useState(null); // Review id being removed
+
+  useEffect(() => {
+    fetchReviews();
+  }, [maxRating]);
+
+  const fetchReviews = async () => {
+    setLoading(true);
+    const { data, error } = await getRecentReviews({ maxRating });
+    if (error) toast.error('Failed to load reviews');
+    setReviews(data);
+    setLoading(false);
+  };
+
+  const handleDelete = async (review) => {
+    const confirmed = window.confirm(
+      `Remove this review of ${review.stores?.store_name || 'the store'}? This action cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    setDeleting(review.id);
+    const { error } = await deleteReview(review.id);
+    setDeleting(null);
+
+    if (error) {
+      toast.error('Failed to remove the review');
+      return;
+    }
+    toast.success('Review removed');
+    setReviews((prev) => prev.filter((item) => item.id !== review.id));
+  };
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-4xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold">
+            <span className="gradient-text">Review Moderation</span>
+          </h1>
+          <p className="text-white/60 mt-2">
+            Remove reviews that are abusive, fake or not about the pharmacy
+          </p>
+        </motion.div>
+
+        <div className="flex items-center gap-1 p-1 mb-6 rounded-xl bg-white/5 w-fit">
+          {RATING_TABS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => setMaxRating(value)}
+              className={`px-4 py-2 rounded-lg text-sm transition-all ${
+                maxRating === value ? 'bg-primary-500 text-white' : 'text-white/60 hover:text-white'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="spinner" />
+          </div>
+        ) : reviews.length === 0 ? (
+          <div className="glass-card p-12 text-center">
+            <MessageSquare size={64} className="mx-auto text-white/20 mb-4" />
+            <h3 className="text-xl font-semibold mb-2">Nothing here</h3>
+            <p className="text-white/50">No reviews match this filter.</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <AnimatePresence>
+              {reviews.map((review) => (
+                <motion.div
+                  key={review.id}
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, x: 20 }}
+                  className="glass-card p-5"
+                >
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0 space-y-2">
+                      <div className="flex items-center gap-1">
+                        {[1, 2, 3, 4, 5].map((star) => (
+                          <Star
+                            key={star}
+                            size={16}
+                            className={star <= review.rating ? 'text-yellow-400 fill-yellow-400' : 'text-white/20'}
+                          />
+                        ))}
+                        <span className="text-xs text-white/40 ml-2">
+                          {new Date(review.created_at).toLocaleDateString()}
+                        </span>
+                      </div>
+                      <p className={review.comment ? '' : 'text-white/40 italic'}>
+                        {review.comment || 'No comment'}
+                      </p>
+                      <p className="flex items-center gap-2 text-sm text-white/60">
+                        <Store size={14} />
+                        {review.stores?.store_name || 'Deleted store'}
+                        {review.stores?.city && <span className="text-white/40">· {review.stores.city}</span>}
+                      </p>
+                      <p className="flex items-center gap-2 text-sm text-white/60">
+                        <User size={14} />
+                        {review.profiles?.full_name} · {review.profiles?.email}
+                        {review.profiles?.is_suspended && (
+                          <span className="px-2 py-0.5 rounded-full text-xs bg-red-500/20 text-red-400">
+                            Suspended
+                          </span>
+                        )}
+                      </p>
+                    </div>
+
+                    <button
+                      onClick={() => handleDelete(review)}
+                      disabled={deleting === review.id}
+                      className="p-2 rounded-lg hover:bg-red-500/20 text-red-400 flex-shrink-0"
+                      title="Remove review"
+                    >
+                      {deleting === review.id ? <Loader2 size={18} className="animate-spin" /> : <Trash2 size={18} />}
+                    </button>
+                  </div>
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewModeration;
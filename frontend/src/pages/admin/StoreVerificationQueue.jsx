@@ -0,0 +1,235 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  ShieldCheck,
+  ShieldX,
+  FileText,
+  MapPin,
+  Phone,
+  User,
+  Loader2,
+  Inbox,
+} from 'lucide-react';
+import { getVerificationQueue, getLicenseDocumentUrl, reviewStoreVerification } from '../../lib/supabase';
+import toast from 'react-hot-toast';
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+];
+
+// Admin review of pharmacy verification requests: check the uploaded drug
+// license against the store details, then approve or reject with a reason
+const StoreVerificationQueue = () => {
+  const [status, setStatus] = useState('pending');
+  const [requests, setRequests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [rejecting, setRejecting] = useState(null); // Request id whose reason form is open
+  const [reason, setReason] = useState('');
+  const [reviewing, setReviewing] = useState(null); // Request id being saved
+
+  useEffect(() => {
+    fetchRequests();
+  }, [status]);
+
+  const fetchRequests = async () => {
+    setLoading(true);
+    const { data, error } = await getVerificationQueue(status);
+    if (error) toast.error('Failed to load verification requests');
+    setRequests(data);
+    setLoading(false);
+  };
+
+  const openDocument = async (request) => {
+    // Open the tab straight away so the popup isn't blocked, then point it at the signed URL
+    const tab = window.open('', '_blank');
+    const { data: url, error } = await getLicenseDocumentUrl(request.document_path);
+    if (error || !url) {
+      tab?.close();
+      toast.error('Could not open the license document');
+      return;
+    }
+    if (tab) tab.location.href = url;
+  };
+
+  const handleReview = async (request, approve) => {
+    if (!approve && !reason.trim()) {
+      toast.error('Give a reason so the pharmacy knows what to fix');
+      return;
+    }
+
+    setReviewing(request.id);
+    const { error } = await reviewStoreVerification(request.id, approve, approve ? null : reason.trim());
+    setReviewing(null);
+
+    if (error) {
+      toast.error(error.message || 'Failed to save the review');
+      return;
+    }
+    toast.success(approve ? `${request.stores?.store_name} verified` : 'Request rejected');
+    setRejecting(null);
+    setReason('');
+    setRequests((prev) => prev.filter((item) => item.id !== request.id));
+  };
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-4xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold">
+            <span className="gradient-text">Pharmacy Verification</span>
+          </h1>
+          <p className="text-white/60 mt-2">
+            Check each drug license against the store details before approving
+          </p>
+        </motion.div>
+
+        <div className="flex items-center gap-1 p-1 mb-6 rounded-xl bg-white/5 w-fit">
+          {STATUS_TABS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => setStatus(value)}
+              className={`px-4 py-2 rounded-lg text-sm transition-all ${
+                status === value ? 'bg-primary-500 text-white' : 'text-white/60 hover:text-white'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="spinner" />
+          </div>
+        ) : requests.length === 0 ? (
+          <div className="glass-card p-12 text-center">
+            <Inbox size={64} className="mx-auto text-white/20 mb-4" />
+            <h3 className="text-xl font-semibold mb-2">Nothing here</h3>
+            <p className="text-white/50">
+              {status === 'pending' ? 'No pharmacies are waiting for review.' : `No ${status} requests yet.`}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            <AnimatePresence>
+              {requests.map((request) => (
+                <motion.div
+                  key={request.id}
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, x: 20 }}
+                  className="glass-card p-5"
+                >
+                  <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-4">
+                    <div className="min-w-0 space-y-2">
+                      <h3 className="text-lg font-semibold">{request.stores?.store_name || 'Deleted store'}</h3>
+                      <p className="flex items-start gap-2 text-sm text-white/60">
+                        <MapPin size={14} className="mt-0.5 flex-shrink-0" />
+                        {[request.stores?.address, request.stores?.city, request.stores?.state, request.stores?.pincode]
+                          .filter(Boolean)
+                          .join(', ')}
+                      </p>
+                      <p className="flex items-center gap-2 text-sm text-white/60">
+                        <Phone size={14} />
+                        {request.stores?.phone}
+                      </p>
+                      <p className="flex items-center gap-2 text-sm text-white/60">
+                        <User size={14} />
+                        {request.submitter?.full_name} · {request.submitter?.email}
+                      </p>
+                      <p className="text-sm">
+                        License <span className="font-mono text-primary-400">{request.license_number}</span>
+                        <span className="text-white/40"> · submitted {new Date(request.created_at).toLocaleDateString()}</span>
+                      </p>
+                      {request.status === 'rejected' && (
+                        <p className="text-sm text-red-400">Rejected: {request.rejection_reason}</p>
+                      )}
+                    </div>
+
+                    <button
+                      onClick={() => openDocument(request)}
+                      className="glass-button-secondary text-sm flex items-center gap-2 flex-shrink-0"
+                    >
+                      <FileText size={16} />
+                      <span className="truncate max-w-[160px]">{request.document_name || 'View license'}</span>
+                    </button>
+                  </div>
+
+                  {request.status === 'pending' && (
+                    <div className="mt-4 pt-4 border-t border-white/10">
+                      {rejecting === request.id ? (
+                        <div className="space-y-3">
+                          <textarea
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            rows={2}
+                            autoFocus
+                            placeholder="e.g. License has expired / name does not match the store"
+                            className="glass-input resize-none text-sm"
+                          />
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => {
+                                setRejecting(null);
+                                setReason('');
+                              }}
+                              className="flex-1 glass-button-secondary text-sm"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={() => handleReview(request, false)}
+                              disabled={reviewing === request.id}
+                              className="flex-1 py-2 rounded-xl bg-red-500/20 text-red-400 hover:bg-red-500/30 text-sm font-medium flex items-center justify-center gap-2"
+                            >
+                              {reviewing === request.id ? <Loader2 size={16} className="animate-spin" /> : 'Reject'}
+                            </button>
+                          </div>
+                        </div>
+                      ) : (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => {
+                              setRejecting(request.id);
+                              setReason('');
+                            }}
+                            className="flex-1 py-2 rounded-xl bg-red-500/20 text-red-400 hover:bg-red-500/30 text-sm font-medium flex items-center justify-center gap-2"
+                          >
+                            <ShieldX size={16} />
+                            Reject
+                          </button>
+                          <button
+                            onClick={() => handleReview(request, true)}
+                            disabled={reviewing === request.id}
+                            className="flex-1 py-2 rounded-xl bg-green-500/20 text-green-400 hover:bg-green-500/30 text-sm font-medium flex items-center justify-center gap-2"
+                          >
+                            {reviewing === request.id ? (
+                              <Loader2 size={16} className="animate-spin" />
+                            ) : (
+                              <>
+                                <ShieldCheck size={16} />
+                                Approve
+                              </>
+                            )}
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StoreVerificationQueue;
@@ -0,0 +1,249 @@
+import { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Search, Users, UserX, UserCheck, Loader2, Mail, Phone } from 'lucide-react';
+import { getUsers, setUserSuspended } from '../../lib/supabase';
+import toast from 'react-hot-toast';
+
+const ROLE_OPTIONS = [
+  { value: '', label: 'All roles' },
+  { value: 'customer', label: 'Customers' },
+  { value: 'retailer', label: 'Retailers' },
+  { value: 'admin', label: 'Admins' },
+];
+
+const ROLE_BADGES = {
+  customer: 'bg-blue-500/20 text-blue-400',
+  retailer: 'bg-purple-500/20 text-purple-400',
+  admin: 'bg-amber-500/20 text-amber-400',
+};
+
+// Admin user list: find accounts by name or email and suspend or reinstate
+// them. Suspended users cannot sign in, and their stores leave search.
+const UserManagement = () => {
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('');
+  const [suspendedOnly, setSuspendedOnly] = useState(false);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [suspending, setSuspending] = useState(null); // User id whose reason form is open
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(null); // User id being saved
+
+  useEffect(() => {
+    // Wait for typing to settle before querying
+    const timer = setTimeout(fetchUsers, 300);
+    return () => clearTimeout(timer);
+  }, [search, role, suspendedOnly]);
+
+  const fetchUsers = async () => {
+    setLoading(true);
+    const { data, error } = await getUsers({ search, role, suspendedOnly });
+    if (error) toast.error('Failed to load users');
+    setUsers(data);
+    setLoading(false);
+  };
+
+  const handleSuspension = async (user, suspend) => {
+    if (suspend && !reason.trim()) {
+      toast.error('Give a reason for the suspension');
+      return;
+    }
+
+    setSaving(user.id);
+    const { data, error } = await setUserSuspended(user.id, suspend, suspend ? reason.trim() : null);
+    setSaving(null);
+
+    if (error) {
+      toast.error(error.message || 'Failed to update the account');
+      return;
+    }
+    toast.success(suspend ? `${user.full_name} suspended` : `${user.full_name} reinstated`);
+    setSuspending(null);
+    setReason('');
+    setUsers((prev) =>
+      suspendedOnly && !suspend
+        ? prev.filter((item) => item.id !== user.id)
+        : prev.map((item) => (item.id === user.id ? { ...item, ...data } : item))
+    );
+  };
+
+  return (
+    <div className="min-h-screen py-8 px-4">
+      <div className="max-w-4xl mx-auto">
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-3xl font-bold">
+            <span className="gradient-text">Users</span>
+          </h1>
+          <p className="text-white/60 mt-2">
+            Suspended accounts are signed out and their pharmacies are hidden from search
+          </p>
+        </motion.div>
+
+        {/* Filters */}
+        <div className="glass-card p-4 mb-6 flex flex-col sm:flex-row sm:items-center gap-3">
+          <div className="relative flex-1">
+            <Search size={18} className="absolute left-4 top-1/2 -translate-y-1/2 text-white/40" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className="glass-input pl-12"
+              placeholder="Search by name or email"
+            />
+          </div>
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="glass-select sm:w-40"
+          >
+            {ROLE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-white/70 cursor-pointer whitespace-nowrap">
+            <input
+              type="checkbox"
+              checked={suspendedOnly}
+              onChange={(e) => setSuspendedOnly(e.target.checked)}
+              className="w-4 h-4 rounded"
+            />
+            Suspended only
+          </label>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="spinner" />
+          </div>
+        ) : users.length === 0 ? (
+          <div className="glass-card p-12 text-center">
+            <Users size={64} className="mx-auto text-white/20 mb-4" />
+            <h3 className="text-xl font-semibold mb-2">No users found</h3>
+            <p className="text-white/50">Try a different name, email or filter.</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <AnimatePresence>
+              {users.map((user) => (
+                <motion.div
+                  key={user.id}
+                  initial={{ opacity: 0, y: 10 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  exit={{ opacity: 0, x: 20 }}
+                  className={`glass-card p-4 ${user.is_suspended ? 'border border-red-500/30' : ''}`}
+                >
+                  <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+                    <div className="w-10 h-10 rounded-full bg-gradient-to-br from-primary-500 to-purple-600 flex items-center justify-center flex-shrink-0">
+                      <span className="font-semibold">{user.full_name?.charAt(0).toUpperCase() || 'U'}</span>
+                    </div>
+                    <div className="min-w-0 flex-1 space-y-1">
+                      <div className="flex items-center gap-2 flex-wrap">
+                        <h3 className="font-semibold">{user.full_name}</h3>
+                        <span className={`px-2 py-0.5 rounded-full text-xs capitalize ${ROLE_BADGES[user.role] || ''}`}>
+                          {user.role}
+                        </span>
+                        {user.is_suspended && (
+                          <span className="px-2 py-0.5 rounded-full text-xs bg-red-500/20 text-red-400">
+                            Suspended
+                          </span>
+                        )}
+                      </div>
+                      <p className="flex items-center gap-2 text-sm text-white/60 truncate">
+                        <Mail size={14} className="flex-shrink-0" />
+                        {user.email}
+                        {user.phone && (
+                          <>
+                            <Phone size={14} className="flex-shrink-0 ml-2" />
+                            {user.phone}
+                          </>
+                        )}
+                      </p>
+                      <p className="text-xs text-white/40">
+                        Joined {new Date(user.created_at).toLocaleDateString()}
+                        {user.is_suspended && user.suspended_at && (
+                          <> · suspended {new Date(user.suspended_at).toLocaleDateString()}</>
+                        )}
+                      </p>
+                      {user.is_suspended && user.suspended_reason && (
+                        <p className="text-sm text-red-400">Reason: {user.suspended_reason}</p>
+                      )}
+                    </div>
+
+                    {user.role !== 'admin' && (
+                      user.is_suspended ? (
+                        <button
+                          onClick={() => handleSuspension(user, false)}
+                          disabled={saving === user.id}
+                          className="px-4 py-2 rounded-xl bg-green-500/20 text-green-400 hover:bg-green-500/30 text-sm font-medium flex items-center justify-center gap-2 flex-shrink-0"
+                        >
+                          {saving === user.id ? (
+                            <Loader2 size={16} className="animate-spin" />
+                          ) : (
+                            <>
+                              <UserCheck size={16} />
+                              Reinstate
+                            </>
+                          )}
+                        </button>
+                      ) : suspending !== user.id && (
+                        <button
+                          onClick={() => {
+                            setSuspending(user.id);
+                            setReason('');
+                          }}
+                          className="px-4 py-2 rounded-xl bg-red-500/20 text-red-400 hover:bg-red-500/30 text-sm font-medium flex items-center justify-center gap-2 flex-shrink-0"
+                        >
+                          <UserX size={16} />
+                          Suspend
+                        </button>
+                      )
+                    )}
+                  </div>
+
+                  {suspending === user.id && (
+                    <div className="mt-4 pt-4 border-t border-white/10 space-y-3">
+                      <textarea
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        rows={2}
+                        autoFocus
+                        placeholder="e.g. Listing fake stock / abusive reviews"
+                        className="glass-input resize-none text-sm"
+                      />
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => {
+                            setSuspending(null);
+                            setReason('');
+                          }}
+                          className="flex-1 glass-button-secondary text-sm"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={() => handleSuspension(user, true)}
+                          disabled={saving === user.id}
+                          className="flex-1 py-2 rounded-xl bg-red-500/20 text-red-400 hover:bg-red-500/30 text-sm font-medium flex items-center justify-center gap-2"
+                        >
+                          {saving === user.id ? <Loader2 size={16} className="animate-spin" /> : 'Suspend'}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UserManagement;
@@ -20,6 +20,7 @@ import {
 } from 'lucide-react';
 import useAuthStore from '../../store/authStore';
 import { supabase, getFavoriteMedicines, removeFavoriteMedicine } from '../../lib/supabase';
+import { isStoreOpenNow } from '../../lib/storeHours';
 import toast from 'react-hot-toast';
 import Chatbot from '../../components/Chatbot';
 
@@ -536,12 +537,12 @@ const CustomerDashboard = () => {
                         <td className="py-3 px-4 text-center">
                           <span
                             className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${
-                              fav.stores?.is_open
+                              isStoreOpenNow(fav.stores)
                                 ? 'bg-green-500/20 text-green-400'
                                 : 'bg-red-500/20 text-red-400'
                             }`}
                           >
-                            {fav.stores?.is_open ? 'Open' : 'Closed'}
+                            {isStoreOpenNow(fav.stores) ? 'Open' : 'Closed'}
                           </span>
                         </td>
                         <td className="py-3 px-4">
@@ -17,6 +17,7 @@ import {
 } from 'lucide-react';
 import useAuthStore from '../../store/authStore';
 import { supabase, getFavoriteMedicines, removeFavoriteMedicine } from '../../lib/supabase';
+import { isStoreOpenNow } from '../../lib/storeHours';
 import toast from 'react-hot-toast';
 
 const FavoritesPage = () => {
@@ -49,7 +50,13 @@ const FavoritesPage = () => {
             phone,
             rating,
             store_image_url,
-            is_open
+            opening_time,
+            closing_time,
+            timezone,
+            open_override,
+            open_override_until,
+            weekly_hours,
+            closures
           )
         `)
         .eq('user_id', user.id)
@@ -265,6 +272,16 @@ const FavoritesPage = () => {
                               </div>
                             )}
 
+                            {fav.medicines.stock_status && fav.medicines.stock_status !== 'active' && (
+                              <div className="flex items-center justify-between text-sm">
+                                <div className="flex items-center gap-2 text-white/60">
+                                  <Package size={14} />
+                                  <span>Status</span>
+                                </div>
+                                <span className="font-medium text-red-400">Expired batch, no longer sold</span>
+                              </div>
+                            )}
+
                             {fav.medicines.stores && (
                               <div className="flex items-center justify-between text-sm">
                                 <div className="flex items-center gap-2 text-white/60">
@@ -360,12 +377,12 @@ const FavoritesPage = () => {
                           {/* Status Badge */}
                           <div
                             className={`absolute top-3 right-3 px-3 py-1 rounded-full text-xs font-medium ${
-                              fav.stores?.is_open
+                              isStoreOpenNow(fav.stores)
                                 ? 'bg-green-500/90 text-white'
                                 : 'bg-red-500/90 text-white'
                             }`}
                           >
-                            {fav.stores?.is_open ? 'Open' : 'Closed'}
+                            {isStoreOpenNow(fav.stores) ? 'Open' : 'Closed'}
                           </div>
 
                           {/* Remove Button */}
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { useParams, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
   Package,
@@ -16,13 +16,37 @@ import {
   IndianRupee,
   Calendar,
   Store,
+  FileSpreadsheet,
+  FileText,
+  Download,
+  Printer,
+  PackageX,
+  CalendarClock,
+  Layers,
 } from 'lucide-react';
 import useAuthStore from '../../store/authStore';
-import { supabase, uploadImage, getCategories } from '../../lib/supabase';
+import { supabase, uploadImage, getCategories, quarantineExpiredMedicines } from '../../lib/supabase';
+import { toCsv, downloadFile, downloadXlsx } from '../../lib/spreadsheet';
+import { inventoryExportRows, printStockReport } from '../../lib/inventoryExport';
+import {
+  EXPIRY_WINDOWS,
+  expiryWarningDays,
+  daysUntilExpiry,
+  nearExpiryMedicines,
+  valueAtRisk,
+} from '../../lib/nearExpiry';
+import InventoryImport from '../../components/InventoryImport';
+import ExpiredStock from '../../components/ExpiredStock';
+import MedicineBatches from '../../components/MedicineBatches';
 import toast from 'react-hot-toast';
 
+// Products are fetched with their medicine_batches; once a product has batches
+// its quantity, expiry and batch number are kept in sync from them
+const batchCount = (medicine) => medicine.medicine_batches?.length || 0;
+
 const InventoryManagement = () => {
   const { storeId } = useParams();
+  const [searchParams] = useSearchParams();
   const { user } = useAuthStore();
   const [stores, setStores] = useState([]);
   const [selectedStore, setSelectedStore] = useState(storeId || '');
@@ -37,6 +61,14 @@ const InventoryManagement = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [filterCategory, setFilterCategory] = useState('');
   const [showLowStock, setShowLowStock] = useState(false);
+  // Days ahead to look for expiring stock; 0 = no expiry filter.
+  // The dashboard's near-expiry panel links here with ?expiring=<days>.
+  const [expiringWithin, setExpiringWithin] = useState(() => Number(searchParams.get('expiring')) || 0);
+  const [showImport, setShowImport] = useState(false);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+  const [view, setView] = useState('stock'); // stock | expired
+  const [expiredCount, setExpiredCount] = useState(0);
+  const [batchMedicine, setBatchMedicine] = useState(null);
 
   const [formData, setFormData] = useState({
     name: '',
@@ -61,52 +93,24 @@ const InventoryManagement = () => {
 
   useEffect(() => {
     if (selectedStore) {
-      fetchMedicines();
-      // Check and remove expired medicines
-      removeExpiredMedicines();
+      // Quarantine anything that expired since the last visit, then list stock
+      quarantineExpired().then(fetchMedicines);
     }
   }, [selectedStore]);
 
-  // Function to remove expired medicines automatically
-  const removeExpiredMedicines = async () => {
-    if (!selectedStore) return;
-    
-    try {
-      const today = new Date().toISOString().split('T')[0];
-      
-      // Get expired medicines
-      const { data: expiredMeds, error: fetchError } = await supabase
-        .from('medicines')
-        .select('id, name')
-        .eq('store_id', selectedStore)
-        .lt('expiry_date', today)
-        .not('expiry_date', 'is', null);
-      
-      if (fetchError) {
-        console.error('Error fetching expired medicines:', fetchError);
-        return;
-      }
-      
-      if (expiredMeds && expiredMeds.length > 0) {
-        // Delete expired medicines
-        const { error: deleteError } = await supabase
-          .from('medicines')
-          .delete()
-          .eq('store_id', selectedStore)
-          .lt('expiry_date', today);
-        
-        if (deleteError) {
-          console.error('Error deleting expired medicines:', deleteError);
-        } else {
-          const names = expiredMeds.map(m => m.name).join(', ');
-          toast(`Removed ${expiredMeds.length} expired medicine(s): ${names}`, { 
-            icon: '⚠️',
-            duration: 5000 
-          });
-        }
-      }
-    } catch (error) {
-      console.error('Error in removeExpiredMedicines:', error);
+  // Expired medicines are kept as batch records in "Expired / To be
+  // returned" rather than deleted - see components/ExpiredStock.jsx
+  const quarantineExpired = async () => {
+    const { data: moved, error } = await quarantineExpiredMedicines(selectedStore);
+    if (error) {
+      toast.error('Could not check for expired stock - expired items may still be listed');
+      return;
+    }
+    if (moved > 0) {
+      toast(`Moved ${moved} expired medicine(s) to Expired / To be returned`, {
+        icon: '⚠️',
+        duration: 5000,
+      });
     }
   };
 
@@ -146,14 +150,23 @@ const InventoryManagement = () => {
     if (!selectedStore) return;
 
     try {
-      const { data, error } = await supabase
-        .from('medicines')
-        .select('*, medicine_categories(name)')
-        .eq('store_id', selectedStore)
-        .order('name');
+      const [{ data, error }, { count }] = await Promise.all([
+        supabase
+          .from('medicines')
+          .select('*, medicine_categories(name), medicine_batches(id, batch_number, expiry_date, quantity)')
+          .eq('store_id', selectedStore)
+          .eq('stock_status', 'active')
+          .order('name'),
+        supabase
+          .from('medicines')
+          .select('id', { count: 'exact', head: true })
+          .eq('store_id', selectedStore)
+          .eq('stock_status', 'expired'),
+      ]);
 
       if (error) throw error;
       setMedicines(data || []);
+      setExpiredCount(count || 0);
     } catch (error) {
       console.error('Error fetching medicines:', error);
       toast.error('Failed to load medicines');
@@ -180,6 +193,8 @@ const InventoryManagement = () => {
     }
   };
 
+  const managedByBatches = editingMedicine ? batchCount(editingMedicine) > 0 : false;
+
   const openModal = (medicine = null) => {
     if (medicine) {
       setEditingMedicine(medicine);
@@ -190,7 +205,7 @@ const InventoryManagement = () => {
         description: medicine.description || '',
         dosage: medicine.dosage || '',
         price: medicine.price || '',
-        quantity: medicine.quantity || '',
+        quantity: medicine.quantity ?? '',
         unit: medicine.unit || 'strips',
         expiry_date: medicine.expiry_date || '',
         batch_number: medicine.batch_number || '',
@@ -248,7 +263,7 @@ const InventoryManagement = () => {
       toast.error('Please enter a valid price');
       return;
     }
-    if (formData.quantity === '' || parseInt(formData.quantity) < 0) {
+    if (!managedByBatches && (formData.quantity === '' || parseInt(formData.quantity) < 0)) {
       toast.error('Please enter a valid quantity');
       return;
     }
@@ -281,10 +296,13 @@ const InventoryManagement = () => {
         description: formData.description?.trim() || null,
         dosage: formData.dosage?.trim() || null,
         price: parseFloat(formData.price),
-        quantity: parseInt(formData.quantity) || 0,
         unit: formData.unit || 'units',
-        expiry_date: formData.expiry_date || null,
-        batch_number: formData.batch_number?.trim() || null,
+        // Stock, expiry and batch number of a batched product come from its batches
+        ...(!managedByBatches && {
+          quantity: parseInt(formData.quantity) || 0,
+          expiry_date: formData.expiry_date || null,
+          batch_number: formData.batch_number?.trim() || null,
+        }),
         requires_prescription: formData.requires_prescription || false,
         min_stock_alert: parseInt(formData.min_stock_alert) || 10,
         category_id: formData.category_id || null,
@@ -362,6 +380,9 @@ const InventoryManagement = () => {
     }
   };
 
+  const today = new Date().toLocaleDateString('en-CA');
+  const currentStore = stores.find((s) => s.id === selectedStore);
+
   // Filter medicines
   const filteredMedicines = medicines.filter((med) => {
     const matchesSearch =
@@ -371,10 +392,54 @@ const InventoryManagement = () => {
       !filterCategory || med.category_id === filterCategory;
     const matchesLowStock =
       !showLowStock || med.quantity <= med.min_stock_alert;
+    const matchesExpiry =
+      !expiringWithin || nearExpiryMedicines([med], expiringWithin, today).length > 0;
 
-    return matchesSearch && matchesCategory && matchesLowStock;
+    return matchesSearch && matchesCategory && matchesLowStock && matchesExpiry;
   });
 
+  // Only the batches in the window count towards the value at risk
+  const expiringBatches = expiringWithin ? nearExpiryMedicines(filteredMedicines, expiringWithin, today) : [];
+
+  // Exports cover exactly what the filters above show
+  const handleExport = async (format) => {
+    setShowExportMenu(false);
+    if (filteredMedicines.length === 0) {
+      toast.error('Nothing to export with the current filters');
+      return;
+    }
+
+    const fileName = `${currentStore.store_name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-stock-${today}`;
+
+    const activeFilters = [
+      searchQuery.trim() && `matching "${searchQuery.trim()}"`,
+      filterCategory && categories.find((cat) => cat.id === filterCategory)?.name,
+      showLowStock && 'low stock only',
+      expiringWithin && `expiring within ${expiringWithin} days`,
+    ].filter(Boolean);
+    const filterLabel = activeFilters.length > 0 ? `Filtered: ${activeFilters.join(', ')}` : '';
+
+    if (format === 'pdf') {
+      if (!printStockReport(currentStore, filteredMedicines, { today, filterLabel })) {
+        toast.error('Allow pop-ups to open the stock report');
+      }
+      return;
+    }
+
+    const rows = inventoryExportRows(filteredMedicines);
+    try {
+      if (format === 'xlsx') {
+        await downloadXlsx(rows, `${fileName}.xlsx`, currentStore.store_name);
+      } else {
+        downloadFile(toCsv(rows), `${fileName}.csv`);
+      }
+      toast.success(`Exported ${filteredMedicines.length} medicine(s)`);
+    } catch (error) {
+      console.error('Error exporting inventory:', error);
+      toast.error('Failed to export inventory');
+    }
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -423,16 +488,71 @@ const InventoryManagement = () => {
               Manage your medicine inventory across stores
             </p>
           </div>
-          <motion.button
-            whileHover={{ scale: 1.02 }}
-            whileTap={{ scale: 0.98 }}
-            onClick={() => openModal()}
-            className="glass-button flex items-center gap-2"
-            disabled={!selectedStore}
-          >
-            <Plus size={20} />
-            <span>Add Medicine</span>
-          </motion.button>
+          <div className="flex items-center gap-3">
+            <div className="relative">
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={() => setShowExportMenu(!showExportMenu)}
+                className="glass-button-secondary flex items-center gap-2"
+                disabled={!selectedStore}
+              >
+                <Download size={20} />
+                <span>Export</span>
+              </motion.button>
+              {showExportMenu && (
+                <>
+                  <div className="fixed inset-0 z-40" onClick={() => setShowExportMenu(false)} />
+                  <div className="absolute top-full right-0 mt-2 w-60 glass-card p-2 z-50 shadow-xl">
+                    <p className="px-3 py-1 text-xs text-white/40">
+                      {filteredMedicines.length} medicine(s) in the current view
+                    </p>
+                    <button
+                      onClick={() => handleExport('csv')}
+                      className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-white/10 text-sm text-left"
+                    >
+                      <FileText size={16} />
+                      CSV
+                    </button>
+                    <button
+                      onClick={() => handleExport('xlsx')}
+                      className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-white/10 text-sm text-left"
+                    >
+                      <FileSpreadsheet size={16} />
+                      Excel (.xlsx)
+                    </button>
+                    <button
+                      onClick={() => handleExport('pdf')}
+                      className="w-full flex items-center gap-3 px-3 py-2 rounded-lg hover:bg-white/10 text-sm text-left"
+                    >
+                      <Printer size={16} />
+                      Stock report (PDF)
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => setShowImport(true)}
+              className="glass-button-secondary flex items-center gap-2"
+              disabled={!selectedStore}
+            >
+              <FileSpreadsheet size={20} />
+              <span>Import</span>
+            </motion.button>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => openModal()}
+              className="glass-button flex items-center gap-2"
+              disabled={!selectedStore}
+            >
+              <Plus size={20} />
+              <span>Add Medicine</span>
+            </motion.button>
+          </div>
         </motion.div>
 
         {/* Store Selector & Filters */}
@@ -462,235 +582,323 @@ const InventoryManagement = () => {
               </select>
             </div>
 
-            {/* Search */}
-            <div className="flex-1">
-              <label className="block text-sm font-medium mb-2">
-                Search Medicine
-              </label>
-              <div className="relative">
-                <Search
-                  size={20}
-                  className="absolute left-4 top-1/2 -translate-y-1/2 text-white/50"
-                />
-                <input
-                  type="text"
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  placeholder="Search by name..."
-                  className="glass-input pl-12"
-                />
-              </div>
-            </div>
+            {view === 'stock' && (
+              <>
+                {/* Search */}
+                <div className="flex-1">
+                  <label className="block text-sm font-medium mb-2">
+                    Search Medicine
+                  </label>
+                  <div className="relative">
+                    <Search
+                      size={20}
+                      className="absolute left-4 top-1/2 -translate-y-1/2 text-white/50"
+                    />
+                    <input
+                      type="text"
+                      value={searchQuery}
+                      onChange={(e) => setSearchQuery(e.target.value)}
+                      placeholder="Search by name..."
+                      className="glass-input pl-12"
+                    />
+                  </div>
+                </div>
 
-            {/* Category Filter */}
-            <div className="flex-1">
-              <label className="block text-sm font-medium mb-2">Category</label>
-              <select
-                value={filterCategory}
-                onChange={(e) => setFilterCategory(e.target.value)}
-                className="glass-select"
-              >
-                <option value="">All Categories</option>
-                {categories.map((cat) => (
-                  <option key={cat.id} value={cat.id}>
-                    {cat.name}
-                  </option>
-                ))}
-              </select>
-            </div>
+                {/* Category Filter */}
+                <div className="flex-1">
+                  <label className="block text-sm font-medium mb-2">Category</label>
+                  <select
+                    value={filterCategory}
+                    onChange={(e) => setFilterCategory(e.target.value)}
+                    className="glass-select"
+                  >
+                    <option value="">All Categories</option>
+                    {categories.map((cat) => (
+                      <option key={cat.id} value={cat.id}>
+                        {cat.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
 
-            {/* Low Stock Toggle */}
-            <div className="flex items-end">
-              <button
-                onClick={() => setShowLowStock(!showLowStock)}
-                className={`flex items-center gap-2 px-4 py-3 rounded-xl transition-colors ${
-                  showLowStock
-                    ? 'bg-orange-500/20 text-orange-400'
-                    : 'bg-white/10 text-white/70 hover:bg-white/20'
-                }`}
-              >
-                <AlertTriangle size={18} />
-                <span className="whitespace-nowrap">Low Stock</span>
-              </button>
-            </div>
+                {/* Expiry Filter */}
+                <div className="flex-1">
+                  <label className="block text-sm font-medium mb-2">Expiring Within</label>
+                  <select
+                    value={expiringWithin}
+                    onChange={(e) => setExpiringWithin(Number(e.target.value))}
+                    className="glass-select"
+                  >
+                    <option value={0}>Any time</option>
+                    {EXPIRY_WINDOWS.map((days) => (
+                      <option key={days} value={days}>
+                        {days} days{days === expiryWarningDays(currentStore) ? ' (store warning)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                {/* Low Stock Toggle */}
+                <div className="flex items-end">
+                  <button
+                    onClick={() => setShowLowStock(!showLowStock)}
+                    className={`flex items-center gap-2 px-4 py-3 rounded-xl transition-colors ${
+                      showLowStock
+                        ? 'bg-orange-500/20 text-orange-400'
+                        : 'bg-white/10 text-white/70 hover:bg-white/20'
+                    }`}
+                  >
+                    <AlertTriangle size={18} />
+                    <span className="whitespace-nowrap">Low Stock</span>
+                  </button>
+                </div>
+              </>
+            )}
           </div>
         </motion.div>
 
-        {/* Medicine Stats */}
+        {/* Stock / Expired tabs */}
         {selectedStore && (
-          <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
-            <div className="glass-card p-4 text-center">
-              <p className="text-2xl font-bold">{medicines.length}</p>
-              <p className="text-sm text-white/50">Total Items</p>
-            </div>
-            <div className="glass-card p-4 text-center">
-              <p className="text-2xl font-bold text-green-400">
-                {medicines.filter((m) => m.is_available && m.quantity > 0).length}
-              </p>
-              <p className="text-sm text-white/50">In Stock</p>
-            </div>
-            <div className="glass-card p-4 text-center">
-              <p className="text-2xl font-bold text-orange-400">
-                {medicines.filter((m) => m.quantity <= m.min_stock_alert).length}
-              </p>
-              <p className="text-sm text-white/50">Low Stock</p>
-            </div>
-            <div className="glass-card p-4 text-center">
-              <p className="text-2xl font-bold text-red-400">
-                {medicines.filter((m) => m.quantity === 0).length}
-              </p>
-              <p className="text-sm text-white/50">Out of Stock</p>
-            </div>
+          <div className="flex items-center gap-1 p-1 mb-6 rounded-xl bg-white/5 w-fit">
+            <button
+              onClick={() => setView('stock')}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm transition-all ${
+                view === 'stock' ? 'bg-primary-500 text-white' : 'text-white/60 hover:text-white'
+              }`}
+            >
+              <Package size={16} />
+              Stock
+            </button>
+            <button
+              onClick={() => setView('expired')}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm transition-all ${
+                view === 'expired' ? 'bg-primary-500 text-white' : 'text-white/60 hover:text-white'
+              }`}
+            >
+              <PackageX size={16} />
+              Expired / To be returned
+              {expiredCount > 0 && (
+                <span className="px-2 py-0.5 rounded-full bg-red-500/80 text-white text-xs">{expiredCount}</span>
+              )}
+            </button>
           </div>
         )}
 
-        {/* Medicines Grid */}
-        {!selectedStore ? (
-          <div className="glass-card p-12 text-center">
-            <Package size={64} className="mx-auto text-white/20 mb-4" />
-            <h3 className="text-xl font-semibold mb-2">Select a Store</h3>
-            <p className="text-white/50">
-              Choose a store from the dropdown above to manage its inventory
-            </p>
-          </div>
-        ) : filteredMedicines.length === 0 ? (
-          <div className="glass-card p-12 text-center">
-            <Package size={64} className="mx-auto text-white/20 mb-4" />
-            <h3 className="text-xl font-semibold mb-2">
-              {medicines.length === 0 ? 'No Medicines Yet' : 'No Results Found'}
-            </h3>
-            <p className="text-white/50 mb-6">
-              {medicines.length === 0
-                ? 'Start adding medicines to your inventory'
-                : 'Try adjusting your search or filters'}
-            </p>
-            {medicines.length === 0 && (
-              <motion.button
-                whileHover={{ scale: 1.02 }}
-                whileTap={{ scale: 0.98 }}
-                onClick={() => openModal()}
-                className="glass-button"
-              >
-                <Plus size={20} className="inline mr-2" />
-                Add First Medicine
-              </motion.button>
-            )}
-          </div>
+        {selectedStore && view === 'expired' ? (
+          <ExpiredStock
+            store={currentStore}
+            onChange={fetchMedicines}
+          />
         ) : (
-          <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
-            {filteredMedicines.map((medicine, index) => (
-              <motion.div
-                key={medicine.id}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: index * 0.05 }}
-                className={`glass-card overflow-hidden ${
-                  medicine.quantity <= medicine.min_stock_alert
-                    ? 'ring-2 ring-orange-500/50'
-                    : ''
-                }`}
-              >
-                {/* Medicine Image */}
-                <div className="h-36 bg-gradient-to-br from-primary-500/20 to-purple-600/20 relative flex items-center justify-center">
-                  {medicine.image_url ? (
-                    <img
-                      src={medicine.image_url}
-                      alt={medicine.name}
-                      className="w-full h-full object-contain p-2"
-                    />
-                  ) : (
-                    <div className="w-full h-full flex items-center justify-center">
-                      <Package size={40} className="text-white/30" />
-                    </div>
-                  )}
-                  
-                  {/* Stock Badge */}
-                  <div
-                    className={`absolute top-2 right-2 px-2 py-1 rounded-full text-xs font-medium ${
-                      medicine.quantity === 0
-                        ? 'bg-red-500/90 text-white'
-                        : medicine.quantity <= medicine.min_stock_alert
-                        ? 'bg-orange-500/90 text-white'
-                        : 'bg-green-500/90 text-white'
-                    }`}
-                  >
-                    {medicine.quantity === 0
-                      ? 'Out of Stock'
-                      : medicine.quantity <= medicine.min_stock_alert
-                      ? 'Low Stock'
-                      : 'In Stock'}
-                  </div>
+          <>
+            {/* Medicine Stats */}
+            {selectedStore && (
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-4 mb-6">
+                <div className="glass-card p-4 text-center">
+                  <p className="text-2xl font-bold">{medicines.length}</p>
+                  <p className="text-sm text-white/50">Total Items</p>
+                </div>
+                <div className="glass-card p-4 text-center">
+                  <p className="text-2xl font-bold text-green-400">
+                    {medicines.filter((m) => m.is_available && m.quantity > 0).length}
+                  </p>
+                  <p className="text-sm text-white/50">In Stock</p>
                 </div>
+                <div className="glass-card p-4 text-center">
+                  <p className="text-2xl font-bold text-orange-400">
+                    {medicines.filter((m) => m.quantity <= m.min_stock_alert).length}
+                  </p>
+                  <p className="text-sm text-white/50">Low Stock</p>
+                </div>
+                <div className="glass-card p-4 text-center">
+                  <p className="text-2xl font-bold text-red-400">
+                    {medicines.filter((m) => m.quantity === 0).length}
+                  </p>
+                  <p className="text-sm text-white/50">Out of Stock</p>
+                </div>
+              </div>
+            )}
 
-                {/* Medicine Details */}
-                <div className="p-4">
-                  <h3 className="font-semibold truncate">{medicine.name}</h3>
-                  {medicine.generic_name && (
-                    <p className="text-xs text-white/50 truncate">
-                      {medicine.generic_name}
-                    </p>
-                  )}
+            {/* Near-expiry value at risk */}
+            {selectedStore && expiringWithin > 0 && (
+              <div className="glass-card p-4 mb-6 flex flex-wrap items-center gap-3 bg-amber-500/10 border border-amber-500/20">
+                <CalendarClock size={20} className="text-amber-400" />
+                <span>
+                  {expiringBatches.length} batch(es) of {filteredMedicines.length} medicine(s) expire within{' '}
+                  {expiringWithin} days
+                </span>
+                <span className="ml-auto font-semibold text-amber-300">
+                  ₹{valueAtRisk(expiringBatches).toLocaleString('en-IN', { maximumFractionDigits: 2 })} at risk
+                </span>
+              </div>
+            )}
 
-                  <div className="mt-3 flex items-center justify-between">
-                    <div className="flex items-center gap-1 text-green-400 font-semibold">
-                      <IndianRupee size={16} />
-                      {medicine.price}
-                    </div>
-                    <div className="text-sm text-white/70">
-                      Qty: {medicine.quantity} {medicine.unit}
+            {/* Medicines Grid */}
+            {!selectedStore ? (
+              <div className="glass-card p-12 text-center">
+                <Package size={64} className="mx-auto text-white/20 mb-4" />
+                <h3 className="text-xl font-semibold mb-2">Select a Store</h3>
+                <p className="text-white/50">
+                  Choose a store from the dropdown above to manage its inventory
+                </p>
+              </div>
+            ) : filteredMedicines.length === 0 ? (
+              <div className="glass-card p-12 text-center">
+                <Package size={64} className="mx-auto text-white/20 mb-4" />
+                <h3 className="text-xl font-semibold mb-2">
+                  {medicines.length === 0 ? 'No Medicines Yet' : 'No Results Found'}
+                </h3>
+                <p className="text-white/50 mb-6">
+                  {medicines.length === 0
+                    ? 'Start adding medicines to your inventory'
+                    : 'Try adjusting your search or filters'}
+                </p>
+                {medicines.length === 0 && (
+                  <motion.button
+                    whileHover={{ scale: 1.02 }}
+                    whileTap={{ scale: 0.98 }}
+                    onClick={() => openModal()}
+                    className="glass-button"
+                  >
+                    <Plus size={20} className="inline mr-2" />
+                    Add First Medicine
+                  </motion.button>
+                )}
+              </div>
+            ) : (
+              <div className="grid sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+                {filteredMedicines.map((medicine, index) => (
+                  <motion.div
+                    key={medicine.id}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    transition={{ delay: index * 0.05 }}
+                    className={`glass-card overflow-hidden ${
+                      medicine.quantity <= medicine.min_stock_alert
+                        ? 'ring-2 ring-orange-500/50'
+                        : ''
+                    }`}
+                  >
+                    {/* Medicine Image */}
+                    <div className="h-36 bg-gradient-to-br from-primary-500/20 to-purple-600/20 relative flex items-center justify-center">
+                      {medicine.image_url ? (
+                        <img
+                          src={medicine.image_url}
+                          alt={medicine.name}
+                          className="w-full h-full object-contain p-2"
+                        />
+                      ) : (
+                        <div className="w-full h-full flex items-center justify-center">
+                          <Package size={40} className="text-white/30" />
+                        </div>
+                      )}
+                  
+                      {/* Stock Badge */}
+                      <div
+                        className={`absolute top-2 right-2 px-2 py-1 rounded-full text-xs font-medium ${
+                          medicine.quantity === 0
+                            ? 'bg-red-500/90 text-white'
+                            : medicine.quantity <= medicine.min_stock_alert
+                            ? 'bg-orange-500/90 text-white'
+                            : 'bg-green-500/90 text-white'
+                        }`}
+                      >
+                        {medicine.quantity === 0
+                          ? 'Out of Stock'
+                          : medicine.quantity <= medicine.min_stock_alert
+                          ? 'Low Stock'
+                          : 'In Stock'}
+                      </div>
                     </div>
-                  </div>
 
-                  {medicine.expiry_date && (
-                    <div className="mt-2 flex items-center gap-1 text-xs text-white/50">
-                      <Calendar size={12} />
-                      Exp: {new Date(medicine.expiry_date).toLocaleDateString()}
-                    </div>
-                  )}
+                    {/* Medicine Details */}
+                    <div className="p-4">
+                      <h3 className="font-semibold truncate">{medicine.name}</h3>
+                      {medicine.generic_name && (
+                        <p className="text-xs text-white/50 truncate">
+                          {medicine.generic_name}
+                        </p>
+                      )}
+
+                      <div className="mt-3 flex items-center justify-between">
+                        <div className="flex items-center gap-1 text-green-400 font-semibold">
+                          <IndianRupee size={16} />
+                          {medicine.price}
+                        </div>
+                        <div className="text-sm text-white/70">
+                          Qty: {medicine.quantity} {medicine.unit}
+                          {batchCount(medicine) > 1 && (
+                            <span className="text-white/50"> · {batchCount(medicine)} batches</span>
+                          )}
+                        </div>
+                      </div>
 
-                  {medicine.medicine_categories && (
-                    <div className="mt-2">
-                      <span className="px-2 py-1 rounded-full bg-white/10 text-xs">
-                        {medicine.medicine_categories.name}
-                      </span>
+                      {medicine.expiry_date && (
+                        <div className="mt-2 flex items-center gap-1 text-xs text-white/50">
+                          <Calendar size={12} />
+                          Exp: {new Date(medicine.expiry_date).toLocaleDateString()}
+                          {daysUntilExpiry(medicine.expiry_date, today) <= expiryWarningDays(currentStore) && (
+                            <span className="text-amber-300">
+                              ({daysUntilExpiry(medicine.expiry_date, today)} days left)
+                            </span>
+                          )}
+                        </div>
+                      )}
+
+                      {medicine.medicine_categories && (
+                        <div className="mt-2">
+                          <span className="px-2 py-1 rounded-full bg-white/10 text-xs">
+                            {medicine.medicine_categories.name}
+                          </span>
+                        </div>
+                      )}
+
+                      {/* Actions */}
+                      <div className="mt-4 pt-3 border-t border-white/10 flex items-center gap-2">
+                        <motion.button
+                          whileHover={{ scale: 1.05 }}
+                          whileTap={{ scale: 0.95 }}
+                          onClick={() => toggleAvailability(medicine)}
+                          className={`flex-1 py-1.5 rounded-lg text-xs font-medium transition-colors ${
+                            medicine.is_available
+                              ? 'bg-green-500/20 text-green-400'
+                              : 'bg-red-500/20 text-red-400'
+                          }`}
+                        >
+                          {medicine.is_available ? 'Available' : 'Unavailable'}
+                        </motion.button>
+                        <motion.button
+                          whileHover={{ scale: 1.1 }}
+                          whileTap={{ scale: 0.9 }}
+                          onClick={() => setBatchMedicine(medicine)}
+                          className="p-1.5 rounded-lg bg-white/10 hover:bg-white/20"
+                          title="Batches"
+                        >
+                          <Layers size={16} />
+                        </motion.button>
+                        <motion.button
+                          whileHover={{ scale: 1.1 }}
+                          whileTap={{ scale: 0.9 }}
+                          onClick={() => openModal(medicine)}
+                          className="p-1.5 rounded-lg bg-white/10 hover:bg-white/20"
+                        >
+                          <Edit size={16} />
+                        </motion.button>
+                        <motion.button
+                          whileHover={{ scale: 1.1 }}
+                          whileTap={{ scale: 0.9 }}
+                          onClick={() => handleDelete(medicine.id)}
+                          className="p-1.5 rounded-lg bg-red-500/20 text-red-400 hover:bg-red-500/30"
+                        >
+                          <Trash2 size={16} />
+                        </motion.button>
+                      </div>
                     </div>
-                  )}
-
-                  {/* Actions */}
-                  <div className="mt-4 pt-3 border-t border-white/10 flex items-center gap-2">
-                    <motion.button
-                      whileHover={{ scale: 1.05 }}
-                      whileTap={{ scale: 0.95 }}
-                      onClick={() => toggleAvailability(medicine)}
-                      className={`flex-1 py-1.5 rounded-lg text-xs font-medium transition-colors ${
-                        medicine.is_available
-                          ? 'bg-green-500/20 text-green-400'
-                          : 'bg-red-500/20 text-red-400'
-                      }`}
-                    >
-                      {medicine.is_available ? 'Available' : 'Unavailable'}
-                    </motion.button>
-                    <motion.button
-                      whileHover={{ scale: 1.1 }}
-                      whileTap={{ scale: 0.9 }}
-                      onClick={() => openModal(medicine)}
-                      className="p-1.5 rounded-lg bg-white/10 hover:bg-white/20"
-                    >
-                      <Edit size={16} />
-                    </motion.button>
-                    <motion.button
-                      whileHover={{ scale: 1.1 }}
-                      whileTap={{ scale: 0.9 }}
-                      onClick={() => handleDelete(medicine.id)}
-                      className="p-1.5 rounded-lg bg-red-500/20 text-red-400 hover:bg-red-500/30"
-                    >
-                      <Trash2 size={16} />
-                    </motion.button>
-                  </div>
-                </div>
-              </motion.div>
-            ))}
-          </div>
+                  </motion.div>
+                ))}
+              </div>
+            )}
+          </>
         )}
 
         {/* Modal */}
@@ -864,9 +1072,13 @@ const InventoryManagement = () => {
                           onChange={handleChange}
                           required
                           min="0"
-                          className="glass-input"
+                          disabled={managedByBatches}
+                          className="glass-input disabled:opacity-50"
                           placeholder="100"
                         />
+                        {managedByBatches && (
+                          <p className="text-xs text-white/50 mt-1">Total of all batches</p>
+                        )}
                       </div>
                       <div>
                         <label className="block text-sm font-medium mb-2">
@@ -930,8 +1142,12 @@ const InventoryManagement = () => {
                           name="expiry_date"
                           value={formData.expiry_date}
                           onChange={handleChange}
-                          className="glass-input"
+                          disabled={managedByBatches}
+                          className="glass-input disabled:opacity-50"
                         />
+                        {managedByBatches && (
+                          <p className="text-xs text-white/50 mt-1">Earliest batch to expire</p>
+                        )}
                       </div>
                       <div>
                         <label className="block text-sm font-medium mb-2">
@@ -942,9 +1158,13 @@ const InventoryManagement = () => {
                           name="batch_number"
                           value={formData.batch_number}
                           onChange={handleChange}
-                          className="glass-input"
+                          disabled={managedByBatches}
+                          className="glass-input disabled:opacity-50"
                           placeholder="BATCH001"
                         />
+                        {managedByBatches && (
+                          <p className="text-xs text-white/50 mt-1">Managed under Batches</p>
+                        )}
                       </div>
                     </div>
 
@@ -1026,6 +1246,29 @@ const InventoryManagement = () => {
             </motion.div>
           )}
         </AnimatePresence>
+
+        {/* Bulk Import */}
+        <AnimatePresence>
+          {showImport && selectedStore && (
+            <InventoryImport
+              store={currentStore}
+              categories={categories}
+              onClose={() => setShowImport(false)}
+              onImported={fetchMedicines}
+            />
+          )}
+        </AnimatePresence>
+
+        {/* Batches */}
+        <AnimatePresence>
+          {batchMedicine && (
+            <MedicineBatches
+              medicine={batchMedicine}
+              onClose={() => setBatchMedicine(null)}
+              onChanged={fetchMedicines}
+            />
+          )}
+        </AnimatePresence>
       </div>
     </div>
   );
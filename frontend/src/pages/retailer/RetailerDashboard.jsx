@@ -11,11 +11,24 @@ import {
   MapPin,
   Clock,
   Eye,
+  CalendarClock,
 } from 'lucide-react';
 import useAuthStore from '../../store/authStore';
 import { supabase } from '../../lib/supabase';
+import { isStoreOpenNow } from '../../lib/storeHours';
+import { stockValue } from '../../lib/inventoryExport';
+import { expiryWarningDays, nearExpiryMedicines, expiryBands, valueAtRisk } from '../../lib/nearExpiry';
 import toast from 'react-hot-toast';
 
+const formatRupees = (value) => value.toLocaleString('en-IN', { maximumFractionDigits: 0 });
+
+// Soonest band first
+const BAND_STYLES = [
+  'bg-red-500/10 border-red-500/20',
+  'bg-orange-500/10 border-orange-500/20',
+  'bg-yellow-500/10 border-yellow-500/20',
+];
+
 const RetailerDashboard = () => {
   const { profile, user } = useAuthStore();
   const [stats, setStats] = useState({
@@ -26,6 +39,7 @@ const RetailerDashboard = () => {
   });
   const [stores, setStores] = useState([]);
   const [lowStockItems, setLowStockItems] = useState([]);
+  const [nearExpiry, setNearExpiry] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -50,8 +64,9 @@ const RetailerDashboard = () => {
         // Fetch all medicines for these stores
         const { data: medicines } = await supabase
           .from('medicines')
-          .select('*')
-          .in('store_id', storeIds);
+          .select('*, medicine_batches(id, batch_number, expiry_date, quantity)')
+          .in('store_id', storeIds)
+          .eq('stock_status', 'active');
 
         // Calculate stats
         const totalMedicines = medicines?.length || 0;
@@ -70,7 +85,22 @@ const RetailerDashboard = () => {
           ?.filter((m) => m.quantity <= m.min_stock_alert)
           .slice(0, 5);
         setLowStockItems(lowStockMeds || []);
+
+        // Near-expiry stock, each store with its own warning window
+        const today = new Date().toLocaleDateString('en-CA');
+        setNearExpiry(
+          storesData
+            .flatMap((store) =>
+              nearExpiryMedicines(
+                (medicines || []).filter((m) => m.store_id === store.id),
+                expiryWarningDays(store),
+                today
+              ).map((m) => ({ ...m, store }))
+            )
+            .sort((a, b) => a.daysLeft - b.daysLeft)
+        );
       } else {
+        setNearExpiry([]);
         setStats({
           totalStores: 0,
           totalMedicines: 0,
@@ -298,12 +328,12 @@ const RetailerDashboard = () => {
                     <div className="flex items-center gap-3">
                       <div
                         className={`px-2 py-1 rounded-full text-xs ${
-                          store.is_open
+                          isStoreOpenNow(store)
                             ? 'bg-green-500/20 text-green-400'
                             : 'bg-red-500/20 text-red-400'
                         }`}
                       >
-                        {store.is_open ? 'Open' : 'Closed'}
+                        {isStoreOpenNow(store) ? 'Open' : 'Closed'}
                       </div>
                       <ChevronRight size={18} className="text-white/30" />
                     </div>
@@ -365,6 +395,75 @@ const RetailerDashboard = () => {
           </motion.div>
         </div>
 
+        {/* Near-Expiry Stock */}
+        {stores.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.65 }}
+            className="mt-8 glass-card p-6"
+          >
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+              <h2 className="text-xl font-semibold flex items-center gap-2">
+                <CalendarClock size={20} className="text-amber-400" />
+                Expiring Soon
+              </h2>
+              {nearExpiry.length > 0 && (
+                <span className="px-3 py-1 rounded-full bg-amber-500/20 text-amber-300 text-sm">
+                  ₹{formatRupees(valueAtRisk(nearExpiry))} at risk
+                </span>
+              )}
+            </div>
+
+            <div className="grid sm:grid-cols-3 gap-4 mb-4">
+              {expiryBands(nearExpiry).map((band, index) => (
+                <div key={band.to} className={`p-4 rounded-xl border ${BAND_STYLES[index]}`}>
+                  <p className="text-sm text-white/60">
+                    {band.from}-{band.to} days
+                  </p>
+                  <p className="text-2xl font-bold">{band.items}</p>
+                  <p className="text-xs text-white/50">₹{formatRupees(band.value)} of stock</p>
+                </div>
+              ))}
+            </div>
+
+            {nearExpiry.length === 0 ? (
+              <div className="text-center py-6">
+                <CalendarClock size={40} className="mx-auto text-white/20 mb-3" />
+                <p className="text-white/50">Nothing expires within your stores' warning windows</p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {nearExpiry.slice(0, 6).map((item) => (
+                  <Link
+                    key={item.batchId || item.id}
+                    to={`/retailer/inventory/${item.store.id}?expiring=${expiryWarningDays(item.store)}`}
+                    className="flex items-center justify-between gap-3 p-3 rounded-xl bg-white/5 hover:bg-white/10 transition-colors"
+                  >
+                    <div className="min-w-0">
+                      <p className="font-medium truncate">{item.name}</p>
+                      <p className="text-xs text-white/50 truncate">
+                        {item.store.store_name} • {item.quantity} {item.unit}
+                        {item.batch_number && ` • Batch ${item.batch_number}`}
+                      </p>
+                    </div>
+                    <div className="text-right flex-shrink-0">
+                      <p className={`text-sm font-semibold ${item.daysLeft <= 30 ? 'text-red-400' : 'text-amber-300'}`}>
+                        {item.daysLeft === 0 ? 'Expires today' : `${item.daysLeft} days left`}
+                      </p>
+                      <p className="text-xs text-white/50">₹{formatRupees(stockValue(item))}</p>
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            )}
+
+            <p className="text-xs text-white/40 mt-4">
+              Each store's warning window and search discount tag are set under My Stores.
+            </p>
+          </motion.div>
+        )}
+
         {/* Tips Section */}
         <motion.div
           initial={{ opacity: 0, y: 20 }}
@@ -14,11 +14,32 @@ import {
   Loader2,
   Upload,
   CheckCircle,
+  Siren,
+  CalendarClock,
 } from 'lucide-react';
 import useAuthStore from '../../store/authStore';
-import { supabase, uploadImage } from '../../lib/supabase';
+import { supabase, uploadImage, getStoreVerificationRequests } from '../../lib/supabase';
+import {
+  DEFAULT_STORE_TIMEZONE,
+  CLEAR_OVERRIDE,
+  getStoreStatus,
+  overrideUpdate,
+  formatOverrideTime,
+  getTodaysHoursText,
+  uniformWeeklyHours,
+  summaryHours,
+} from '../../lib/storeHours';
+import { EXPIRY_WINDOWS } from '../../lib/nearExpiry';
+import StoreScheduleEditor from '../../components/StoreScheduleEditor';
+import StoreVerificationPanel from '../../components/StoreVerificationPanel';
 import toast from 'react-hot-toast';
 
+// Timezones offered for store hours, with the default first
+const TIMEZONE_OPTIONS = [
+  DEFAULT_STORE_TIMEZONE,
+  ...(Intl.supportedValuesOf?.('timeZone') || []).filter((zone) => zone !== DEFAULT_STORE_TIMEZONE),
+];
+
 const StoreManagement = () => {
   const { user } = useAuthStore();
   const [stores, setStores] = useState([]);
@@ -28,6 +49,7 @@ const StoreManagement = () => {
   const [saving, setSaving] = useState(false);
   const [imageFile, setImageFile] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
+  const [verificationRequests, setVerificationRequests] = useState({}); // Latest request per store id
 
   const [formData, setFormData] = useState({
     store_name: '',
@@ -41,9 +63,13 @@ const StoreManagement = () => {
     phone: '',
     email: '',
     license_number: '',
-    opening_time: '09:00',
-    closing_time: '21:00',
-    is_open: true,
+    weekly_hours: uniformWeeklyHours(),
+    closures: [],
+    timezone: DEFAULT_STORE_TIMEZONE,
+    is_24x7: false,
+    expiry_warning_days: 90,
+    discount_near_expiry: false,
+    discount_within_days: 30,
   });
 
   useEffect(() => {
@@ -62,6 +88,14 @@ const StoreManagement = () => {
 
       if (error) throw error;
       setStores(data || []);
+
+      // Newest first, so the first request seen for a store is its latest
+      const { data: requests } = await getStoreVerificationRequests((data || []).map((store) => store.id));
+      const latest = {};
+      requests.forEach((request) => {
+        if (!latest[request.store_id]) latest[request.store_id] = request;
+      });
+      setVerificationRequests(latest);
     } catch (error) {
       console.error('Error fetching stores:', error);
       toast.error('Failed to load stores');
@@ -125,9 +159,14 @@ const StoreManagement = () => {
         phone: store.phone || '',
         email: store.email || '',
         license_number: store.license_number || '',
-        opening_time: store.opening_time || '09:00',
-        closing_time: store.closing_time || '21:00',
-        is_open: store.is_open ?? true,
+        weekly_hours: store.weekly_hours
+          || uniformWeeklyHours(store.opening_time || '09:00', store.closing_time || '21:00'),
+        closures: store.closures || [],
+        timezone: store.timezone || DEFAULT_STORE_TIMEZONE,
+        is_24x7: !!store.is_24x7,
+        expiry_warning_days: store.expiry_warning_days || 90,
+        discount_near_expiry: !!store.discount_near_expiry,
+        discount_within_days: store.discount_within_days || 30,
       });
       setImagePreview(store.store_image_url);
     } else {
@@ -144,9 +183,13 @@ const StoreManagement = () => {
         phone: '',
         email: '',
         license_number: '',
-        opening_time: '09:00',
-        closing_time: '21:00',
-        is_open: true,
+        weekly_hours: uniformWeeklyHours(),
+        closures: [],
+        timezone: DEFAULT_STORE_TIMEZONE,
+        is_24x7: false,
+        expiry_warning_days: 90,
+        discount_near_expiry: false,
+        discount_within_days: 30,
       });
       setImagePreview(null);
     }
@@ -177,6 +220,10 @@ const StoreManagement = () => {
       toast.error('Phone number is required');
       return;
     }
+    if (Object.values(formData.weekly_hours).flat().some((interval) => !interval.open || !interval.close)) {
+      toast.error('Fill in both times for every set of opening hours');
+      return;
+    }
     
     setSaving(true);
 
@@ -210,6 +257,11 @@ const StoreManagement = () => {
         toast('Using default coordinates. You can update them later.', { icon: 'ℹ️' });
       }
 
+      // Store-local 'YYYY-MM-DD', the format closures use
+      const today = new Date().toLocaleDateString('en-CA', {
+        timeZone: formData.timezone || DEFAULT_STORE_TIMEZONE,
+      });
+
       const storeData = {
         store_name: formData.store_name.trim(),
         description: formData.description?.trim() || null,
@@ -222,9 +274,15 @@ const StoreManagement = () => {
         phone: formData.phone.trim(),
         email: formData.email?.trim() || null,
         license_number: formData.license_number?.trim() || null,
-        opening_time: formData.opening_time || '09:00',
-        closing_time: formData.closing_time || '21:00',
-        is_open: formData.is_open !== false,
+        weekly_hours: formData.weekly_hours,
+        // Closures that have already ended are dropped
+        closures: formData.closures.filter((closure) => (closure.to || closure.from) >= today),
+        ...summaryHours(formData.weekly_hours),
+        timezone: formData.timezone || DEFAULT_STORE_TIMEZONE,
+        is_24x7: formData.is_24x7,
+        expiry_warning_days: Number(formData.expiry_warning_days),
+        discount_near_expiry: formData.discount_near_expiry,
+        discount_within_days: Number(formData.discount_within_days),
         store_image_url: imageUrl,
         owner_id: user.id,
       };
@@ -277,15 +335,26 @@ const StoreManagement = () => {
     }
   };
 
+  // Open / closed follows the store hours; the button flips it until the
+  // schedule next changes, or hands control back to the schedule
   const toggleStoreStatus = async (store) => {
+    const status = getStoreStatus(store);
+    const update = status.isOverride ? CLEAR_OVERRIDE : overrideUpdate(store, !status.isOpen);
+
     try {
       const { error } = await supabase
         .from('stores')
-        .update({ is_open: !store.is_open })
+        .update(update)
         .eq('id', store.id);
 
       if (error) throw error;
-      toast.success(`Store marked as ${!store.is_open ? 'open' : 'closed'}`);
+      if (status.isOverride) {
+        toast.success('Store is back on its regular hours');
+      } else {
+        toast.success(
+          `Store marked as ${update.open_override ? 'open' : 'closed'} until ${formatOverrideTime(new Date(update.open_override_until))}`
+        );
+      }
       fetchStores();
     } catch (error) {
       console.error('Error updating store:', error);
@@ -353,109 +422,128 @@ const StoreManagement = () => {
           </motion.div>
         ) : (
           <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
-            {stores.map((store, index) => (
-              <motion.div
-                key={store.id}
-                initial={{ opacity: 0, y: 20 }}
-                animate={{ opacity: 1, y: 0 }}
-                transition={{ delay: index * 0.1 }}
-                className="glass-card overflow-hidden"
-              >
-                {/* Store Image */}
-                <div className="h-40 bg-gradient-to-br from-primary-500/20 to-purple-600/20 relative">
-                  {store.store_image_url ? (
-                    <img
-                      src={store.store_image_url}
-                      alt={store.store_name}
-                      className="w-full h-full object-cover"
-                    />
-                  ) : (
-                    <div className="w-full h-full flex items-center justify-center">
-                      <Store size={48} className="text-white/30" />
+            {stores.map((store, index) => {
+              const status = getStoreStatus(store);
+              return (
+                <motion.div
+                  key={store.id}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.1 }}
+                  className="glass-card overflow-hidden"
+                >
+                  {/* Store Image */}
+                  <div className="h-40 bg-gradient-to-br from-primary-500/20 to-purple-600/20 relative">
+                    {store.store_image_url ? (
+                      <img
+                        src={store.store_image_url}
+                        alt={store.store_name}
+                        className="w-full h-full object-cover"
+                      />
+                    ) : (
+                      <div className="w-full h-full flex items-center justify-center">
+                        <Store size={48} className="text-white/30" />
+                      </div>
+                    )}
+                    <div
+                      className={`absolute top-3 right-3 px-3 py-1 rounded-full text-xs font-medium ${
+                        status.isOpen
+                          ? 'bg-green-500/90 text-white'
+                          : 'bg-red-500/90 text-white'
+                      }`}
+                    >
+                      {status.isOpen ? 'Open' : 'Closed'}
+                      {status.isOverride && ` until ${formatOverrideTime(status.overrideUntil)}`}
                     </div>
-                  )}
-                  <div
-                    className={`absolute top-3 right-3 px-3 py-1 rounded-full text-xs font-medium ${
-                      store.is_open
-                        ? 'bg-green-500/90 text-white'
-                        : 'bg-red-500/90 text-white'
-                    }`}
-                  >
-                    {store.is_open ? 'Open' : 'Closed'}
+                    {store.is_24x7 && (
+                      <div className="absolute top-3 left-3 px-3 py-1 rounded-full text-xs font-medium bg-red-600/90 text-white flex items-center gap-1">
+                        <Siren size={12} />
+                        24x7
+                      </div>
+                    )}
                   </div>
-                </div>
 
-                {/* Store Details */}
-                <div className="p-5">
-                  <h3 className="text-lg font-semibold mb-2">{store.store_name}</h3>
-
-                  <div className="space-y-2 text-sm text-white/70">
-                    <div className="flex items-start gap-2">
-                      <MapPin size={16} className="mt-0.5 flex-shrink-0" />
-                      <span>
-                        {store.address}, {store.city}, {store.state} -{' '}
-                        {store.pincode}
-                      </span>
-                    </div>
-                    <div className="flex items-center gap-2">
-                      <Phone size={16} />
-                      <span>{store.phone}</span>
-                    </div>
-                    <div className="flex items-center gap-2">
-                      <Clock size={16} />
-                      <span>
-                        {store.opening_time} - {store.closing_time}
-                      </span>
+                  {/* Store Details */}
+                  <div className="p-5">
+                    <h3 className="text-lg font-semibold mb-2">{store.store_name}</h3>
+
+                    <div className="space-y-2 text-sm text-white/70">
+                      <div className="flex items-start gap-2">
+                        <MapPin size={16} className="mt-0.5 flex-shrink-0" />
+                        <span>
+                          {store.address}, {store.city}, {store.state} -{' '}
+                          {store.pincode}
+                        </span>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <Phone size={16} />
+                        <span>{store.phone}</span>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <Clock size={16} />
+                        <span>{getTodaysHoursText(store)}</span>
+                      </div>
                     </div>
-                  </div>
 
-                  {/* Rating */}
-                  {store.rating > 0 && (
-                    <div className="mt-3 flex items-center gap-2">
-                      <div className="flex items-center gap-1 text-yellow-400">
-                        {'★'.repeat(Math.round(store.rating))}
-                        {'☆'.repeat(5 - Math.round(store.rating))}
+                    {/* Rating */}
+                    {store.rating > 0 && (
+                      <div className="mt-3 flex items-center gap-2">
+                        <div className="flex items-center gap-1 text-yellow-400">
+                          {'★'.repeat(Math.round(store.rating))}
+                          {'☆'.repeat(5 - Math.round(store.rating))}
+                        </div>
+                        <span className="text-sm text-white/50">
+                          ({store.total_reviews} reviews)
+                        </span>
                       </div>
-                      <span className="text-sm text-white/50">
-                        ({store.total_reviews} reviews)
-                      </span>
+                    )}
+
+                    {/* Verification */}
+                    <StoreVerificationPanel
+                      store={store}
+                      request={verificationRequests[store.id]}
+                      onSubmitted={(request) =>
+                        setVerificationRequests((prev) => ({ ...prev, [store.id]: request }))
+                      }
+                    />
+
+                    {/* Actions */}
+                    <div className="mt-4 pt-4 border-t border-white/10 flex items-center gap-2">
+                      <motion.button
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => toggleStoreStatus(store)}
+                        className={`flex-1 py-2 rounded-lg text-sm font-medium transition-colors ${
+                          status.isOverride
+                            ? 'bg-white/10 text-white/80 hover:bg-white/20'
+                            : status.isOpen
+                              ? 'bg-red-500/20 text-red-400 hover:bg-red-500/30'
+                              : 'bg-green-500/20 text-green-400 hover:bg-green-500/30'
+                        }`}
+                      >
+                        {status.isOverride ? 'Resume Hours' : status.isOpen ? 'Close Now' : 'Open Now'}
+                      </motion.button>
+                      <motion.button
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => openModal(store)}
+                        className="p-2 rounded-lg bg-white/10 hover:bg-white/20"
+                      >
+                        <Edit size={18} />
+                      </motion.button>
+                      <motion.button
+                        whileHover={{ scale: 1.1 }}
+                        whileTap={{ scale: 0.9 }}
+                        onClick={() => handleDelete(store.id)}
+                        className="p-2 rounded-lg bg-red-500/20 text-red-400 hover:bg-red-500/30"
+                      >
+                        <Trash2 size={18} />
+                      </motion.button>
                     </div>
-                  )}
-
-                  {/* Actions */}
-                  <div className="mt-4 pt-4 border-t border-white/10 flex items-center gap-2">
-                    <motion.button
-                      whileHover={{ scale: 1.05 }}
-                      whileTap={{ scale: 0.95 }}
-                      onClick={() => toggleStoreStatus(store)}
-                      className={`flex-1 py-2 rounded-lg text-sm font-medium transition-colors ${
-                        store.is_open
-                          ? 'bg-red-500/20 text-red-400 hover:bg-red-500/30'
-                          : 'bg-green-500/20 text-green-400 hover:bg-green-500/30'
-                      }`}
-                    >
-                      {store.is_open ? 'Close Store' : 'Open Store'}
-                    </motion.button>
-                    <motion.button
-                      whileHover={{ scale: 1.1 }}
-                      whileTap={{ scale: 0.9 }}
-                      onClick={() => openModal(store)}
-                      className="p-2 rounded-lg bg-white/10 hover:bg-white/20"
-                    >
-                      <Edit size={18} />
-                    </motion.button>
-                    <motion.button
-                      whileHover={{ scale: 1.1 }}
-                      whileTap={{ scale: 0.9 }}
-                      onClick={() => handleDelete(store.id)}
-                      className="p-2 rounded-lg bg-red-500/20 text-red-400 hover:bg-red-500/30"
-                    >
-                      <Trash2 size={18} />
-                    </motion.button>
                   </div>
-                </div>
-              </motion.div>
-            ))}
+                </motion.div>
+              );
+            })}
           </div>
         )}
 
@@ -548,6 +636,11 @@ const StoreManagement = () => {
                           className="glass-input"
                           placeholder="DL-XXXX-XXXX"
                         />
+                        {editingStore?.is_verified && (
+                          <p className="text-xs text-white/50 mt-2">
+                            Changing the license number sends the store back for verification.
+                          </p>
+                        )}
                       </div>
                     </div>
 
@@ -694,47 +787,112 @@ const StoreManagement = () => {
                       </div>
                     </div>
 
-                    {/* Timings */}
-                    <div className="grid sm:grid-cols-2 gap-4">
+                    {/* Round-the-clock / emergency */}
+                    <label className="flex items-start gap-3 p-3 rounded-xl bg-red-500/10 border border-red-500/30 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        name="is_24x7"
+                        checked={formData.is_24x7}
+                        onChange={handleChange}
+                        className="w-4 h-4 mt-0.5 rounded"
+                      />
+                      <span>
+                        <span className="flex items-center gap-2 text-sm font-medium">
+                          <Siren size={16} className="text-red-400" />
+                          Open 24x7 / emergency pharmacy
+                        </span>
+                        <span className="block text-xs text-white/50 mt-1">
+                          Shown as open at all hours, holidays included, and listed in Emergency searches.
+                        </span>
+                      </span>
+                    </label>
+
+                    {/* Timings - not needed while the store never closes */}
+                    {!formData.is_24x7 && (
+                      <StoreScheduleEditor
+                        weeklyHours={formData.weekly_hours}
+                        closures={formData.closures}
+                        onWeeklyHoursChange={(weeklyHours) => setFormData({ ...formData, weekly_hours: weeklyHours })}
+                        onClosuresChange={(closures) => setFormData({ ...formData, closures })}
+                      />
+                    )}
+
+                    {/* Timezone */}
+                    <div>
+                      <label className="block text-sm font-medium mb-2">
+                        Timezone
+                      </label>
+                      <select
+                        name="timezone"
+                        value={formData.timezone}
+                        onChange={handleChange}
+                        className="glass-select"
+                      >
+                        {TIMEZONE_OPTIONS.map((zone) => (
+                          <option key={zone} value={zone}>
+                            {zone}
+                          </option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-white/50 mt-2">
+                        Customers see the store as open or closed from these hours. Use Close Now / Open Now
+                        on the store card for one-off changes - they end when your hours next change.
+                      </p>
+                    </div>
+
+                    {/* Near-expiry stock */}
+                    <div className="p-3 rounded-xl bg-amber-500/10 border border-amber-500/30 space-y-3">
+                      <div className="flex items-center gap-2 text-sm font-medium">
+                        <CalendarClock size={16} className="text-amber-400" />
+                        Near-expiry stock
+                      </div>
                       <div>
-                        <label className="block text-sm font-medium mb-2">
-                          Opening Time
-                        </label>
-                        <input
-                          type="time"
-                          name="opening_time"
-                          value={formData.opening_time}
+                        <label className="block text-sm mb-2">Warn me about stock expiring within</label>
+                        <select
+                          name="expiry_warning_days"
+                          value={formData.expiry_warning_days}
                           onChange={handleChange}
-                          className="glass-input"
-                        />
+                          className="glass-select"
+                        >
+                          {EXPIRY_WINDOWS.map((days) => (
+                            <option key={days} value={days}>
+                              {days} days
+                            </option>
+                          ))}
+                        </select>
                       </div>
-                      <div>
-                        <label className="block text-sm font-medium mb-2">
-                          Closing Time
-                        </label>
+                      <label className="flex items-start gap-3 cursor-pointer">
                         <input
-                          type="time"
-                          name="closing_time"
-                          value={formData.closing_time}
+                          type="checkbox"
+                          name="discount_near_expiry"
+                          checked={formData.discount_near_expiry}
                           onChange={handleChange}
-                          className="glass-input"
+                          className="w-4 h-4 mt-0.5 rounded"
                         />
-                      </div>
-                    </div>
-
-                    {/* Store Status */}
-                    <div className="flex items-center gap-3">
-                      <input
-                        type="checkbox"
-                        name="is_open"
-                        id="is_open"
-                        checked={formData.is_open}
-                        onChange={handleChange}
-                        className="w-5 h-5 rounded bg-white/10 border-white/20"
-                      />
-                      <label htmlFor="is_open" className="text-sm">
-                        Store is currently open
+                        <span>
+                          <span className="block text-sm">Tag near-expiry medicines as Discounted in search</span>
+                          <span className="block text-xs text-white/50 mt-1">
+                            Only adds the tag - set the reduced price on the medicine in your inventory.
+                          </span>
+                        </span>
                       </label>
+                      {formData.discount_near_expiry && (
+                        <div>
+                          <label className="block text-sm mb-2">Tag medicines expiring within</label>
+                          <select
+                            name="discount_within_days"
+                            value={formData.discount_within_days}
+                            onChange={handleChange}
+                            className="glass-select"
+                          >
+                            {EXPIRY_WINDOWS.map((days) => (
+                              <option key={days} value={days}>
+                                {days} days
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
                     </div>
 
                     {/* Submit */}
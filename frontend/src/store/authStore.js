@@ -1,6 +1,9 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import { supabase, getProfile, signIn, signUp, signOut } from '../lib/supabase';
+import useLocationStore from './locationStore';
+
+const SIGNED_OUT = { user: null, profile: null, session: null };
 
 const useAuthStore = create(
   persist(
@@ -34,13 +37,17 @@ const useAuthStore = create(
               if (session?.user) {
                 // Session still valid, optionally refresh profile
                 getProfile(session.user.id).then(profile => {
-                  if (profile) {
+                  if (profile?.is_suspended) {
+                    // Suspended since the last visit
+                    signOut().catch(() => {});
+                    set(SIGNED_OUT);
+                  } else if (profile) {
                     set({ profile, session, user: session.user });
                   }
                 }).catch(() => {});
               } else {
                 // Session expired, clear data
-                set({ user: null, profile: null, session: null });
+                set(SIGNED_OUT);
               }
             }).catch(() => {});
             
@@ -70,6 +77,12 @@ const useAuthStore = create(
                 role: session.user.user_metadata?.role || 'customer',
               };
             }
+
+            if (profile?.is_suspended) {
+              signOut().catch(() => {});
+              set({ ...SIGNED_OUT, loading: false, initialized: true, error: null });
+              return;
+            }
             
             set({
               user: session.user,
@@ -146,11 +159,10 @@ const useAuthStore = create(
         try {
           set({ loading: true, error: null });
           
-          const { user, session } = await signIn(email, password, expectedRole);
+          const { user, session, role: profileRole } = await signIn(email, password, expectedRole);
+          const role = profileRole || user?.user_metadata?.role || expectedRole || 'customer';
           
           if (user) {
-            const role = user.user_metadata?.role || expectedRole || 'customer';
-            
             // Set immediately with user metadata
             set({
               user,
@@ -173,7 +185,7 @@ const useAuthStore = create(
             }).catch(() => {});
           }
           
-          return { user, session };
+          return { user, session, role };
         } catch (error) {
           set({ loading: false, error: error.message });
           throw error;
@@ -185,6 +197,8 @@ const useAuthStore = create(
         try {
           set({ loading: true });
           await signOut();
+          // A saved place is the account's, not the device's
+          useLocationStore.getState().forgetSavedPlaces();
           set({
             user: null,
             session: null,
@@ -235,6 +249,12 @@ const useAuthStore = create(
         const { profile } = get();
         return profile?.role === 'customer';
       },
+
+      // Check if user is admin
+      isAdmin: () => {
+        const { profile } = get();
+        return profile?.role === 'admin';
+      },
     }),
     {
       name: 'auth-storage',
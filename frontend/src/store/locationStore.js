@@ -1,94 +1,249 @@
 import { create } from 'zustand';
+import { persist } from 'zustand/middleware';
+import { getSavedPlaces, saveSavedPlace, deleteSavedPlace } from '../lib/supabase';
 
-const useLocationStore = create((set, get) => ({
-  userLocation: null,
-  locationError: null,
-  isLocating: false,
-
-  // Get user's current location
-  getUserLocation: () => {
-    return new Promise((resolve, reject) => {
-      set({ isLocating: true, locationError: null });
-
-      if (!navigator.geolocation) {
-        const error = 'Geolocation is not supported by your browser';
-        set({ locationError: error, isLocating: false });
-        reject(new Error(error));
-        return;
-      }
-
-      navigator.geolocation.getCurrentPosition(
-        (position) => {
-          const location = {
-            lat: position.coords.latitude,
-            lng: position.coords.longitude,
-            accuracy: position.coords.accuracy,
-          };
-          set({ userLocation: location, isLocating: false });
-          resolve(location);
-        },
-        (error) => {
-          let errorMessage = 'Unable to get your location';
-          
-          switch (error.code) {
-            case error.PERMISSION_DENIED:
-              errorMessage = 'Location permission denied. Please enable location access.';
-              break;
-            case error.POSITION_UNAVAILABLE:
-              errorMessage = 'Location information unavailable.';
-              break;
-            case error.TIMEOUT:
-              errorMessage = 'Location request timed out.';
-              break;
-          }
-          
-          set({ locationError: errorMessage, isLocating: false });
-          reject(new Error(errorMessage));
-        },
-        {
-          enableHighAccuracy: true,
-          timeout: 10000,
-          maximumAge: 300000, // 5 minutes cache
-        }
-      );
-    });
-  },
-
-  // Set location manually
-  setLocation: (lat, lng) => {
-    set({
-      userLocation: { lat, lng },
-      locationError: null,
-    });
-  },
+// Live tracking ignores fixes closer than this to the last accepted one,
+// or closer than their own accuracy radius (GPS jitter while standing still)
+const TRACKING_MIN_MOVE_KM = 0.02;
+
+let watchId = null;
+
+// No location chosen
+const NO_LOCATION = { userLocation: null, placeName: null, locationSource: null, savedPlaceId: null };
 
-  // Clear location
-  clearLocation: () => {
-    set({
+const toLocation = (position) => ({
+  lat: position.coords.latitude,
+  lng: position.coords.longitude,
+  accuracy: position.coords.accuracy,
+});
+
+const locationErrorMessage = (error) => {
+  switch (error.code) {
+    case error.PERMISSION_DENIED:
+      return 'Location permission denied. Please enable location access.';
+    case error.POSITION_UNAVAILABLE:
+      return 'Location information unavailable.';
+    case error.TIMEOUT:
+      return 'Location request timed out.';
+    default:
+      return 'Unable to get your location';
+  }
+};
+
+const useLocationStore = create(
+  persist(
+    (set, get) => ({
       userLocation: null,
+      placeName: null, // Label of a place picked by hand, null for a GPS fix
+      locationSource: null, // 'gps' | 'manual' | 'saved'
+      savedPlaces: [], // The signed-in user's saved_places rows
+      savedPlaceId: null, // Saved place searches are running from, if any
       locationError: null,
-    });
-  },
-
-  // Calculate distance from user to a point
-  getDistanceFrom: (lat, lng) => {
-    const { userLocation } = get();
-    if (!userLocation) return null;
-
-    const R = 6371; // Earth's radius in km
-    const dLat = toRad(lat - userLocation.lat);
-    const dLon = toRad(lng - userLocation.lng);
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(toRad(userLocation.lat)) *
-        Math.cos(toRad(lat)) *
-        Math.sin(dLon / 2) *
-        Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return Math.round(R * c * 100) / 100; // Round to 2 decimal places
-  },
-}));
+      isLocating: false,
+      isTracking: false,
+
+      // Get user's current location
+      getUserLocation: () => {
+        return new Promise((resolve, reject) => {
+          set({ isLocating: true, locationError: null });
+
+          if (!navigator.geolocation) {
+            const error = 'Geolocation is not supported by your browser';
+            set({ locationError: error, isLocating: false });
+            reject(new Error(error));
+            return;
+          }
+
+          navigator.geolocation.getCurrentPosition(
+            (position) => {
+              const location = toLocation(position);
+              set({ userLocation: location, placeName: null, locationSource: 'gps', savedPlaceId: null, isLocating: false });
+              resolve(location);
+            },
+            (error) => {
+              const errorMessage = locationErrorMessage(error);
+              set({ locationError: errorMessage, isLocating: false });
+              reject(new Error(errorMessage));
+            },
+            {
+              enableHighAccuracy: true,
+              timeout: 10000,
+              maximumAge: 300000, // 5 minutes cache
+            }
+          );
+        });
+      },
+
+      // Opt-in live tracking: keep userLocation up to date as the user moves.
+      // Only moves past the threshold update the store, so subscribers aren't
+      // re-rendered for every GPS fix.
+      startTracking: () => {
+        if (watchId !== null) return;
+
+        if (!navigator.geolocation) {
+          set({ locationError: 'Geolocation is not supported by your browser' });
+          return;
+        }
+
+        set({ isTracking: true, locationError: null });
+        watchId = navigator.geolocation.watchPosition(
+          (position) => {
+            const location = toLocation(position);
+            const { userLocation } = get();
+
+            if (userLocation) {
+              const moved = distanceBetween(userLocation, location);
+              const jitter = Math.max(TRACKING_MIN_MOVE_KM, (location.accuracy || 0) / 1000);
+              const moreAccurate = location.accuracy < (userLocation.accuracy ?? Infinity) / 2;
+              if (moved < jitter && !moreAccurate) return;
+            }
+
+            set({ userLocation: location, placeName: null, locationSource: 'gps', savedPlaceId: null, locationError: null });
+          },
+          (error) => {
+            // Timeouts are retried by the browser; anything else ends tracking
+            if (error.code === error.TIMEOUT) return;
+            get().stopTracking();
+            set({ locationError: locationErrorMessage(error) });
+          },
+          {
+            enableHighAccuracy: true,
+            timeout: 20000,
+            maximumAge: 5000,
+          }
+        );
+      },
+
+      stopTracking: () => {
+        if (watchId !== null) {
+          navigator.geolocation.clearWatch(watchId);
+          watchId = null;
+        }
+        set({ isTracking: false });
+      },
+
+      // Set location manually
+      setLocation: (lat, lng) => {
+        set({
+          userLocation: { lat, lng },
+          locationError: null,
+        });
+      },
+
+      // Use a place picked in the location picker (see lib/gazetteer) instead
+      // of the device position. Remembered across visits.
+      setPlace: (place) => {
+        get().stopTracking();
+        set({
+          userLocation: { lat: place.lat, lng: place.lng },
+          placeName: place.label,
+          locationSource: 'manual',
+          savedPlaceId: null,
+          locationError: null,
+        });
+      },
+
+      // Search from one of the user's saved places
+      selectSavedPlace: (place) => {
+        get().stopTracking();
+        set({
+          userLocation: { lat: parseFloat(place.latitude), lng: parseFloat(place.longitude) },
+          placeName: place.place_name ? `${place.label} · ${place.place_name}` : place.label,
+          locationSource: 'saved',
+          savedPlaceId: place.id,
+          locationError: null,
+        });
+      },
+
+      loadSavedPlaces: async (userId) => {
+        if (!userId) {
+          get().forgetSavedPlaces();
+          return;
+        }
+
+        const { data, error } = await getSavedPlaces(userId);
+        set((state) => ({
+          savedPlaces: data,
+          // A selected place that no longer exists (deleted elsewhere, other
+          // account) takes its location with it
+          ...(!error && state.savedPlaceId
+            && !data.some((place) => place.id === state.savedPlaceId) && NO_LOCATION),
+        }));
+      },
+
+      // Signed out: drop the saved places, and the location if it came from one
+      forgetSavedPlaces: () => {
+        set((state) => ({
+          savedPlaces: [],
+          ...(state.locationSource === 'saved' && NO_LOCATION),
+        }));
+      },
+
+      // Add a place, or move the one with the same label
+      addSavedPlace: async (userId, place) => {
+        const { data, error } = await saveSavedPlace(userId, place);
+        if (data) {
+          set((state) => ({
+            savedPlaces: [...state.savedPlaces.filter((saved) => saved.id !== data.id), data],
+          }));
+        }
+        return { data, error };
+      },
+
+      removeSavedPlace: async (placeId) => {
+        const { error } = await deleteSavedPlace(placeId);
+        if (!error) {
+          set((state) => ({
+            savedPlaces: state.savedPlaces.filter((place) => place.id !== placeId),
+            savedPlaceId: state.savedPlaceId === placeId ? null : state.savedPlaceId,
+          }));
+        }
+        return { error };
+      },
+
+      // Clear location
+      clearLocation: () => {
+        set({ ...NO_LOCATION, locationError: null });
+      },
+
+      // Calculate distance from user to a point
+      getDistanceFrom: (lat, lng) => {
+        const { userLocation } = get();
+        if (!userLocation) return null;
+
+        return Math.round(distanceBetween(userLocation, { lat, lng }) * 100) / 100; // Round to 2 decimal places
+      },
+    }),
+    {
+      name: 'location-storage',
+      // Only a hand-picked or saved place is kept - GPS fixes go stale
+      partialize: (state) => (state.locationSource === 'manual' || state.locationSource === 'saved'
+        ? {
+            userLocation: state.userLocation,
+            placeName: state.placeName,
+            locationSource: state.locationSource,
+            savedPlaceId: state.savedPlaceId,
+          }
+        : {}),
+    }
+  )
+);
 
 const toRad = (deg) => deg * (Math.PI / 180);
 
+// Great-circle distance in km between two { lat, lng } points
+export const distanceBetween = (from, to) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = toRad(to.lat - from.lat);
+  const dLon = toRad(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(from.lat)) *
+      Math.cos(toRad(to.lat)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
 export default useLocationStore;